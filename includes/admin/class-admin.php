@@ -440,6 +440,8 @@ class Admin {
 
 			// Content settings.
 			'auto_fetch_metadata'        => true,
+			'standard_site_auto_apply'   => false,
+			'publish_check_severity'     => [], // Kind slug => 'warn' or 'block'; unlisted kinds warn.
 			'cache_duration'             => 86400, // 24 hours.
 			'image_handling'             => 'sideload', // 'sideload', 'hotlink', 'none'.
 
@@ -516,7 +518,7 @@ class Admin {
 		// This is crucial for correctly handling unchecked checkboxes.
 		$tab_bool_fields = [
 			'general'     => [ 'enable_microformats', 'enable_syndication', 'sync_formats_to_kinds' ],
-			'content'     => [ 'auto_fetch_metadata' ],
+			'content'     => [ 'auto_fetch_metadata', 'standard_site_auto_apply' ],
 			'listen'      => [ 'listen_auto_import', 'listen_sync_to_lastfm' ],
 			'watch'       => [ 'watch_auto_import', 'watch_include_rewatches', 'watch_sync_to_trakt' ],
 			'read'        => [ 'read_auto_import' ],
@@ -553,6 +555,7 @@ class Admin {
 			'enable_microformats',
 			'enable_syndication',
 			'auto_fetch_metadata',
+			'standard_site_auto_apply',
 			'listen_auto_import',
 			'listen_sync_to_lastfm',
 			'watch_auto_import',
@@ -640,6 +643,23 @@ class Admin {
 			$sanitized['default_category'] = 0;
 		}
 
+		// Pre-publish checklist severity per kind. Like default_category, it
+		// falls back to the stored value so saving another tab keeps it.
+		if ( isset( $input['publish_check_severity'] ) && is_array( $input['publish_check_severity'] ) ) {
+			$sanitized['publish_check_severity'] = [];
+			$valid_kinds                         = array_keys( $this->get_post_kinds() );
+
+			foreach ( $input['publish_check_severity'] as $kind => $severity ) {
+				$kind = sanitize_key( $kind );
+
+				if ( in_array( $kind, $valid_kinds, true ) && in_array( $severity, [ 'warn', 'block' ], true ) ) {
+					$sanitized['publish_check_severity'][ $kind ] = $severity;
+				}
+			}
+		} else {
+			$sanitized['publish_check_severity'] = $old_settings['publish_check_severity'] ?? [];
+		}
+
 		// Check if storage mode changed - need to flush rewrite rules.
 		$old_settings = get_option( 'pkiw_settings', [] );
 		$old_mode     = $old_settings['import_storage_mode'] ?? 'standard';
@@ -243,6 +243,30 @@ class Settings_Page {
 			]
 		);
 
+		add_settings_field(
+			'standard_site_auto_apply',
+			__( 'Apply standard.site records', 'post-kinds-for-indieweb-in-block-themes' ),
+			[ $this, 'render_checkbox_field' ],
+			'pkiw_content',
+			'pkiw_content_section',
+			[
+				'id'   => 'standard_site_auto_apply',
+				'desc' => __( 'When a URL is pasted into a like, reply, repost, bookmark or favorite card, look up its standard.site record and fill the card\'s empty title, author, date and description from it. Only verified records are applied; fields you already filled in are left alone.', 'post-kinds-for-indieweb-in-block-themes' ),
+			]
+		);
+
+		add_settings_field(
+			'publish_check_severity',
+			__( 'Pre-publish checklist', 'post-kinds-for-indieweb-in-block-themes' ),
+			[ $this, 'render_publish_check_severity_field' ],
+			'pkiw_content',
+			'pkiw_content_section',
+			[
+				'id'   => 'publish_check_severity',
+				'desc' => __( 'Before publishing, the editor checks that the post has what its kind needs, such as a title for a watch or a venue for a check-in. Choose per kind whether a missing item only warns or stops the post from being published.', 'post-kinds-for-indieweb-in-block-themes' ),
+			]
+		);
+
 		add_settings_field(
 			'cache_duration',
 			__( 'Cache Duration', 'post-kinds-for-indieweb-in-block-themes' ),
@@ -1431,6 +1455,55 @@ CSS;
 		}
 	}
 
+	/**
+	 * Render the per-kind severity of the pre-publish checklist.
+	 *
+	 * @param array<string, mixed> $args Field arguments (id, desc).
+	 * @return void
+	 */
+	public function render_publish_check_severity_field( array $args ): void {
+		$settings = get_option( 'pkiw_settings', $this->admin->get_default_settings() );
+		$current  = (array) ( $settings[ $args['id'] ] ?? [] );
+		$kinds    = $this->admin->get_post_kinds();
+		$options  = [
+			'warn'  => __( 'Warn', 'post-kinds-for-indieweb-in-block-themes' ),
+			'block' => __( 'Block publishing', 'post-kinds-for-indieweb-in-block-themes' ),
+		];
+
+		echo '<fieldset>';
+
+		// The kinds the editor has built-in checks for.
+		foreach ( [ 'like', 'reply', 'repost', 'bookmark', 'read', 'watch', 'listen', 'checkin', 'rsvp' ] as $kind ) {
+			$field_id = $args['id'] . '_' . $kind;
+
+			printf(
+				'<p><label for="%s">%s</label> <select name="pkiw_settings[%s][%s]" id="%s">',
+				esc_attr( $field_id ),
+				esc_html( $kinds[ $kind ]['label'] ?? ucfirst( $kind ) ),
+				esc_attr( $args['id'] ),
+				esc_attr( $kind ),
+				esc_attr( $field_id )
+			);
+
+			foreach ( $options as $option_value => $option_label ) {
+				printf(
+					'<option value="%s"%s>%s</option>',
+					esc_attr( $option_value ),
+					selected( $current[ $kind ] ?? 'warn', $option_value, false ),
+					esc_html( $option_label )
+				);
+			}
+
+			echo '</select></p>';
+		}
+
+		echo '</fieldset>';
+
+		if ( ! empty( $args['desc'] ) ) {
+			printf( '<p class="description">%s</p>', esc_html( $args['desc'] ) );
+		}
+	}
+
 	/**
 	 * Render a category dropdown bound to a settings key.
 	 *
@@ -345,6 +345,14 @@ class Hardcover extends API_Base {
 							name
 							slug
 						}
+						book_series {
+							position
+							series {
+								id
+								name
+								slug
+							}
+						}
 						genres {
 							genre {
 								id
@@ -1075,12 +1083,14 @@ class Hardcover extends API_Base {
 				}
 			}
 
-			// Series.
-			if ( isset( $book['series'] ) ) {
+			// Series, with the book's place in it when Hardcover has one.
+			$series = $book['book_series'][0]['series'] ?? $book['series'] ?? null;
+			if ( isset( $series ) ) {
 				$result['series'] = [
-					'id'   => $book['series']['id'] ?? 0,
-					'name' => $book['series']['name'] ?? '',
-					'slug' => $book['series']['slug'] ?? '',
+					'id'       => $series['id'] ?? 0,
+					'name'     => $series['name'] ?? '',
+					'slug'     => $series['slug'] ?? '',
+					'position' => (string) ( $book['book_series'][0]['position'] ?? '' ),
 				];
 			}
 
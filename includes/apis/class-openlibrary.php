@@ -417,7 +417,7 @@ class OpenLibrary extends API_Base {
 	public function get_work_editions( string $work_key, int $limit = 10 ): array {
 		$work_key = preg_replace( '/^\/works\//', '', $work_key );
 
-		$cache_key = 'work_editions_' . $work_key;
+		$cache_key = 'work_editions_' . $work_key . '_' . $limit;
 		$cached    = $this->get_cache( $cache_key );
 
 		if ( null !== $cached ) {
@@ -839,6 +839,7 @@ class OpenLibrary extends API_Base {
 			'isbn'            => $isbn_13 ?: $isbn_10,
 			'languages'       => $edition['languages'] ?? [],
 			'physical_format' => $edition['physical_format'] ?? '',
+			'series'          => $edition['series'] ?? [],
 			'cover_id'        => $cover_id,
 			'cover'           => $cover_id ? $this->get_cover_url( $cover_id, 'M' ) : null,
 			'work_key'        => $edition['works'][0]['key'] ?? '',
@@ -48,7 +48,7 @@ class Book_Completion_Controller {
 	 */
 	public function __construct() {
 		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
-		add_action( 'save_post', [ $this, 'complete_on_save' ], 30, 2 ); // After Card_Meta_Sync@25.
+		add_action( 'wp_after_insert_post', [ $this, 'complete_on_save' ], 30, 2 ); // After Card_Meta_Sync@25.
 	}
 
 	/**
@@ -58,7 +58,8 @@ class Book_Completion_Controller {
 	 * tests that swap in a stub via the filter never touch the real API
 	 * clients (and never make a live HTTP request).
 	 *
-	 * @return object Object with complete( array ): array.
+	 * @return object Object with complete( array ): array, and optionally
+	 *                series_and_editions( array ): array.
 	 */
 	private function service(): object {
 		/**
@@ -115,25 +116,39 @@ class Book_Completion_Controller {
 	 * arbitrary caller-supplied params, which bypass the registered args'
 	 * sanitization and would otherwise be reflected verbatim in the response.
 	 *
+	 * The read card's edition picker also needs the book's series and other
+	 * editions, which the editor asks for here rather than on save: they
+	 * cost further lookups and most books have no series to fill.
+	 *
 	 * @param \WP_REST_Request $request Incoming request.
-	 * @return \WP_REST_Response Completed book data (canonical keys).
+	 * @return \WP_REST_Response Completed book data (canonical keys), plus
+	 *                           `series`, `series_position` and `editions`
+	 *                           when the service finds them.
 	 */
 	public function rest_complete( \WP_REST_Request $request ): \WP_REST_Response {
 		$book = array_filter(
 			array_intersect_key( $request->get_params(), self::META_BY_KEY ),
 			'is_string'
 		);
-		return rest_ensure_response( $this->service()->complete( $book ) );
+
+		$service   = $this->service();
+		$completed = $service->complete( $book );
+
+		if ( method_exists( $service, 'series_and_editions' ) ) {
+			$completed = array_merge( $completed, $service->series_and_editions( $completed ) );
+		}
+
+		return rest_ensure_response( $completed );
 	}
 
 	/**
 	 * Fill blank read-card meta from the completion service on save.
 	 *
-	 * Runs at save_post:30, after Card_Meta_Sync@25 has mirrored the card's
-	 * attrs into meta, so this reads the freshly-synced values. Only ever
-	 * fills meta that is currently blank — never overwrites — and only
-	 * calls update_post_meta (no wp_update_post), so there is no recursion
-	 * risk with save_post.
+	 * Runs at wp_after_insert_post:30, after Card_Meta_Sync@25 has mirrored
+	 * the card's attrs into meta, so this reads the freshly-synced values.
+	 * Only ever fills meta that is currently blank — never overwrites — and
+	 * only calls update_post_meta (no wp_update_post), so there is no
+	 * recursion risk with the save hooks.
 	 *
 	 * @param int      $post_id Post ID.
 	 * @param \WP_Post $post    Post object.
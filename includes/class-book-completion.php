@@ -31,6 +31,15 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class Book_Completion {
 
+	/**
+	 * Most editions asked of Open Library for a work.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const EDITIONS_LIMIT = 25;
+
 	/**
 	 * Constructor.
 	 *
@@ -92,6 +101,113 @@ class Book_Completion {
 		return $book;
 	}
 
+	/**
+	 * Find the series a book belongs to and the other editions of it.
+	 *
+	 * Hardcover, when configured, knows the series and the book's place in
+	 * it; Open Library's edition records only carry a free-text series such
+	 * as "The Expanse ; 3". Editions come from both, the looked-up edition
+	 * first, and only editions with an ISBN are listed — picking one swaps
+	 * the card's ISBN.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array<string, string> $book Book data (canonical keys); only `isbn` is read.
+	 * @return array<string, mixed> `series`, `series_position` and `editions`,
+	 *                              each edition with `isbn`, `isbn_10`, `title`,
+	 *                              `format`, `publisher`, `publish_date`, `pages`,
+	 *                              `cover` and `source`. Empty without a valid ISBN.
+	 */
+	public function series_and_editions( array $book ): array {
+		$isbn = (string) ( $book['isbn'] ?? '' );
+		if ( ! Isbn::validate( $isbn ) ) {
+			return [];
+		}
+
+		$series   = [
+			'name'     => '',
+			'position' => '',
+		];
+		$editions = [];
+
+		if ( $this->hardcover->is_configured() ) {
+			$found   = $this->hardcover->get_by_isbn( $isbn );
+			$details = ! empty( $found['id'] ) ? $this->hardcover->get_book( (string) $found['id'] ) : null;
+
+			if ( ! empty( $found['edition'] ) ) {
+				$editions[] = $this->edition_from_hardcover( $found['edition'] );
+			}
+			if ( ! empty( $details['series']['name'] ) ) {
+				$series = [
+					'name'     => (string) $details['series']['name'],
+					'position' => (string) ( $details['series']['position'] ?? '' ),
+				];
+			}
+			foreach ( $details['editions'] ?? [] as $edition ) {
+				$editions[] = $this->edition_from_hardcover( $edition );
+			}
+		}
+
+		// The books API result is keyed by edition, the search fallback by work.
+		$key      = (string) ( $this->open_library->get_by_isbn( $isbn )['key'] ?? '' );
+		$edition  = str_starts_with( $key, '/books/' ) ? $this->open_library->get_edition( $key ) : null;
+		$work_key = $edition['work_key'] ?? ( str_starts_with( $key, '/works/' ) ? $key : '' );
+
+		if ( $edition ) {
+			array_unshift( $editions, $this->edition_from_open_library( $edition ) );
+			if ( '' === $series['name'] && ! empty( $edition['series'][0] ) ) {
+				$series = self::parse_series( (string) $edition['series'][0] );
+			}
+		}
+		if ( '' !== $work_key ) {
+			foreach ( $this->open_library->get_work_editions( $work_key, self::EDITIONS_LIMIT ) as $other ) {
+				$editions[] = $this->edition_from_open_library( $other );
+			}
+		}
+
+		// One entry per ISBN, keeping the first listed.
+		$unique = [];
+		foreach ( $editions as $item ) {
+			$id = Isbn::to13( $item['isbn'] ) ?? str_replace( [ '-', ' ' ], '', $item['isbn'] );
+			if ( '' !== $item['isbn'] && ! isset( $unique[ $id ] ) ) {
+				$unique[ $id ] = $item;
+			}
+		}
+
+		return [
+			'series'          => $series['name'],
+			'series_position' => $series['position'],
+			'editions'        => array_values( $unique ),
+		];
+	}
+
+	/**
+	 * Split a free-text series into its name and the book's place in it.
+	 *
+	 * Open Library editions write it many ways: "The Expanse ; 3",
+	 * "The Expanse, book 3", "The Expanse (3)", "The Expanse #3".
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $series Series as written on the edition.
+	 * @return array{name: string, position: string} Name, and position or ''.
+	 */
+	public static function parse_series( string $series ): array {
+		$series = trim( $series );
+
+		if ( preg_match( '/^(.+?)(?:\s*[,;:(]\s*|\s+-+\s+|\s+)(?:(?:book|bk|vol|volume|no|part)\.?\s*)?#?(\d+(?:\.\d+)?)\)?$/i', $series, $matches ) ) {
+			return [
+				'name'     => trim( $matches[1] ),
+				'position' => $matches[2],
+			];
+		}
+
+		return [
+			'name'     => $series,
+			'position' => '',
+		];
+	}
+
 	/**
 	 * Merge API-found data into the book, without overwriting caller values.
 	 *
@@ -183,4 +299,44 @@ class Book_Completion {
 			'pages' => isset( $r['pages'] ) ? (string) $r['pages'] : null,
 		];
 	}
+
+	/**
+	 * Map an Open Library normalize_edition() result to an edition entry.
+	 *
+	 * @param array<string, mixed> $r Normalized Open Library edition.
+	 * @return array<string, mixed> Edition entry.
+	 */
+	private function edition_from_open_library( array $r ): array {
+		return [
+			'isbn'         => (string) ( $r['isbn'] ?? '' ),
+			'isbn_10'      => (string) ( $r['isbn_10'] ?? '' ),
+			'title'        => (string) ( $r['title'] ?? '' ),
+			'format'       => (string) ( $r['physical_format'] ?? '' ),
+			'publisher'    => (string) ( $r['publishers'][0] ?? '' ),
+			'publish_date' => (string) ( $r['publish_date'] ?? '' ),
+			'pages'        => (int) ( $r['number_of_pages'] ?? 0 ),
+			'cover'        => (string) ( $r['cover'] ?? '' ),
+			'source'       => 'openlibrary',
+		];
+	}
+
+	/**
+	 * Map a Hardcover normalize_edition() result to an edition entry.
+	 *
+	 * @param array<string, mixed> $r Normalized Hardcover edition.
+	 * @return array<string, mixed> Edition entry.
+	 */
+	private function edition_from_hardcover( array $r ): array {
+		return [
+			'isbn'         => (string) ( $r['isbn'] ?? '' ),
+			'isbn_10'      => (string) ( $r['isbn_10'] ?? '' ),
+			'title'        => (string) ( $r['title'] ?? '' ),
+			'format'       => (string) ( $r['format'] ?? '' ),
+			'publisher'    => (string) ( $r['publisher'] ?? '' ),
+			'publish_date' => (string) ( $r['release_date'] ?? '' ),
+			'pages'        => (int) ( $r['pages'] ?? 0 ),
+			'cover'        => (string) ( $r['cover'] ?? '' ),
+			'source'       => 'hardcover',
+		];
+	}
 }
@@ -16,10 +16,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * Mirrors the first kind-card block's attributes into _pkiw_* post
- * meta on save, so Block Bindings (and templates) can consume what the
- * card knows. Card attrs win when non-empty; existing meta survives
- * empty attrs (completion and manual edits are never erased).
+ * Mirrors a kind-card block's attributes into _pkiw_* post meta on
+ * save, so Block Bindings (and templates) can consume what the card
+ * knows. The card of the post's kind wins, else the first card. Card
+ * attrs win when non-empty; existing meta survives empty attrs
+ * (completion and manual edits are never erased).
  *
  * @since 1.2.0
  */
@@ -34,20 +35,22 @@ class Card_Meta_Sync {
 	 */
 	public const ATTR_META_MAP = [
 		'post-kinds-indieweb/read-card'    => [
-			'bookTitle'   => 'read_title',
-			'authorName'  => 'read_author',
-			'isbn'        => 'read_isbn',
-			'publisher'   => 'read_publisher',
-			'publishDate' => 'read_publish_date',
-			'pageCount'   => 'read_pages',
-			'currentPage' => 'read_progress',
-			'coverImage'  => 'read_cover',
-			'bookUrl'     => 'read_url',
-			'readStatus'  => 'read_status',
-			'rating'      => 'read_rating',
-			'startedAt'   => 'read_started_at',
-			'finishedAt'  => 'read_finished_at',
-			'review'      => 'read_review',
+			'bookTitle'      => 'read_title',
+			'authorName'     => 'read_author',
+			'seriesName'     => 'read_series',
+			'seriesPosition' => 'read_series_position',
+			'isbn'           => 'read_isbn',
+			'publisher'      => 'read_publisher',
+			'publishDate'    => 'read_publish_date',
+			'pageCount'      => 'read_pages',
+			'currentPage'    => 'read_progress',
+			'coverImage'     => 'read_cover',
+			'bookUrl'        => 'read_url',
+			'readStatus'     => 'read_status',
+			'rating'         => 'read_rating',
+			'startedAt'      => 'read_started_at',
+			'finishedAt'     => 'read_finished_at',
+			'review'         => 'read_review',
 		],
 		'post-kinds-indieweb/checkin-card' => [
 			'venueName'       => 'checkin_name',
@@ -120,17 +123,17 @@ class Card_Meta_Sync {
 	/**
 	 * Constructor.
 	 *
-	 * Hooked at save_post priority 25, after Taxonomy's kind sync (which
-	 * runs on wp_after_insert_post, fired later in the request than
-	 * save_post regardless of priority — so this always reads the same
-	 * saved post_content the kind sync sees).
+	 * Hooked on wp_after_insert_post (not save_post) at priority 25, after
+	 * Taxonomy's kind sync at 10: the REST posts controller assigns terms
+	 * after wp_insert_post(), so only here is the kind term the one this
+	 * save picked.
 	 */
 	public function __construct() {
-		add_action( 'save_post', [ $this, 'sync' ], 25, 2 );
+		add_action( 'wp_after_insert_post', [ $this, 'sync' ], 25, 2 );
 	}
 
 	/**
-	 * Mirror the first matching card block's attrs into post meta.
+	 * Mirror the primary card block's attrs into post meta.
 	 *
 	 * @param int      $post_id Post ID.
 	 * @param \WP_Post $post    Post object.
@@ -141,7 +144,8 @@ class Card_Meta_Sync {
 			return;
 		}
 
-		$block = self::find_first_mapped_block( parse_blocks( $post->post_content ) );
+		$blocks = parse_blocks( $post->post_content );
+		$block  = self::find_primary_kind_block( $blocks, $post_id ) ?? self::find_first_mapped_block( $blocks );
 		if ( null !== $block ) {
 			$map = self::ATTR_META_MAP[ $block['blockName'] ];
 
@@ -156,9 +160,9 @@ class Card_Meta_Sync {
 				// A changed ISBN invalidates any previously-derived ASIN —
 				// clear it before writing the new ISBN so
 				// Book_Completion_Controller::complete_on_save() (which
-				// runs after this, at save_post:30) sees a blank read_asin
-				// and re-derives it from the new ISBN instead of leaving
-				// the stale one (which would render the wrong book's Kindle
+				// runs after this, at wp_after_insert_post:30) sees a blank
+				// read_asin and re-derives it from the new ISBN instead of
+				// leaving the stale one (which would render the wrong book's Kindle
 				// preview). Scoped to isbn/asin only: cover and publisher
 				// are user-visible and directly editable, so there's no
 				// invisible-staleness risk to guard against there.
@@ -174,6 +178,53 @@ class Card_Meta_Sync {
 		}
 	}
 
+	/**
+	 * Find the card of the post's kind, when the post has several cards.
+	 *
+	 * A post can carry secondary cards ("watched X while drinking Y"), and
+	 * the meta describes the primary kind only, read from the kind term
+	 * this save assigned.
+	 *
+	 * @param array<int, array<string, mixed>> $blocks  Parsed blocks.
+	 * @param int                              $post_id Post ID.
+	 * @return array<string, mixed>|null The primary kind's mapped card, or null.
+	 */
+	private static function find_primary_kind_block( array $blocks, int $post_id ): ?array {
+		$terms = wp_get_post_terms( $post_id, Taxonomy::TAXONOMY, [ 'fields' => 'slugs' ] );
+		if ( is_wp_error( $terms ) || empty( $terms ) ) {
+			return null;
+		}
+
+		$block_name = array_search( $terms[0], Taxonomy::KIND_CARD_BLOCKS, true );
+		if ( false === $block_name || ! isset( self::ATTR_META_MAP[ $block_name ] ) ) {
+			return null;
+		}
+
+		return self::find_block( $blocks, $block_name );
+	}
+
+	/**
+	 * Depth-first search for the first block with a given name.
+	 *
+	 * @param array<int, array<string, mixed>> $blocks     Parsed blocks.
+	 * @param string                           $block_name Block name.
+	 * @return array<string, mixed>|null The block, or null.
+	 */
+	private static function find_block( array $blocks, string $block_name ): ?array {
+		foreach ( $blocks as $block ) {
+			if ( ( $block['blockName'] ?? '' ) === $block_name ) {
+				return $block;
+			}
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$found = self::find_block( $block['innerBlocks'], $block_name );
+				if ( null !== $found ) {
+					return $found;
+				}
+			}
+		}
+		return null;
+	}
+
 	/**
 	 * Depth-first search for the first card block present in
 	 * ATTR_META_MAP. Recursion matters: Micropub-generated content
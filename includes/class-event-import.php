@@ -0,0 +1,781 @@
+<?php
+/**
+ * Event importer
+ *
+ * Reads the event an RSVP answers and pulls out what the RSVP card shows:
+ * name, start, end, location, description, image and URL. A page is read
+ * for an h-event first, then for schema.org Event JSON-LD, then for an
+ * iCalendar file it links to; an .ics URL, or the text of an uploaded .ics
+ * file, is read as iCalendar straight away. The values all come from the
+ * one source that had an event, which is reported with them.
+ *
+ * Times keep the offset they were published with, so an event in Berlin
+ * still starts at 19:00 Berlin time on a site set to New York. An iCalendar
+ * TZID is resolved to that offset for the event's date; a time without a
+ * zone stays a floating local time.
+ *
+ * Pages are fetched with the Reply_Context helpers and read from its
+ * fixture directory in fixture mode, `.ics` URLs from an `.ics` fixture.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ * @link    https://microformats.org/wiki/h-event
+ * @link    https://www.rfc-editor.org/rfc/rfc5545
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Event importer class.
+ *
+ * @since 1.8.0
+ */
+class Event_Import {
+
+	/**
+	 * Event fields, in the order the card shows them.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var array<string>
+	 */
+	public const FIELDS = [ 'name', 'start', 'end', 'location', 'description', 'image', 'url' ];
+
+	/**
+	 * Transient prefix.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	private const CACHE_PREFIX = 'pkiw_ev_';
+
+	/**
+	 * How long an imported event is cached.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const CACHE_TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * How long a miss is cached.
+	 *
+	 * A page that failed to load, or had no event on it yet, is worth
+	 * retrying soon after; this only spares the site repeated clicks.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MISS_CACHE_TTL = 5 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Longest description kept, in words.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const DESCRIPTION_WORDS = 55;
+
+	/**
+	 * Accept header for event pages, which may be calendar files.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	private const ACCEPT = 'text/html,text/calendar;q=0.9,*/*;q=0.8';
+
+	/**
+	 * Import the event at a URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url Event page or .ics file.
+	 * @return array{found: bool, source: string, values: array<string, string>} {
+	 *     Event. `found` is false when no event was found.
+	 *
+	 *     @type string $source 'mf2', 'json-ld' or 'ics'; '' when not found.
+	 *     @type array  $values Field => value, for the fields the event has.
+	 * }
+	 */
+	public static function fetch( string $url ): array {
+		$url = esc_url_raw( $url );
+		if ( '' === $url ) {
+			return self::result( '', [] );
+		}
+
+		// Fixtures are cheap to read and may be edited between runs.
+		if ( null !== Reply_Context::fixture_dir() ) {
+			return self::fetch_uncached( $url );
+		}
+
+		$cache_key = self::CACHE_PREFIX . md5( $url );
+		$cached    = get_transient( $cache_key );
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$result = self::fetch_uncached( $url );
+
+		set_transient( $cache_key, $result, $result['found'] ? self::CACHE_TTL : self::MISS_CACHE_TTL );
+
+		return $result;
+	}
+
+	/**
+	 * Import the first event of an iCalendar file.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $ics iCalendar text.
+	 * @param string $url Page the file was linked from, used as the event
+	 *                    URL when the event has none.
+	 * @return array Event, as fetch() returns it.
+	 */
+	public static function from_ics( string $ics, string $url = '' ): array {
+		if ( ! self::is_calendar( $ics ) ) {
+			return self::result( '', [] );
+		}
+
+		$event   = [];
+		$zones   = [];
+		$stack   = [];
+		$tzid    = '';
+		$is_done = false;
+
+		foreach ( self::unfold_ics( $ics ) as $line ) {
+			$property = self::parse_ics_line( $line );
+			if ( null === $property ) {
+				continue;
+			}
+
+			[ $name, $params, $value ] = $property;
+
+			if ( 'BEGIN' === $name ) {
+				$stack[] = strtoupper( trim( $value ) );
+				continue;
+			}
+
+			if ( 'END' === $name ) {
+				$is_done = $is_done || 'VEVENT' === array_pop( $stack );
+				continue;
+			}
+
+			$component = end( $stack );
+
+			if ( 'VTIMEZONE' === $component && 'TZID' === $name ) {
+				$tzid = trim( $value );
+			} elseif ( 'VTIMEZONE' === $component && 'X-LIC-LOCATION' === $name ) {
+				$zones[ $tzid ] = trim( $value );
+			} elseif ( 'VEVENT' === $component && ! $is_done && ! isset( $event[ $name ] ) ) {
+				$event[ $name ] = [ $params, $value ];
+			}
+		}
+
+		if ( empty( $event ) ) {
+			return self::result( '', [] );
+		}
+
+		$start = self::ics_datetime( $event['DTSTART'] ?? null, $zones );
+		$end   = self::ics_datetime( $event['DTEND'] ?? null, $zones );
+
+		if ( '' === $end && '' !== $start && isset( $event['DURATION'] ) ) {
+			$end = self::add_duration( $start, trim( $event['DURATION'][1] ) );
+		}
+
+		// An all-day event ends the day before its exclusive DTEND.
+		if ( 10 === strlen( $end ) ) {
+			$end = self::add_duration( $end, '-P1D' );
+			$end = $end === $start ? '' : $end;
+		}
+
+		$image = $event['IMAGE'] ?? null;
+		if ( null === $image && isset( $event['ATTACH'] ) && str_starts_with( strtolower( $event['ATTACH'][0]['FMTTYPE'] ?? '' ), 'image/' ) ) {
+			$image = $event['ATTACH'];
+		}
+
+		$event_url = self::web_url( trim( $event['URL'][1] ?? '' ) );
+
+		return self::result(
+			'ics',
+			[
+				'name'        => self::unescape_ics( $event['SUMMARY'][1] ?? '' ),
+				'start'       => $start,
+				'end'         => $end,
+				'location'    => str_replace( "\n", ', ', self::unescape_ics( $event['LOCATION'][1] ?? '' ) ),
+				'description' => wp_trim_words( self::unescape_ics( $event['DESCRIPTION'][1] ?? '' ), self::DESCRIPTION_WORDS ),
+				'image'       => null === $image ? '' : self::web_url( trim( $image[1] ) ),
+				'url'         => '' !== $event_url ? $event_url : $url,
+			]
+		);
+	}
+
+	/**
+	 * Normalize a published date and time.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $value Date as published, e.g. `2026-11-05T19:00-0500`.
+	 * @return string ISO 8601 with the offset it was published with, a
+	 *                floating `Y-m-d\TH:i:s` without one, a bare date for a
+	 *                date, or '' when it does not parse.
+	 */
+	public static function normalize_datetime( string $value ): string {
+		$value = trim( $value );
+		if ( '' === $value ) {
+			return '';
+		}
+
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value ) ) {
+			return $value;
+		}
+
+		try {
+			$date = new \DateTimeImmutable( $value, new \DateTimeZone( 'UTC' ) );
+		} catch ( \Exception $e ) {
+			return '';
+		}
+
+		return $date->format( preg_match( '/(?:Z|[+-]\d{2}:?\d{2})$/i', $value ) ? 'Y-m-d\TH:i:sP' : 'Y-m-d\TH:i:s' );
+	}
+
+	/**
+	 * Do the work behind fetch().
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url Event page or .ics file.
+	 * @return array Event.
+	 */
+	private static function fetch_uncached( string $url ): array {
+		$body = self::get_body( $url );
+		if ( null === $body ) {
+			return self::result( '', [] );
+		}
+
+		if ( self::is_calendar( $body ) ) {
+			return self::from_ics( $body );
+		}
+
+		$xpath = Reply_Context::load_html( $body );
+		if ( null === $xpath ) {
+			return self::result( '', [] );
+		}
+
+		$event = self::result( 'mf2', self::parse_h_event( $xpath, $url ) );
+		if ( $event['found'] ) {
+			return $event;
+		}
+
+		$event = self::result( 'json-ld', self::parse_json_ld( $xpath, $url ) );
+		if ( $event['found'] ) {
+			return $event;
+		}
+
+		$calendar_url = self::discover_calendar( $xpath, $url );
+		$calendar     = '' === $calendar_url ? null : self::get_body( $calendar_url );
+
+		return null === $calendar ? self::result( '', [] ) : self::from_ics( $calendar, $url );
+	}
+
+	/**
+	 * Build an event result from one source's values.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string                $source Source ID.
+	 * @param array<string, string> $values Field values.
+	 * @return array Event.
+	 */
+	private static function result( string $source, array $values ): array {
+		$found = [];
+
+		foreach ( self::FIELDS as $field ) {
+			$value = trim( (string) ( $values[ $field ] ?? '' ) );
+			if ( '' !== $value ) {
+				$found[ $field ] = $value;
+			}
+		}
+
+		// A URL on its own is only where we looked.
+		if ( [ 'url' ] === array_keys( $found ) ) {
+			$found = [];
+		}
+
+		return [
+			'found'  => ! empty( $found ),
+			'source' => empty( $found ) ? '' : $source,
+			'values' => $found,
+		];
+	}
+
+	/**
+	 * Read the first h-event of a page.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return array<string, string> Field values, empty without an h-event.
+	 */
+	private static function parse_h_event( \DOMXPath $xpath, string $url ): array {
+		$events = $xpath->query( '//*[' . Reply_Context::class_test( 'h-event' ) . ']' );
+		if ( false === $events || 0 === $events->length ) {
+			return [];
+		}
+
+		$event  = $events->item( 0 );
+		$values = [];
+
+		$name = Reply_Context::find_property( $xpath, $event, 'p-name' );
+		if ( null !== $name ) {
+			$values['name'] = Reply_Context::text( $name );
+		}
+
+		foreach ( [
+			'start' => 'dt-start',
+			'end'   => 'dt-end',
+		] as $field => $class_name ) {
+			$time = Reply_Context::find_property( $xpath, $event, $class_name );
+			if ( null !== $time ) {
+				$values[ $field ] = self::normalize_datetime(
+					$time->getAttribute( 'datetime' ) ?: ( $time->getAttribute( 'value' ) ?: ( $time->getAttribute( 'title' ) ?: Reply_Context::text( $time ) ) )
+				);
+			}
+		}
+
+		$location = Reply_Context::find_property( $xpath, $event, 'p-location' );
+		if ( null !== $location ) {
+			$location_name = Reply_Context::has_class( $location, 'h-card' ) || Reply_Context::has_class( $location, 'h-adr' )
+				? Reply_Context::find_property( $xpath, $location, 'p-name' )
+				: null;
+
+			$values['location'] = Reply_Context::text( $location_name ?? $location );
+		}
+
+		$summary = Reply_Context::find_property( $xpath, $event, 'p-summary' )
+			?? Reply_Context::find_property( $xpath, $event, 'e-content' )
+			?? Reply_Context::find_property( $xpath, $event, 'p-description' );
+		if ( null !== $summary ) {
+			$values['description'] = wp_trim_words( Reply_Context::text( $summary ), self::DESCRIPTION_WORDS );
+		}
+
+		$photo = Reply_Context::find_property( $xpath, $event, 'u-photo' )
+			?? Reply_Context::find_property( $xpath, $event, 'u-featured' );
+		if ( null !== $photo ) {
+			$values['image'] = Reply_Context::absolute_url( Reply_Context::url_value( $photo ), $url );
+		}
+
+		$event_url = Reply_Context::find_property( $xpath, $event, 'u-url' );
+
+		$values['url'] = null !== $event_url ? Reply_Context::absolute_url( Reply_Context::url_value( $event_url ), $url ) : $url;
+
+		return $values;
+	}
+
+	/**
+	 * Read the first schema.org Event in a page's JSON-LD.
+	 *
+	 * Any type ending in "Event" counts, so a MusicEvent or a
+	 * BusinessEvent does too.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return array<string, string> Field values, empty without an Event.
+	 */
+	private static function parse_json_ld( \DOMXPath $xpath, string $url ): array {
+		$scripts = $xpath->query( '//script[@type="application/ld+json"]' );
+		if ( false === $scripts ) {
+			return [];
+		}
+
+		foreach ( $scripts as $script ) {
+			$data  = json_decode( trim( $script->textContent ), true ); // phpcs:ignore WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase -- DOM API.
+			$event = is_array( $data ) ? self::find_json_ld_event( $data ) : null;
+			if ( null === $event ) {
+				continue;
+			}
+
+			$image     = self::json_ld_url( $event['image'] ?? null );
+			$event_url = self::json_ld_url( $event['url'] ?? null );
+
+			return [
+				'name'        => is_string( $event['name'] ?? null ) ? $event['name'] : '',
+				'start'       => is_string( $event['startDate'] ?? null ) ? self::normalize_datetime( $event['startDate'] ) : '',
+				'end'         => is_string( $event['endDate'] ?? null ) ? self::normalize_datetime( $event['endDate'] ) : '',
+				'location'    => self::json_ld_location( $event['location'] ?? null ),
+				'description' => is_string( $event['description'] ?? null ) ? wp_trim_words( wp_strip_all_tags( $event['description'] ), self::DESCRIPTION_WORDS ) : '',
+				'image'       => '' !== $image ? Reply_Context::absolute_url( $image, $url ) : '',
+				'url'         => '' !== $event_url ? Reply_Context::absolute_url( $event_url, $url ) : $url,
+			];
+		}
+
+		return [];
+	}
+
+	/**
+	 * Find an Event node in decoded JSON-LD.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array $data Decoded JSON-LD: a node, a list of nodes or a graph.
+	 * @return array|null The Event node, or null.
+	 */
+	private static function find_json_ld_event( array $data ): ?array {
+		$types = (array) ( $data['@type'] ?? [] );
+
+		foreach ( $types as $type ) {
+			if ( is_string( $type ) && str_ends_with( $type, 'Event' ) ) {
+				return $data;
+			}
+		}
+
+		$nodes = array_is_list( $data ) ? $data : (array) ( $data['@graph'] ?? [] );
+
+		foreach ( $nodes as $node ) {
+			$event = is_array( $node ) ? self::find_json_ld_event( $node ) : null;
+			if ( null !== $event ) {
+				return $event;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Describe a JSON-LD location: a Place's name and address, or a
+	 * VirtualLocation's URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param mixed $location Text, a Place or VirtualLocation, or a list.
+	 * @return string Location, e.g. "Kulturbrauerei, Schönhauser Allee 36, Berlin".
+	 */
+	private static function json_ld_location( mixed $location ): string {
+		if ( is_string( $location ) ) {
+			return trim( $location );
+		}
+
+		if ( ! is_array( $location ) ) {
+			return '';
+		}
+
+		if ( array_is_list( $location ) ) {
+			return self::json_ld_location( $location[0] ?? null );
+		}
+
+		$address = $location['address'] ?? '';
+		if ( is_array( $address ) ) {
+			$country = $address['addressCountry'] ?? '';
+			$parts   = [
+				$address['streetAddress'] ?? '',
+				$address['addressLocality'] ?? '',
+				$address['addressRegion'] ?? '',
+				is_array( $country ) ? ( $country['name'] ?? '' ) : $country,
+			];
+			$address = implode( ', ', array_filter( array_map( 'trim', array_filter( $parts, 'is_string' ) ) ) );
+		}
+
+		$parts = array_filter(
+			[
+				is_string( $location['name'] ?? null ) ? trim( $location['name'] ) : '',
+				is_string( $address ) ? trim( $address ) : '',
+			]
+		);
+
+		return ! empty( $parts ) ? implode( ', ', array_unique( $parts ) ) : self::json_ld_url( $location['url'] ?? null );
+	}
+
+	/**
+	 * The URL a JSON-LD value carries: a URL, an ImageObject or a list.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param mixed $value The value.
+	 * @return string URL, possibly relative, or ''.
+	 */
+	private static function json_ld_url( mixed $value ): string {
+		if ( is_string( $value ) ) {
+			return trim( $value );
+		}
+
+		if ( ! is_array( $value ) ) {
+			return '';
+		}
+
+		return self::json_ld_url( array_is_list( $value ) ? ( $value[0] ?? null ) : ( $value['url'] ?? $value['contentUrl'] ?? null ) );
+	}
+
+	/**
+	 * Find the iCalendar file a page links to.
+	 *
+	 * An alternate `text/calendar` link first, then the first link to an
+	 * .ics file; webcal:// links are read over https.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return string Calendar URL, or ''.
+	 */
+	private static function discover_calendar( \DOMXPath $xpath, string $url ): string {
+		$nodes = $xpath->query( '//link[@type="text/calendar"][@href] | //a[@href]' );
+		if ( false === $nodes ) {
+			return '';
+		}
+
+		$candidates = [];
+
+		foreach ( $nodes as $node ) {
+			if ( ! $node instanceof \DOMElement ) {
+				continue;
+			}
+
+			$href = (string) preg_replace( '#^webcal://#i', 'https://', trim( $node->getAttribute( 'href' ) ) );
+
+			if ( 'link' === $node->nodeName ) { // phpcs:ignore WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase -- DOM API.
+				array_unshift( $candidates, $href );
+			} elseif ( self::is_ics_url( $href ) ) {
+				$candidates[] = $href;
+			}
+		}
+
+		foreach ( $candidates as $candidate ) {
+			$absolute = Reply_Context::absolute_url( $candidate, $url );
+			if ( '' !== $absolute ) {
+				return $absolute;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get the body of an event page or calendar file.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url Page or file URL.
+	 * @return string|null The body, or null.
+	 */
+	private static function get_body( string $url ): ?string {
+		$fixture_dir = Reply_Context::fixture_dir();
+		if ( null !== $fixture_dir ) {
+			return Reply_Context::read_fixture( $fixture_dir, $url, self::is_ics_url( $url ) ? 'ics' : 'html' );
+		}
+
+		return Reply_Context::remote_get_body( $url, self::ACCEPT );
+	}
+
+	/**
+	 * Whether a URL points at an .ics file.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url URL.
+	 * @return bool True when its path ends in .ics.
+	 */
+	private static function is_ics_url( string $url ): bool {
+		return (bool) preg_match( '/\.ics$/i', (string) wp_parse_url( $url, PHP_URL_PATH ) );
+	}
+
+	/**
+	 * Whether a body is an iCalendar file.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $body Body.
+	 * @return bool True when it starts with BEGIN:VCALENDAR.
+	 */
+	private static function is_calendar( string $body ): bool {
+		return (bool) preg_match( '/^(?:\xEF\xBB\xBF)?\s*BEGIN:VCALENDAR/i', $body );
+	}
+
+	/**
+	 * Split iCalendar text into content lines, joining folded ones.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $ics iCalendar text.
+	 * @return array<string> Lines.
+	 */
+	private static function unfold_ics( string $ics ): array {
+		$ics = (string) preg_replace( "/\r\n?/", "\n", $ics );
+		$ics = (string) preg_replace( "/\n[ \t]/", '', $ics );
+
+		return explode( "\n", $ics );
+	}
+
+	/**
+	 * Split an iCalendar content line into its name, parameters and value.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $line Unfolded line, e.g. `DTSTART;TZID=Europe/Berlin:20261105T190000`.
+	 * @return array{0: string, 1: array<string, string>, 2: string}|null Upper-case
+	 *         name, upper-case parameter => value, and the raw value; null
+	 *         for a line that is not a property.
+	 */
+	private static function parse_ics_line( string $line ): ?array {
+		if ( ! preg_match( '/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:"]*))*):(.*)$/s', $line, $matches ) ) {
+			return null;
+		}
+
+		$params = [];
+		preg_match_all( '/;([A-Za-z0-9-]+)=("[^"]*"|[^;:"]*)/', $matches[2], $pairs, PREG_SET_ORDER );
+
+		foreach ( $pairs as $pair ) {
+			$params[ strtoupper( $pair[1] ) ] = trim( $pair[2], '"' );
+		}
+
+		return [ strtoupper( $matches[1] ), $params, $matches[3] ];
+	}
+
+	/**
+	 * Turn an iCalendar date or date-time property into ISO 8601.
+	 *
+	 * UTC times get a +00:00 offset, and TZID times the zone's offset on
+	 * that date. A TZID PHP doesn't know is looked up through the
+	 * VTIMEZONE's X-LIC-LOCATION, then as a Windows zone name; failing
+	 * both, or without a TZID, the time is floating.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array|null            $property [ params, value ], or null.
+	 * @param array<string, string> $zones    TZID => Olson name from the VTIMEZONEs.
+	 * @return string Date, date-time, or ''.
+	 */
+	private static function ics_datetime( ?array $property, array $zones ): string {
+		if ( null === $property ) {
+			return '';
+		}
+
+		[ $params, $value ] = $property;
+
+		if ( preg_match( '/^(\d{4})(\d{2})(\d{2})$/', trim( $value ), $matches ) ) {
+			return "{$matches[1]}-{$matches[2]}-{$matches[3]}";
+		}
+
+		if ( ! preg_match( '/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/i', trim( $value ), $matches ) ) {
+			return '';
+		}
+
+		$local = "{$matches[1]}-{$matches[2]}-{$matches[3]}T{$matches[4]}:{$matches[5]}:{$matches[6]}";
+
+		if ( '' !== $matches[7] ) {
+			return $local . '+00:00';
+		}
+
+		$zone = self::ics_zone( $params['TZID'] ?? '', $zones );
+
+		return null === $zone ? $local : ( new \DateTimeImmutable( $local, $zone ) )->format( 'Y-m-d\TH:i:sP' );
+	}
+
+	/**
+	 * Resolve an iCalendar TZID.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string                $tzid  TZID parameter.
+	 * @param array<string, string> $zones TZID => Olson name from the VTIMEZONEs.
+	 * @return \DateTimeZone|null The zone, or null.
+	 */
+	private static function ics_zone( string $tzid, array $zones ): ?\DateTimeZone {
+		if ( '' === $tzid ) {
+			return null;
+		}
+
+		$names = [ $tzid, $zones[ $tzid ] ?? '' ];
+
+		if ( class_exists( '\IntlTimeZone' ) ) {
+			$names[] = (string) \IntlTimeZone::getIDForWindowsID( $tzid );
+		}
+
+		foreach ( array_filter( $names ) as $name ) {
+			try {
+				return new \DateTimeZone( $name );
+			} catch ( \Exception $e ) {
+				continue;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Add an iCalendar DURATION to a start time.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $start    Start, as ics_datetime() returns it.
+	 * @param string $duration Duration, e.g. `PT2H30M` or `-P1D`.
+	 * @return string End in the start's format, or ''.
+	 */
+	private static function add_duration( string $start, string $duration ): string {
+		try {
+			$interval = new \DateInterval( ltrim( $duration, '+-' ) );
+		} catch ( \Exception $e ) {
+			return '';
+		}
+
+		$interval->invert = str_starts_with( $duration, '-' ) ? 1 : 0;
+
+		$is_date     = 10 === strlen( $start );
+		$is_floating = ! $is_date && ! preg_match( '/[+-]\d{2}:\d{2}$/', $start );
+		$end         = ( new \DateTimeImmutable( $start, new \DateTimeZone( 'UTC' ) ) )->add( $interval );
+
+		if ( $is_date ) {
+			return $end->format( 'Y-m-d' );
+		}
+
+		return $end->format( $is_floating ? 'Y-m-d\TH:i:s' : 'Y-m-d\TH:i:sP' );
+	}
+
+	/**
+	 * Undo iCalendar text escaping.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $value TEXT value.
+	 * @return string Plain text.
+	 */
+	private static function unescape_ics( string $value ): string {
+		return trim(
+			strtr(
+				$value,
+				[
+					'\\n'  => "\n",
+					'\\N'  => "\n",
+					'\\,'  => ',',
+					'\\;'  => ';',
+					'\\\\' => '\\',
+				]
+			)
+		);
+	}
+
+	/**
+	 * Keep a URL only if it is a web URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url URL.
+	 * @return string URL, or ''.
+	 */
+	private static function web_url( string $url ): string {
+		return preg_match( '#^https?://#i', $url ) ? esc_url_raw( $url ) : '';
+	}
+}
@@ -52,11 +52,12 @@ class Featured_Artwork {
 	/**
 	 * Constructor.
 	 *
-	 * Hooked after Card_Meta_Sync (25) and Book_Completion (30) so the
-	 * normalized meta this reads is current for the same save.
+	 * Hooked on wp_after_insert_post after Card_Meta_Sync (25) and
+	 * Book_Completion (30) so the normalized meta this reads is current for
+	 * the same save.
 	 */
 	public function __construct() {
-		add_action( 'save_post', [ $this, 'maybe_set_featured' ], 35, 2 );
+		add_action( 'wp_after_insert_post', [ $this, 'maybe_set_featured' ], 35, 2 );
 	}
 
 	/**
@@ -66,6 +66,21 @@ final class Firehose_Feed {
 		}
 	}
 
+	/**
+	 * Get the public URL of the firehose feed.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @return string Feed URL.
+	 */
+	public static function get_url(): string {
+		if ( get_option( 'permalink_structure' ) ) {
+			return home_url( user_trailingslashit( 'firehose' ) );
+		}
+
+		return get_feed_link( 'firehose' );
+	}
+
 	/**
 	 * Render the core RSS2 feed template.
 	 *
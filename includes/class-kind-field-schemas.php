@@ -0,0 +1,502 @@
+<?php
+/**
+ * Kind field schemas.
+ *
+ * Declares the sidebar fields for each post kind — control, label, options,
+ * grouping and lookup binding — so the editor can draw them from data
+ * instead of a hand-written React panel per kind. Field types are taken from
+ * the registered meta (Meta_Fields), never declared twice.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Builds the per-kind field schemas published to the editor.
+ *
+ * A third-party kind needs no React: register its meta through the
+ * `pkiw_meta_fields` filter and its fields through `pkiw_kind_field_schemas`,
+ * and the editor sidebar renders them.
+ *
+ * Kinds with a bespoke sidebar panel (bookmark, checkin, listen, watch, read,
+ * play, eat, drink) keep it; a schema for one of them is ignored.
+ *
+ * @since 1.8.0
+ */
+final class Kind_Field_Schemas {
+
+	/**
+	 * Controls the editor knows how to render.
+	 *
+	 * @var array<string>
+	 */
+	public const CONTROLS = [ 'text', 'url', 'textarea', 'select', 'number', 'datetime', 'rating' ];
+
+	/**
+	 * Registered meta fields.
+	 *
+	 * @var Meta_Fields
+	 */
+	private Meta_Fields $meta_fields;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Meta_Fields $meta_fields Registered meta fields.
+	 */
+	public function __construct( Meta_Fields $meta_fields ) {
+		$this->meta_fields = $meta_fields;
+	}
+
+	/**
+	 * Get the field schemas for every kind, ready for the editor.
+	 *
+	 * Each field gains the `type` and `default` of its registered meta.
+	 * Fields whose key isn't registered meta, or whose control is unknown,
+	 * are dropped: REST would ignore the write and the value would silently
+	 * never save.
+	 *
+	 * @return array<string, array<string, mixed>> Schemas keyed by kind slug.
+	 */
+	public function get_schemas(): array {
+		/**
+		 * Filters the kind field schemas.
+		 *
+		 * Each schema is `[ 'description' => string, 'fields' => array ]`.
+		 * A field is an array with:
+		 *
+		 * - `key`         Meta key without the `_pkiw_` prefix (required).
+		 * - `control`     One of Kind_Field_Schemas::CONTROLS (default 'text').
+		 * - `label`       Field label.
+		 * - `placeholder` Placeholder text.
+		 * - `help`        Help text.
+		 * - `options`     Select options, `[ [ 'value' => …, 'label' => … ] ]`.
+		 * - `group`       Heading the field is shown under.
+		 * - `preview`     'image' or 'emoji': show the value above the fields.
+		 * - `min`, `max`, `step` Limits for number and rating controls.
+		 * - `max_key`     Rating only: meta key holding the maximum.
+		 * - `stars`       Rating only: show the value as stars.
+		 * - `lookup`      Search binding: `[ 'type' => lookup endpoint,
+		 *                 'map' => [ meta key => result property ],
+		 *                 'display' => [ 'title' =>, 'subtitle' =>, 'image' => ] ]`.
+		 *
+		 * @since 1.8.0
+		 *
+		 * @param array<string, array<string, mixed>> $schemas Schemas keyed by kind slug.
+		 */
+		$schemas = apply_filters( 'pkiw_kind_field_schemas', $this->define_schemas() );
+
+		$meta   = $this->meta_fields->get_fields();
+		$result = [];
+
+		foreach ( (array) $schemas as $kind => $schema ) {
+			$fields = [];
+
+			foreach ( (array) ( $schema['fields'] ?? [] ) as $field ) {
+				$key     = $field['key'] ?? '';
+				$control = $field['control'] ?? 'text';
+
+				if ( ! isset( $meta[ $key ] ) || ! in_array( $control, self::CONTROLS, true ) ) {
+					continue;
+				}
+
+				$fields[] = array_merge(
+					[
+						'control' => $control,
+						'label'   => $key,
+						'default' => $meta[ $key ]['default'] ?? '',
+					],
+					$field,
+					[ 'type' => $meta[ $key ]['type'] ?? 'string' ]
+				);
+			}
+
+			if ( $fields ) {
+				$result[ sanitize_key( (string) $kind ) ] = [
+					'description' => (string) ( $schema['description'] ?? '' ),
+					'fields'      => $fields,
+				];
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Schemas for the built-in kinds without a bespoke panel.
+	 *
+	 * @return array<string, array<string, mixed>> Schemas keyed by kind slug.
+	 */
+	private function define_schemas(): array {
+		$citation = [
+			'fields' => [
+				[
+					'key'         => 'cite_url',
+					'control'     => 'url',
+					'label'       => __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ),
+					'placeholder' => 'https://',
+				],
+				[
+					'key'   => 'cite_name',
+					'label' => __( 'Title', 'post-kinds-for-indieweb-in-block-themes' ),
+				],
+				[
+					'key'   => 'cite_author',
+					'label' => __( 'Author', 'post-kinds-for-indieweb-in-block-themes' ),
+				],
+				[
+					'key'     => 'cite_summary',
+					'control' => 'textarea',
+					'label'   => __( 'Summary', 'post-kinds-for-indieweb-in-block-themes' ),
+				],
+			],
+		];
+
+		return [
+			'reply'       => $citation,
+			'like'        => $citation,
+			'repost'      => $citation,
+			'rsvp'        => [
+				'fields' => [
+					[
+						'key'         => 'cite_url',
+						'control'     => 'url',
+						'label'       => __( 'Event URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+					[
+						'key'   => 'cite_name',
+						'label' => __( 'Event Name', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'     => 'rsvp_status',
+						'control' => 'select',
+						'label'   => __( 'RSVP Status', 'post-kinds-for-indieweb-in-block-themes' ),
+						'options' => [
+							[
+								'value' => '',
+								'label' => __( 'Select status…', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'yes',
+								'label' => __( '✅ Yes, attending', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'no',
+								'label' => __( "❌ No, can't make it", 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'maybe',
+								'label' => __( '🤔 Maybe', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'interested',
+								'label' => __( '👀 Interested', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+						],
+					],
+				],
+			],
+			'event'       => [
+				'fields' => [
+					[
+						'key'     => 'event_start',
+						'control' => 'datetime',
+						'label'   => __( 'Start Date/Time', 'post-kinds-for-indieweb-in-block-themes' ),
+						'group'   => __( 'When', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'     => 'event_end',
+						'control' => 'datetime',
+						'label'   => __( 'End Date/Time', 'post-kinds-for-indieweb-in-block-themes' ),
+						'group'   => __( 'When', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'   => 'event_location',
+						'label' => __( 'Location', 'post-kinds-for-indieweb-in-block-themes' ),
+						'group' => __( 'Where', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'event_url',
+						'control'     => 'url',
+						'label'       => __( 'Event URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+						'group'       => __( 'Where', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			],
+			'review'      => [
+				'fields' => [
+					[
+						'key'   => 'review_item_name',
+						'label' => __( 'Item Name', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'review_item_url',
+						'control'     => 'url',
+						'label'       => __( 'Item URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+					[
+						'key'     => 'review_rating',
+						'control' => 'rating',
+						'label'   => __( 'Rating', 'post-kinds-for-indieweb-in-block-themes' ),
+						'max_key' => 'review_best',
+						'stars'   => true,
+					],
+					[
+						'key'     => 'review_best',
+						'control' => 'number',
+						'label'   => __( 'Maximum Rating', 'post-kinds-for-indieweb-in-block-themes' ),
+						'min'     => 1,
+						'max'     => 10,
+					],
+				],
+			],
+			'favorite'    => [
+				'fields' => [
+					[
+						'key'   => 'favorite_name',
+						'label' => __( 'Name/Title', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'favorite_url',
+						'control'     => 'url',
+						'label'       => __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+					[
+						'key'     => 'favorite_rating',
+						'control' => 'rating',
+						'label'   => __( 'Rating', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			],
+			'jam'         => [
+				'fields' => [
+					[
+						'key'    => 'jam_track',
+						'label'  => __( 'Track', 'post-kinds-for-indieweb-in-block-themes' ),
+						'lookup' => [
+							'type'    => 'music',
+							'map'     => [
+								'jam_track'  => 'track',
+								'jam_artist' => 'artist',
+								'jam_album'  => 'album',
+								'jam_cover'  => 'cover',
+							],
+							'display' => [
+								'title'    => 'track',
+								'subtitle' => 'artist',
+								'image'    => 'cover',
+							],
+						],
+					],
+					[
+						'key'   => 'jam_artist',
+						'label' => __( 'Artist', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'   => 'jam_album',
+						'label' => __( 'Album', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'jam_url',
+						'control'     => 'url',
+						'label'       => __( 'Link', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://open.spotify.com/...',
+					],
+					[
+						'key'         => 'jam_cover',
+						'control'     => 'url',
+						'label'       => __( 'Cover Image URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+						'preview'     => 'image',
+					],
+				],
+			],
+			'wish'        => [
+				'fields' => [
+					[
+						'key'         => 'wish_name',
+						'label'       => __( 'Item Name', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => __( 'What do you wish for?', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'wish_url',
+						'control'     => 'url',
+						'label'       => __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+					[
+						'key'     => 'wish_type',
+						'control' => 'select',
+						'label'   => __( 'Type', 'post-kinds-for-indieweb-in-block-themes' ),
+						'options' => [
+							[
+								'value' => '',
+								'label' => __( 'Select type…', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'book',
+								'label' => __( 'Book', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'movie',
+								'label' => __( 'Movie/Show', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'game',
+								'label' => __( 'Game', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'music',
+								'label' => __( 'Music', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'product',
+								'label' => __( 'Product', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'experience',
+								'label' => __( 'Experience', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'other',
+								'label' => __( 'Other', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+						],
+					],
+					[
+						'key'     => 'wish_priority',
+						'control' => 'select',
+						'label'   => __( 'Priority', 'post-kinds-for-indieweb-in-block-themes' ),
+						'default' => 'medium',
+						'options' => [
+							[
+								'value' => 'low',
+								'label' => __( 'Low', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'medium',
+								'label' => __( 'Medium', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => 'high',
+								'label' => __( 'High', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+						],
+					],
+					[
+						'key'         => 'wish_photo',
+						'control'     => 'url',
+						'label'       => __( 'Photo URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+				],
+			],
+			'mood'        => [
+				'fields' => [
+					[
+						'key'         => 'mood_emoji',
+						'label'       => __( 'Mood Emoji', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => '😊',
+						'preview'     => 'emoji',
+					],
+					[
+						'key'         => 'mood_label',
+						'label'       => __( 'Mood Label', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => __( 'How are you feeling?', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'     => 'mood_rating',
+						'control' => 'select',
+						'label'   => __( 'Level (1–5)', 'post-kinds-for-indieweb-in-block-themes' ),
+						'options' => [
+							[
+								'value' => '',
+								'label' => __( 'Select level…', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => '1',
+								'label' => '1 - ' . __( 'Low', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => '2',
+								'label' => '2',
+							],
+							[
+								'value' => '3',
+								'label' => '3 - ' . __( 'Neutral', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+							[
+								'value' => '4',
+								'label' => '4',
+							],
+							[
+								'value' => '5',
+								'label' => '5 - ' . __( 'High', 'post-kinds-for-indieweb-in-block-themes' ),
+							],
+						],
+					],
+				],
+			],
+			'acquisition' => [
+				'fields' => [
+					[
+						'key'         => 'acquisition_name',
+						'label'       => __( 'Item Name', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => __( 'What did you get?', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'acquisition_url',
+						'control'     => 'url',
+						'label'       => __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+					],
+					[
+						'key'         => 'acquisition_price',
+						'label'       => __( 'Price', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => '$0.00',
+					],
+					[
+						'key'     => 'acquisition_rating',
+						'control' => 'rating',
+						'label'   => __( 'Rating', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'acquisition_photo',
+						'control'     => 'url',
+						'label'       => __( 'Photo URL', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => 'https://',
+						'preview'     => 'image',
+					],
+				],
+			],
+			'recipe'      => [
+				'description' => __( 'For full recipe features, use WP Recipe Maker blocks.', 'post-kinds-for-indieweb-in-block-themes' ),
+				'fields'      => [
+					[
+						'key'         => 'recipe_yield',
+						'label'       => __( 'Yield/Servings', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => __( '4 servings', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					[
+						'key'         => 'recipe_duration',
+						'label'       => __( 'Total Time', 'post-kinds-for-indieweb-in-block-themes' ),
+						'placeholder' => __( 'PT1H30M (ISO 8601)', 'post-kinds-for-indieweb-in-block-themes' ),
+						'help'        => __( 'Format: PT1H30M = 1 hour 30 minutes', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			],
+		];
+	}
+}
@@ -0,0 +1,257 @@
+<?php
+/**
+ * Kind History
+ *
+ * Finds an author's earlier posts of the same film, show, recording, book
+ * or game, by the external IDs its card stores in kind meta. The watch card
+ * uses it to mark rewatches, list past watches and show how far into a
+ * series the author is.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Kind history class.
+ *
+ * @since 1.8.0
+ */
+final class Kind_History {
+
+	/**
+	 * External IDs each kind can be looked up by: ID name => meta field.
+	 *
+	 * The ID names are the REST route's query params.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var array<string, array<string, string>>
+	 */
+	public const IDS = [
+		'watch'  => [
+			'tmdb_id' => 'watch_tmdb_id',
+			'imdb_id' => 'watch_imdb_id',
+		],
+		'listen' => [
+			'mbid' => 'listen_mbid',
+		],
+		'read'   => [
+			'isbn' => 'read_isbn',
+		],
+		'play'   => [
+			'bgg_id' => 'play_bgg_id',
+		],
+	];
+
+	/**
+	 * Most posts returned.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	public const LIMIT = 200;
+
+	/**
+	 * Transient holding the cache version, bumped whenever a post is saved.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const VERSION_KEY = 'pkiw_kind_history_version';
+
+	/**
+	 * How long a shown history is cached, in seconds.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	public const CACHE_TTL = DAY_IN_SECONDS;
+
+	/**
+	 * Register the hooks that invalidate cached histories.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		add_action( 'save_post', [ self::class, 'flush' ] );
+		add_action( 'deleted_post', [ self::class, 'flush' ] );
+	}
+
+	/**
+	 * Invalidate every cached history.
+	 *
+	 * Any post may be an earlier watch of any other, so the version all cache
+	 * keys share is bumped rather than tracking which histories a post is in.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post saved or deleted.
+	 * @return void
+	 */
+	public static function flush( $post_id = 0 ): void {
+		if ( $post_id && wp_is_post_revision( (int) $post_id ) ) {
+			return;
+		}
+
+		set_transient( self::VERSION_KEY, uniqid( '', true ) );
+	}
+
+	/**
+	 * Find earlier posts for showing on the front end, cached.
+	 *
+	 * Only published posts are shown, and private ones to a viewer who can
+	 * read them; scheduled posts never are. Both are cached in one transient
+	 * per post, kept until any post is saved or deleted, and private ones
+	 * are filtered out per viewer.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string                $kind      Kind slug, a key of IDS.
+	 * @param array<string, string> $ids       ID name => value.
+	 * @param int                   $author_id Author's user ID.
+	 * @param int                   $post_id   Post being shown.
+	 * @return array<int, array<string, mixed>> Entries, as find() returns them.
+	 */
+	public static function find_published( string $kind, array $ids, int $author_id, int $post_id ): array {
+		$version = (string) get_transient( self::VERSION_KEY );
+		$key     = 'pkiw_kind_history_' . md5( (string) wp_json_encode( [ $version, $kind, $ids, $author_id, $post_id ] ) );
+
+		$entries = get_transient( $key );
+		if ( ! is_array( $entries ) ) {
+			$entries = self::find( $kind, $ids, $author_id, $post_id, [ 'publish', 'private' ] );
+			set_transient( $key, $entries, self::CACHE_TTL );
+		}
+
+		if ( current_user_can( 'read_private_posts' ) ) {
+			return $entries;
+		}
+
+		return array_values(
+			array_filter(
+				$entries,
+				static fn( array $entry ) => 'publish' === $entry['status']
+			)
+		);
+	}
+
+	/**
+	 * Find an author's earlier posts of a kind sharing any of the IDs, oldest first.
+	 *
+	 * Drafts are left out: only what the author has posted counts. The editor
+	 * counts the author's private and scheduled posts too; the front end goes
+	 * through find_published(). With a post given, that post and anything
+	 * dated after it are left out too, so editing an old post doesn't count
+	 * later ones as earlier.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string                $kind      Kind slug, a key of IDS.
+	 * @param array<string, string> $ids       ID name => value. Empty values are ignored.
+	 * @param int                   $author_id Author's user ID.
+	 * @param int                   $post_id   Post being edited or shown, or 0.
+	 * @param array<int, string>    $statuses  Post statuses counted.
+	 * @return array<int, array<string, mixed>> Entries with `post_id`, `title`,
+	 *                                          `date`, `status` and `link`;
+	 *                                          watch entries also have
+	 *                                          `season` and `episode`.
+	 */
+	public static function find( string $kind, array $ids, int $author_id, int $post_id = 0, array $statuses = [ 'publish', 'private', 'future' ] ): array {
+		$meta_query = [ 'relation' => 'OR' ];
+
+		foreach ( self::IDS[ $kind ] ?? [] as $name => $field ) {
+			$values = self::id_values( $name, (string) ( $ids[ $name ] ?? '' ) );
+
+			if ( $values ) {
+				$meta_query[] = [
+					'key'     => Meta_Fields::PREFIX . $field,
+					'value'   => $values,
+					'compare' => 'IN',
+				];
+			}
+		}
+
+		if ( 1 === count( $meta_query ) || ! $author_id ) {
+			return [];
+		}
+
+		$args = [
+			'post_type'        => 'any',
+			'post_status'      => $statuses,
+			'author'           => $author_id,
+			'posts_per_page'   => self::LIMIT,
+			'orderby'          => 'date',
+			'order'            => 'ASC',
+			'no_found_rows'    => true,
+			'suppress_filters' => false,
+			'meta_query'       => $meta_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+		];
+
+		$post = $post_id ? get_post( $post_id ) : null;
+		if ( $post ) {
+			$args['post__not_in'] = [ $post->ID ]; // phpcs:ignore WordPressVIPMinimum.Performance.WPQueryParams.PostNotIn_post__not_in
+			$args['date_query']   = [
+				[
+					'column' => 'post_date_gmt',
+					'before' => get_post_time( 'Y-m-d H:i:s', true, $post ),
+				],
+			];
+		}
+
+		return array_map(
+			static function ( \WP_Post $item ) use ( $kind ) {
+				$entry = [
+					'post_id' => $item->ID,
+					'title'   => get_the_title( $item ),
+					'date'    => get_post_time( 'c', true, $item ),
+					'status'  => $item->post_status,
+					'link'    => (string) get_permalink( $item ),
+				];
+
+				if ( 'watch' === $kind ) {
+					$entry['season']  = (int) get_post_meta( $item->ID, Meta_Fields::PREFIX . 'watch_season', true );
+					$entry['episode'] = (int) get_post_meta( $item->ID, Meta_Fields::PREFIX . 'watch_episode', true );
+				}
+
+				return $entry;
+			},
+			get_posts( $args )
+		);
+	}
+
+	/**
+	 * Values an ID is stored under.
+	 *
+	 * An ISBN may have been saved in its 10- or 13-digit form.
+	 *
+	 * @param string $name  ID name.
+	 * @param string $value ID value.
+	 * @return array<int, string> Values, empty for no ID.
+	 */
+	private static function id_values( string $name, string $value ): array {
+		$value = trim( $value );
+
+		if ( '' === $value ) {
+			return [];
+		}
+
+		if ( 'isbn' === $name ) {
+			return array_values( array_unique( array_filter( [ $value, Isbn::to13( $value ), Isbn::to10( $value ) ] ) ) );
+		}
+
+		return [ $value ];
+	}
+}
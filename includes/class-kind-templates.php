@@ -0,0 +1,260 @@
+<?php
+/**
+ * Kind Templates
+ *
+ * Per-user templates for a kind's card: the attributes and kind meta an
+ * author wants every new post of that kind to start from — the rating
+ * scale, venue, platform and so on. A template is saved from an existing
+ * post in the editor and offered there when its kind is chosen.
+ *
+ * Templates are stored in one user meta entry, as a list:
+ *
+ *     [ [ 'id' => 'a1b2c3d4', 'kind' => 'drink', 'name' => 'Local pub', 'attributes' => [ … ], 'meta' => [ … ] ] ]
+ *
+ * Meta keys are stored without the `_pkiw_` prefix, like the editor uses
+ * them, and only registered kind meta is kept.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Kind templates class.
+ *
+ * @since 1.8.0
+ */
+final class Kind_Templates {
+
+	/**
+	 * User meta key holding the templates.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const META_KEY = '_pkiw_kind_templates';
+
+	/**
+	 * Most templates a user can keep per kind.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	public const MAX_PER_KIND = 10;
+
+	/**
+	 * Largest template, JSON-encoded, in bytes.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MAX_BYTES = 16384;
+
+	/**
+	 * Get a user's templates.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $kind    Kind slug, or '' for every kind.
+	 * @return array<int, array<string, mixed>> Templates, oldest first.
+	 */
+	public static function get_all( int $user_id, string $kind = '' ): array {
+		$templates = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $templates ) ) {
+			return [];
+		}
+
+		if ( '' === $kind ) {
+			return array_values( $templates );
+		}
+
+		return array_values(
+			array_filter(
+				$templates,
+				static fn( $template ) => ( $template['kind'] ?? '' ) === $kind
+			)
+		);
+	}
+
+	/**
+	 * Save a template.
+	 *
+	 * A template with the same kind and name as an existing one replaces it.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int                  $user_id    User ID.
+	 * @param string               $kind       Kind slug.
+	 * @param string               $name       Template name.
+	 * @param array<string, mixed> $attributes Card block attributes.
+	 * @param array<string, mixed> $meta       Kind meta, keys without prefix.
+	 * @return array<string, mixed>|\WP_Error The saved template, or an error.
+	 */
+	public static function save( int $user_id, string $kind, string $name, array $attributes, array $meta ) {
+		$name = trim( $name );
+
+		if ( '' === $name ) {
+			return new \WP_Error(
+				'pkiw_invalid_template',
+				__( 'A template needs a name.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( ! term_exists( $kind, Taxonomy::TAXONOMY ) ) {
+			return new \WP_Error(
+				'pkiw_invalid_kind',
+				__( 'Unknown post kind.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$template = [
+			'id'         => '',
+			'kind'       => $kind,
+			'name'       => $name,
+			'attributes' => self::clean_values( $attributes ),
+			'meta'       => self::clean_meta( $meta ),
+		];
+
+		if ( ! $template['attributes'] && ! $template['meta'] ) {
+			return new \WP_Error(
+				'pkiw_invalid_template',
+				__( 'The template has no values to remember.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( strlen( (string) wp_json_encode( $template ) ) > self::MAX_BYTES ) {
+			return new \WP_Error(
+				'pkiw_invalid_template',
+				__( 'The template is too large.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$templates = self::get_all( $user_id );
+		$existing  = null;
+
+		foreach ( $templates as $index => $saved ) {
+			if ( $saved['kind'] === $kind && $saved['name'] === $name ) {
+				$existing = $index;
+				break;
+			}
+		}
+
+		if ( null !== $existing ) {
+			$template['id']         = $templates[ $existing ]['id'];
+			$templates[ $existing ] = $template;
+		} else {
+			if ( count( self::get_all( $user_id, $kind ) ) >= self::MAX_PER_KIND ) {
+				return new \WP_Error(
+					'pkiw_too_many_templates',
+					sprintf(
+						/* translators: %d: Maximum number of templates. */
+						__( 'A kind can have at most %d templates. Delete one first.', 'post-kinds-for-indieweb-in-block-themes' ),
+						self::MAX_PER_KIND
+					),
+					[ 'status' => 400 ]
+				);
+			}
+
+			$template['id'] = strtolower( wp_generate_password( 8, false ) );
+			$templates[]    = $template;
+		}
+
+		update_user_meta( $user_id, self::META_KEY, $templates );
+
+		return $template;
+	}
+
+	/**
+	 * Delete a template.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $id      Template ID.
+	 * @return bool Whether the user had the template.
+	 */
+	public static function delete( int $user_id, string $id ): bool {
+		$templates = self::get_all( $user_id );
+		$remaining = array_values(
+			array_filter(
+				$templates,
+				static fn( $template ) => ( $template['id'] ?? '' ) !== $id
+			)
+		);
+
+		if ( count( $remaining ) === count( $templates ) ) {
+			return false;
+		}
+
+		if ( $remaining ) {
+			update_user_meta( $user_id, self::META_KEY, $remaining );
+		} else {
+			delete_user_meta( $user_id, self::META_KEY );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Keep the values a template can hold: scalars and lists of them.
+	 *
+	 * Empty values are dropped, so a template only sets what it remembers.
+	 *
+	 * @param array<string, mixed> $values Values keyed by name.
+	 * @return array<string, mixed> Kept values.
+	 */
+	private static function clean_values( array $values ): array {
+		$clean = [];
+
+		foreach ( $values as $key => $value ) {
+			if ( ! is_string( $key ) || ! preg_match( '/^[A-Za-z][A-Za-z0-9_]*$/', $key ) ) {
+				continue;
+			}
+
+			if ( is_array( $value ) ) {
+				$value = array_values( array_filter( $value, 'is_scalar' ) );
+			} elseif ( ! is_scalar( $value ) ) {
+				continue;
+			}
+
+			if ( '' === $value || [] === $value ) {
+				continue;
+			}
+
+			$clean[ $key ] = $value;
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Keep only registered kind meta.
+	 *
+	 * @param array<string, mixed> $meta Meta keyed by name, without prefix.
+	 * @return array<string, mixed> Kept meta.
+	 */
+	private static function clean_meta( array $meta ): array {
+		return array_filter(
+			self::clean_values( $meta ),
+			static fn( $key ) => registered_meta_key_exists( 'post', Meta_Fields::PREFIX . $key, 'post' ),
+			ARRAY_FILTER_USE_KEY
+		);
+	}
+}
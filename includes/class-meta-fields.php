@@ -386,6 +386,28 @@ class Meta_Fields {
 				'sanitize'    => 'absint',
 				'default'     => 0,
 			],
+			'read_sessions'           => [
+				'type'        => 'array',
+				'description' => __( 'Reading sessions, oldest first: the date, the page reached and an optional note.', 'post-kinds-for-indieweb-in-block-themes' ),
+				'sanitize'    => [ $this, 'sanitize_read_sessions' ],
+				'default'     => [],
+				'items'       => [
+					'type'       => 'object',
+					'properties' => [
+						'date' => [
+							'type'   => 'string',
+							'format' => 'date',
+						],
+						'page' => [
+							'type'    => 'integer',
+							'minimum' => 0,
+						],
+						'note' => [
+							'type' => 'string',
+						],
+					],
+				],
+			],
 			'read_pages'              => [
 				'type'        => 'number',
 				'description' => __( 'Total number of pages.', 'post-kinds-for-indieweb-in-block-themes' ),
@@ -398,6 +420,18 @@ class Meta_Fields {
 				'sanitize'    => 'esc_url_raw',
 				'default'     => '',
 			],
+			'read_series'             => [
+				'type'        => 'string',
+				'description' => __( 'Series the book belongs to.', 'post-kinds-for-indieweb-in-block-themes' ),
+				'sanitize'    => 'sanitize_text_field',
+				'default'     => '',
+			],
+			'read_series_position'    => [
+				'type'        => 'string',
+				'description' => __( 'Position of the book in its series, such as 3 or 2.5.', 'post-kinds-for-indieweb-in-block-themes' ),
+				'sanitize'    => 'sanitize_text_field',
+				'default'     => '',
+			],
 			'read_publisher'          => [
 				'type'        => 'string',
 				'description' => __( 'Publisher name.', 'post-kinds-for-indieweb-in-block-themes' ),
@@ -1022,6 +1056,10 @@ class Meta_Fields {
 			$schema['schema']['enum'] = $field['enum'];
 		}
 
+		if ( isset( $field['items'] ) ) {
+			$schema['schema']['items'] = $field['items'];
+		}
+
 		return $schema;
 	}
 
@@ -1079,6 +1117,37 @@ class Meta_Fields {
 		return in_array( $value, $valid, true ) ? $value : 'to-read';
 	}
 
+	/**
+	 * Sanitize reading sessions.
+	 *
+	 * Sessions without a valid date are dropped; the rest are sorted by
+	 * date, keeping the order of sessions on the same day.
+	 *
+	 * @param mixed $value Value to sanitize.
+	 * @return array<int, array{date: string, page: int, note: string}> Sanitized sessions.
+	 */
+	public function sanitize_read_sessions( mixed $value ): array {
+		$sessions = [];
+
+		foreach ( is_array( $value ) ? $value : [] as $session ) {
+			$date = is_array( $session ) ? (string) ( $session['date'] ?? '' ) : '';
+
+			if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) || ! strtotime( $date ) ) {
+				continue;
+			}
+
+			$sessions[] = [
+				'date' => $date,
+				'page' => absint( $session['page'] ?? 0 ),
+				'note' => sanitize_text_field( (string) ( $session['note'] ?? '' ) ),
+			];
+		}
+
+		usort( $sessions, static fn( $a, $b ) => strcmp( $a['date'], $b['date'] ) );
+
+		return $sessions;
+	}
+
 	/**
 	 * Sanitize geographic coordinate.
 	 *
@@ -825,6 +825,18 @@ class Microformats {
 				break;
 		}
 
+		// Copies on syndication targets. Syndication Links prints its own
+		// u-syndication links from mf2_syndication, which the sync services
+		// also fill, so only add them when it isn't active.
+		if ( ! function_exists( 'get_syndication_links' ) ) {
+			foreach ( Sync\Syndication_Status::get_urls( $post_id ) as $url ) {
+				$hidden_data .= sprintf(
+					'<a class="u-syndication" href="%s"></a>',
+					esc_url( $url )
+				);
+			}
+		}
+
 		if ( ! empty( $hidden_data ) ) {
 			$content .= sprintf(
 				'<div class="post-kinds-indieweb-mf2-data" hidden>%s</div>',
@@ -835,6 +847,39 @@ class Microformats {
 		return $content;
 	}
 
+	/**
+	 * The class a kind card's root takes to cite its target on the entry.
+	 *
+	 * The primary card's h-cite is the entry's `u-watch-of`, `u-like-of`
+	 * and so on, which is what tells a parser the post's kind. A secondary
+	 * card of another kind ("watched X while drinking Y") gets no such
+	 * class and parses as a child h-cite instead, so the entry keeps one
+	 * kind. A post whose kind has no card (a note) has no primary card, and
+	 * every card cites its target.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $card_kind  Kind of the card being rendered.
+	 * @param string $class_name Property class, e.g. 'u-watch-of'.
+	 * @param int    $post_id    Post the card is in; defaults to the current post.
+	 * @return string The class, or '' for a secondary card.
+	 */
+	public static function card_property_class( string $card_kind, string $class_name, int $post_id = 0 ): string {
+		$post_id = $post_id ? $post_id : (int) get_the_ID();
+		if ( ! $post_id ) {
+			return $class_name;
+		}
+
+		$terms = wp_get_post_terms( $post_id, Taxonomy::TAXONOMY, [ 'fields' => 'slugs' ] );
+		if ( is_wp_error( $terms ) || empty( $terms ) ) {
+			return $class_name;
+		}
+
+		$is_secondary = $terms[0] !== $card_kind && in_array( $terms[0], Taxonomy::KIND_CARD_BLOCKS, true );
+
+		return $is_secondary ? '' : $class_name;
+	}
+
 	/**
 	 * Get the kind slug for a post.
 	 *
@@ -466,6 +466,12 @@ final class Plugin {
 			new Standard_Site();
 		}
 
+		// Logs the outcome of each webmention the Webmention plugin sends,
+		// for the editor's Webmentions panel.
+		if ( class_exists( __NAMESPACE__ . '\\Webmention_Log' ) ) {
+			new Webmention_Log();
+		}
+
 		// Applies the site default category to kind-bearing posts (opt-in).
 		if ( class_exists( __NAMESPACE__ . '\\Default_Category' ) ) {
 			new Default_Category();
@@ -809,6 +815,9 @@ final class Plugin {
 		// plain text. Idempotent — only writes the first time per post.
 		Micropub_Content_Builder::register();
 
+		// Drop cached "watched before" histories whenever a post changes.
+		Kind_History::register();
+
 		// Register block templates for CPT and taxonomy archives.
 		add_filter( 'get_block_templates', [ $this, 'add_plugin_templates' ], 10, 3 );
 		add_filter( 'pre_get_block_file_template', [ $this, 'get_plugin_template' ], 10, 3 );
@@ -1027,17 +1036,28 @@ final class Plugin {
 
 		// Data to pass to JavaScript.
 		$localize_data = [
-			'indieBlocksActive'   => $this->indieblocks_active,
-			'bookmarkCardActive'  => $this->bookmark_card_active,
-			'restUrl'             => rest_url( 'post-kinds-indieweb/v1/' ),
-			'nonce'               => wp_create_nonce( 'wp_rest' ),
-			'syndicationServices' => $syndication_services,
+			'indieBlocksActive'     => $this->indieblocks_active,
+			'bookmarkCardActive'    => $this->bookmark_card_active,
+			'restUrl'               => rest_url( 'post-kinds-indieweb/v1/' ),
+			'nonce'                 => wp_create_nonce( 'wp_rest' ),
+			'syndicationServices'   => $syndication_services,
 			// Registered type per kind-meta field, so the editor store can
 			// coerce API lookup values before they hit REST validation.
 			// External APIs return numbers for fields registered as strings
 			// (OpenLibrary ISBNs, TMDB ids, years); an uncoerced write makes
 			// the next save fail with "meta.<key> is not of type string".
-			'metaFieldTypes'      => $this->get_meta_field_types(),
+			'metaFieldTypes'        => $this->get_meta_field_types(),
+			// Sidebar field definitions per kind; the editor renders any kind
+			// without a bespoke panel from these.
+			'kindFieldSchemas'      => $this->get_kind_field_schemas(),
+			// Cite cards fill their empty fields from a pasted URL's
+			// standard.site record when this is on.
+			'standardSiteAutoApply' => ! empty( get_option( 'pkiw_settings', [] )['standard_site_auto_apply'] ),
+			// Whether a failed pre-publish check warns or blocks, per kind.
+			'publishCheckSeverity'  => (object) ( get_option( 'pkiw_settings', [] )['publish_check_severity'] ?? [] ),
+			// Root types and property classes per kind, so the editor's
+			// microformats preview matches what Microformats prints.
+			'mf2KindFormats'        => $this->microformats ? $this->microformats->get_all_formats() : [],
 		];
 
 		// Pass data to JavaScript using wp_add_inline_script for more reliable delivery.
@@ -1375,6 +1395,19 @@ final class Plugin {
 		return $types;
 	}
 
+	/**
+	 * Get the sidebar field schemas for each kind.
+	 *
+	 * @return array<string, array<string, mixed>> Schemas keyed by kind slug.
+	 */
+	public function get_kind_field_schemas(): array {
+		if ( ! $this->meta_fields || ! class_exists( __NAMESPACE__ . '\\Kind_Field_Schemas' ) ) {
+			return [];
+		}
+
+		return ( new Kind_Field_Schemas( $this->meta_fields ) )->get_schemas();
+	}
+
 	/**
 	 * Get the Meta_Fields component.
 	 *
@@ -3,9 +3,9 @@
  * Post Surface classifier.
  *
  * Classifies a post as belonging to the ephemeral "stream" surface or the
- * "main" surface, based on a site-configurable set of kinds and a per-post
- * promote override. This class only produces the signal; it never filters a
- * site's queries.
+ * "main" surface, based on site-configurable sets of kinds and categories
+ * and a per-post promote override. This class only produces the signal; it
+ * never filters a site's queries.
  *
  * @package PKIW
  * @since 1.3.0
@@ -96,9 +96,39 @@ final class Post_Surface {
 	 * @return string Post_Surface::STREAM or Post_Surface::MAIN.
 	 */
 	public static function get( $post ): string {
+		return self::explain( $post )['surface'];
+	}
+
+	/**
+	 * Compute the surface for a post along with the rule that decided it.
+	 *
+	 * Rules are checked in order: the promote flag wins over everything, then
+	 * a stream kind, then a stream category. A post no rule claims is main.
+	 * When the `pkiw_post_surface` filter changes the outcome, the rule is
+	 * reported as `filter`.
+	 *
+	 * `$state` lets the editor ask about unsaved changes: any of `kinds` (kind
+	 * slugs), `categories` (category slugs) and `promote` (bool) replaces the
+	 * saved value. The filter still receives the saved post.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int|\WP_Post         $post  Post ID or object.
+	 * @param array<string, mixed> $state Optional unsaved kinds, categories and promote flag.
+	 * @return array{surface: string, rule: string, match: string} Surface, deciding
+	 *         rule ('promote', 'kind', 'category', 'filter' or 'default') and the
+	 *         kind or category slug that matched, if any.
+	 */
+	public static function explain( $post, array $state = [] ): array {
+		$result = [
+			'surface' => self::MAIN,
+			'rule'    => 'default',
+			'match'   => '',
+		];
+
 		$post = get_post( $post );
 		if ( ! $post instanceof \WP_Post ) {
-			return self::MAIN;
+			return $result;
 		}
 
 		/**
@@ -110,12 +140,39 @@ final class Post_Surface {
 		 */
 		$stream_kinds = (array) apply_filters( 'pkiw_stream_kinds', [] );
 
-		$surface = self::MAIN;
+		/**
+		 * Filters the set of category slugs treated as the "stream" surface.
+		 *
+		 * @since 1.8.0
+		 *
+		 * @param string[] $stream_categories Category slugs. Default empty (opt-in).
+		 */
+		$stream_categories = (array) apply_filters( 'pkiw_stream_categories', [] );
+
+		$kind_match     = [];
+		$category_match = [];
 
-		if ( ! empty( $stream_kinds ) && ! self::is_promoted( $post->ID ) ) {
-			$kinds = wp_get_object_terms( $post->ID, 'kind', [ 'fields' => 'slugs' ] );
-			if ( ! is_wp_error( $kinds ) && array_intersect( $kinds, $stream_kinds ) ) {
-				$surface = self::STREAM;
+		if ( ! empty( $stream_kinds ) ) {
+			$kinds      = $state['kinds'] ?? self::term_slugs( $post->ID, 'kind' );
+			$kind_match = array_values( array_intersect( (array) $kinds, $stream_kinds ) );
+		}
+
+		if ( ! empty( $stream_categories ) ) {
+			$categories     = $state['categories'] ?? self::term_slugs( $post->ID, 'category' );
+			$category_match = array_values( array_intersect( (array) $categories, $stream_categories ) );
+		}
+
+		if ( $kind_match || $category_match ) {
+			$promoted = isset( $state['promote'] ) ? (bool) $state['promote'] : self::is_promoted( $post->ID );
+
+			if ( $promoted ) {
+				$result['rule'] = 'promote';
+			} else {
+				$result = [
+					'surface' => self::STREAM,
+					'rule'    => $kind_match ? 'kind' : 'category',
+					'match'   => (string) ( $kind_match[0] ?? $category_match[0] ),
+				];
 			}
 		}
 
@@ -127,7 +184,17 @@ final class Post_Surface {
 		 * @param string   $surface 'stream' or 'main'.
 		 * @param \WP_Post $post    The post being classified.
 		 */
-		return (string) apply_filters( 'pkiw_post_surface', $surface, $post );
+		$surface = (string) apply_filters( 'pkiw_post_surface', $result['surface'], $post );
+
+		if ( $surface !== $result['surface'] ) {
+			$result = [
+				'surface' => $surface,
+				'rule'    => 'filter',
+				'match'   => '',
+			];
+		}
+
+		return $result;
 	}
 
 	/**
@@ -159,4 +226,16 @@ final class Post_Surface {
 	private static function is_promoted( int $post_id ): bool {
 		return (bool) get_post_meta( $post_id, 'pkiw_promote', true );
 	}
+
+	/**
+	 * Get the saved term slugs of a post in a taxonomy.
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $taxonomy Taxonomy name.
+	 * @return string[] Term slugs.
+	 */
+	private static function term_slugs( int $post_id, string $taxonomy ): array {
+		$slugs = wp_get_object_terms( $post_id, $taxonomy, [ 'fields' => 'slugs' ] );
+		return is_wp_error( $slugs ) ? [] : $slugs;
+	}
 }
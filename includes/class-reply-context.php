@@ -0,0 +1,645 @@
+<?php
+/**
+ * Reply context fetcher
+ *
+ * Reads the page a like, reply, repost, bookmark or favorite cites and pulls
+ * out what its card shows: title, author, description, image and published
+ * date. Microformats come first, because an h-entry is the author saying
+ * what the post is. OpenGraph tags fill what the h-entry leaves out, and an
+ * oEmbed response fills what both leave out. Every value is reported with
+ * the source it came from.
+ *
+ * In fixture mode nothing is fetched. Pages and oEmbed responses are read
+ * from a local directory instead, named after the URL (see fixture_file()),
+ * so tests and demo sites get the same context every time. Turn it on with
+ * the PKIW_REPLY_CONTEXT_FIXTURES constant or the
+ * `pkiw_reply_context_fixture_dir` filter.
+ *
+ * Event_Import reads event pages with the same page helpers and fixture
+ * mode, which is why those are public.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ * @link    https://indieweb.org/reply-context
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Reply context fetcher class.
+ *
+ * @since 1.8.0
+ */
+class Reply_Context {
+
+	/**
+	 * Context fields, in the order the card shows them.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var array<string>
+	 */
+	public const FIELDS = [ 'title', 'author', 'description', 'image', 'published' ];
+
+	/**
+	 * Transient prefix.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	private const CACHE_PREFIX = 'pkiw_rc_';
+
+	/**
+	 * How long a found context is cached.
+	 *
+	 * Shorter than the standard.site cache: a post's context is read once,
+	 * while the editor is writing the response.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const CACHE_TTL = HOUR_IN_SECONDS;
+
+	/**
+	 * How long a miss is cached.
+	 *
+	 * A page that failed to load, or had nothing to read yet, is worth
+	 * retrying soon after; this only spares the site repeated clicks.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MISS_CACHE_TTL = 5 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Largest page body to parse.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MAX_BODY_BYTES = 524288;
+
+	/**
+	 * Longest description taken from post content, in words.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const DESCRIPTION_WORDS = 55;
+
+	/**
+	 * Fetch the context of a cited URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url The cited page.
+	 * @return array{found: bool, values: array<string, string>, sources: array<string, string>} {
+	 *     Context. `found` is false when no source had a value.
+	 *
+	 *     @type array $values  Field => value, for the fields that were found.
+	 *     @type array $sources Field => 'mf2', 'opengraph' or 'oembed'.
+	 * }
+	 */
+	public static function fetch( string $url ): array {
+		$url = esc_url_raw( $url );
+		if ( '' === $url ) {
+			return self::merge( [] );
+		}
+
+		// Fixtures are cheap to read and may be edited between runs.
+		if ( null !== self::fixture_dir() ) {
+			return self::fetch_uncached( $url );
+		}
+
+		$cache_key = self::CACHE_PREFIX . md5( $url );
+		$cached    = get_transient( $cache_key );
+		if ( is_array( $cached ) ) {
+			return $cached;
+		}
+
+		$result = self::fetch_uncached( $url );
+
+		set_transient( $cache_key, $result, $result['found'] ? self::CACHE_TTL : self::MISS_CACHE_TTL );
+
+		return $result;
+	}
+
+	/**
+	 * Do the work behind fetch().
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url The cited page.
+	 * @return array Context.
+	 */
+	private static function fetch_uncached( string $url ): array {
+		$html    = self::get_page( $url );
+		$layers  = [];
+		$xpath   = null;
+		$oembeds = [];
+
+		if ( null !== $html ) {
+			$xpath = self::load_html( $html );
+		}
+
+		if ( null !== $xpath ) {
+			$layers['mf2']       = self::parse_mf2( $xpath, $url );
+			$layers['opengraph'] = self::parse_opengraph( $xpath, $url );
+			$oembeds             = self::discover_oembed( $xpath, $url );
+		}
+
+		$merged = self::merge( $layers );
+
+		// oEmbed costs a second request; only make it for missing fields.
+		if ( count( $merged['values'] ) < count( self::FIELDS ) ) {
+			$layers['oembed'] = self::parse_oembed( self::get_oembed( $url, $oembeds ) );
+			$merged           = self::merge( $layers );
+		}
+
+		return $merged;
+	}
+
+	/**
+	 * Combine source layers, taking each field from the first that has it.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array<string, array<string, string>> $layers Source => field values, in priority order.
+	 * @return array Context.
+	 */
+	private static function merge( array $layers ): array {
+		$values  = [];
+		$sources = [];
+
+		foreach ( self::FIELDS as $field ) {
+			foreach ( $layers as $source => $layer ) {
+				$value = trim( (string) ( $layer[ $field ] ?? '' ) );
+				if ( '' !== $value ) {
+					$values[ $field ]  = $value;
+					$sources[ $field ] = $source;
+					break;
+				}
+			}
+		}
+
+		return [
+			'found'   => ! empty( $values ),
+			'values'  => $values,
+			'sources' => $sources,
+		];
+	}
+
+	/**
+	 * Parse an HTML page for querying.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $html Page HTML.
+	 * @return \DOMXPath|null Query object, or null when the page does not parse.
+	 */
+	public static function load_html( string $html ): ?\DOMXPath {
+		$document = new \DOMDocument();
+
+		// Remote pages are rarely valid HTML; parse what can be parsed.
+		$previous = libxml_use_internal_errors( true );
+		$loaded   = $document->loadHTML( '<?xml encoding="UTF-8">' . $html, LIBXML_NONET );
+		libxml_clear_errors();
+		libxml_use_internal_errors( $previous );
+
+		return $loaded ? new \DOMXPath( $document ) : null;
+	}
+
+	/**
+	 * Read the first h-entry of a page.
+	 *
+	 * A small parser for the handful of properties a card uses, not a full
+	 * mf2 implementation: properties are read from the entry's own
+	 * descendants, skipping any nested in another item except the author's
+	 * h-card.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return array<string, string> Field values.
+	 */
+	private static function parse_mf2( \DOMXPath $xpath, string $url ): array {
+		$entries = $xpath->query( '//*[' . self::class_test( 'h-entry' ) . ']' );
+		if ( false === $entries || 0 === $entries->length ) {
+			return [];
+		}
+
+		$entry  = $entries->item( 0 );
+		$values = [];
+
+		$name = self::find_property( $xpath, $entry, 'p-name' );
+		if ( null !== $name ) {
+			$values['title'] = self::text( $name );
+		}
+
+		$author = self::find_property( $xpath, $entry, 'p-author' );
+		if ( null !== $author ) {
+			$author_name = self::has_class( $author, 'h-card' )
+				? self::find_property( $xpath, $author, 'p-name' )
+				: null;
+
+			$values['author'] = self::text( $author_name ?? $author );
+		}
+
+		$summary = self::find_property( $xpath, $entry, 'p-summary' )
+			?? self::find_property( $xpath, $entry, 'e-content' );
+		if ( null !== $summary ) {
+			$values['description'] = wp_trim_words( self::text( $summary ), self::DESCRIPTION_WORDS );
+		}
+
+		$photo = self::find_property( $xpath, $entry, 'u-photo' )
+			?? self::find_property( $xpath, $entry, 'u-featured' );
+		if ( null !== $photo ) {
+			$values['image'] = self::absolute_url( self::url_value( $photo ), $url );
+		}
+
+		$published = self::find_property( $xpath, $entry, 'dt-published' );
+		if ( null !== $published ) {
+			$values['published'] = $published->getAttribute( 'datetime' ) ?: self::text( $published );
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Find the first element carrying a property class that belongs to an item.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath      Page.
+	 * @param \DOMNode  $item       The item element.
+	 * @param string    $class_name Property class, e.g. 'p-name'.
+	 * @return \DOMElement|null The element, or null.
+	 */
+	public static function find_property( \DOMXPath $xpath, \DOMNode $item, string $class_name ): ?\DOMElement {
+		$nodes = $xpath->query( './/*[' . self::class_test( $class_name ) . ']', $item );
+		if ( false === $nodes ) {
+			return null;
+		}
+
+		foreach ( $nodes as $node ) {
+			$owner = $node instanceof \DOMElement ? self::owner_item( $node ) : null;
+			if ( null !== $owner && $owner->isSameNode( $item ) ) {
+				return $node;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * The nearest ancestor item of an element.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMElement $element The element.
+	 * @return \DOMNode|null The ancestor with an h-* class, or null.
+	 */
+	private static function owner_item( \DOMElement $element ): ?\DOMNode {
+		for ( $node = $element->parentNode; $node instanceof \DOMElement; $node = $node->parentNode ) { // phpcs:ignore WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase -- DOM API.
+			if ( preg_match( '/(?:^|\s)h-[a-z0-9-]+(?:\s|$)/', $node->getAttribute( 'class' ) ) ) {
+				return $node;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Whether an element has a class.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMElement $element    The element.
+	 * @param string      $class_name Class.
+	 * @return bool True when present.
+	 */
+	public static function has_class( \DOMElement $element, string $class_name ): bool {
+		return in_array( $class_name, preg_split( '/\s+/', trim( $element->getAttribute( 'class' ) ) ), true );
+	}
+
+	/**
+	 * XPath predicate matching one class token.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $class_name Class.
+	 * @return string Predicate.
+	 */
+	public static function class_test( string $class_name ): string {
+		return "contains(concat(' ', normalize-space(@class), ' '), ' {$class_name} ')";
+	}
+
+	/**
+	 * An element's text, with whitespace collapsed.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMNode $node The element.
+	 * @return string Text.
+	 */
+	public static function text( \DOMNode $node ): string {
+		return trim( (string) preg_replace( '/\s+/u', ' ', $node->textContent ) ); // phpcs:ignore WordPress.NamingConventions.ValidVariableName.UsedPropertyNotSnakeCase -- DOM API.
+	}
+
+	/**
+	 * The URL a u-* property element carries.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMElement $element The element.
+	 * @return string URL, possibly relative.
+	 */
+	public static function url_value( \DOMElement $element ): string {
+		foreach ( [ 'src', 'href', 'data' ] as $attribute ) {
+			if ( $element->hasAttribute( $attribute ) ) {
+				return $element->getAttribute( $attribute );
+			}
+		}
+
+		return self::text( $element );
+	}
+
+	/**
+	 * Read a page's OpenGraph tags.
+	 *
+	 * `article:author` is often a profile URL, so a plain `author` meta tag
+	 * is preferred when it is one.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return array<string, string> Field values.
+	 */
+	private static function parse_opengraph( \DOMXPath $xpath, string $url ): array {
+		$meta  = [];
+		$nodes = $xpath->query( '//meta[@content]' );
+
+		if ( false !== $nodes ) {
+			foreach ( $nodes as $node ) {
+				if ( ! $node instanceof \DOMElement ) {
+					continue;
+				}
+
+				$key = strtolower( $node->getAttribute( 'property' ) ?: $node->getAttribute( 'name' ) );
+				if ( '' !== $key && ! isset( $meta[ $key ] ) ) {
+					$meta[ $key ] = trim( $node->getAttribute( 'content' ) );
+				}
+			}
+		}
+
+		$author = $meta['article:author'] ?? '';
+		if ( '' === $author || wp_http_validate_url( $author ) ) {
+			$author = $meta['author'] ?? '';
+		}
+
+		return [
+			'title'       => $meta['og:title'] ?? '',
+			'author'      => $author,
+			'description' => $meta['og:description'] ?? '',
+			'image'       => isset( $meta['og:image'] ) ? self::absolute_url( $meta['og:image'], $url ) : '',
+			'published'   => $meta['article:published_time'] ?? '',
+		];
+	}
+
+	/**
+	 * Find the oEmbed endpoints a page advertises.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \DOMXPath $xpath Page.
+	 * @param string    $url   Page URL, to resolve relative URLs against.
+	 * @return array<string> JSON oEmbed endpoint URLs.
+	 */
+	private static function discover_oembed( \DOMXPath $xpath, string $url ): array {
+		$nodes = $xpath->query( '//link[@rel="alternate"][@type="application/json+oembed"][@href]' );
+		$urls  = [];
+
+		if ( false !== $nodes ) {
+			foreach ( $nodes as $node ) {
+				if ( $node instanceof \DOMElement ) {
+					$urls[] = self::absolute_url( $node->getAttribute( 'href' ), $url );
+				}
+			}
+		}
+
+		return $urls;
+	}
+
+	/**
+	 * Get the oEmbed response for a URL.
+	 *
+	 * Uses the endpoint the page advertised, else the provider WordPress
+	 * already knows for the URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string        $url       The cited page.
+	 * @param array<string> $endpoints Endpoints the page advertised.
+	 * @return array|null Decoded response, or null.
+	 */
+	private static function get_oembed( string $url, array $endpoints ): ?array {
+		$fixture_dir = self::fixture_dir();
+		if ( null !== $fixture_dir ) {
+			$body = self::read_fixture( $fixture_dir, $url, 'oembed.json' );
+			$data = null === $body ? null : json_decode( $body, true );
+			return is_array( $data ) ? $data : null;
+		}
+
+		foreach ( $endpoints as $endpoint ) {
+			$body = self::remote_get_body( $endpoint );
+			$data = null === $body ? null : json_decode( $body, true );
+			if ( is_array( $data ) ) {
+				return $data;
+			}
+		}
+
+		$oembed   = _wp_oembed_get_object();
+		$provider = $oembed->get_provider( $url, [ 'discover' => false ] );
+		if ( ! $provider ) {
+			return null;
+		}
+
+		$data = $oembed->fetch( $provider, $url );
+
+		return is_object( $data ) ? (array) $data : null;
+	}
+
+	/**
+	 * Map an oEmbed response onto context fields.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array|null $data oEmbed response.
+	 * @return array<string, string> Field values.
+	 */
+	private static function parse_oembed( ?array $data ): array {
+		if ( null === $data ) {
+			return [];
+		}
+
+		return [
+			'title'  => is_string( $data['title'] ?? null ) ? $data['title'] : '',
+			'author' => is_string( $data['author_name'] ?? null ) ? $data['author_name'] : '',
+			'image'  => is_string( $data['thumbnail_url'] ?? null ) ? esc_url_raw( $data['thumbnail_url'] ) : '',
+		];
+	}
+
+	/**
+	 * Resolve a URL found on a page against the page's URL.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $value URL as written on the page.
+	 * @param string $base  Page URL.
+	 * @return string Absolute URL, or '' when it is not a web URL.
+	 */
+	public static function absolute_url( string $value, string $base ): string {
+		$value = trim( html_entity_decode( $value, ENT_QUOTES, 'UTF-8' ) );
+		if ( '' === $value ) {
+			return '';
+		}
+
+		$absolute = \WP_Http::make_absolute_url( $value, $base );
+
+		return preg_match( '#^https?://#i', $absolute ) ? esc_url_raw( $absolute ) : '';
+	}
+
+	/**
+	 * Get the HTML of the cited page.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url The cited page.
+	 * @return string|null The HTML, or null.
+	 */
+	private static function get_page( string $url ): ?string {
+		$fixture_dir = self::fixture_dir();
+		if ( null !== $fixture_dir ) {
+			return self::read_fixture( $fixture_dir, $url, 'html' );
+		}
+
+		return self::remote_get_body( $url );
+	}
+
+	/**
+	 * The fixture directory, when fixture mode is on.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @return string|null Directory path, or null to fetch live.
+	 */
+	public static function fixture_dir(): ?string {
+		$dir = defined( 'PKIW_REPLY_CONTEXT_FIXTURES' ) ? (string) PKIW_REPLY_CONTEXT_FIXTURES : '';
+
+		/**
+		 * Filters the directory reply context fixtures are read from.
+		 *
+		 * Return a directory to read cited pages from local files instead
+		 * of fetching them; see Reply_Context::fixture_file() for the names.
+		 * Return '' to fetch live.
+		 *
+		 * @since 1.8.0
+		 *
+		 * @param string $dir Fixture directory, or ''.
+		 */
+		$dir = (string) apply_filters( 'pkiw_reply_context_fixture_dir', $dir );
+
+		return '' !== $dir && is_dir( $dir ) ? untrailingslashit( $dir ) : null;
+	}
+
+	/**
+	 * The fixture file name for a URL.
+	 *
+	 * The host and path, lower-cased, with every run of other characters
+	 * turned into a hyphen: https://example.com/notes/1 reads
+	 * `example-com-notes-1.html`, and its oEmbed response
+	 * `example-com-notes-1.oembed.json`.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url       The cited page.
+	 * @param string $extension File extension.
+	 * @return string File name.
+	 */
+	public static function fixture_file( string $url, string $extension ): string {
+		$parts = wp_parse_url( $url );
+		$name  = strtolower( ( $parts['host'] ?? '' ) . ( $parts['path'] ?? '' ) );
+		$name  = trim( (string) preg_replace( '/[^a-z0-9]+/', '-', $name ), '-' );
+
+		return $name . '.' . $extension;
+	}
+
+	/**
+	 * Read a fixture file.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $dir       Fixture directory.
+	 * @param string $url       The cited page.
+	 * @param string $extension File extension.
+	 * @return string|null File contents, or null when there is no fixture.
+	 */
+	public static function read_fixture( string $dir, string $url, string $extension ): ?string {
+		$file = $dir . '/' . self::fixture_file( $url, $extension );
+		if ( ! is_readable( $file ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local fixture file.
+		$body = file_get_contents( $file );
+
+		return is_string( $body ) && '' !== $body ? $body : null;
+	}
+
+	/**
+	 * GET a URL and return its body.
+	 *
+	 * Uses wp_safe_remote_get, as the URL is whatever the editor typed into
+	 * the card.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url    URL to fetch.
+	 * @param string $accept Accept header.
+	 * @return string|null The body, or null on failure.
+	 */
+	public static function remote_get_body( string $url, string $accept = 'text/html,application/json;q=0.9,*/*;q=0.8' ): ?string {
+		$response = wp_safe_remote_get(
+			$url,
+			[
+				'timeout'             => 10,
+				'redirection'         => 3,
+				'limit_response_size' => self::MAX_BODY_BYTES,
+				'user-agent'          => 'PostKindsForIndieWeb/' . ( defined( 'PKIW_VERSION' ) ? PKIW_VERSION : '1.0' ) . '; ' . home_url(),
+				'headers'             => [ 'Accept' => $accept ],
+			]
+		);
+
+		if ( is_wp_error( $response ) || 200 !== wp_remote_retrieve_response_code( $response ) ) {
+			return null;
+		}
+
+		$body = wp_remote_retrieve_body( $response );
+
+		return is_string( $body ) && '' !== $body ? $body : null;
+	}
+}
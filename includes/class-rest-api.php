@@ -71,6 +71,11 @@ class REST_API {
 		$this->register_settings_routes();
 		$this->register_checkin_routes();
 		$this->register_embed_routes();
+		$this->register_syndication_routes();
+		$this->register_surface_routes();
+		$this->register_webmention_routes();
+		$this->register_kind_template_routes();
+		$this->register_history_routes();
 	}
 
 	/**
@@ -117,6 +122,49 @@ class REST_API {
 			]
 		);
 
+		// Reply context for a cited URL.
+		register_rest_route(
+			self::NAMESPACE,
+			'/resolve/context',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'resolve_reply_context' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'url' => [
+						'required'          => true,
+						'type'              => 'string',
+						'sanitize_callback' => 'esc_url_raw',
+						'description'       => __( 'URL to read the title, author, description, image and published date of', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			]
+		);
+
+		// Event details for an RSVP, from a page, an .ics URL or .ics text.
+		register_rest_route(
+			self::NAMESPACE,
+			'/resolve/event',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'resolve_event' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'url' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'esc_url_raw',
+						'description'       => __( 'Event page or iCalendar file URL to import the event from', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					'ics' => [
+						'type'        => 'string',
+						'default'     => '',
+						'description' => __( 'Text of an iCalendar file to import the event from, instead of a URL', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			]
+		);
+
 		// Music lookup.
 		register_rest_route(
 			self::NAMESPACE,
@@ -207,6 +255,40 @@ class REST_API {
 			]
 		);
 
+		// Seasons and episodes of a TV show.
+		register_rest_route(
+			self::NAMESPACE,
+			'/lookup/video/episodes',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'lookup_video_episodes' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'tmdb_id' => [
+						'required'          => false,
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+						'description'       => __( 'TMDB show ID', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					'imdb_id' => [
+						'required'          => false,
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+						'description'       => __( 'IMDb ID, for TVmaze when TMDB has no answer', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+					'season'  => [
+						'required'          => false,
+						'type'              => 'integer',
+						'default'           => 0,
+						'sanitize_callback' => 'absint',
+						'description'       => __( 'Season to list the episodes of', 'post-kinds-for-indieweb-in-block-themes' ),
+					],
+				],
+			]
+		);
+
 		// Book lookup.
 		register_rest_route(
 			self::NAMESPACE,
@@ -878,6 +960,263 @@ class REST_API {
 		);
 	}
 
+	/**
+	 * Register per-post syndication status routes.
+	 *
+	 * @return void
+	 */
+	private function register_syndication_routes(): void {
+		// Status of each syndication target for a post.
+		register_rest_route(
+			self::NAMESPACE,
+			'/syndication/(?P<id>\d+)',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'get_syndication_status' ],
+				'permission_callback' => [ $this, 'can_edit_post' ],
+				'args'                => [
+					'id' => [
+						'type'     => 'integer',
+						'required' => true,
+					],
+				],
+			]
+		);
+
+		// Retry one target now.
+		register_rest_route(
+			self::NAMESPACE,
+			'/syndication/(?P<id>\d+)/retry',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'retry_syndication' ],
+				'permission_callback' => [ $this, 'can_edit_post' ],
+				'args'                => [
+					'id'      => [
+						'type'     => 'integer',
+						'required' => true,
+					],
+					'service' => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'sanitize_key',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Register the post surface preview route.
+	 *
+	 * @return void
+	 */
+	private function register_surface_routes(): void {
+		// Surface, deciding rule and listings for the post's unsaved state.
+		register_rest_route(
+			self::NAMESPACE,
+			'/surface/(?P<id>\d+)',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'preview_surface' ],
+				'permission_callback' => [ $this, 'can_edit_post' ],
+				'args'                => [
+					'id'         => [
+						'type'     => 'integer',
+						'required' => true,
+					],
+					'kinds'      => [
+						'type'  => 'array',
+						'items' => [ 'type' => 'integer' ],
+					],
+					'categories' => [
+						'type'  => 'array',
+						'items' => [ 'type' => 'integer' ],
+					],
+					'promote'    => [
+						'type' => 'boolean',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Register webmention discovery and send log routes.
+	 *
+	 * @return void
+	 */
+	private function register_webmention_routes(): void {
+		// Webmention endpoints of the URLs the post cites.
+		register_rest_route(
+			self::NAMESPACE,
+			'/webmention/discover',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'discover_webmention_endpoints' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'urls' => [
+						'type'     => 'array',
+						'required' => true,
+						'maxItems' => 20,
+						'items'    => [
+							'type'   => 'string',
+							'format' => 'uri',
+						],
+					],
+				],
+			]
+		);
+
+		// Send log of a post.
+		register_rest_route(
+			self::NAMESPACE,
+			'/webmention/(?P<id>\d+)',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'get_webmention_log' ],
+				'permission_callback' => [ $this, 'can_edit_post' ],
+				'args'                => [
+					'id' => [
+						'type'     => 'integer',
+						'required' => true,
+					],
+				],
+			]
+		);
+
+		// Send one webmention again.
+		register_rest_route(
+			self::NAMESPACE,
+			'/webmention/(?P<id>\d+)/resend',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'resend_webmention' ],
+				'permission_callback' => [ $this, 'can_edit_post' ],
+				'args'                => [
+					'id'     => [
+						'type'     => 'integer',
+						'required' => true,
+					],
+					'target' => [
+						'type'              => 'string',
+						'format'            => 'uri',
+						'required'          => true,
+						'sanitize_callback' => 'esc_url_raw',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Register the current user's kind template routes.
+	 *
+	 * @return void
+	 */
+	private function register_kind_template_routes(): void {
+		// The current user's templates, optionally for one kind.
+		register_rest_route(
+			self::NAMESPACE,
+			'/kind-templates',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'get_kind_templates' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'kind' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_key',
+					],
+				],
+			]
+		);
+
+		// Save a template, replacing one of the same kind and name.
+		register_rest_route(
+			self::NAMESPACE,
+			'/kind-templates',
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'save_kind_template' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => [
+					'kind'       => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'sanitize_key',
+					],
+					'name'       => [
+						'type'              => 'string',
+						'required'          => true,
+						'maxLength'         => 80,
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'attributes' => [
+						'type'    => 'object',
+						'default' => [],
+					],
+					'meta'       => [
+						'type'    => 'object',
+						'default' => [],
+					],
+				],
+			]
+		);
+
+		// Delete a template.
+		register_rest_route(
+			self::NAMESPACE,
+			'/kind-templates/(?P<id>[a-z0-9]+)',
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'delete_kind_template' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+			]
+		);
+	}
+
+	/**
+	 * Register kind history routes.
+	 *
+	 * @return void
+	 */
+	private function register_history_routes(): void {
+		$args = [
+			'kind'    => [
+				'required' => true,
+				'type'     => 'string',
+				'enum'     => array_keys( Kind_History::IDS ),
+			],
+			'post_id' => [
+				'type'    => 'integer',
+				'default' => 0,
+			],
+		];
+
+		foreach ( array_keys( array_merge( ...array_values( Kind_History::IDS ) ) ) as $name ) {
+			$args[ $name ] = [
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			];
+		}
+
+		// The current user's earlier posts of a kind sharing an external ID.
+		register_rest_route(
+			self::NAMESPACE,
+			'/history',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'get_kind_history' ],
+				'permission_callback' => [ $this, 'can_edit_posts' ],
+				'args'                => $args,
+			]
+		);
+	}
+
 	// =========================================================================
 	// Permission Callbacks
 	// =========================================================================
@@ -891,6 +1230,16 @@ class REST_API {
 		return current_user_can( 'edit_posts' );
 	}
 
+	/**
+	 * Check if current user can edit the post named in the route.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return bool
+	 */
+	public function can_edit_post( \WP_REST_Request $request ): bool {
+		return current_user_can( 'edit_post', (int) $request->get_param( 'id' ) );
+	}
+
 	/**
 	 * Look up the standard.site document record behind a URL.
 	 *
@@ -940,6 +1289,7 @@ class REST_API {
 				'found'       => true,
 				'uri'         => $result['uri'],
 				'did'         => $result['did'],
+				'handle'      => Standard_Site::resolve_handle( $result['did'] ) ?? '',
 				'verified'    => (bool) $result['verified'],
 				'title'       => $record['title'] ?? '',
 				'description' => $record['description'] ?? '',
@@ -953,6 +1303,112 @@ class REST_API {
 		);
 	}
 
+	/**
+	 * Fetch the reply context of a cited URL.
+	 *
+	 * Rate limited per user like the standard.site lookup, as it fetches a
+	 * URL the editor supplied. Each value comes with its source: 'mf2',
+	 * 'opengraph' or 'oembed'.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The context.
+	 */
+	public function resolve_reply_context( \WP_REST_Request $request ) {
+		$url = (string) $request->get_param( 'url' );
+
+		if ( '' === $url ) {
+			return new \WP_Error(
+				'pkiw_invalid_url',
+				__( 'A URL is required.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$limit_key = 'pkiw_rc_rl_' . get_current_user_id();
+		$used      = (int) get_transient( $limit_key );
+
+		if ( $used >= 30 ) {
+			return new \WP_Error(
+				'pkiw_rate_limited',
+				__( 'Too many lookups. Try again in a few minutes.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 429 ]
+			);
+		}
+
+		set_transient( $limit_key, $used + 1, 5 * MINUTE_IN_SECONDS );
+
+		$context = Reply_Context::fetch( $url );
+
+		return rest_ensure_response(
+			[
+				'found'   => $context['found'],
+				'url'     => $url,
+				'values'  => (object) $context['values'],
+				'sources' => (object) $context['sources'],
+			]
+		);
+	}
+
+	/**
+	 * Import the details of an event an RSVP answers.
+	 *
+	 * Reads the iCalendar text when it is given, else the URL: an h-event,
+	 * schema.org Event JSON-LD or a linked .ics file. Fetching a URL is
+	 * rate limited like the reply context lookup.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \WP_REST_Request $request The request.
+	 * @return \WP_REST_Response|\WP_Error The event.
+	 */
+	public function resolve_event( \WP_REST_Request $request ) {
+		$url = (string) $request->get_param( 'url' );
+		$ics = (string) $request->get_param( 'ics' );
+
+		if ( '' !== $ics ) {
+			$event = Event_Import::from_ics( $ics );
+
+			if ( ! $event['found'] ) {
+				return new \WP_Error(
+					'pkiw_invalid_calendar',
+					__( 'The file has no event in it. Choose an iCalendar (.ics) file.', 'post-kinds-for-indieweb-in-block-themes' ),
+					[ 'status' => 400 ]
+				);
+			}
+		} elseif ( '' !== $url ) {
+			$limit_key = 'pkiw_ev_rl_' . get_current_user_id();
+			$used      = (int) get_transient( $limit_key );
+
+			if ( $used >= 30 ) {
+				return new \WP_Error(
+					'pkiw_rate_limited',
+					__( 'Too many lookups. Try again in a few minutes.', 'post-kinds-for-indieweb-in-block-themes' ),
+					[ 'status' => 429 ]
+				);
+			}
+
+			set_transient( $limit_key, $used + 1, 5 * MINUTE_IN_SECONDS );
+
+			$event = Event_Import::fetch( $url );
+		} else {
+			return new \WP_Error(
+				'pkiw_invalid_url',
+				__( 'An event URL or iCalendar file is required.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'found'  => $event['found'],
+				'source' => $event['source'],
+				'values' => (object) $event['values'],
+			]
+		);
+	}
+
 	/**
 	 * Check if current user can manage options.
 	 *
@@ -1766,11 +2222,35 @@ class REST_API {
 			return rest_ensure_response( $results );
 		} catch ( \Exception $e ) {
 			return new \WP_Error(
-				'lookup_failed',
-				esc_html( $e->getMessage() ),
-				[ 'status' => 500 ]
+				'lookup_failed',
+				esc_html( $e->getMessage() ),
+				[ 'status' => 500 ]
+			);
+		}
+	}
+
+	/**
+	 * Look up the seasons of a TV show, and the episodes of one season.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error
+	 */
+	public function lookup_video_episodes( \WP_REST_Request $request ) {
+		$guide = TV_Episodes::get(
+			(string) $request->get_param( 'tmdb_id' ),
+			(string) $request->get_param( 'imdb_id' ),
+			(int) $request->get_param( 'season' )
+		);
+
+		if ( null === $guide ) {
+			return new \WP_Error(
+				'pkiw_show_not_found',
+				__( 'No episode guide was found for this show.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 404 ]
 			);
 		}
+
+		return rest_ensure_response( $guide );
 	}
 
 	/**
@@ -2788,6 +3268,492 @@ class REST_API {
 		);
 	}
 
+	// =========================================================================
+	// Syndication Callbacks
+	// =========================================================================
+
+	/**
+	 * Get the syndication status of each target for a post.
+	 *
+	 * Targets are the connected sync services for the post's kind. A target
+	 * the post has opted out of is still listed, with `enabled` false, once
+	 * it has been tried. One never tried that the post can't be sent to,
+	 * because syndication is off or the post was imported from it, is not.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function get_syndication_status( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request->get_param( 'id' ) );
+
+		if ( ! $post ) {
+			return new \WP_Error(
+				'pkiw_invalid_post',
+				__( 'Post not found.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		$targets = [];
+
+		foreach ( $this->get_post_sync_services( $post->ID ) as $service_id => $service ) {
+			$target = $this->format_syndication_target( $post->ID, $service_id, $service->get_service_name() );
+
+			if ( Sync\Syndication_Status::NOT_ATTEMPTED === $target['status'] && ! $service->can_syndicate( $post->ID ) ) {
+				continue;
+			}
+
+			$targets[] = $target;
+		}
+
+		return rest_ensure_response(
+			[
+				'post_id' => $post->ID,
+				'status'  => $post->post_status,
+				'targets' => $targets,
+			]
+		);
+	}
+
+	/**
+	 * Syndicate a published post to one target now.
+	 *
+	 * A target the post is already syndicated to is not sent again; its
+	 * current status is returned instead. A target the post can't be sent
+	 * to, because syndication is off or the post was imported from it, is
+	 * refused.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function retry_syndication( \WP_REST_Request $request ) {
+		$post       = get_post( (int) $request->get_param( 'id' ) );
+		$service_id = (string) $request->get_param( 'service' );
+
+		if ( ! $post || 'publish' !== $post->post_status ) {
+			return new \WP_Error(
+				'pkiw_not_published',
+				__( 'Only published posts can be syndicated.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$service = $this->get_post_sync_services( $post->ID )[ $service_id ] ?? null;
+
+		if ( ! $service ) {
+			return new \WP_Error(
+				'pkiw_invalid_service',
+				__( 'This service is not a syndication target for the post.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( ! $service->can_syndicate( $post->ID ) ) {
+			return new \WP_Error(
+				'pkiw_syndication_disabled',
+				__( 'Syndication to this service is turned off for the post, or the post was imported from it.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$service->syndicate_post( $post->ID );
+
+		return rest_ensure_response(
+			$this->format_syndication_target( $post->ID, $service_id, $service->get_service_name() )
+		);
+	}
+
+	/**
+	 * Get the connected sync services for a post's kind.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, Sync\Listen_Sync_Base|Sync\Watch_Sync_Base|Sync\Checkin_Sync_Base> Services keyed by ID.
+	 */
+	private function get_post_sync_services( int $post_id ): array {
+		$kinds  = wp_get_post_terms( $post_id, Taxonomy::TAXONOMY, [ 'fields' => 'slugs' ] );
+		$kind   = ( is_wp_error( $kinds ) || empty( $kinds ) ) ? '' : $kinds[0];
+		$plugin = Plugin::get_instance();
+
+		switch ( $kind ) {
+			case 'listen':
+				$services = $plugin->get_listen_sync_services();
+				break;
+			case 'watch':
+				$services = $plugin->get_watch_sync_services();
+				break;
+			case 'checkin':
+				$services = $plugin->get_checkin_sync_services();
+				break;
+			default:
+				$services = [];
+		}
+
+		return array_filter(
+			$services,
+			static fn( $service ) => $service->is_connected()
+		);
+	}
+
+	/**
+	 * Format one target's status for a REST response.
+	 *
+	 * @param int    $post_id    Post ID.
+	 * @param string $service_id Service ID.
+	 * @param string $name       Service display name.
+	 * @return array<string, mixed> Target data.
+	 */
+	private function format_syndication_target( int $post_id, string $service_id, string $name ): array {
+		$opt_out = get_post_meta( $post_id, Meta_Fields::PREFIX . 'syndicate_' . $service_id, true );
+		$entry   = Sync\Syndication_Status::get( $post_id, $service_id );
+
+		return [
+			'service' => $service_id,
+			'name'    => $name,
+			'enabled' => false !== $opt_out && '0' !== $opt_out,
+			'status'  => $entry['status'],
+			'url'     => $entry['url'],
+			'error'   => $entry['error'],
+			'updated' => $entry['updated'] ? gmdate( 'c', (int) $entry['updated'] ) : null,
+		];
+	}
+
+	// =========================================================================
+	// Surface Callbacks
+	// =========================================================================
+
+	/**
+	 * Preview the surface of a post and the listings it will appear in.
+	 *
+	 * Kinds, categories and the promote flag sent with the request stand in
+	 * for the saved values, so the editor can preview changes before saving.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function preview_surface( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request->get_param( 'id' ) );
+
+		if ( ! $post ) {
+			return new \WP_Error(
+				'pkiw_invalid_post',
+				__( 'Post not found.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		$kinds      = $this->get_surface_terms( $request->get_param( 'kinds' ), Taxonomy::TAXONOMY, $post->ID );
+		$categories = $this->get_surface_terms( $request->get_param( 'categories' ), 'category', $post->ID );
+		$state      = [
+			'kinds'      => wp_list_pluck( $kinds, 'slug' ),
+			'categories' => wp_list_pluck( $categories, 'slug' ),
+		];
+
+		if ( null !== $request->get_param( 'promote' ) ) {
+			$state['promote'] = (bool) $request->get_param( 'promote' );
+		}
+
+		$result           = Post_Surface::explain( $post, $state );
+		$result['places'] = $this->get_surface_places( $post->ID, $kinds, $categories );
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Resolve term IDs from a surface preview, falling back to the saved terms.
+	 *
+	 * @param mixed  $ids      Term IDs from the request, or null to use the saved terms.
+	 * @param string $taxonomy Taxonomy name.
+	 * @param int    $post_id  Post ID.
+	 * @return \WP_Term[] Terms.
+	 */
+	private function get_surface_terms( $ids, string $taxonomy, int $post_id ): array {
+		if ( null === $ids ) {
+			$terms = wp_get_object_terms( $post_id, $taxonomy );
+			return is_wp_error( $terms ) ? [] : $terms;
+		}
+
+		$terms = [];
+
+		foreach ( array_map( 'absint', (array) $ids ) as $id ) {
+			$term = get_term( $id, $taxonomy );
+			if ( $term instanceof \WP_Term ) {
+				$terms[] = $term;
+			}
+		}
+
+		return $terms;
+	}
+
+	/**
+	 * List the feeds and archives a published post will appear in.
+	 *
+	 * Mirrors Query_Filter: in hidden storage mode imported posts are left out
+	 * of the blog, its feed and category archives, but kind archives and the
+	 * firehose feed still list them.
+	 *
+	 * @param int        $post_id    Post ID.
+	 * @param \WP_Term[] $kinds      Kind terms.
+	 * @param \WP_Term[] $categories Category terms.
+	 * @return array<int, array<string, mixed>> Listings with `id`, `label`, `url` and `included`.
+	 */
+	private function get_surface_places( int $post_id, array $kinds, array $categories ): array {
+		$listed    = ! ( Post_Type::is_hidden_mode() && Query_Filter::is_imported_post( $post_id ) );
+		$posts_url = get_option( 'page_for_posts' ) ? get_permalink( (int) get_option( 'page_for_posts' ) ) : home_url( '/' );
+
+		$places = [
+			[
+				'id'       => 'home',
+				'label'    => __( 'Blog', 'post-kinds-for-indieweb-in-block-themes' ),
+				'url'      => $posts_url,
+				'included' => $listed,
+			],
+			[
+				'id'       => 'feed',
+				'label'    => __( 'Main feed', 'post-kinds-for-indieweb-in-block-themes' ),
+				'url'      => get_feed_link(),
+				'included' => $listed,
+			],
+			[
+				'id'       => 'firehose',
+				'label'    => __( 'Firehose feed', 'post-kinds-for-indieweb-in-block-themes' ),
+				'url'      => Firehose_Feed::get_url(),
+				'included' => true,
+			],
+		];
+
+		foreach ( $kinds as $kind ) {
+			$places[] = [
+				'id'       => 'kind-' . $kind->slug,
+				/* translators: %s: Kind name */
+				'label'    => sprintf( __( '%s archive', 'post-kinds-for-indieweb-in-block-themes' ), $kind->name ),
+				'url'      => $this->get_surface_term_url( $kind ),
+				'included' => true,
+			];
+		}
+
+		foreach ( $categories as $category ) {
+			$places[] = [
+				'id'       => 'category-' . $category->slug,
+				/* translators: %s: Category name */
+				'label'    => sprintf( __( 'Category: %s', 'post-kinds-for-indieweb-in-block-themes' ), $category->name ),
+				'url'      => $this->get_surface_term_url( $category ),
+				'included' => $listed,
+			];
+		}
+
+		return $places;
+	}
+
+	/**
+	 * Get the archive URL of a term, or an empty string.
+	 *
+	 * @param \WP_Term $term Term.
+	 * @return string Archive URL.
+	 */
+	private function get_surface_term_url( \WP_Term $term ): string {
+		$url = get_term_link( $term );
+		return is_wp_error( $url ) ? '' : $url;
+	}
+
+	// =========================================================================
+	// Webmention Callbacks
+	// =========================================================================
+
+	/**
+	 * Discover the webmention endpoint of each URL.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response Response.
+	 */
+	public function discover_webmention_endpoints( \WP_REST_Request $request ) {
+		$targets = [];
+
+		foreach ( array_unique( (array) $request->get_param( 'urls' ) ) as $url ) {
+			$endpoint  = Webmention_Log::discover_endpoint( (string) $url );
+			$targets[] = [
+				'target'   => (string) $url,
+				'endpoint' => $endpoint ?? '',
+			];
+		}
+
+		return rest_ensure_response( [ 'targets' => $targets ] );
+	}
+
+	/**
+	 * Get the webmention send log of a post.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function get_webmention_log( \WP_REST_Request $request ) {
+		$post = get_post( (int) $request->get_param( 'id' ) );
+
+		if ( ! $post ) {
+			return new \WP_Error(
+				'pkiw_invalid_post',
+				__( 'Post not found.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		$targets = [];
+
+		foreach ( Webmention_Log::get_all( $post->ID ) as $target => $entry ) {
+			$targets[] = $this->format_webmention_entry( (string) $target, $entry );
+		}
+
+		return rest_ensure_response(
+			[
+				'post_id' => $post->ID,
+				'status'  => $post->post_status,
+				'targets' => $targets,
+			]
+		);
+	}
+
+	/**
+	 * Send a webmention for a published post to one of its targets again.
+	 *
+	 * The endpoint is discovered afresh, as the user may resend because the
+	 * target has just added one.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function resend_webmention( \WP_REST_Request $request ) {
+		$post   = get_post( (int) $request->get_param( 'id' ) );
+		$target = (string) $request->get_param( 'target' );
+
+		if ( ! $post || 'publish' !== $post->post_status ) {
+			return new \WP_Error(
+				'pkiw_not_published',
+				__( 'Only published posts can send webmentions.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// The post is the source, so only URLs it links to are targets.
+		if ( ! Webmention_Log::post_links_to( $post, $target ) ) {
+			return new \WP_Error(
+				'pkiw_invalid_target',
+				__( 'The post does not link to this URL.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return rest_ensure_response(
+			$this->format_webmention_entry( $target, Webmention_Log::send( $post->ID, $target, true ) )
+		);
+	}
+
+	/**
+	 * Format one send log entry for a REST response.
+	 *
+	 * @param string               $target Target URL.
+	 * @param array<string, mixed> $entry  Log entry.
+	 * @return array<string, mixed> Target data.
+	 */
+	private function format_webmention_entry( string $target, array $entry ): array {
+		return [
+			'target'   => $target,
+			'status'   => (string) ( $entry['status'] ?? '' ),
+			'code'     => (int) ( $entry['code'] ?? 0 ),
+			'error'    => (string) ( $entry['error'] ?? '' ),
+			'location' => (string) ( $entry['location'] ?? '' ),
+			'updated'  => ! empty( $entry['updated'] ) ? gmdate( 'c', (int) $entry['updated'] ) : null,
+		];
+	}
+
+	// =========================================================================
+	// Kind History Callbacks
+	// =========================================================================
+
+	/**
+	 * Get the current user's earlier posts of a kind sharing an external ID.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	public function get_kind_history( \WP_REST_Request $request ) {
+		$kind = (string) $request->get_param( 'kind' );
+		$ids  = [];
+
+		foreach ( array_keys( Kind_History::IDS[ $kind ] ?? [] ) as $name ) {
+			$ids[ $name ] = (string) $request->get_param( $name );
+		}
+
+		return rest_ensure_response(
+			[
+				'entries' => Kind_History::find( $kind, $ids, get_current_user_id(), (int) $request->get_param( 'post_id' ) ),
+			]
+		);
+	}
+
+	// =========================================================================
+	// Kind Template Callbacks
+	// =========================================================================
+
+	/**
+	 * Get the current user's kind templates.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response
+	 */
+	public function get_kind_templates( \WP_REST_Request $request ) {
+		return rest_ensure_response(
+			[
+				'templates' => Kind_Templates::get_all( get_current_user_id(), (string) $request->get_param( 'kind' ) ),
+			]
+		);
+	}
+
+	/**
+	 * Save a kind template for the current user.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Saved template or error.
+	 */
+	public function save_kind_template( \WP_REST_Request $request ) {
+		$template = Kind_Templates::save(
+			get_current_user_id(),
+			(string) $request->get_param( 'kind' ),
+			(string) $request->get_param( 'name' ),
+			(array) $request->get_param( 'attributes' ),
+			(array) $request->get_param( 'meta' )
+		);
+
+		if ( is_wp_error( $template ) ) {
+			return $template;
+		}
+
+		return rest_ensure_response( $template );
+	}
+
+	/**
+	 * Delete one of the current user's kind templates.
+	 *
+	 * @param \WP_REST_Request $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response or error.
+	 */
+	public function delete_kind_template( \WP_REST_Request $request ) {
+		$id = (string) $request->get_param( 'id' );
+
+		if ( ! Kind_Templates::delete( get_current_user_id(), $id ) ) {
+			return new \WP_Error(
+				'pkiw_template_not_found',
+				__( 'Template not found.', 'post-kinds-for-indieweb-in-block-themes' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'id'      => $id,
+			]
+		);
+	}
+
 	// =========================================================================
 	// Check-in Dashboard Callbacks
 	// =========================================================================
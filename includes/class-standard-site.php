@@ -415,14 +415,8 @@ class Standard_Site {
 			return 'none' === $cached ? null : $cached;
 		}
 
-		if ( str_starts_with( $did, 'did:plc:' ) ) {
-			$doc_url = 'https://plc.directory/' . rawurlencode( $did );
-		} elseif ( str_starts_with( $did, 'did:web:' ) ) {
-			$host = substr( $did, strlen( 'did:web:' ) );
-			// did:web percent-encodes the host; ports use %3A.
-			$host    = rawurldecode( $host );
-			$doc_url = 'https://' . $host . '/.well-known/did.json';
-		} else {
+		$doc_url = self::did_document_url( $did );
+		if ( null === $doc_url ) {
 			return null;
 		}
 
@@ -450,6 +444,70 @@ class Standard_Site {
 		return $endpoint;
 	}
 
+	/**
+	 * Find the handle a DID's document names for it.
+	 *
+	 * The handle is taken as the DID document claims it, from the first
+	 * at:// entry in alsoKnownAs. It is not checked against the handle's own
+	 * DNS or well-known record, so it is only fit for display, such as a
+	 * cited author's name.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $did The DID.
+	 * @return string|null The handle, without the at:// scheme, or null.
+	 */
+	public static function resolve_handle( string $did ): ?string {
+		$cache_key = self::CACHE_PREFIX . 'handle_' . md5( $did );
+		$cached    = get_transient( $cache_key );
+		if ( is_string( $cached ) && '' !== $cached ) {
+			return 'none' === $cached ? null : $cached;
+		}
+
+		$doc_url = self::did_document_url( $did );
+		if ( null === $doc_url ) {
+			return null;
+		}
+
+		$doc    = self::remote_get_json( $doc_url );
+		$handle = null;
+
+		if ( is_array( $doc ) && isset( $doc['alsoKnownAs'] ) && is_array( $doc['alsoKnownAs'] ) ) {
+			foreach ( $doc['alsoKnownAs'] as $alias ) {
+				if ( is_string( $alias ) && preg_match( '#^at://([a-z0-9.-]+)$#i', $alias, $m ) ) {
+					$handle = strtolower( $m[1] );
+					break;
+				}
+			}
+		}
+
+		set_transient( $cache_key, null === $handle ? 'none' : $handle, self::CACHE_TTL );
+
+		return $handle;
+	}
+
+	/**
+	 * Where a DID's document is published.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $did The DID.
+	 * @return string|null The document URL, or null for an unsupported method.
+	 */
+	private static function did_document_url( string $did ): ?string {
+		if ( str_starts_with( $did, 'did:plc:' ) ) {
+			return 'https://plc.directory/' . rawurlencode( $did );
+		}
+
+		if ( str_starts_with( $did, 'did:web:' ) ) {
+			// did:web percent-encodes the host; ports use %3A.
+			$host = rawurldecode( substr( $did, strlen( 'did:web:' ) ) );
+			return 'https://' . $host . '/.well-known/did.json';
+		}
+
+		return null;
+	}
+
 	/**
 	 * Fetch a record from a repository.
 	 *
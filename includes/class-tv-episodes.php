@@ -0,0 +1,184 @@
+<?php
+/**
+ * TV Episodes
+ *
+ * Seasons and episodes of a TV show, for the watch card's episode picker.
+ * TMDB is asked first, by the show's TMDB ID; when it has no answer (no
+ * API key, or an unknown ID) and the show's IMDb ID is known, TVmaze is
+ * asked instead, since it needs no key. Both are normalized to one shape:
+ *
+ *     seasons:  [ 'number' => 2, 'name' => 'Season 2', 'episode_count' => 13, 'air_date' => '2009-03-08' ]
+ *     episodes: [ 'season' => 2, 'number' => 5, 'title' => '…', 'air_date' => '…', 'still' => '…', 'overview' => '…', 'runtime' => 47 ]
+ *
+ * @package PKIW
+ * @since   1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+use PKIW\APIs\TMDB;
+use PKIW\APIs\TVmaze;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * TV episodes class.
+ *
+ * @since 1.8.0
+ */
+final class TV_Episodes {
+
+	/**
+	 * Get a show's seasons, and the episodes of one of them.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $tmdb_id TMDB show ID, or ''.
+	 * @param string $imdb_id IMDb ID, or ''.
+	 * @param int    $season  Season to list the episodes of, 0 for none.
+	 * @return array<string, mixed>|null `source`, `show_id`, `seasons` and,
+	 *                                   with a season, `episodes`. Null when
+	 *                                   neither service knows the show.
+	 */
+	public static function get( string $tmdb_id, string $imdb_id = '', int $season = 0 ): ?array {
+		if ( ctype_digit( $tmdb_id ) ) {
+			$guide = self::from_tmdb( (int) $tmdb_id, $season );
+			if ( null !== $guide ) {
+				return $guide;
+			}
+		}
+
+		if ( preg_match( '/^tt\d+$/', $imdb_id ) ) {
+			return self::from_tvmaze( $imdb_id, $season );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Read the guide from TMDB.
+	 *
+	 * @param int $show_id TMDB show ID.
+	 * @param int $season  Season number, 0 for none.
+	 * @return array<string, mixed>|null Guide, or null.
+	 */
+	private static function from_tmdb( int $show_id, int $season ): ?array {
+		$api  = new TMDB();
+		$show = $api->get_tv( $show_id );
+
+		if ( empty( $show['seasons'] ) ) {
+			return null;
+		}
+
+		$guide = [
+			'source'  => 'tmdb',
+			'show_id' => (string) $show_id,
+			'seasons' => array_map(
+				static fn( $item ) => [
+					'number'        => (int) $item['season_number'],
+					'name'          => (string) $item['name'],
+					'episode_count' => (int) $item['episode_count'],
+					'air_date'      => (string) $item['air_date'],
+				],
+				$show['seasons']
+			),
+		];
+
+		if ( $season > 0 ) {
+			$details = $api->get_season( $show_id, $season );
+
+			$guide['episodes'] = array_map(
+				static fn( $episode ) => [
+					'season'   => (int) $episode['season_number'],
+					'number'   => (int) $episode['episode_number'],
+					'title'    => (string) $episode['name'],
+					'air_date' => (string) $episode['air_date'],
+					'still'    => (string) ( $episode['still'] ?? '' ),
+					'overview' => (string) $episode['overview'],
+					'runtime'  => $episode['runtime'] ? (int) $episode['runtime'] : null,
+				],
+				$details['episodes'] ?? []
+			);
+		}
+
+		return $guide;
+	}
+
+	/**
+	 * Read the guide from TVmaze.
+	 *
+	 * TVmaze lists every episode of a show in one request, so the seasons
+	 * are counted from it.
+	 *
+	 * @param string $imdb_id IMDb ID.
+	 * @param int    $season  Season number, 0 for none.
+	 * @return array<string, mixed>|null Guide, or null.
+	 */
+	private static function from_tvmaze( string $imdb_id, int $season ): ?array {
+		$api  = new TVmaze();
+		$show = $api->lookup( 'imdb', $imdb_id );
+
+		if ( empty( $show['id'] ) ) {
+			return null;
+		}
+
+		$episodes = array_values(
+			array_filter(
+				$api->get_episodes( (int) $show['id'] ),
+				static fn( $episode ) => 'regular' === $episode['type'] && $episode['season'] > 0
+			)
+		);
+
+		$seasons = [];
+		foreach ( $episodes as $episode ) {
+			$number = (int) $episode['season'];
+
+			if ( ! isset( $seasons[ $number ] ) ) {
+				$seasons[ $number ] = [
+					'number'        => $number,
+					/* translators: %d: Season number. */
+					'name'          => sprintf( __( 'Season %d', 'post-kinds-for-indieweb-in-block-themes' ), $number ),
+					'episode_count' => 0,
+					'air_date'      => (string) $episode['airdate'],
+				];
+			}
+
+			++$seasons[ $number ]['episode_count'];
+		}
+
+		ksort( $seasons );
+
+		$guide = [
+			'source'  => 'tvmaze',
+			'show_id' => (string) $show['id'],
+			'seasons' => array_values( $seasons ),
+		];
+
+		if ( $season > 0 ) {
+			$guide['episodes'] = array_values(
+				array_map(
+					static fn( $episode ) => [
+						'season'   => (int) $episode['season'],
+						'number'   => (int) $episode['number'],
+						'title'    => (string) $episode['title'],
+						'air_date' => (string) $episode['airdate'],
+						'still'    => (string) ( $episode['image'] ?? $episode['image_original'] ?? '' ),
+						'overview' => (string) $episode['overview'],
+						'runtime'  => $episode['runtime'] ? (int) $episode['runtime'] : null,
+					],
+					array_filter(
+						$episodes,
+						static fn( $episode ) => (int) $episode['season'] === $season
+					)
+				)
+			);
+		}
+
+		return $guide;
+	}
+}
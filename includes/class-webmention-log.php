@@ -0,0 +1,437 @@
+<?php
+/**
+ * Webmention Log
+ *
+ * Discovers the webmention endpoints of the URLs a card cites, and keeps a
+ * per-post log of what happened when a webmention was sent to each of
+ * them, for the editor's Webmentions panel.
+ *
+ * Sending is left to the Webmention plugin: its sends are logged through
+ * the `webmention_post_send` action. Only a resend from the editor is sent
+ * from here. Entries are keyed by target URL:
+ *
+ *     [ 'https://example.com/post' => [ 'status' => 'queued', 'code' => 202, … ] ]
+ *
+ * @package PKIW
+ * @since   1.8.0
+ * @link    https://www.w3.org/TR/webmention/
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Webmention log class.
+ *
+ * @since 1.8.0
+ */
+final class Webmention_Log {
+
+	/**
+	 * Post meta key holding the log entries.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const META_KEY = '_pkiw_webmention_log';
+
+	/**
+	 * Status of a send the target's endpoint took with a 200.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const ACCEPTED = 'accepted';
+
+	/**
+	 * Status of a send the endpoint took for later processing, with a 201
+	 * or 202.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const QUEUED = 'queued';
+
+	/**
+	 * Status of a send that found no endpoint, could not reach it, or was
+	 * refused.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const FAILED = 'failed';
+
+	/**
+	 * Transient prefix for discovered endpoints.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	private const CACHE_PREFIX = 'pkiw_wm_';
+
+	/**
+	 * How long a discovered endpoint is cached.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const CACHE_TTL = DAY_IN_SECONDS;
+
+	/**
+	 * How long a page without an endpoint is cached.
+	 *
+	 * Short, as a site may add one at any time. A page that could not be
+	 * fetched at all is not cached.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MISS_CACHE_TTL = 15 * MINUTE_IN_SECONDS;
+
+	/**
+	 * Largest page body to search for the endpoint.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var int
+	 */
+	private const MAX_BODY_BYTES = 262144;
+
+	/**
+	 * Register hooks.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		add_action( 'webmention_post_send', [ __CLASS__, 'record_send' ], 10, 4 );
+	}
+
+	/**
+	 * Log a send made by the Webmention plugin.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param array|\WP_Error $response HTTP response.
+	 * @param string          $source   Source URL.
+	 * @param string          $target   Target URL.
+	 * @param int             $post_id  Post ID.
+	 * @return void
+	 */
+	public static function record_send( $response, $source, $target, $post_id ): void {
+		$post_id = (int) $post_id;
+		if ( ! $post_id || ! is_string( $target ) || '' === $target ) {
+			return;
+		}
+
+		self::record_response( $post_id, $target, $response );
+	}
+
+	/**
+	 * Get all log entries for a post.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, array<string, mixed>> Entries keyed by target URL.
+	 */
+	public static function get_all( int $post_id ): array {
+		$entries = get_post_meta( $post_id, self::META_KEY, true );
+
+		return is_array( $entries ) ? $entries : [];
+	}
+
+	/**
+	 * Record the outcome of a send.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $target   Target URL.
+	 * @param string $status   One of the status constants.
+	 * @param int    $code     HTTP status code, 0 if none.
+	 * @param string $error    Error message, for failed.
+	 * @param string $location Status URL the receiver returned, if any.
+	 * @return array<string, mixed> The recorded entry.
+	 */
+	public static function record( int $post_id, string $target, string $status, int $code = 0, string $error = '', string $location = '' ): array {
+		$entries            = self::get_all( $post_id );
+		$entries[ $target ] = [
+			'status'   => $status,
+			'code'     => $code,
+			'error'    => $error,
+			'location' => $location,
+			'updated'  => time(),
+		];
+
+		update_post_meta( $post_id, self::META_KEY, $entries );
+
+		return $entries[ $target ];
+	}
+
+	/**
+	 * Send a webmention for a post now and log the outcome.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $target  Target URL.
+	 * @param bool   $fresh   Discover the endpoint again rather than trust
+	 *                        the cache, as when the user resends.
+	 * @return array<string, mixed> The recorded entry.
+	 */
+	public static function send( int $post_id, string $target, bool $fresh = false ): array {
+		$endpoint = self::lookup_endpoint( $target, $fresh );
+
+		if ( is_wp_error( $endpoint ) ) {
+			return self::record( $post_id, $target, self::FAILED, 0, $endpoint->get_error_message() );
+		}
+
+		if ( null === $endpoint ) {
+			return self::record(
+				$post_id,
+				$target,
+				self::FAILED,
+				0,
+				__( 'The target does not accept webmentions.', 'post-kinds-for-indieweb-in-block-themes' )
+			);
+		}
+
+		$response = wp_safe_remote_post(
+			$endpoint,
+			[
+				'timeout'    => 10,
+				'user-agent' => 'PostKindsForIndieWeb/' . ( defined( 'PKIW_VERSION' ) ? PKIW_VERSION : '1.0' ) . '; ' . home_url(),
+				'body'       => [
+					'source' => get_permalink( $post_id ),
+					'target' => $target,
+				],
+			]
+		);
+
+		return self::record_response( $post_id, $target, $response );
+	}
+
+	/**
+	 * Log an HTTP response from a webmention endpoint.
+	 *
+	 * 200 means the receiver processed the mention; 201 and 202 that it
+	 * will later.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int             $post_id  Post ID.
+	 * @param string          $target   Target URL.
+	 * @param array|\WP_Error $response HTTP response.
+	 * @return array<string, mixed> The recorded entry.
+	 */
+	private static function record_response( int $post_id, string $target, $response ): array {
+		if ( is_wp_error( $response ) ) {
+			return self::record( $post_id, $target, self::FAILED, 0, $response->get_error_message() );
+		}
+
+		$code     = (int) wp_remote_retrieve_response_code( $response );
+		$location = (string) wp_remote_retrieve_header( $response, 'location' );
+
+		if ( 200 === $code ) {
+			return self::record( $post_id, $target, self::ACCEPTED, $code, '', $location );
+		}
+
+		if ( 201 === $code || 202 === $code ) {
+			return self::record( $post_id, $target, self::QUEUED, $code, '', $location );
+		}
+
+		$error = wp_strip_all_tags( (string) wp_remote_retrieve_body( $response ) );
+
+		return self::record(
+			$post_id,
+			$target,
+			self::FAILED,
+			$code,
+			'' !== trim( $error )
+				? wp_html_excerpt( trim( $error ), 200, '…' )
+				: sprintf(
+					/* translators: %d: HTTP status code. */
+					__( 'The endpoint answered with HTTP %d.', 'post-kinds-for-indieweb-in-block-themes' ),
+					$code
+				)
+		);
+	}
+
+	/**
+	 * Find the webmention endpoint a URL advertises.
+	 *
+	 * Checks the Link header first, then the first `<link>` or `<a>` with
+	 * rel="webmention", as the spec orders them.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url Target URL.
+	 * @return string|null Endpoint URL, or null when there is none or the
+	 *                     page could not be fetched.
+	 */
+	public static function discover_endpoint( string $url ): ?string {
+		$endpoint = self::lookup_endpoint( $url );
+
+		return is_wp_error( $endpoint ) ? null : $endpoint;
+	}
+
+	/**
+	 * Find the endpoint a URL advertises, through the cache.
+	 *
+	 * An endpoint is cached for a day and a page without one for a few
+	 * minutes. A page that could not be fetched is not cached, so the next
+	 * send tries again.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url   Target URL.
+	 * @param bool   $fresh Skip the cached result.
+	 * @return string|null|\WP_Error Endpoint URL, null when there is none, or
+	 *                               the error that kept the page from loading.
+	 */
+	private static function lookup_endpoint( string $url, bool $fresh = false ) {
+		$url = esc_url_raw( $url );
+		if ( '' === $url ) {
+			return null;
+		}
+
+		$cache_key = self::CACHE_PREFIX . md5( $url );
+		$cached    = $fresh ? false : get_transient( $cache_key );
+
+		// A cached miss is stored as 'none' to tell it from no cache.
+		if ( 'none' === $cached ) {
+			return null;
+		}
+		if ( is_string( $cached ) && '' !== $cached ) {
+			return $cached;
+		}
+
+		$endpoint = self::discover_endpoint_uncached( $url );
+
+		if ( ! is_wp_error( $endpoint ) ) {
+			set_transient( $cache_key, $endpoint ?? 'none', null === $endpoint ? self::MISS_CACHE_TTL : self::CACHE_TTL );
+		}
+
+		return $endpoint;
+	}
+
+	/**
+	 * Do the work behind discover_endpoint().
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $url Target URL.
+	 * @return string|null|\WP_Error Endpoint URL, null, or the fetch error.
+	 */
+	private static function discover_endpoint_uncached( string $url ) {
+		$response = wp_safe_remote_get(
+			$url,
+			[
+				'timeout'             => 10,
+				'redirection'         => 3,
+				'limit_response_size' => self::MAX_BODY_BYTES,
+				'user-agent'          => 'PostKindsForIndieWeb/' . ( defined( 'PKIW_VERSION' ) ? PKIW_VERSION : '1.0' ) . '; ' . home_url(),
+				'headers'             => [ 'Accept' => 'text/html' ],
+			]
+		);
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		// A server error or rate limit may pass; only a page that loads, or
+		// is plainly gone, says whether there is an endpoint.
+		$code = (int) wp_remote_retrieve_response_code( $response );
+		if ( 429 === $code || $code >= 500 ) {
+			return new \WP_Error(
+				'pkiw_webmention_discovery_failed',
+				sprintf(
+					/* translators: %d: HTTP status code. */
+					__( 'The target answered with HTTP %d.', 'post-kinds-for-indieweb-in-block-themes' ),
+					$code
+				)
+			);
+		}
+		if ( $code < 200 || $code >= 300 ) {
+			return null;
+		}
+
+		foreach ( (array) wp_remote_retrieve_header( $response, 'link' ) as $header ) {
+			foreach ( explode( ',', (string) $header ) as $link ) {
+				if ( preg_match( '/<([^>]*)>.*;\s*rel\s*=\s*"?(?:[^";]*\s)?webmention(?=[\s";]|$)/i', $link, $m ) ) {
+					return self::absolute_url( $m[1], $url );
+				}
+			}
+		}
+
+		$body = (string) wp_remote_retrieve_body( $response );
+
+		if ( ! preg_match_all( '/<(?:link|a)\b[^>]*>/i', $body, $tags ) ) {
+			return null;
+		}
+
+		foreach ( $tags[0] as $tag ) {
+			if ( ! preg_match( '/\brel\s*=\s*(["\'])(?:[^"\']*\s)?webmention(?:\s[^"\']*)?\1/i', $tag ) ) {
+				continue;
+			}
+
+			// An empty href is the page itself; a missing one is no link.
+			if ( preg_match( '/\bhref\s*=\s*(["\'])(.*?)\1/i', $tag, $href ) ) {
+				return self::absolute_url( html_entity_decode( $href[2], ENT_QUOTES, 'UTF-8' ), $url );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Resolve an endpoint URL against the page it was found on.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param string $value Endpoint as advertised.
+	 * @param string $base  Page URL.
+	 * @return string|null Absolute http(s) URL, or null.
+	 */
+	private static function absolute_url( string $value, string $base ): ?string {
+		$absolute = '' === trim( $value ) ? $base : \WP_Http::make_absolute_url( trim( $value ), $base );
+
+		return preg_match( '#^https?://#i', $absolute ) ? esc_url_raw( $absolute ) : null;
+	}
+
+	/**
+	 * Whether a post links to a URL, in its content or its cited URL meta.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param \WP_Post $post   The post.
+	 * @param string   $target Target URL.
+	 * @return bool True when the post links to it.
+	 */
+	public static function post_links_to( \WP_Post $post, string $target ): bool {
+		if ( '' === $target ) {
+			return false;
+		}
+
+		$cite_url = (string) get_post_meta( $post->ID, Meta_Fields::PREFIX . 'cite_url', true );
+
+		return $cite_url === $target
+			|| str_contains( $post->post_content, $target )
+			|| str_contains( $post->post_content, esc_url( $target ) );
+	}
+}
@@ -0,0 +1,54 @@
+<?php
+/**
+ * Progress bar markup.
+ *
+ * The server-side twin of the editor's ProgressBar component
+ * (src/blocks/shared/components.js), so a saved card draws the same bar
+ * the editor showed and the `.post-kinds-progress-bar` styles fit both.
+ * Change the two together.
+ *
+ * @package PKIW
+ * @since 1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Build a progress bar.
+ *
+ * @since 1.8.0
+ *
+ * @param int    $value        Progress, 0-100; clamped.
+ * @param string $label_html   Label markup, already escaped, or '' for none.
+ * @param bool   $show_percent Whether to print the percentage.
+ * @return string Progress bar HTML.
+ */
+function get_progress_bar_html( int $value, string $label_html = '', bool $show_percent = true ): string {
+	$value = max( 0, min( 100, $value ) );
+
+	$html = sprintf(
+		'<div class="post-kinds-progress-bar" role="progressbar" aria-valuenow="%d" aria-valuemin="0" aria-valuemax="100">',
+		$value
+	);
+
+	if ( '' !== $label_html ) {
+		$html .= '<span class="progress-label">' . $label_html . '</span>';
+	}
+
+	$html .= sprintf(
+		'<div class="progress-track"><div class="progress-fill" style="width: %d%%"></div></div>',
+		$value
+	);
+
+	if ( $show_percent ) {
+		$html .= sprintf( '<span class="progress-percent">%d%%</span>', $value );
+	}
+
+	return $html . '</div>';
+}
@@ -176,37 +176,70 @@ abstract class Checkin_Sync_Base {
 			return;
 		}
 
+		$this->syndicate_post( $post->ID );
+	}
+
+	/**
+	 * Syndicate a checkin post now and record the outcome.
+	 *
+	 * Called on publish once the checks in maybe_syndicate_checkin() pass, and
+	 * by the editor's "Retry now" and "Syndicate now" actions. Nothing is
+	 * sent if the post is already syndicated or can_syndicate() says no.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, mixed> The post's status entry for this service.
+	 */
+	public function syndicate_post( int $post_id ): array {
+		if ( $this->is_already_syndicated( $post_id ) || ! $this->can_syndicate( $post_id ) ) {
+			return Syndication_Status::get( $post_id, $this->service_id );
+		}
+
 		// Get checkin data from post.
-		$checkin_data = $this->get_checkin_data_from_post( $post->ID );
+		$checkin_data = $this->get_checkin_data_from_post( $post_id );
 
 		if ( empty( $checkin_data ) ) {
-			return;
+			return Syndication_Status::record(
+				$post_id,
+				$this->service_id,
+				Syndication_Status::FAILED,
+				'',
+				__( 'The checkin has nothing to send.', 'post-kinds-for-indieweb-in-block-themes' )
+			);
 		}
 
 		// Syndicate.
-		$result = $this->syndicate_checkin( $post->ID, $checkin_data );
+		$result = Syndication_Status::run(
+			$post_id,
+			$this->service_id,
+			$this->service_name,
+			fn() => $this->syndicate_checkin( $post_id, $checkin_data )
+		);
 
 		if ( $result && ! empty( $result['id'] ) ) {
 			// Store external ID to prevent future duplicate syndication.
-			update_post_meta( $post->ID, $this->external_id_meta_key, $result['id'] );
+			update_post_meta( $post_id, $this->external_id_meta_key, $result['id'] );
 
 			// Store syndication URL if available.
 			if ( ! empty( $result['url'] ) ) {
-				update_post_meta( $post->ID, $this->syndication_url_meta_key, $result['url'] );
+				update_post_meta( $post_id, $this->syndication_url_meta_key, $result['url'] );
 
 				// Also add to Syndication Links if available.
-				$this->add_syndication_link( $post->ID, $result['url'] );
+				$this->add_syndication_link( $post_id, $result['url'] );
 			}
 
 			// Log success.
 			$this->log(
 				'Syndicated checkin to ' . $this->service_name,
 				[
-					'post_id'     => $post->ID,
+					'post_id'     => $post_id,
 					'external_id' => $result['id'],
 				]
 			);
 		}
+
+		return Syndication_Status::get( $post_id, $this->service_id );
 	}
 
 	/**
@@ -331,6 +364,21 @@ abstract class Checkin_Sync_Base {
 		return $this->service_id === $imported_from;
 	}
 
+	/**
+	 * Check if a post may be sent to this service.
+	 *
+	 * Syndication must be turned on, for the site and the post, and a post
+	 * imported from this service is never sent back to it.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return bool
+	 */
+	public function can_syndicate( int $post_id ): bool {
+		return $this->is_syndication_enabled( $post_id ) && ! $this->was_imported_from_service( $post_id );
+	}
+
 	/**
 	 * Check if an external checkin already exists as a post.
 	 *
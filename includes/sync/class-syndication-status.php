@@ -0,0 +1,250 @@
+<?php
+/**
+ * Syndication Status
+ *
+ * Per-post record of each POSSE target's outcome, shown in the editor's
+ * syndication panel.
+ *
+ * @package PKIW
+ * @since   1.8.0
+ */
+
+declare(strict_types=1);
+
+namespace PKIW\Sync;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Records whether a post is pending, syndicated or failed for each service.
+ * A service with no record has not been attempted.
+ *
+ * The sync bases write the record around every syndication attempt; the
+ * REST API reads it back for the editor. Entries are keyed by service ID:
+ *
+ *     [ 'lastfm' => [ 'status' => 'failed', 'url' => '', 'error' => '…', 'updated' => 1700000000 ] ]
+ *
+ * @since 1.8.0
+ */
+final class Syndication_Status {
+
+	/**
+	 * Post meta key holding the status entries.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const META_KEY = '_pkiw_syndication_status';
+
+	/**
+	 * Prefix of the older per-service URL meta, written before statuses
+	 * were recorded and still written alongside them.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const URL_META_PREFIX = '_pkiw_syndication_';
+
+	/**
+	 * Status of a target the post has never been sent to.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const NOT_ATTEMPTED = 'not_attempted';
+
+	/**
+	 * Status of an attempt still in progress.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const PENDING = 'pending';
+
+	/**
+	 * Status of a target that accepted the post.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const SYNDICATED = 'syndicated';
+
+	/**
+	 * Status of a target whose last attempt failed.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @var string
+	 */
+	public const FAILED = 'failed';
+
+	/**
+	 * Get all recorded entries for a post.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, array<string, mixed>> Entries keyed by service ID.
+	 */
+	public static function get_all( int $post_id ): array {
+		$entries = get_post_meta( $post_id, self::META_KEY, true );
+
+		return is_array( $entries ) ? $entries : [];
+	}
+
+	/**
+	 * Get one service's entry for a post.
+	 *
+	 * Posts syndicated before statuses were recorded only have the URL
+	 * meta; they read as syndicated, whatever a later entry says, and an
+	 * entry without a URL takes it from there. Anything else without an
+	 * entry has not been attempted, for instance because the target was
+	 * connected after the post was published, and reads as not attempted
+	 * rather than pending, which only an attempt in progress is.
+	 *
+	 * @param int    $post_id    Post ID.
+	 * @param string $service_id Service ID.
+	 * @return array<string, mixed> Entry with status, url, error and updated.
+	 */
+	public static function get( int $post_id, string $service_id ): array {
+		$entry = self::get_all( $post_id )[ $service_id ] ?? null;
+		$url   = (string) get_post_meta( $post_id, self::URL_META_PREFIX . $service_id, true );
+
+		if ( '' === $url ) {
+			return $entry ?? self::entry( self::NOT_ATTEMPTED );
+		}
+
+		if ( $entry && self::SYNDICATED === $entry['status'] && ! empty( $entry['url'] ) ) {
+			return $entry;
+		}
+
+		$updated = ( $entry && self::SYNDICATED === $entry['status'] ) ? (int) $entry['updated'] : 0;
+
+		return self::entry( self::SYNDICATED, $url, '', $updated );
+	}
+
+	/**
+	 * Record a service's status for a post.
+	 *
+	 * @param int    $post_id    Post ID.
+	 * @param string $service_id Service ID.
+	 * @param string $status     One of the status constants.
+	 * @param string $url        Remote URL, for syndicated.
+	 * @param string $error      Error message, for failed.
+	 * @return array<string, mixed> The recorded entry.
+	 */
+	public static function record( int $post_id, string $service_id, string $status, string $url = '', string $error = '' ): array {
+		$entries                = self::get_all( $post_id );
+		$entries[ $service_id ] = self::entry( $status, $url, $error, time() );
+
+		update_post_meta( $post_id, self::META_KEY, $entries );
+
+		return $entries[ $service_id ];
+	}
+
+	/**
+	 * Run a syndication attempt and record its outcome.
+	 *
+	 * The services report why a request failed through the pkiw_api_error
+	 * action rather than their return value, so the last error fired during
+	 * the attempt becomes the entry's message.
+	 *
+	 * @param int      $post_id      Post ID.
+	 * @param string   $service_id   Service ID.
+	 * @param string   $service_name Service display name, for the fallback message.
+	 * @param callable $syndicate    Performs the request; returns the
+	 *                               service's result array or false.
+	 * @return array|false The service's result.
+	 */
+	public static function run( int $post_id, string $service_id, string $service_name, callable $syndicate ) {
+		self::record( $post_id, $service_id, self::PENDING );
+
+		$error   = '';
+		$capture = static function ( $api_name, $message, $context = [] ) use ( &$error ): void {
+			$error = (string) ( $context['error'] ?? $message );
+		};
+
+		add_action( 'pkiw_api_error', $capture, 10, 3 );
+
+		try {
+			$result = $syndicate();
+		} catch ( \Throwable $e ) {
+			$result = false;
+			$error  = $e->getMessage();
+		} finally {
+			remove_action( 'pkiw_api_error', $capture, 10 );
+		}
+
+		if ( $result && ! empty( $result['id'] ) ) {
+			self::record( $post_id, $service_id, self::SYNDICATED, (string) ( $result['url'] ?? '' ) );
+			return $result;
+		}
+
+		if ( '' === $error ) {
+			$error = sprintf(
+				/* translators: %s: Service name. */
+				__( '%s did not accept the post.', 'post-kinds-for-indieweb-in-block-themes' ),
+				$service_name
+			);
+		}
+
+		self::record( $post_id, $service_id, self::FAILED, '', $error );
+
+		return false;
+	}
+
+	/**
+	 * Get the remote URLs of every syndicated entry, for u-syndication.
+	 *
+	 * Services only found in the older URL meta count too, as get() reads
+	 * them.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string> Syndication URLs.
+	 */
+	public static function get_urls( int $post_id ): array {
+		$service_ids = array_keys( self::get_all( $post_id ) );
+
+		foreach ( array_keys( get_post_meta( $post_id ) ) as $meta_key ) {
+			if ( self::META_KEY !== $meta_key && str_starts_with( (string) $meta_key, self::URL_META_PREFIX ) ) {
+				$service_ids[] = substr( (string) $meta_key, strlen( self::URL_META_PREFIX ) );
+			}
+		}
+
+		$urls = [];
+
+		foreach ( array_unique( $service_ids ) as $service_id ) {
+			$entry = self::get( $post_id, (string) $service_id );
+
+			if ( self::SYNDICATED === $entry['status'] && ! empty( $entry['url'] ) ) {
+				$urls[] = $entry['url'];
+			}
+		}
+
+		return array_values( array_unique( $urls ) );
+	}
+
+	/**
+	 * Build an entry.
+	 *
+	 * @param string $status  Status.
+	 * @param string $url     Remote URL.
+	 * @param string $error   Error message.
+	 * @param int    $updated Unix time of the attempt, 0 if none.
+	 * @return array<string, mixed>
+	 */
+	private static function entry( string $status, string $url = '', string $error = '', int $updated = 0 ): array {
+		return [
+			'status'  => $status,
+			'url'     => $url,
+			'error'   => $error,
+			'updated' => $updated,
+		];
+	}
+}
@@ -134,26 +134,57 @@ abstract class Watch_Sync_Base {
 			return;
 		}
 
+		$this->syndicate_post( $post->ID );
+	}
+
+	/**
+	 * Syndicate a watch post now and record the outcome.
+	 *
+	 * Called on publish once the checks in maybe_syndicate_watch() pass, and
+	 * by the editor's "Retry now" and "Syndicate now" actions. Nothing is
+	 * sent if the post is already syndicated or can_syndicate() says no.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array<string, mixed> The post's status entry for this service.
+	 */
+	public function syndicate_post( int $post_id ): array {
+		if ( $this->is_already_syndicated( $post_id ) || ! $this->can_syndicate( $post_id ) ) {
+			return Syndication_Status::get( $post_id, $this->service_id );
+		}
+
 		// Get watch data from post.
-		$watch_data = $this->get_watch_data_from_post( $post->ID );
+		$watch_data = $this->get_watch_data_from_post( $post_id );
 
 		if ( empty( $watch_data['title'] ) ) {
-			return;
+			return Syndication_Status::record(
+				$post_id,
+				$this->service_id,
+				Syndication_Status::FAILED,
+				'',
+				__( 'The watch needs a title.', 'post-kinds-for-indieweb-in-block-themes' )
+			);
 		}
 
 		// Syndicate.
-		$result = $this->syndicate_watch( $post->ID, $watch_data );
+		$result = Syndication_Status::run(
+			$post_id,
+			$this->service_id,
+			$this->service_name,
+			fn() => $this->syndicate_watch( $post_id, $watch_data )
+		);
 
 		if ( $result && ! empty( $result['id'] ) ) {
 			// Store external ID to prevent future duplicate syndication.
-			update_post_meta( $post->ID, $this->external_id_meta_key, $result['id'] );
+			update_post_meta( $post_id, $this->external_id_meta_key, $result['id'] );
 
 			// Store syndication URL if available.
 			if ( ! empty( $result['url'] ) ) {
-				update_post_meta( $post->ID, $this->syndication_url_meta_key, $result['url'] );
+				update_post_meta( $post_id, $this->syndication_url_meta_key, $result['url'] );
 
 				// Also add to Syndication Links if available.
-				$this->add_syndication_link( $post->ID, $result['url'] );
+				$this->add_syndication_link( $post_id, $result['url'] );
 			}
 
 			/**
@@ -166,8 +197,10 @@ abstract class Watch_Sync_Base {
 			 * @param array  $result     Syndication result.
 			 * @param array  $watch_data Watch data.
 			 */
-			do_action( 'pkiw_watch_syndicated', $post->ID, $this->service_id, $result, $watch_data );
+			do_action( 'pkiw_watch_syndicated', $post_id, $this->service_id, $result, $watch_data );
 		}
+
+		return Syndication_Status::get( $post_id, $this->service_id );
 	}
 
 	/**
@@ -236,6 +269,21 @@ abstract class Watch_Sync_Base {
 		return $this->service_id === $imported_from;
 	}
 
+	/**
+	 * Check if a post may be sent to this service.
+	 *
+	 * Syndication must be turned on, for the site and the post, and a post
+	 * imported from this service is never sent back to it.
+	 *
+	 * @since 1.8.0
+	 *
+	 * @param int $post_id Post ID.
+	 * @return bool
+	 */
+	public function can_syndicate( int $post_id ): bool {
+		return $this->is_syndication_enabled( $post_id ) && ! $this->was_imported_from_service( $post_id );
+	}
+
 	/**
 	 * Get watch data from a post.
 	 *
@@ -341,6 +341,7 @@ require_once PKIW_PATH . 'includes/functions-checkin.php';
 require_once PKIW_PATH . 'includes/functions-embeds.php';
 require_once PKIW_PATH . 'includes/functions-card-icons.php';
 require_once PKIW_PATH . 'includes/functions-card-labels.php';
+require_once PKIW_PATH . 'includes/functions-progress-bar.php';
 require_once PKIW_PATH . 'includes/functions-stream-card.php';
 
 // Hook into WordPress init (priority 0 so component registrations land
@@ -17,6 +17,16 @@ import {
 import { PanelBody, TextControl, SelectControl } from '@wordpress/components';
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_acquisition_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_acquisition_name', 'title', '' ],
+	[ '_pkiw_acquisition_price', 'cost', '' ],
+	[ '_pkiw_acquisition_photo', 'photo', '' ],
+];
 
 /**
  * Acquisition type options with emojis.
@@ -109,32 +119,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( title !== undefined ) {
-			metaUpdates._pkiw_acquisition_title = title || '';
-		}
-		if ( acquisitionType !== undefined ) {
-			metaUpdates._pkiw_acquisition_type = acquisitionType || '';
-		}
-		if ( cost !== undefined ) {
-			metaUpdates._pkiw_acquisition_cost = cost || '';
-		}
-		if ( where !== undefined ) {
-			metaUpdates._pkiw_acquisition_where = where || '';
-		}
-		if ( whereUrl !== undefined ) {
-			metaUpdates._pkiw_acquisition_where_url = whereUrl || '';
-		}
-		if ( photo !== undefined ) {
-			metaUpdates._pkiw_acquisition_photo = photo || '';
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ title, acquisitionType, cost, where, whereUrl, photo ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
@@ -17,7 +17,20 @@ import {
 import { PanelBody, TextControl } from '@wordpress/components';
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
+import ReplyContextPanel from '../../components/reply-context-panel';
 import StandardSitePanel from '../../components/standard-site-panel';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_cite_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_cite_name', 'title', '' ],
+	[ '_pkiw_cite_url', 'url', '' ],
+	[ '_pkiw_cite_author', 'author', '' ],
+	[ '_pkiw_cite_photo', 'image', '' ],
+	[ '_pkiw_cite_summary', 'description', '' ],
+];
 
 export default function Edit( { attributes, setAttributes } ) {
 	const { title, url, description, image, imageAlt, author } = attributes;
@@ -48,26 +61,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( title !== undefined ) {
-			metaUpdates._pkiw_bookmark_title = title || '';
-		}
-		if ( url !== undefined ) {
-			metaUpdates._pkiw_bookmark_url = url || '';
-		}
-		if ( author !== undefined ) {
-			metaUpdates._pkiw_bookmark_author = author || '';
-		}
-		if ( image !== undefined ) {
-			metaUpdates._pkiw_bookmark_image = image || '';
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ title, url, author, image ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
@@ -163,7 +157,18 @@ export default function Edit( { attributes, setAttributes } ) {
 						) }
 					/>
 				</PanelBody>
-				<StandardSitePanel url={ url } />
+				<ReplyContextPanel
+					url={ url }
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+					dateAttribute="bookmarkedAt"
+				/>
+				<StandardSitePanel
+					url={ url }
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+					dateAttribute="bookmarkedAt"
+				/>
 			</InspectorControls>
 
 			<div { ...blockProps }>
@@ -6,6 +6,7 @@
 
 import { registerBlockType } from '@wordpress/blocks';
 import { bookmarkIcon } from '../shared/icons';
+import { getCardTransforms } from '../shared/transforms';
 import Edit from './edit';
 import Save from './save';
 import metadata from './block.json';
@@ -15,4 +16,5 @@ registerBlockType( metadata.name, {
 	icon: bookmarkIcon,
 	edit: Edit,
 	save: Save,
+	transforms: getCardTransforms( metadata.name ),
 } );
@@ -37,6 +37,8 @@ import {
 	parseDate,
 } from '../shared/components';
 import { STORE_NAME } from '../../editor/stores/post-kinds';
+import { getKindCardBlock } from '../../editor/kind-registry';
+import useCardMetaSync from '../shared/use-card-meta-sync';
 
 /**
  * Debounce utility function
@@ -57,6 +59,22 @@ function debounce( func, wait ) {
 	};
 }
 
+/**
+ * Attributes mirrored into checkin meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_checkin_name', 'venueName', '' ],
+	[ '_pkiw_checkin_address', 'address', '' ],
+	[ '_pkiw_checkin_locality', 'locality', '' ],
+	[ '_pkiw_checkin_region', 'region', '' ],
+	[ '_pkiw_checkin_country', 'country', '' ],
+	[ '_pkiw_checkin_url', 'venueUrl', '' ],
+	[ '_pkiw_checkin_osm_id', 'osmId', '' ],
+	[ '_pkiw_geo_latitude', 'latitude', 0 ],
+	[ '_pkiw_geo_longitude', 'longitude', 0 ],
+	[ '_pkiw_geo_privacy', 'locationPrivacy', '' ],
+];
+
 /**
  * Edit component for the Checkin Card block.
  *
@@ -109,125 +127,29 @@ export default function Edit( { attributes, setAttributes } ) {
 		className: `checkin-card layout-${ layout } pk-card k-checkin`,
 	} );
 
-	// Get post meta from the post-kinds store
-	const {
-		metaVenueName,
-		metaAddress,
-		metaLocality,
-		metaRegion,
-		metaCountry,
-		metaLatitude,
-		metaLongitude,
-		selectedKind,
-	} = useSelect( ( select ) => {
-		const getKindMeta = select( STORE_NAME ).getKindMeta;
-		return {
-			metaVenueName: getKindMeta( 'checkin_name' ),
-			metaAddress: getKindMeta( 'checkin_address' ),
-			metaLocality: getKindMeta( 'checkin_locality' ),
-			metaRegion: getKindMeta( 'checkin_region' ),
-			metaCountry: getKindMeta( 'checkin_country' ),
-			metaLatitude: getKindMeta( 'geo_latitude' ),
-			metaLongitude: getKindMeta( 'geo_longitude' ),
+	const { selectedKind, isKindLoaded } = useSelect(
+		( select ) => ( {
 			selectedKind: select( STORE_NAME ).getSelectedKind(),
-		};
-	}, [] );
+			isKindLoaded: select( STORE_NAME ).isInitialized(),
+		} ),
+		[]
+	);
 
-	const { updateKindMeta, updatePostKind } = useDispatch( STORE_NAME );
+	const { updatePostKind } = useDispatch( STORE_NAME );
 
-	// On mount, set the post kind to 'checkin' if not already set
+	// On mount, set the post kind to 'checkin' unless the post already has
+	// a kind with a card of its own: in a "watched X at Z" post the
+	// check-in is a secondary card.
 	useEffect( () => {
-		if ( ! hasInitialized ) {
-			if ( ! selectedKind || selectedKind !== 'checkin' ) {
+		if ( ! hasInitialized && isKindLoaded ) {
+			if ( ! selectedKind || ! getKindCardBlock( selectedKind ) ) {
 				updatePostKind( 'checkin' );
 			}
 			setHasInitialized( true );
 		}
-	}, [ hasInitialized, selectedKind, updatePostKind ] );
-
-	// Sync block attributes TO post meta when block attributes change
-	useEffect( () => {
-		if ( ! hasInitialized ) {
-			return;
-		}
+	}, [ hasInitialized, isKindLoaded, selectedKind, updatePostKind ] );
 
-		// Only sync if block has values and they differ from meta
-		if ( venueName && venueName !== metaVenueName ) {
-			updateKindMeta( 'checkin_name', venueName );
-		}
-		if ( address && address !== metaAddress ) {
-			updateKindMeta( 'checkin_address', address );
-		}
-		if ( locality && locality !== metaLocality ) {
-			updateKindMeta( 'checkin_locality', locality );
-		}
-		if ( region && region !== metaRegion ) {
-			updateKindMeta( 'checkin_region', region );
-		}
-		if ( country && country !== metaCountry ) {
-			updateKindMeta( 'checkin_country', country );
-		}
-		if ( latitude && latitude !== metaLatitude ) {
-			updateKindMeta( 'geo_latitude', latitude );
-		}
-		if ( longitude && longitude !== metaLongitude ) {
-			updateKindMeta( 'geo_longitude', longitude );
-		}
-	}, [
-		hasInitialized,
-		venueName,
-		address,
-		locality,
-		region,
-		country,
-		latitude,
-		longitude,
-	] );
-
-	// Sync post meta TO block attributes when meta changes (from sidebar)
-	useEffect( () => {
-		if ( ! hasInitialized ) {
-			return;
-		}
-
-		// If meta has values and block doesn't, or meta changed, sync to block
-		const updates = {};
-
-		if ( metaVenueName && metaVenueName !== venueName ) {
-			updates.venueName = metaVenueName;
-		}
-		if ( metaAddress && metaAddress !== address ) {
-			updates.address = metaAddress;
-		}
-		if ( metaLocality && metaLocality !== locality ) {
-			updates.locality = metaLocality;
-		}
-		if ( metaRegion && metaRegion !== region ) {
-			updates.region = metaRegion;
-		}
-		if ( metaCountry && metaCountry !== country ) {
-			updates.country = metaCountry;
-		}
-		if ( metaLatitude && metaLatitude !== latitude ) {
-			updates.latitude = metaLatitude;
-		}
-		if ( metaLongitude && metaLongitude !== longitude ) {
-			updates.longitude = metaLongitude;
-		}
-
-		if ( Object.keys( updates ).length > 0 ) {
-			setAttributes( updates );
-		}
-	}, [
-		hasInitialized,
-		metaVenueName,
-		metaAddress,
-		metaLocality,
-		metaRegion,
-		metaCountry,
-		metaLatitude,
-		metaLongitude,
-	] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	// Venue type options
 	const venueTypes = [
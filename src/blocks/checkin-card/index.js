@@ -6,6 +6,7 @@
 
 import { registerBlockType } from '@wordpress/blocks';
 import { checkinIcon } from '../shared/icons';
+import { getCardTransforms } from '../shared/transforms';
 import Edit from './edit';
 import Save from './save';
 import metadata from './block.json';
@@ -18,4 +19,5 @@ registerBlockType( metadata.name, {
 	icon: checkinIcon,
 	edit: Edit,
 	save: Save,
+	transforms: getCardTransforms( metadata.name ),
 } );
@@ -23,6 +23,27 @@ import {
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
 import { StarRating } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_drink_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_drink_name', 'name', '' ],
+	[ '_pkiw_drink_type', 'drinkType', '' ],
+	[ '_pkiw_drink_brewery', 'brand', '' ],
+	[ '_pkiw_drink_photo', 'photo', '' ],
+	[ '_pkiw_drink_rating', 'rating', 0 ],
+	[ '_pkiw_drink_notes', 'notes', '' ],
+	[ '_pkiw_drink_venue_url', 'venueUrl', '' ],
+	[ '_pkiw_drink_location_name', 'locationName', '' ],
+	[ '_pkiw_drink_location_address', 'locationAddress', '' ],
+	[ '_pkiw_drink_location_locality', 'locationLocality', '' ],
+	[ '_pkiw_drink_location_region', 'locationRegion', '' ],
+	[ '_pkiw_drink_location_country', 'locationCountry', '' ],
+	[ '_pkiw_drink_geo_latitude', 'geoLatitude', 0 ],
+	[ '_pkiw_drink_geo_longitude', 'geoLongitude', 0 ],
+];
 
 /**
  * Drink type options with emojis.
@@ -146,64 +167,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( name !== undefined ) {
-			metaUpdates._pkiw_drink_name = name || '';
-		}
-		if ( drinkType !== undefined ) {
-			metaUpdates._pkiw_drink_type = drinkType || '';
-		}
-		if ( brand !== undefined ) {
-			metaUpdates._pkiw_drink_brewery = brand || '';
-		}
-		if ( photo !== undefined ) {
-			metaUpdates._pkiw_drink_photo = photo || '';
-		}
-		if ( rating !== undefined ) {
-			metaUpdates._pkiw_drink_rating = rating || 0;
-		}
-		// Location fields
-		if ( locationName !== undefined ) {
-			metaUpdates._pkiw_drink_location_name = locationName || '';
-		}
-		if ( locationAddress !== undefined ) {
-			metaUpdates._pkiw_drink_location_address = locationAddress || '';
-		}
-		if ( locationLocality !== undefined ) {
-			metaUpdates._pkiw_drink_location_locality = locationLocality || '';
-		}
-		if ( locationRegion !== undefined ) {
-			metaUpdates._pkiw_drink_location_region = locationRegion || '';
-		}
-		if ( locationCountry !== undefined ) {
-			metaUpdates._pkiw_drink_location_country = locationCountry || '';
-		}
-		if ( geoLatitude !== undefined ) {
-			metaUpdates._pkiw_drink_geo_latitude = geoLatitude || 0;
-		}
-		if ( geoLongitude !== undefined ) {
-			metaUpdates._pkiw_drink_geo_longitude = geoLongitude || 0;
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [
-		name,
-		drinkType,
-		brand,
-		photo,
-		rating,
-		locationName,
-		locationAddress,
-		locationLocality,
-		locationRegion,
-		locationCountry,
-		geoLatitude,
-		geoLongitude,
-	] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
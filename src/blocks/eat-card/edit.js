@@ -23,6 +23,27 @@ import {
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
 import { StarRating } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_eat_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_eat_name', 'name', '' ],
+	[ '_pkiw_eat_restaurant', 'restaurant', '' ],
+	[ '_pkiw_eat_cuisine', 'cuisine', '' ],
+	[ '_pkiw_eat_photo', 'photo', '' ],
+	[ '_pkiw_eat_rating', 'rating', 0 ],
+	[ '_pkiw_eat_notes', 'notes', '' ],
+	[ '_pkiw_eat_restaurant_url', 'restaurantUrl', '' ],
+	[ '_pkiw_eat_location_name', 'locationName', '' ],
+	[ '_pkiw_eat_location_address', 'locationAddress', '' ],
+	[ '_pkiw_eat_location_locality', 'locationLocality', '' ],
+	[ '_pkiw_eat_location_region', 'locationRegion', '' ],
+	[ '_pkiw_eat_location_country', 'locationCountry', '' ],
+	[ '_pkiw_eat_geo_latitude', 'geoLatitude', 0 ],
+	[ '_pkiw_eat_geo_longitude', 'geoLongitude', 0 ],
+];
 
 /**
  * Cuisine options with emojis.
@@ -122,7 +143,6 @@ function getCuisineTypeInfo( type ) {
 export default function Edit( { attributes, setAttributes } ) {
 	const {
 		name,
-		restaurant,
 		cuisine,
 		photo,
 		photoAlt,
@@ -164,68 +184,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( name !== undefined ) {
-			metaUpdates._pkiw_eat_name = name || '';
-		}
-		if ( cuisine !== undefined ) {
-			metaUpdates._pkiw_eat_cuisine = cuisine || '';
-		}
-		if ( restaurant !== undefined ) {
-			metaUpdates._pkiw_eat_restaurant = restaurant || '';
-		}
-		if ( restaurantUrl !== undefined ) {
-			metaUpdates._pkiw_eat_restaurant_url = restaurantUrl || '';
-		}
-		if ( photo !== undefined ) {
-			metaUpdates._pkiw_eat_photo = photo || '';
-		}
-		if ( rating !== undefined ) {
-			metaUpdates._pkiw_eat_rating = rating || 0;
-		}
-		// Location fields
-		if ( locationName !== undefined ) {
-			metaUpdates._pkiw_eat_location_name = locationName || '';
-		}
-		if ( locationAddress !== undefined ) {
-			metaUpdates._pkiw_eat_location_address = locationAddress || '';
-		}
-		if ( locationLocality !== undefined ) {
-			metaUpdates._pkiw_eat_location_locality = locationLocality || '';
-		}
-		if ( locationRegion !== undefined ) {
-			metaUpdates._pkiw_eat_location_region = locationRegion || '';
-		}
-		if ( locationCountry !== undefined ) {
-			metaUpdates._pkiw_eat_location_country = locationCountry || '';
-		}
-		if ( geoLatitude !== undefined ) {
-			metaUpdates._pkiw_eat_geo_latitude = geoLatitude || 0;
-		}
-		if ( geoLongitude !== undefined ) {
-			metaUpdates._pkiw_eat_geo_longitude = geoLongitude || 0;
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [
-		name,
-		cuisine,
-		restaurant,
-		restaurantUrl,
-		photo,
-		rating,
-		locationName,
-		locationAddress,
-		locationLocality,
-		locationRegion,
-		locationCountry,
-		geoLatitude,
-		geoLongitude,
-	] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
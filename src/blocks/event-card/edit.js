@@ -25,6 +25,17 @@ import {
 import { useState } from '@wordpress/element';
 import { eventIcon } from '../shared/icons';
 import { BlockPlaceholder, parseDate } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_event_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_event_start', 'eventStart', '' ],
+	[ '_pkiw_event_end', 'eventEnd', '' ],
+	[ '_pkiw_event_location', 'eventLocation', '' ],
+	[ '_pkiw_event_url', 'eventUrl', '' ],
+];
 
 /**
  * Edit component for the Event Card block.
@@ -56,6 +67,8 @@ export default function Edit( { attributes, setAttributes } ) {
 		className: `event-card layout-${ layout } pk-card k-event`,
 	} );
 
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
+
 	const calendarSources = [
 		{
 			label: __( 'None', 'post-kinds-for-indieweb-in-block-themes' ),
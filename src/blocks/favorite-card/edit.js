@@ -17,7 +17,17 @@ import {
 import { PanelBody, TextControl } from '@wordpress/components';
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
+import ReplyContextPanel from '../../components/reply-context-panel';
 import StandardSitePanel from '../../components/standard-site-panel';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_favorite_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_favorite_name', 'title', '' ],
+	[ '_pkiw_favorite_url', 'url', '' ],
+];
 
 export default function Edit( { attributes, setAttributes } ) {
 	const { title, url, description, image, imageAlt, author } = attributes;
@@ -48,26 +58,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( title !== undefined ) {
-			metaUpdates._pkiw_favorite_title = title || '';
-		}
-		if ( url !== undefined ) {
-			metaUpdates._pkiw_favorite_url = url || '';
-		}
-		if ( author !== undefined ) {
-			metaUpdates._pkiw_favorite_author = author || '';
-		}
-		if ( image !== undefined ) {
-			metaUpdates._pkiw_favorite_image = image || '';
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ title, url, author, image ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
@@ -163,7 +154,18 @@ export default function Edit( { attributes, setAttributes } ) {
 						) }
 					/>
 				</PanelBody>
-				<StandardSitePanel url={ url } />
+				<ReplyContextPanel
+					url={ url }
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+					dateAttribute="favoritedAt"
+				/>
+				<StandardSitePanel
+					url={ url }
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+					dateAttribute="favoritedAt"
+				/>
 			</InspectorControls>
 
 			<div { ...blockProps }>
@@ -18,6 +18,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Microformats;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
 
@@ -34,7 +35,7 @@ $pkiw_link_rel = $pkiw_rel ? 'noopener noreferrer ' . $pkiw_rel : 'noopener nore
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-favorite h-cite u-favorite-of',
+		'class' => trim( 'pk-card k-favorite h-cite ' . Microformats::card_property_class( 'favorite', 'u-favorite-of' ) ),
 	]
 );
 
@@ -25,6 +25,18 @@ import { useSelect, useDispatch } from '@wordpress/data';
 import { store as coreStore } from '@wordpress/core-data';
 import StandardSitePanel from '../../components/standard-site-panel';
 import { MediaSearch } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_jam_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_jam_track', 'title', '' ],
+	[ '_pkiw_jam_artist', 'artist', '' ],
+	[ '_pkiw_jam_album', 'album', '' ],
+	[ '_pkiw_jam_cover', 'cover', '' ],
+	[ '_pkiw_jam_url', 'url', '' ],
+];
 
 export default function Edit( { attributes, setAttributes } ) {
 	const { title, artist, album, cover, coverAlt, url, note } = attributes;
@@ -68,29 +80,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( title !== undefined ) {
-			metaUpdates._pkiw_jam_title = title || '';
-		}
-		if ( artist !== undefined ) {
-			metaUpdates._pkiw_jam_artist = artist || '';
-		}
-		if ( album !== undefined ) {
-			metaUpdates._pkiw_jam_album = album || '';
-		}
-		if ( cover !== undefined ) {
-			metaUpdates._pkiw_jam_cover = cover || '';
-		}
-		if ( url !== undefined ) {
-			metaUpdates._pkiw_jam_url = url || '';
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ title, artist, album, cover, url, editPost ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleSearchSelect = ( item ) => {
 		// MusicBrainz returns 'track', other APIs may return 'title' or 'name'
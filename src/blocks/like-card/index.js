@@ -6,6 +6,7 @@
 
 import { registerBlockType } from '@wordpress/blocks';
 import { likeIcon } from '../shared/icons';
+import { getCardTransforms } from '../shared/transforms';
 import Edit from './edit';
 import Save from './save';
 import DeprecatedSave from './save-deprecated';
@@ -16,6 +17,7 @@ registerBlockType( metadata.name, {
 	icon: likeIcon,
 	edit: Edit,
 	save: Save,
+	transforms: getCardTransforms( metadata.name ),
 	deprecated: [
 		{
 			attributes: metadata.attributes,
@@ -32,6 +32,22 @@ import {
 	MediaSearch,
 	BlockPlaceholder,
 } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_listen_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_listen_track', 'trackTitle', '' ],
+	[ '_pkiw_listen_artist', 'artistName', '' ],
+	[ '_pkiw_listen_album', 'albumTitle', '' ],
+	[ '_pkiw_listen_cover', 'coverImage', '' ],
+	[ '_pkiw_listen_mbid', 'musicbrainzId', '' ],
+	[ '_pkiw_listen_url', 'listenUrl', '' ],
+	[ '_pkiw_listen_rating', 'rating', 0 ],
+	[ '_pkiw_listen_release_date', 'releaseDate', '' ],
+	[ '_pkiw_listen_listened_at', 'listenedAt', '' ],
+];
 
 /**
  * Edit component for the Listen Card block.
@@ -63,6 +79,8 @@ export default function Edit( { attributes, setAttributes } ) {
 		className: `listen-card layout-${ layout } pk-card k-listen`,
 	} );
 
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
+
 	const embedPreview = useSelect(
 		( select ) => {
 			if ( ! listenUrl ) {
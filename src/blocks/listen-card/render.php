@@ -19,6 +19,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Microformats;
 use function PKIW\get_cached_embed_html;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
@@ -38,7 +39,7 @@ $pkiw_embed = $pkiw_listen_url ? get_cached_embed_html( $pkiw_listen_url ) : fal
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-listen h-cite u-listen-of',
+		'class' => trim( 'pk-card k-listen h-cite ' . Microformats::card_property_class( 'listen', 'u-listen-of' ) ),
 	]
 );
 
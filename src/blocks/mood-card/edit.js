@@ -20,6 +20,17 @@ import {
 } from '@wordpress/components';
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_mood_* meta (see useCardMetaSync). An
+ * unset level is 0 in meta, so the card's default intensity is seeded.
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_mood_label', 'mood', '' ],
+	[ '_pkiw_mood_emoji', 'emoji', '' ],
+	[ '_pkiw_mood_rating', 'intensity', 0 ],
+];
 
 /**
  * Mood emojis with labels organized by category.
@@ -157,18 +168,12 @@ export default function Edit( { attributes, setAttributes } ) {
 
 	const { editPost } = useDispatch( 'core/editor' );
 
-	// Get post meta and kind - meta is the source of truth for sidebar sync
-	const { currentKind, postMeta } = useSelect( ( select ) => {
+	const currentKind = useSelect( ( select ) => {
 		const terms =
 			select( 'core/editor' ).getEditedPostAttribute(
 				'indieblocks_kind'
 			);
-		const meta =
-			select( 'core/editor' ).getEditedPostAttribute( 'meta' ) || {};
-		return {
-			currentKind: terms && terms.length > 0 ? terms[ 0 ] : null,
-			postMeta: meta,
-		};
+		return terms && terms.length > 0 ? terms[ 0 ] : null;
 	}, [] );
 
 	// Set post kind to "mood" when block is inserted
@@ -184,58 +189,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync FROM post meta TO block attributes when meta changes from sidebar.
-	// _pkiw_mood_* isn't a registered post meta key (no REST schema
-	// entry, so WordPress core silently drops writes to it and the key is
-	// never actually persisted server-side) — only ever apply a non-empty
-	// meta value here. Without this guard, a fresh/just-inserted block's
-	// attribute gets raced back to blank: the "sync attrs -> meta" effect
-	// below writes meta asynchronously via editPost(), and depending on
-	// render timing this effect can still observe the pre-write ''/undefined
-	// meta value and stomp a real attribute with it.
-	useEffect( () => {
-		const updates = {};
-
-		const metaMood = postMeta._pkiw_mood_label;
-		if ( metaMood && metaMood !== ( mood || '' ) ) {
-			updates.mood = metaMood;
-		}
-		const metaEmoji = postMeta._pkiw_mood_emoji;
-		if ( metaEmoji && metaEmoji !== ( emoji || '' ) ) {
-			updates.emoji = metaEmoji;
-		}
-		const metaIntensity = postMeta._pkiw_mood_rating;
-		if ( metaIntensity && metaIntensity !== ( intensity || 3 ) ) {
-			updates.intensity = metaIntensity;
-		}
-
-		if ( Object.keys( updates ).length > 0 ) {
-			setAttributes( updates );
-		}
-	}, [
-		postMeta._pkiw_mood_label,
-		postMeta._pkiw_mood_emoji,
-		postMeta._pkiw_mood_rating,
-	] );
-
-	// Sync FROM block attributes TO post meta when attributes change
-	useEffect( () => {
-		const metaUpdates = {};
-
-		if ( ( mood || '' ) !== ( postMeta._pkiw_mood_label ?? '' ) ) {
-			metaUpdates._pkiw_mood_label = mood || '';
-		}
-		if ( ( emoji || '' ) !== ( postMeta._pkiw_mood_emoji ?? '' ) ) {
-			metaUpdates._pkiw_mood_emoji = emoji || '';
-		}
-		if ( ( intensity || 3 ) !== ( postMeta._pkiw_mood_rating ?? 3 ) ) {
-			metaUpdates._pkiw_mood_rating = intensity || 3;
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ mood, emoji, intensity ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleEmojiSelect = ( selectedEmoji ) => {
 		setAttributes( { emoji: selectedEmoji } );
@@ -21,10 +21,11 @@ import {
 	RangeControl,
 	ExternalLink,
 } from '@wordpress/components';
-import { useState, useEffect, useRef } from '@wordpress/element';
+import { useState, useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
 import { StarRating, MediaSearch } from '../shared/components';
 import { suggestPlayStyle, applySuggestedStyle } from '../shared/play-style';
+import useCardMetaSync from '../shared/use-card-meta-sync';
 
 /**
  * Status options for games.
@@ -57,6 +58,25 @@ const STATUS_OPTIONS = [
 	},
 ];
 
+/**
+ * Attributes mirrored into _pkiw_play_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_play_title', 'title', '' ],
+	[ '_pkiw_play_platform', 'platform', '' ],
+	[ '_pkiw_play_cover', 'cover', '' ],
+	[ '_pkiw_play_status', 'status', '' ],
+	[ '_pkiw_play_hours', 'hoursPlayed', 0 ],
+	[ '_pkiw_play_rating', 'rating', 0 ],
+	[ '_pkiw_play_review', 'review', '' ],
+	[ '_pkiw_play_game_url', 'gameUrl', '' ],
+	[ '_pkiw_play_bgg_id', 'bggId', '' ],
+	[ '_pkiw_play_rawg_id', 'rawgId', '' ],
+	[ '_pkiw_play_steam_id', 'steamId', '' ],
+	[ '_pkiw_play_official_url', 'officialUrl', '' ],
+	[ '_pkiw_play_purchase_url', 'purchaseUrl', '' ],
+];
+
 /**
  * Platform options for games.
  */
@@ -102,8 +122,6 @@ export default function Edit( { attributes, setAttributes } ) {
 		review,
 		gameUrl,
 		bggId,
-		rawgId,
-		steamId,
 		officialUrl,
 		purchaseUrl,
 	} = attributes;
@@ -135,18 +153,12 @@ export default function Edit( { attributes, setAttributes } ) {
 
 	const { editPost } = useDispatch( 'core/editor' );
 
-	// Get post meta and kind - meta is the source of truth for sidebar sync
-	const { currentKind, postMeta } = useSelect( ( select ) => {
+	const currentKind = useSelect( ( select ) => {
 		const terms =
 			select( 'core/editor' ).getEditedPostAttribute(
 				'indieblocks_kind'
 			);
-		const meta =
-			select( 'core/editor' ).getEditedPostAttribute( 'meta' ) || {};
-		return {
-			currentKind: terms && terms.length > 0 ? terms[ 0 ] : null,
-			postMeta: meta,
-		};
+		return terms && terms.length > 0 ? terms[ 0 ] : null;
 	}, [] );
 
 	// Set post kind to "play" when block is inserted
@@ -162,129 +174,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Two-way sync between block attributes and _pkiw_play_* post meta.
-	//
-	// Each direction reacts only to changes on ITS OWN side, tracked in a
-	// prev-values ref. Diffing against the other side instead is what the
-	// old code did, and it cannot work: registered meta reports its
-	// schema default ('playing' for status) before anything is saved, so
-	// "non-empty meta wins" adopted the default over a real attribute,
-	// the attrs -> meta effect pushed the attribute back, and the two
-	// writes re-armed each other every commit until React's update-depth
-	// limit crashed the block. Any card inserted with a non-default
-	// status hit it — paste, pattern, import, or Micropub.
-	//
-	// On the first commit the block's own content wins: attributes are
-	// seeded into meta, never the reverse, so a card's saved markup is
-	// authoritative over schema defaults.
-	const SYNC_KEYS = [
-		[ '_pkiw_play_title', 'title', '' ],
-		[ '_pkiw_play_platform', 'platform', '' ],
-		[ '_pkiw_play_cover', 'cover', '' ],
-		[ '_pkiw_play_status', 'status', '' ],
-		[ '_pkiw_play_hours', 'hoursPlayed', 0 ],
-		[ '_pkiw_play_rating', 'rating', 0 ],
-		[ '_pkiw_play_bgg_id', 'bggId', '' ],
-		[ '_pkiw_play_rawg_id', 'rawgId', '' ],
-		[ '_pkiw_play_steam_id', 'steamId', '' ],
-		[ '_pkiw_play_official_url', 'officialUrl', '' ],
-		[ '_pkiw_play_purchase_url', 'purchaseUrl', '' ],
-	];
-
-	const attrValues = {
-		title: title || '',
-		platform: platform || '',
-		cover: cover || '',
-		status: status || '',
-		hoursPlayed: hoursPlayed || 0,
-		rating: rating || 0,
-		bggId: bggId || '',
-		rawgId: rawgId || '',
-		steamId: steamId || '',
-		officialUrl: officialUrl || '',
-		purchaseUrl: purchaseUrl || '',
-	};
-
-	const prevMeta = useRef( null );
-	const prevAttrs = useRef( null );
-
-	// Sync FROM post meta TO block attributes — sidebar (KindFields) edits.
-	useEffect( () => {
-		const snapshot = {};
-		const updates = {};
-
-		for ( const [ metaKey, attr, empty ] of SYNC_KEYS ) {
-			const value = postMeta[ metaKey ] ?? empty;
-			snapshot[ metaKey ] = value;
-
-			if (
-				prevMeta.current &&
-				value !== prevMeta.current[ metaKey ] &&
-				value !== attrValues[ attr ]
-			) {
-				updates[ attr ] = value;
-			}
-		}
-
-		prevMeta.current = snapshot;
-
-		if ( Object.keys( updates ).length > 0 ) {
-			setAttributes( updates );
-		}
-		// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, [
-		postMeta._pkiw_play_title,
-		postMeta._pkiw_play_platform,
-		postMeta._pkiw_play_cover,
-		postMeta._pkiw_play_status,
-		postMeta._pkiw_play_hours,
-		postMeta._pkiw_play_rating,
-		postMeta._pkiw_play_bgg_id,
-		postMeta._pkiw_play_rawg_id,
-		postMeta._pkiw_play_steam_id,
-		postMeta._pkiw_play_official_url,
-		postMeta._pkiw_play_purchase_url,
-	] );
-
-	// Sync FROM block attributes TO post meta — block editor UI edits.
-	// The first run seeds meta from the block's own content.
-	useEffect( () => {
-		const seeding = ! prevAttrs.current;
-		const snapshot = {};
-		const metaUpdates = {};
-
-		for ( const [ metaKey, attr, empty ] of SYNC_KEYS ) {
-			const value = attrValues[ attr ];
-			snapshot[ attr ] = value;
-
-			const changed = seeding
-				? value !== empty
-				: value !== prevAttrs.current[ attr ];
-
-			if ( changed && value !== ( postMeta[ metaKey ] ?? empty ) ) {
-				metaUpdates[ metaKey ] = value;
-			}
-		}
-
-		prevAttrs.current = snapshot;
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-		// eslint-disable-next-line react-hooks/exhaustive-deps
-	}, [
-		title,
-		platform,
-		cover,
-		status,
-		hoursPlayed,
-		rating,
-		bggId,
-		rawgId,
-		steamId,
-		officialUrl,
-		purchaseUrl,
-	] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleSearchSelect = ( item ) => {
 		// Extract platform from item, handling array or string format.
@@ -34,12 +34,48 @@ import {
 	BlockPlaceholder,
 	ProgressBar,
 } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+import {
+	ReadingProgressUpdate,
+	ReadingTimeline,
+} from '../../components/reading-progress';
+import { applyReadingSession } from '../../editor/reading-sessions';
+import EditionPicker, { formatSeries } from '../../components/edition-picker';
 
 // Token-boundary match, equivalent to the PHP bridge's regex
 // (Kindle_Embed_Bridge::render()) — .includes() would also match a class
 // like "not-pkiw-kindle-preview" as a substring.
 const KINDLE_PREVIEW_CLASS_RE = /(?:^|\s)pkiw-kindle-preview(?:\s|$)/;
 
+/**
+ * Empty reading sessions. One shared array, so an unset attribute compares
+ * equal to it (see useCardMetaSync).
+ */
+const NO_SESSIONS = [];
+
+/**
+ * Attributes mirrored into _pkiw_read_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_read_title', 'bookTitle', '' ],
+	[ '_pkiw_read_author', 'authorName', '' ],
+	[ '_pkiw_read_series', 'seriesName', '' ],
+	[ '_pkiw_read_series_position', 'seriesPosition', '' ],
+	[ '_pkiw_read_isbn', 'isbn', '' ],
+	[ '_pkiw_read_publisher', 'publisher', '' ],
+	[ '_pkiw_read_publish_date', 'publishDate', '' ],
+	[ '_pkiw_read_pages', 'pageCount', 0 ],
+	[ '_pkiw_read_progress', 'currentPage', 0 ],
+	[ '_pkiw_read_sessions', 'readingSessions', NO_SESSIONS ],
+	[ '_pkiw_read_cover', 'coverImage', '' ],
+	[ '_pkiw_read_url', 'bookUrl', '' ],
+	[ '_pkiw_read_status', 'readStatus', '' ],
+	[ '_pkiw_read_rating', 'rating', 0 ],
+	[ '_pkiw_read_started_at', 'startedAt', '' ],
+	[ '_pkiw_read_finished_at', 'finishedAt', '' ],
+	[ '_pkiw_read_review', 'review', '' ],
+];
+
 /**
  * Edit component for the Read Card block.
  *
@@ -53,10 +89,13 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 	const {
 		bookTitle,
 		authorName,
+		seriesName,
+		seriesPosition,
 		isbn,
 		publisher,
 		pageCount,
 		currentPage,
+		readingSessions = NO_SESSIONS,
 		coverImage,
 		coverImageAlt,
 		bookUrl,
@@ -90,6 +129,8 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 		className: `read-card layout-${ layout } status-${ readStatus } pk-card k-read`,
 	} );
 
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
+
 	// Calculate progress percentage
 	const progressPercent =
 		pageCount && currentPage
@@ -105,6 +146,9 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 		setAttributes( {
 			bookTitle: item.title || '',
 			authorName: item.author || item.authors?.join( ', ' ) || '',
+			// A new book's series comes with its editions (see EditionPicker).
+			seriesName: '',
+			seriesPosition: '',
 			isbn: item.isbn || item.isbn_13?.[ 0 ] || item.isbn_10?.[ 0 ] || '',
 			publisher: item.publisher || item.publishers?.[ 0 ] || '',
 			publishDate:
@@ -117,6 +161,33 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 		setIsSearching( false );
 	};
 
+	/**
+	 * Record a reading session and what it changes: the current page, and
+	 * the status and dates (see applyReadingSession).
+	 *
+	 * @param {Object} session Session with `date`, `page` and `note`.
+	 */
+	const handleAddSession = ( session ) => {
+		const update = applyReadingSession(
+			{
+				sessions: readingSessions,
+				pageCount,
+				status: readStatus,
+				startedAt,
+				finishedAt,
+			},
+			session
+		);
+
+		setAttributes( {
+			readingSessions: update.sessions,
+			currentPage: update.page,
+			readStatus: update.status,
+			startedAt: update.startedAt,
+			finishedAt: update.finishedAt,
+		} );
+	};
+
 	/**
 	 * Handle cover image selection
 	 *
@@ -247,6 +318,30 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 							setAttributes( { authorName: value } )
 						}
 					/>
+					<TextControl
+						label={ __(
+							'Series',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+						value={ seriesName || '' }
+						onChange={ ( value ) =>
+							setAttributes( { seriesName: value } )
+						}
+					/>
+					<TextControl
+						label={ __(
+							'Number in series',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+						help={ __(
+							'Such as 3, or 2.5 for a novella between books.',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+						value={ seriesPosition || '' }
+						onChange={ ( value ) =>
+							setAttributes( { seriesPosition: value } )
+						}
+					/>
 					<TextControl
 						label={ __(
 							'ISBN',
@@ -303,6 +398,11 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 								setAttributes( {
 									bookTitle: bookTitle || book.title || '',
 									authorName: authorName || book.author || '',
+									seriesName: seriesName || book.series || '',
+									seriesPosition:
+										seriesPosition ||
+										book.series_position ||
+										'',
 									isbn: isbn || book.isbn || '',
 									publisher:
 										publisher || book.publisher || '',
@@ -379,6 +479,11 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 					/>
 				</PanelBody>
 
+				<EditionPicker
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
+
 				<PanelBody
 					title={ __(
 						'Reading Status',
@@ -442,6 +547,26 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 						/>
 					) }
 
+					{ readStatus !== 'abandoned' && (
+						<ReadingProgressUpdate
+							pageCount={ pageCount }
+							currentPage={ currentPage }
+							onAdd={ handleAddSession }
+						/>
+					) }
+
+					<ReadingTimeline
+						sessions={ readingSessions }
+						pageCount={ pageCount }
+						onRemove={ ( index ) =>
+							setAttributes( {
+								readingSessions: readingSessions.filter(
+									( session, i ) => i !== index
+								),
+							} )
+						}
+					/>
+
 					<div className="components-base-control">
 						<span className="components-base-control__label">
 							{ __(
@@ -706,13 +831,26 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 							) }
 						/>
 
-						{ readStatus === 'reading' && progressPercent > 0 && (
-							<ProgressBar
-								value={ progressPercent }
-								label={ `${ currentPage } of ${ pageCount } pages` }
-							/>
+						{ seriesName && (
+							<p className="post-kinds-card__subtitle post-kinds-card__series p-series">
+								{ formatSeries( seriesName, seriesPosition ) }
+							</p>
 						) }
 
+						{ readStatus === 'reading' &&
+							progressPercent > 0 &&
+							! readingSessions.length && (
+								<ProgressBar
+									value={ progressPercent }
+									label={ `${ currentPage } of ${ pageCount } pages` }
+								/>
+							) }
+
+						<ReadingTimeline
+							sessions={ readingSessions }
+							pageCount={ pageCount }
+						/>
+
 						{ rating > 0 && (
 							<div className="post-kinds-card__rating">
 								<StarRating
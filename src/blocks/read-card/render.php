@@ -18,11 +18,15 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Microformats;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
+use function PKIW\get_progress_bar_html;
 
 $pkiw_book_title     = $attributes['bookTitle'] ?? '';
 $pkiw_author_name    = $attributes['authorName'] ?? '';
+$pkiw_series_name    = $attributes['seriesName'] ?? '';
+$pkiw_series_pos     = $attributes['seriesPosition'] ?? '';
 $pkiw_isbn           = $attributes['isbn'] ?? '';
 $pkiw_publisher      = $attributes['publisher'] ?? '';
 $pkiw_publish_date   = $attributes['publishDate'] ?? '';
@@ -37,6 +41,7 @@ $pkiw_rating         = isset( $attributes['rating'] ) ? (int) $attributes['ratin
 $pkiw_started_at     = $attributes['startedAt'] ?? '';
 $pkiw_finished_at    = $attributes['finishedAt'] ?? '';
 $pkiw_review         = $attributes['review'] ?? '';
+$pkiw_sessions       = array_values( array_filter( (array) ( $attributes['readingSessions'] ?? [] ), 'is_array' ) );
 
 $pkiw_progress_percent = ( $pkiw_page_count > 0 && $pkiw_current_page > 0 )
 	? min( 100, (int) round( ( $pkiw_current_page / $pkiw_page_count ) * 100 ) )
@@ -52,7 +57,7 @@ $pkiw_status_label  = $pkiw_status_labels[ $pkiw_read_status ] ?? '';
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-read h-cite u-read-of',
+		'class' => trim( 'pk-card k-read h-cite ' . Microformats::card_property_class( 'read', 'u-read-of' ) ),
 	]
 );
 
@@ -100,6 +105,23 @@ ob_start();
 				</p>
 			<?php endif; ?>
 
+			<?php if ( $pkiw_series_name ) : ?>
+				<p class="pk-sub pk-series">
+					<?php
+					if ( $pkiw_series_pos ) {
+						printf(
+							/* translators: 1: Series name. 2: Position of the book in the series. */
+							esc_html__( '%1$s #%2$s', 'post-kinds-for-indieweb-in-block-themes' ),
+							'<span class="p-series">' . esc_html( $pkiw_series_name ) . '</span>',
+							'<span class="p-series-position">' . esc_html( $pkiw_series_pos ) . '</span>'
+						);
+					} else {
+						echo '<span class="p-series">' . esc_html( $pkiw_series_name ) . '</span>';
+					}
+					?>
+				</p>
+			<?php endif; ?>
+
 			<?php if ( $pkiw_status_label || $pkiw_publisher || $pkiw_publish_date ) : ?>
 				<p class="pk-sub">
 					<?php if ( $pkiw_status_label ) : ?>
@@ -124,7 +146,7 @@ ob_start();
 			<?php endif; ?>
 		</div>
 
-		<?php if ( 'reading' === $pkiw_read_status && $pkiw_progress_percent > 0 ) : ?>
+		<?php if ( 'reading' === $pkiw_read_status && $pkiw_progress_percent > 0 && ! $pkiw_sessions ) : ?>
 			<div class="pk-progress">
 				<div class="pk-progress-bar">
 					<div
@@ -150,6 +172,39 @@ ob_start();
 			</div>
 		<?php endif; ?>
 
+		<?php if ( $pkiw_sessions ) : ?>
+			<ol class="pk-timeline">
+				<?php
+				foreach ( $pkiw_sessions as $pkiw_session ) :
+					$pkiw_session_page    = (int) ( $pkiw_session['page'] ?? 0 );
+					$pkiw_session_ts      = strtotime( (string) ( $pkiw_session['date'] ?? '' ) );
+					$pkiw_session_percent = $pkiw_page_count > 0 ? min( 100, (int) round( ( $pkiw_session_page / $pkiw_page_count ) * 100 ) ) : 0;
+
+					if ( $pkiw_session_ts ) {
+						$pkiw_session_label = sprintf(
+							/* translators: 1: Session date. 2: Page reached. */
+							esc_html__( '%1$s: page %2$d', 'post-kinds-for-indieweb-in-block-themes' ),
+							'<time datetime="' . esc_attr( gmdate( 'Y-m-d', $pkiw_session_ts ) ) . '">' . esc_html( wp_date( get_option( 'date_format' ), $pkiw_session_ts, new DateTimeZone( 'UTC' ) ) ) . '</time>',
+							$pkiw_session_page
+						);
+					} else {
+						$pkiw_session_label = sprintf(
+							/* translators: %d: Page reached. */
+							esc_html__( 'Page %d', 'post-kinds-for-indieweb-in-block-themes' ),
+							$pkiw_session_page
+						);
+					}
+					?>
+					<li>
+						<?php echo get_progress_bar_html( $pkiw_session_percent, $pkiw_session_label, $pkiw_page_count > 0 ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>
+						<?php if ( ! empty( $pkiw_session['note'] ) ) : ?>
+							<p class="pk-timeline__note"><?php echo esc_html( (string) $pkiw_session['note'] ); ?></p>
+						<?php endif; ?>
+					</li>
+				<?php endforeach; ?>
+			</ol>
+		<?php endif; ?>
+
 		<?php if ( $pkiw_rating > 0 ) : ?>
 			<div class="pk-stars p-rating" aria-label="<?php echo esc_attr( sprintf( /* translators: %d: rating out of five. */ __( 'Rated %d of 5', 'post-kinds-for-indieweb-in-block-themes' ), $pkiw_rating ) ); ?>">
 				<?php for ( $pkiw_i = 1; $pkiw_i <= 5; $pkiw_i++ ) : ?>
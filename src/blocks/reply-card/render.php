@@ -20,6 +20,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Microformats;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
 
@@ -38,7 +39,7 @@ $pkiw_link_rel = $pkiw_rel
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-reply h-cite u-in-reply-to',
+		'class' => trim( 'pk-card k-reply h-cite ' . Microformats::card_property_class( 'reply', 'u-in-reply-to' ) ),
 	]
 );
 
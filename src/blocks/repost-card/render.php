@@ -19,6 +19,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Microformats;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
 
@@ -37,7 +38,7 @@ $pkiw_link_rel = $pkiw_rel
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-repost h-cite u-repost-of',
+		'class' => trim( 'pk-card k-repost h-cite ' . Microformats::card_property_class( 'repost', 'u-repost-of' ) ),
 	]
 );
 
@@ -24,7 +24,23 @@ import {
 } from '@wordpress/components';
 import { useState } from '@wordpress/element';
 import { rsvpIcon } from '../shared/icons';
-import { BlockPlaceholder, parseDate } from '../shared/components';
+import { BlockPlaceholder } from '../shared/components';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+import EventImportPanel, {
+	formatEventTime,
+	getUtcOffset,
+	parseEventTime,
+	withUtcOffset,
+} from '../../components/event-import-panel';
+
+/**
+ * Attributes mirrored into the rsvp and citation meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_cite_name', 'eventName', '' ],
+	[ '_pkiw_cite_url', 'eventUrl', '' ],
+	[ '_pkiw_rsvp_status', 'rsvpStatus', '' ],
+];
 
 /**
  * Edit component for the RSVP Card block.
@@ -58,8 +74,10 @@ export default function Edit( { attributes, setAttributes } ) {
 		className: `rsvp-card layout-${ layout } rsvp-${ rsvpStatus } pk-card k-rsvp`,
 	} );
 
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
+
 	// RSVP status options
-	const eventStartDate = parseDate( eventStart );
+	const eventStartTime = parseEventTime( eventStart );
 
 	const rsvpStatuses = [
 		{
@@ -137,50 +155,53 @@ export default function Edit( { attributes, setAttributes } ) {
 	 * Format date range for display
 	 */
 	const formatDateRange = () => {
-		const startDate = parseDate( eventStart );
+		// Times read as the event's own wall-clock time, as on the front end.
+		const start = parseEventTime( eventStart );
 
-		if ( ! startDate ) {
+		if ( ! start ) {
 			return null;
 		}
 
-		const endDate = parseDate( eventEnd );
+		const end = parseEventTime( eventEnd );
+		const timeFormat = { hour: 'numeric', minute: '2-digit' };
+		const format = ( time ) =>
+			time.date.toLocaleDateString( undefined, {
+				weekday: 'short',
+				month: 'short',
+				day: 'numeric',
+				...( time.allDay ? {} : timeFormat ),
+			} );
 
-		const startStr = startDate.toLocaleDateString( undefined, {
-			weekday: 'short',
-			month: 'short',
-			day: 'numeric',
-			hour: 'numeric',
-			minute: '2-digit',
-		} );
+		const startStr = format( start );
 
-		if ( ! endDate ) {
+		if ( ! end ) {
 			return startStr;
 		}
 
 		// Same day
-		if ( startDate.toDateString() === endDate.toDateString() ) {
-			const endTime = endDate.toLocaleTimeString( undefined, {
-				hour: 'numeric',
-				minute: '2-digit',
-			} );
-			return `${ startStr } - ${ endTime }`;
+		if ( start.date.toDateString() === end.date.toDateString() ) {
+			return end.allDay
+				? startStr
+				: `${ startStr } - ${ end.date.toLocaleTimeString(
+						undefined,
+						timeFormat
+				  ) }`;
 		}
 
 		// Different days
-		const endStr = endDate.toLocaleDateString( undefined, {
-			weekday: 'short',
-			month: 'short',
-			day: 'numeric',
-			hour: 'numeric',
-			minute: '2-digit',
-		} );
-		return `${ startStr } - ${ endStr }`;
+		return `${ startStr } - ${ format( end ) }`;
 	};
 
 	// Show placeholder if no event info
 	if ( ! eventName && ! eventUrl ) {
 		return (
 			<div { ...blockProps }>
+				<InspectorControls>
+					<EventImportPanel
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
+				</InspectorControls>
 				<BlockPlaceholder
 					icon={ rsvpIcon }
 					label={ __(
@@ -188,7 +209,7 @@ export default function Edit( { attributes, setAttributes } ) {
 						'post-kinds-for-indieweb-in-block-themes'
 					) }
 					instructions={ __(
-						'Respond to an event with your RSVP status.',
+						'Respond to an event with your RSVP status, or import the event from a page or .ics file in the sidebar.',
 						'post-kinds-for-indieweb-in-block-themes'
 					) }
 				>
@@ -223,6 +244,11 @@ export default function Edit( { attributes, setAttributes } ) {
 	return (
 		<>
 			<InspectorControls>
+				<EventImportPanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
+
 				<PanelBody
 					title={ __(
 						'Event Details',
@@ -295,8 +321,7 @@ export default function Edit( { attributes, setAttributes } ) {
 							) }
 						>
 							{ eventStart
-								? parseDate( eventStart )?.toLocaleString() ||
-								  eventStart
+								? formatEventTime( eventStart ) || eventStart
 								: __(
 										'Set start time',
 										'post-kinds-for-indieweb-in-block-themes'
@@ -307,9 +332,14 @@ export default function Edit( { attributes, setAttributes } ) {
 								onClose={ () => setShowStartPicker( false ) }
 							>
 								<DateTimePicker
-									currentDate={ eventStart }
+									currentDate={ withUtcOffset( eventStart ) }
 									onChange={ ( value ) => {
-										setAttributes( { eventStart: value } );
+										setAttributes( {
+											eventStart: withUtcOffset(
+												value,
+												getUtcOffset( eventStart )
+											),
+										} );
 										setShowStartPicker( false );
 									} }
 								/>
@@ -333,7 +363,7 @@ export default function Edit( { attributes, setAttributes } ) {
 							) }
 						>
 							{ eventEnd
-								? new Date( eventEnd ).toLocaleString()
+								? formatEventTime( eventEnd ) || eventEnd
 								: __(
 										'Set end time',
 										'post-kinds-for-indieweb-in-block-themes'
@@ -344,9 +374,16 @@ export default function Edit( { attributes, setAttributes } ) {
 								onClose={ () => setShowEndPicker( false ) }
 							>
 								<DateTimePicker
-									currentDate={ eventEnd }
+									currentDate={ withUtcOffset( eventEnd ) }
 									onChange={ ( value ) => {
-										setAttributes( { eventEnd: value } );
+										setAttributes( {
+											eventEnd: withUtcOffset(
+												value,
+												getUtcOffset(
+													eventEnd || eventStart
+												)
+											),
+										} );
 										setShowEndPicker( false );
 									} }
 								/>
@@ -551,7 +588,7 @@ export default function Edit( { attributes, setAttributes } ) {
 						/>
 
 						{ /* Event date/time */ }
-						{ eventStartDate && (
+						{ eventStartTime && (
 							<div className="event-datetime">
 								<span
 									className="datetime-icon"
@@ -559,7 +596,7 @@ export default function Edit( { attributes, setAttributes } ) {
 								>
 									📅
 								</span>
-								<time dateTime={ eventStartDate.toISOString() }>
+								<time dateTime={ eventStart }>
 									{ formatDateRange() }
 								</time>
 							</div>
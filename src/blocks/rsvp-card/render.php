@@ -54,30 +54,53 @@ $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	]
 );
 
+// Read an event time in the event's own terms. A time with an offset, as
+// imported events have, is marked up and shown in that offset rather than
+// the site's time zone; a floating time is the wall-clock time it names,
+// and a date-only value is a date with no time.
+$pkiw_event_time = static function ( string $value ): ?array {
+	if ( '' === $value || ! strtotime( $value ) ) {
+		return null;
+	}
+
+	$date = date_create_immutable( $value, new DateTimeZone( 'UTC' ) );
+	if ( ! $date ) {
+		return null;
+	}
+
+	$all_day = (bool) preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value );
+	$offset  = (bool) preg_match( '/(?:Z|[+-]\d{2}:?\d{2})$/i', $value );
+
+	if ( $all_day ) {
+		$iso = $date->format( 'Y-m-d' );
+	} else {
+		$iso = $date->format( $offset ? 'c' : 'Y-m-d\TH:i:s' );
+	}
+
+	return [
+		'iso'  => $iso,
+		'day'  => $date->format( 'Y-m-d' ),
+		'date' => wp_date( get_option( 'date_format' ), $date->getTimestamp(), $date->getTimezone() ),
+		'time' => $all_day ? '' : wp_date( get_option( 'time_format' ), $date->getTimestamp(), $date->getTimezone() ),
+	];
+};
+
 // Format event date range.
 $pkiw_event_start_iso  = '';
 $pkiw_event_end_iso    = '';
 $pkiw_event_range_disp = '';
-if ( $pkiw_event_start ) {
-	$pkiw_start_ts = strtotime( $pkiw_event_start );
-	if ( $pkiw_start_ts ) {
-		$pkiw_event_start_iso = gmdate( 'c', $pkiw_start_ts );
-		$pkiw_date_fmt        = get_option( 'date_format' );
-		$pkiw_time_fmt        = get_option( 'time_format' );
-		$pkiw_start_disp      = wp_date( $pkiw_date_fmt . ' ' . $pkiw_time_fmt, $pkiw_start_ts );
-		$pkiw_end_ts          = $pkiw_event_end ? strtotime( $pkiw_event_end ) : 0;
-
-		if ( $pkiw_end_ts ) {
-			$pkiw_event_end_iso = gmdate( 'c', $pkiw_end_ts );
-			if ( gmdate( 'Y-m-d', $pkiw_start_ts ) === gmdate( 'Y-m-d', $pkiw_end_ts ) ) {
-				$pkiw_end_disp         = wp_date( $pkiw_time_fmt, $pkiw_end_ts );
-				$pkiw_event_range_disp = $pkiw_start_disp . ' – ' . $pkiw_end_disp;
-			} else {
-				$pkiw_end_disp         = wp_date( $pkiw_date_fmt . ' ' . $pkiw_time_fmt, $pkiw_end_ts );
-				$pkiw_event_range_disp = $pkiw_start_disp . ' – ' . $pkiw_end_disp;
-			}
-		} else {
-			$pkiw_event_range_disp = $pkiw_start_disp;
+$pkiw_start            = $pkiw_event_time( (string) $pkiw_event_start );
+if ( $pkiw_start ) {
+	$pkiw_event_start_iso  = $pkiw_start['iso'];
+	$pkiw_event_range_disp = trim( $pkiw_start['date'] . ' ' . $pkiw_start['time'] );
+	$pkiw_end              = $pkiw_event_end ? $pkiw_event_time( (string) $pkiw_event_end ) : null;
+
+	if ( $pkiw_end ) {
+		$pkiw_event_end_iso = $pkiw_end['iso'];
+		if ( $pkiw_end['day'] !== $pkiw_start['day'] ) {
+			$pkiw_event_range_disp .= ' – ' . trim( $pkiw_end['date'] . ' ' . $pkiw_end['time'] );
+		} elseif ( $pkiw_end['time'] ) {
+			$pkiw_event_range_disp .= ' – ' . $pkiw_end['time'];
 		}
 	}
 }
@@ -21,6 +21,7 @@ import {
 	externalLinkIcon,
 	imageIcon,
 } from './icons';
+import { lookup } from '../../editor/lookup-client';
 
 /**
  * Star Rating Component
@@ -168,25 +169,25 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 	const [ error, setError ] = useState( '' );
 
 	/**
-	 * Get the correct API endpoint for the search type.
+	 * Get the lookup endpoint for the search type.
 	 */
 	const getEndpoint = () => {
 		switch ( type ) {
 			case 'movie':
 			case 'tv':
-				return '/post-kinds-indieweb/v1/lookup/video';
+				return 'video';
 			case 'music':
-				return '/post-kinds-indieweb/v1/lookup/music';
+				return 'music';
 			case 'book':
-				return '/post-kinds-indieweb/v1/lookup/book';
+				return 'book';
 			case 'podcast':
-				return '/post-kinds-indieweb/v1/lookup/podcast';
+				return 'podcast';
 			case 'venue':
-				return '/post-kinds-indieweb/v1/lookup/venue';
+				return 'venue';
 			case 'game':
-				return '/post-kinds-indieweb/v1/lookup/game';
+				return 'game';
 			default:
-				return '/post-kinds-indieweb/v1/lookup/video';
+				return 'video';
 		}
 	};
 
@@ -194,18 +195,23 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 	 * Build query parameters for the API request.
 	 */
 	const buildQueryParams = () => {
-		const params = new URLSearchParams();
-		params.append( 'q', query.trim() );
+		const params = { q: query.trim() };
 
 		// Add type parameter for video searches
 		if ( type === 'movie' || type === 'tv' ) {
-			params.append( 'type', type );
+			params.type = type;
 		}
 
-		return params.toString();
+		return params;
 	};
 
-	const doSearch = async () => {
+	/**
+	 * Run the search.
+	 *
+	 * @param {Object}  [options]         Options.
+	 * @param {boolean} [options.refresh] Bypass cached results.
+	 */
+	const doSearch = async ( { refresh = false } = {} ) => {
 		if ( ! query.trim() ) {
 			return;
 		}
@@ -215,10 +221,8 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 		setResults( [] );
 
 		try {
-			const endpoint = getEndpoint();
-			const queryParams = buildQueryParams();
-			const response = await wp.apiFetch( {
-				path: `${ endpoint }?${ queryParams }`,
+			const response = await lookup( getEndpoint(), buildQueryParams(), {
+				refresh,
 			} );
 
 			// API returns array directly, not wrapped in { results: [] }
@@ -296,7 +300,7 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 				/>
 				<Button
 					variant="secondary"
-					onClick={ doSearch }
+					onClick={ () => doSearch() }
 					disabled={ isSearching || ! query.trim() }
 				>
 					{ isSearching ? (
@@ -312,6 +316,20 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 
 			{ error && <p className="search-error">{ error }</p> }
 
+			{ ( results.length > 0 || error ) && query.trim() && (
+				<Button
+					variant="link"
+					className="search-refresh"
+					onClick={ () => doSearch( { refresh: true } ) }
+					disabled={ isSearching }
+				>
+					{ __(
+						'Refresh results',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			) }
+
 			{ results.length > 0 && (
 				<ul className="search-results">
 					{ results.map( ( item, index ) => (
@@ -368,6 +386,9 @@ export function MediaSearch( { type, placeholder, onSelect } ) {
 /**
  * Progress Bar Component
  *
+ * get_progress_bar_html() in includes/functions-progress-bar.php prints the
+ * same markup on the front end; change the two together.
+ *
  * @param {Object}  props             Component props.
  * @param {number}  props.value       Progress value (0-100).
  * @param {string}  props.label       Optional label.
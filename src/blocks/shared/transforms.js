@@ -0,0 +1,312 @@
+/**
+ * Block transforms between related card blocks.
+ *
+ * Cards that describe the same kind of thing are grouped: the cite cards
+ * (like, reply, repost, bookmark, favorite), the music cards (jam, listen),
+ * the event cards (event, rsvp) and the venue cards (eat, drink, check-in).
+ * Each card in a group reads its attributes into the group's shared shape
+ * and writes them back out, so any card can turn into any other in its
+ * group without a pairwise map for every combination. Attributes a target
+ * card has no room for are dropped; nothing is invented.
+ */
+
+import { createBlock } from '@wordpress/blocks';
+
+const PREFIX = 'post-kinds-indieweb/';
+
+/**
+ * A cite card: shared shape is the cited page plus when it happened.
+ *
+ * @param {string} dateAttribute Name of the card's timestamp attribute.
+ * @return {Object} Card adapter.
+ */
+const citeCard = ( dateAttribute ) => ( {
+	toShared: ( a ) => ( {
+		title: a.title,
+		url: a.url,
+		description: a.description,
+		image: a.image,
+		imageAlt: a.imageAlt,
+		author: a.author,
+		date: a[ dateAttribute ],
+		rel: a.rel,
+	} ),
+	fromShared: ( s ) => ( {
+		title: s.title,
+		url: s.url,
+		description: s.description,
+		image: s.image,
+		imageAlt: s.imageAlt,
+		author: s.author,
+		[ dateAttribute ]: s.date,
+		rel: s.rel,
+	} ),
+} );
+
+/**
+ * Venue fields for the eat and drink cards, which name them `location*`.
+ *
+ * @param {Object} a Card attributes.
+ * @return {Object} Shared venue fields.
+ */
+const locationToShared = ( a ) => ( {
+	venueName: a.locationName,
+	address: a.locationAddress,
+	locality: a.locationLocality,
+	region: a.locationRegion,
+	country: a.locationCountry,
+	latitude: a.geoLatitude,
+	longitude: a.geoLongitude,
+	item: a.name,
+	photo: a.photo,
+	photoAlt: a.photoAlt,
+	rating: a.rating,
+	note: a.notes,
+} );
+
+/**
+ * Inverse of locationToShared().
+ *
+ * @param {Object} s Shared venue fields.
+ * @return {Object} Card attributes.
+ */
+const locationFromShared = ( s ) => ( {
+	locationName: s.venueName,
+	locationAddress: s.address,
+	locationLocality: s.locality,
+	locationRegion: s.region,
+	locationCountry: s.country,
+	geoLatitude: s.latitude,
+	geoLongitude: s.longitude,
+	name: s.item,
+	photo: s.photo,
+	photoAlt: s.photoAlt,
+	rating: s.rating,
+	notes: s.note,
+} );
+
+/**
+ * Card groups, keyed by group name, then by block name.
+ *
+ * @type {Object<string, Object<string, {toShared: Function, fromShared: Function}>>}
+ */
+export const CARD_GROUPS = {
+	cite: {
+		[ `${ PREFIX }like-card` ]: citeCard( 'likedAt' ),
+		[ `${ PREFIX }reply-card` ]: citeCard( 'repliedAt' ),
+		[ `${ PREFIX }repost-card` ]: citeCard( 'repostedAt' ),
+		[ `${ PREFIX }bookmark-card` ]: citeCard( 'bookmarkedAt' ),
+		[ `${ PREFIX }favorite-card` ]: citeCard( 'favoritedAt' ),
+	},
+	music: {
+		[ `${ PREFIX }jam-card` ]: {
+			toShared: ( a ) => ( {
+				track: a.title,
+				artist: a.artist,
+				album: a.album,
+				cover: a.cover,
+				coverAlt: a.coverAlt,
+				url: a.url,
+				date: a.jammedAt,
+			} ),
+			fromShared: ( s ) => ( {
+				title: s.track,
+				artist: s.artist,
+				album: s.album,
+				cover: s.cover,
+				coverAlt: s.coverAlt,
+				url: s.url,
+				jammedAt: s.date,
+			} ),
+		},
+		[ `${ PREFIX }listen-card` ]: {
+			toShared: ( a ) => ( {
+				track: a.trackTitle,
+				artist: a.artistName,
+				album: a.albumTitle,
+				cover: a.coverImage,
+				coverAlt: a.coverImageAlt,
+				url: a.listenUrl,
+				date: a.listenedAt,
+			} ),
+			fromShared: ( s ) => ( {
+				trackTitle: s.track,
+				artistName: s.artist,
+				albumTitle: s.album,
+				coverImage: s.cover,
+				coverImageAlt: s.coverAlt,
+				listenUrl: s.url,
+				listenedAt: s.date,
+			} ),
+		},
+	},
+	event: {
+		// The event and RSVP cards use the same names for the event itself.
+		[ `${ PREFIX }event-card` ]: {
+			toShared: ( a ) => ( {
+				eventName: a.eventName,
+				eventStart: a.eventStart,
+				eventEnd: a.eventEnd,
+				eventLocation: a.eventLocation,
+				eventUrl: a.eventUrl,
+				eventDescription: a.eventDescription,
+				eventImage: a.eventImage,
+				eventImageAlt: a.eventImageAlt,
+			} ),
+			fromShared: ( s ) => ( { ...s } ),
+		},
+		[ `${ PREFIX }rsvp-card` ]: {
+			toShared: ( a ) => ( {
+				eventName: a.eventName,
+				eventStart: a.eventStart,
+				eventEnd: a.eventEnd,
+				eventLocation: a.eventLocation,
+				eventUrl: a.eventUrl,
+				eventDescription: a.eventDescription,
+				eventImage: a.eventImage,
+				eventImageAlt: a.eventImageAlt,
+			} ),
+			fromShared: ( s ) => ( { ...s } ),
+		},
+	},
+	venue: {
+		[ `${ PREFIX }eat-card` ]: {
+			toShared: ( a ) => ( {
+				...locationToShared( a ),
+				venueName: a.locationName || a.restaurant,
+				url: a.restaurantUrl,
+				date: a.ateAt,
+			} ),
+			fromShared: ( s ) => ( {
+				...locationFromShared( s ),
+				restaurant: s.venueName,
+				restaurantUrl: s.url,
+				ateAt: s.date,
+			} ),
+		},
+		[ `${ PREFIX }drink-card` ]: {
+			toShared: ( a ) => ( {
+				...locationToShared( a ),
+				url: a.venueUrl,
+				date: a.drankAt,
+			} ),
+			fromShared: ( s ) => ( {
+				...locationFromShared( s ),
+				venueUrl: s.url,
+				drankAt: s.date,
+			} ),
+		},
+		[ `${ PREFIX }checkin-card` ]: {
+			toShared: ( a ) => ( {
+				venueName: a.venueName,
+				address: a.address,
+				locality: a.locality,
+				region: a.region,
+				country: a.country,
+				latitude: a.latitude,
+				longitude: a.longitude,
+				url: a.venueUrl,
+				photo: a.photo,
+				photoAlt: a.photoAlt,
+				note: a.note,
+				date: a.checkinAt,
+			} ),
+			fromShared: ( s ) => ( {
+				venueName: s.venueName,
+				address: s.address,
+				locality: s.locality,
+				region: s.region,
+				country: s.country,
+				latitude: s.latitude,
+				longitude: s.longitude,
+				venueUrl: s.url,
+				photo: s.photo,
+				photoAlt: s.photoAlt,
+				note: s.note,
+				checkinAt: s.date,
+			} ),
+		},
+	},
+};
+
+/**
+ * Drop attributes that are unset, so the target card's defaults apply.
+ *
+ * @param {Object} attributes Attributes.
+ * @return {Object} Attributes with a value.
+ */
+function withoutEmpty( attributes ) {
+	return Object.fromEntries(
+		Object.entries( attributes ).filter(
+			( [ , value ] ) =>
+				value !== undefined && value !== null && value !== ''
+		)
+	);
+}
+
+/**
+ * Convert one card's attributes to another card in the same group.
+ *
+ * @param {string} fromName   Source block name.
+ * @param {string} toName     Target block name.
+ * @param {Object} attributes Source attributes.
+ * @return {Object|null} Target attributes, or null when the two cards
+ *                       aren't in the same group.
+ */
+export function convertCardAttributes( fromName, toName, attributes ) {
+	const group = Object.values( CARD_GROUPS ).find(
+		( cards ) => cards[ fromName ] && cards[ toName ]
+	);
+
+	if ( ! group ) {
+		return null;
+	}
+
+	return withoutEmpty(
+		group[ toName ].fromShared(
+			group[ fromName ].toShared( attributes || {} )
+		)
+	);
+}
+
+/**
+ * Get the `transforms` setting for a card block.
+ *
+ * Every other card in the block's group becomes a `to` transform; the
+ * Bookmark Card can also be made from a `core/embed` block, for links
+ * that have no oEmbed preview.
+ *
+ * @param {string} blockName Block name.
+ * @return {Object} Block transforms.
+ */
+export function getCardTransforms( blockName ) {
+	const group = Object.values( CARD_GROUPS ).find(
+		( cards ) => cards[ blockName ]
+	);
+
+	const to = group
+		? Object.keys( group )
+				.filter( ( name ) => name !== blockName )
+				.map( ( name ) => ( {
+					type: 'block',
+					blocks: [ name ],
+					transform: ( attributes ) =>
+						createBlock(
+							name,
+							convertCardAttributes( blockName, name, attributes )
+						),
+				} ) )
+		: [];
+
+	const from = [];
+	if ( blockName === `${ PREFIX }bookmark-card` ) {
+		from.push( {
+			type: 'block',
+			blocks: [ 'core/embed' ],
+			isMatch: ( { url } ) => !! url,
+			transform: ( { url } ) => createBlock( blockName, { url } ),
+		} );
+	}
+
+	return { from, to };
+}
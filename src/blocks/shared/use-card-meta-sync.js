@@ -0,0 +1,211 @@
+/**
+ * Two-way sync between a card block's attributes and its kind's post meta.
+ *
+ * The sidebar (KindFields) edits `_pkiw_*` meta and the card edits its own
+ * attributes; this keeps the two in step so whichever was edited last is
+ * what both show.
+ *
+ * Each direction reacts only to changes on ITS OWN side, tracked in a
+ * prev-values ref. Diffing against the other side instead cannot work:
+ * registered meta reports its schema default ('playing' for a play status)
+ * before anything is saved, so "non-empty meta wins" adopts the default
+ * over a real attribute, the attrs -> meta direction pushes the attribute
+ * back, and the two writes re-arm each other every commit until React's
+ * update-depth limit crashes the block. Any card inserted with a
+ * non-default value hit it — paste, pattern, import, or Micropub.
+ *
+ * On the first commit the block's own content wins: attributes are seeded
+ * into meta, never the reverse, so a card's saved markup is authoritative
+ * over schema defaults.
+ *
+ * Only list registered meta keys: REST drops unregistered ones on save,
+ * and the sidebar never shows them. Writes are announced with the same
+ * meta-changed event as the store's, so integrations hear about card edits
+ * too.
+ *
+ * Only the card of the post's kind syncs. A secondary card — a drink card
+ * in a watch post — keeps its data in its attributes: the meta describes
+ * the primary kind, and cite cards would otherwise share `cite_*` keys.
+ * A card that becomes primary seeds the meta from its attributes again.
+ */
+
+import { useEffect, useMemo, useRef } from '@wordpress/element';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { useBlockEditContext } from '@wordpress/block-editor';
+import { coerceMetaValue } from '../../editor/stores/coerce-meta-value';
+import { EVENTS, emitEvent } from '../../editor/integration-events';
+import { isSecondaryCard } from '../../editor/kind-registry';
+
+/**
+ * Post kinds store, by name: importing it would register it wherever this
+ * hook is loaded.
+ *
+ * @type {string}
+ */
+const KINDS_STORE = 'post-kinds-indieweb/post-kinds';
+
+/**
+ * Bring a meta value into the attribute's type, which is the type of its
+ * empty value. Meta and attribute types differ in places (the watch card's
+ * release year is a number, its meta a string).
+ *
+ * @param {*} value Meta value.
+ * @param {*} empty The attribute's empty value.
+ * @return {*} Attribute value.
+ */
+export function toAttributeValue( value, empty ) {
+	if ( value === undefined || value === null || value === '' ) {
+		return empty;
+	}
+
+	switch ( typeof empty ) {
+		case 'number': {
+			const number = Number( value );
+			return Number.isNaN( number ) ? empty : number;
+		}
+		case 'boolean':
+			return !! value;
+		case 'string':
+			return typeof value === 'object' ? empty : String( value );
+		default:
+			return value;
+	}
+}
+
+/**
+ * Bring an attribute value into the meta's registered type.
+ *
+ * An emptied numeric attribute clears string meta rather than writing "0".
+ *
+ * @param {string} metaKey Prefixed meta key.
+ * @param {*}      value   Attribute value.
+ * @param {*}      empty   The attribute's empty value.
+ * @return {*} Meta value.
+ */
+export function toMetaValue( metaKey, value, empty ) {
+	const field = metaKey.replace( /^_pkiw_/, '' );
+
+	if (
+		value === empty &&
+		typeof empty === 'number' &&
+		window?.pkiwAdminEditor?.metaFieldTypes?.[ field ] === 'string'
+	) {
+		return '';
+	}
+
+	return coerceMetaValue( field, value );
+}
+
+/**
+ * Keep a card's attributes and post meta in step.
+ *
+ * @param {Array<Array>} syncKeys      `[ metaKey, attribute, empty ]`
+ *                                     entries: the prefixed meta key, the
+ *                                     attribute it mirrors and that
+ *                                     attribute's empty value. Keep the list
+ *                                     a module constant, so it is the same
+ *                                     array on every render.
+ * @param {Object}       attributes    Block attributes.
+ * @param {Function}     setAttributes Block attribute setter.
+ */
+export default function useCardMetaSync( syncKeys, attributes, setAttributes ) {
+	const { name } = useBlockEditContext();
+	const { postMeta, isSecondary } = useSelect(
+		( select ) => ( {
+			postMeta:
+				select( 'core/editor' ).getEditedPostAttribute( 'meta' ) || {},
+			isSecondary: isSecondaryCard(
+				name,
+				select( KINDS_STORE ).getSelectedKind()
+			),
+		} ),
+		[ name ]
+	);
+	const { editPost } = useDispatch( 'core/editor' );
+
+	const attrValues = useMemo( () => {
+		const values = {};
+		for ( const [ , attr, empty ] of syncKeys ) {
+			values[ attr ] = attributes[ attr ] ?? empty;
+		}
+		return values;
+	}, [ syncKeys, attributes ] );
+
+	const metaValues = useMemo( () => {
+		const values = {};
+		for ( const [ metaKey, , empty ] of syncKeys ) {
+			values[ metaKey ] = toAttributeValue( postMeta[ metaKey ], empty );
+		}
+		return values;
+	}, [ syncKeys, postMeta ] );
+
+	const prevMeta = useRef( null );
+	const prevAttrs = useRef( null );
+
+	// Sync FROM post meta TO block attributes — sidebar edits. Runs whenever
+	// either side changes, but only acts on meta that changed since the
+	// last run.
+	useEffect( () => {
+		if ( isSecondary ) {
+			prevMeta.current = null;
+			return;
+		}
+
+		const updates = {};
+
+		for ( const [ metaKey, attr ] of syncKeys ) {
+			const value = metaValues[ metaKey ];
+
+			if (
+				prevMeta.current &&
+				value !== prevMeta.current[ metaKey ] &&
+				value !== attrValues[ attr ]
+			) {
+				updates[ attr ] = value;
+			}
+		}
+
+		prevMeta.current = metaValues;
+
+		if ( Object.keys( updates ).length > 0 ) {
+			setAttributes( updates );
+		}
+	}, [ isSecondary, syncKeys, metaValues, attrValues, setAttributes ] );
+
+	// Sync FROM block attributes TO post meta — block editor UI edits, acting
+	// only on attributes that changed since the last run. The first run
+	// seeds meta from the block's own content.
+	useEffect( () => {
+		if ( isSecondary ) {
+			prevAttrs.current = null;
+			return;
+		}
+
+		const seeding = ! prevAttrs.current;
+		const metaUpdates = {};
+
+		for ( const [ metaKey, attr, empty ] of syncKeys ) {
+			const value = attrValues[ attr ];
+			const changed = seeding
+				? value !== empty
+				: value !== prevAttrs.current[ attr ];
+
+			if ( changed && value !== metaValues[ metaKey ] ) {
+				metaUpdates[ metaKey ] = toMetaValue( metaKey, value, empty );
+			}
+		}
+
+		prevAttrs.current = attrValues;
+
+		if ( Object.keys( metaUpdates ).length > 0 ) {
+			editPost( { meta: metaUpdates } );
+
+			const changed = {};
+			Object.keys( metaUpdates ).forEach( ( metaKey ) => {
+				changed[ metaKey.replace( /^_pkiw_/, '' ) ] =
+					metaUpdates[ metaKey ];
+			} );
+			emitEvent( EVENTS.META_CHANGED, { meta: changed } );
+		}
+	}, [ isSecondary, syncKeys, attrValues, metaValues, editPost ] );
+}
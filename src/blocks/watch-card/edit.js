@@ -4,7 +4,7 @@
  * @package
  */
 
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import {
 	useBlockProps,
 	InspectorControls,
@@ -23,8 +23,7 @@ import {
 	SandBox,
 	Disabled,
 } from '@wordpress/components';
-import { useState } from '@wordpress/element';
-import apiFetch from '@wordpress/api-fetch';
+import { useState, useEffect, useRef } from '@wordpress/element';
 import { useSelect } from '@wordpress/data';
 import { store as coreStore } from '@wordpress/core-data';
 import { watchIcon } from '../shared/icons';
@@ -34,6 +33,37 @@ import {
 	MediaSearch,
 	BlockPlaceholder,
 } from '../shared/components';
+import { lookup } from '../../editor/lookup-client';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+import EpisodePicker, {
+	formatEpisodeCode,
+} from '../../components/episode-picker';
+import KindHistoryList, {
+	getHistoryQuery,
+	getRewatchEntries,
+	useKindHistory,
+} from '../../components/kind-history';
+
+/**
+ * Attributes mirrored into _pkiw_watch_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_watch_title', 'mediaTitle', '' ],
+	[ '_pkiw_watch_year', 'releaseYear', 0 ],
+	[ '_pkiw_watch_poster', 'posterImage', '' ],
+	[ '_pkiw_watch_tmdb_id', 'tmdbId', '' ],
+	[ '_pkiw_watch_url', 'watchUrl', '' ],
+	[ '_pkiw_watch_rating', 'rating', 0 ],
+	[ '_pkiw_watch_review', 'review', '' ],
+	[ '_pkiw_watch_is_rewatch', 'isRewatch', false ],
+	[ '_pkiw_watch_media_type', 'mediaType', '' ],
+	[ '_pkiw_watch_director', 'director', '' ],
+	[ '_pkiw_watch_imdb_id', 'imdbId', '' ],
+	[ '_pkiw_watch_show_title', 'showTitle', '' ],
+	[ '_pkiw_watch_season', 'seasonNumber', 0 ],
+	[ '_pkiw_watch_episode', 'episodeNumber', 0 ],
+	[ '_pkiw_watch_episode_title', 'episodeTitle', '' ],
+];
 
 /**
  * Edit component for the Watch Card block.
@@ -51,6 +81,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		seasonNumber,
 		episodeNumber,
 		episodeTitle,
+		seasonEpisodeCount,
 		releaseYear,
 		director,
 		posterImage,
@@ -63,6 +94,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		isRewatch,
 		watchedAt,
 		review,
+		showHistory,
 		layout,
 	} = attributes;
 
@@ -75,6 +107,51 @@ export default function Edit( { attributes, setAttributes } ) {
 		className: `watch-card layout-${ layout } type-${ mediaType } pk-card k-watch`,
 	} );
 
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
+
+	const isSeries = mediaType === 'tv' || mediaType === 'episode';
+	const watchHistory = useKindHistory( 'watch', attributes );
+	const rewatches = watchHistory
+		? getRewatchEntries( watchHistory, attributes )
+		: null;
+
+	// Rewatch is set from the history while the card's title changes in
+	// this session, or on a new post; a saved post keeps the author's choice.
+	const isNewPost = useSelect(
+		( select ) => select( 'core/editor' ).isEditedPostNew(),
+		[]
+	);
+	const titleKey = JSON.stringify( [
+		getHistoryQuery( 'watch', attributes ),
+		mediaType === 'episode' ? [ seasonNumber, episodeNumber ] : null,
+	] );
+	const initialTitleKey = useRef( titleKey );
+	const autoRewatch = useRef( false );
+	const rewatchCount = rewatches ? rewatches.length : null;
+
+	// Only a new answer for a new title decides; not a manual toggle, so
+	// the current flag is read without re-running on it.
+	const isRewatchRef = useRef( isRewatch );
+	isRewatchRef.current = isRewatch;
+
+	useEffect( () => {
+		if (
+			rewatchCount === null ||
+			( ! isNewPost && titleKey === initialTitleKey.current )
+		) {
+			return;
+		}
+
+		const found = rewatchCount > 0;
+		if (
+			found !== !! isRewatchRef.current &&
+			( found || autoRewatch.current )
+		) {
+			autoRewatch.current = found;
+			setAttributes( { isRewatch: found } );
+		}
+	}, [ rewatchCount, titleKey, isNewPost, setAttributes ] );
+
 	const embedPreview = useSelect(
 		( select ) => {
 			if ( ! watchUrl ) {
@@ -129,13 +206,10 @@ export default function Edit( { attributes, setAttributes } ) {
 		setIsFetchingCover( true );
 		try {
 			const lookupType = mediaType === 'movie' ? 'movie' : 'tv';
-			const params = new URLSearchParams( {
+			const response = await lookup( 'video', {
 				q: mediaTitle,
 				type: lookupType,
 			} );
-			const response = await apiFetch( {
-				path: `/post-kinds-indieweb/v1/lookup/video?${ params.toString() }`,
-			} );
 			const results = Array.isArray( response )
 				? response
 				: response.results || [];
@@ -466,6 +540,14 @@ export default function Edit( { attributes, setAttributes } ) {
 					/>
 				</PanelBody>
 
+				{ isSeries && ( tmdbId || imdbId ) && (
+					<EpisodePicker
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+						history={ watchHistory || [] }
+					/>
+				) }
+
 				<PanelBody
 					title={ __(
 						'Watch Info',
@@ -494,11 +576,35 @@ export default function Edit( { attributes, setAttributes } ) {
 							'post-kinds-for-indieweb-in-block-themes'
 						) }
 						checked={ isRewatch }
+						onChange={ ( value ) => {
+							autoRewatch.current = false;
+							setAttributes( { isRewatch: value } );
+						} }
+						help={ __(
+							'Set when you have posted about this title before.',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					/>
+
+					<KindHistoryList
+						entries={ rewatches }
+						label={ __(
+							'You watched this on:',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					/>
+
+					<ToggleControl
+						label={ __(
+							'Show watch history',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+						checked={ !! showHistory }
 						onChange={ ( value ) =>
-							setAttributes( { isRewatch: value } )
+							setAttributes( { showHistory: value } )
 						}
 						help={ __(
-							'Check if this is a rewatch.',
+							'List the dates of your earlier watches on the card.',
 							'post-kinds-for-indieweb-in-block-themes'
 						) }
 					/>
@@ -731,17 +837,26 @@ export default function Edit( { attributes, setAttributes } ) {
 						{ mediaType === 'episode' &&
 							( seasonNumber || episodeNumber ) && (
 								<p className="episode-info">
-									{ seasonNumber &&
-										`S${ String( seasonNumber ).padStart(
-											2,
-											'0'
-										) }` }
-									{ episodeNumber &&
-										`E${ String( episodeNumber ).padStart(
-											2,
-											'0'
-										) }` }
-									{ episodeTitle && ` - ${ episodeTitle }` }
+									{ episodeNumber && seasonEpisodeCount
+										? sprintf(
+												/* translators: 1: Episode code, e.g. S02E05. 2: Number of episodes in the season. */
+												__(
+													'%1$s of %2$d',
+													'post-kinds-for-indieweb-in-block-themes'
+												),
+												formatEpisodeCode(
+													seasonNumber,
+													episodeNumber
+												),
+												seasonEpisodeCount
+										  )
+										: formatEpisodeCode(
+												seasonNumber,
+												episodeNumber
+										  ) }
+									{ episodeTitle &&
+										episodeTitle !== mediaTitle &&
+										` - ${ episodeTitle }` }
 								</p>
 							) }
 
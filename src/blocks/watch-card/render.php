@@ -19,6 +19,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 // phpcs:disable WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound -- render.php variables are scoped by WordPress block rendering.
 
+use PKIW\Kind_History;
+use PKIW\Microformats;
 use function PKIW\get_card_embed_html;
 use function PKIW\get_kind_icon_svg;
 use function PKIW\get_kind_label;
@@ -29,6 +31,9 @@ $pkiw_show_title     = $attributes['showTitle'] ?? '';
 $pkiw_season_number  = $attributes['seasonNumber'] ?? 0;
 $pkiw_episode_number = $attributes['episodeNumber'] ?? 0;
 $pkiw_episode_title  = $attributes['episodeTitle'] ?? '';
+$pkiw_episode_count  = $attributes['seasonEpisodeCount'] ?? 0;
+$pkiw_air_date       = $attributes['airDate'] ?? '';
+$pkiw_still_image    = $attributes['stillImage'] ?? '';
 $pkiw_release_year   = $attributes['releaseYear'] ?? 0;
 $pkiw_director       = $attributes['director'] ?? '';
 $pkiw_poster_image   = $attributes['posterImage'] ?? '';
@@ -41,6 +46,29 @@ $pkiw_rating         = $attributes['rating'] ?? 0;
 $pkiw_is_rewatch     = $attributes['isRewatch'] ?? false;
 $pkiw_watched_at     = $attributes['watchedAt'] ?? '';
 $pkiw_review         = $attributes['review'] ?? '';
+$pkiw_show_history   = $attributes['showHistory'] ?? false;
+
+// Earlier watches of the same title by the post's author.
+$pkiw_history = [];
+if ( $pkiw_show_history && get_the_ID() ) {
+	$pkiw_history = Kind_History::find_published(
+		'watch',
+		[
+			'tmdb_id' => (string) $pkiw_tmdb_id,
+			'imdb_id' => (string) $pkiw_imdb_id,
+		],
+		(int) get_post_field( 'post_author', get_the_ID() ),
+		(int) get_the_ID()
+	);
+
+	// A show's IDs are shared by its episodes: keep this episode's watches.
+	if ( 'episode' === $pkiw_media_type ) {
+		$pkiw_history = array_filter(
+			$pkiw_history,
+			static fn( $entry ) => (int) $pkiw_season_number === $entry['season'] && (int) $pkiw_episode_number === $entry['episode']
+		);
+	}
+}
 
 $pkiw_episode_string = '';
 if ( 'episode' === $pkiw_media_type ) {
@@ -50,7 +78,16 @@ if ( 'episode' === $pkiw_media_type ) {
 	if ( $pkiw_episode_number ) {
 		$pkiw_episode_string .= 'E' . str_pad( $pkiw_episode_number, 2, '0', STR_PAD_LEFT );
 	}
-	if ( $pkiw_episode_title ) {
+	if ( $pkiw_episode_string && $pkiw_episode_number && $pkiw_episode_count ) {
+		$pkiw_episode_string = sprintf(
+			/* translators: 1: Episode code, e.g. S02E05. 2: Number of episodes in the season. */
+			__( '%1$s of %2$d', 'post-kinds-for-indieweb-in-block-themes' ),
+			$pkiw_episode_string,
+			$pkiw_episode_count
+		);
+	}
+	// The picker puts the episode title in the card title too.
+	if ( $pkiw_episode_title && $pkiw_episode_title !== $pkiw_media_title ) {
 		$pkiw_episode_string .= ' - ' . $pkiw_episode_title;
 	}
 }
@@ -70,7 +107,7 @@ $pkiw_embed = $pkiw_watch_url ? get_card_embed_html( $pkiw_watch_url, 'watch', [
 
 $pkiw_wrapper_attrs = get_block_wrapper_attributes(
 	[
-		'class' => 'pk-card k-watch h-cite u-watch-of',
+		'class' => trim( 'pk-card k-watch h-cite ' . Microformats::card_property_class( 'watch', 'u-watch-of' ) ),
 	]
 );
 
@@ -100,6 +137,18 @@ ob_start();
 				<p class="pk-sub"><?php echo esc_html( $pkiw_episode_string ); ?></p>
 			<?php endif; ?>
 
+			<?php if ( 'episode' === $pkiw_media_type && $pkiw_air_date && strtotime( $pkiw_air_date ) ) : ?>
+				<p class="pk-sub">
+					<?php
+					printf(
+						/* translators: %s: Air date. */
+						esc_html__( 'Aired %s', 'post-kinds-for-indieweb-in-block-themes' ),
+						'<time datetime="' . esc_attr( $pkiw_air_date ) . '">' . esc_html( wp_date( get_option( 'date_format' ), strtotime( $pkiw_air_date ) ) ) . '</time>'
+					);
+					?>
+				</p>
+			<?php endif; ?>
+
 			<?php if ( $pkiw_release_year || $pkiw_director || $pkiw_is_rewatch ) : ?>
 				<p class="pk-sub">
 					<?php if ( $pkiw_release_year ) : ?>
@@ -129,6 +178,10 @@ ob_start();
 
 		<?php if ( $pkiw_embed ) : ?>
 			<div class="pk-embed pk-embed--video"><?php echo $pkiw_embed; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?></div>
+		<?php elseif ( 'episode' === $pkiw_media_type && $pkiw_still_image ) : ?>
+			<div class="pk-media">
+				<img class="pk-thumb--still u-photo" src="<?php echo esc_url( $pkiw_still_image ); ?>" alt="<?php echo esc_attr( $pkiw_media_title ); ?>" loading="lazy" />
+			</div>
 		<?php elseif ( $pkiw_poster_image ) : ?>
 			<div class="pk-media">
 				<img class="pk-thumb--poster u-photo" src="<?php echo esc_url( $pkiw_poster_image ); ?>" alt="<?php echo esc_attr( $pkiw_poster_alt ? $pkiw_poster_alt : $pkiw_media_title ); ?>" loading="lazy" />
@@ -158,6 +211,18 @@ ob_start();
 				<time class="dt-published" datetime="<?php echo esc_attr( gmdate( 'c', strtotime( $pkiw_watched_at ) ) ); ?>"><?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $pkiw_watched_at ) ) ); ?></time>
 			<?php endif; ?>
 		</div>
+
+		<?php if ( $pkiw_history ) : ?>
+			<p class="pk-meta pk-history">
+				<span><?php esc_html_e( 'Watched before:', 'post-kinds-for-indieweb-in-block-themes' ); ?></span>
+				<?php foreach ( array_values( $pkiw_history ) as $pkiw_index => $pkiw_entry ) : ?>
+					<?php if ( $pkiw_index ) : ?>
+						<span class="pk-dot"></span>
+					<?php endif; ?>
+					<a href="<?php echo esc_url( $pkiw_entry['link'] ); ?>"><time datetime="<?php echo esc_attr( $pkiw_entry['date'] ); ?>"><?php echo esc_html( wp_date( get_option( 'date_format' ), strtotime( $pkiw_entry['date'] ) ) ); ?></time></a>
+				<?php endforeach; ?>
+			</p>
+		<?php endif; ?>
 	</div>
 
 	<data value="<?php echo esc_url( $pkiw_watch_url ); ?>" hidden></data>
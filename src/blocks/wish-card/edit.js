@@ -18,6 +18,18 @@ import { PanelBody, TextControl, SelectControl } from '@wordpress/components';
 import { useEffect } from '@wordpress/element';
 import { useSelect, useDispatch } from '@wordpress/data';
 import StandardSitePanel from '../../components/standard-site-panel';
+import useCardMetaSync from '../shared/use-card-meta-sync';
+
+/**
+ * Attributes mirrored into _pkiw_wish_* meta (see useCardMetaSync).
+ */
+const SYNC_KEYS = [
+	[ '_pkiw_wish_name', 'title', '' ],
+	[ '_pkiw_wish_type', 'wishType', '' ],
+	[ '_pkiw_wish_url', 'url', '' ],
+	[ '_pkiw_wish_priority', 'priority', '' ],
+	[ '_pkiw_wish_photo', 'image', '' ],
+];
 
 /**
  * Wish type options with emojis.
@@ -122,32 +134,7 @@ export default function Edit( { attributes, setAttributes } ) {
 		}
 	}, [] );
 
-	// Sync block attributes to post meta
-	useEffect( () => {
-		const metaUpdates = {};
-		if ( title !== undefined ) {
-			metaUpdates._pkiw_wish_title = title || '';
-		}
-		if ( wishType !== undefined ) {
-			metaUpdates._pkiw_wish_type = wishType || '';
-		}
-		if ( url !== undefined ) {
-			metaUpdates._pkiw_wish_url = url || '';
-		}
-		if ( price !== undefined ) {
-			metaUpdates._pkiw_wish_price = price || '';
-		}
-		if ( priority !== undefined ) {
-			metaUpdates._pkiw_wish_priority = priority || '';
-		}
-		if ( image !== undefined ) {
-			metaUpdates._pkiw_wish_image = image || '';
-		}
-
-		if ( Object.keys( metaUpdates ).length > 0 ) {
-			editPost( { meta: metaUpdates } );
-		}
-	}, [ title, wishType, url, price, priority, image ] );
+	useCardMetaSync( SYNC_KEYS, attributes, setAttributes );
 
 	const handleImageSelect = ( media ) => {
 		setAttributes( {
@@ -0,0 +1,278 @@
+/**
+ * Book edition picker inspector panel.
+ *
+ * Shown on the read card once it has an ISBN. The book's other editions,
+ * and the series it belongs to, come from `/pkiw/v1/book-complete` (Open
+ * Library, and Hardcover when configured); picking an edition swaps the
+ * card's ISBN, cover and page count for that edition's.
+ */
+
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { useState, useEffect, useRef } from '@wordpress/element';
+import {
+	PanelBody,
+	SelectControl,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Strip an ISBN down to its digits and check character.
+ *
+ * @param {string} isbn ISBN as entered.
+ * @return {string} ISBN without hyphens or spaces, upper-cased.
+ */
+export function normalizeIsbn( isbn ) {
+	return String( isbn || '' )
+		.replace( /[\s-]/g, '' )
+		.toUpperCase();
+}
+
+/**
+ * Whether an ISBN is long enough to look up.
+ *
+ * @param {string} isbn ISBN as entered.
+ * @return {boolean} True for 10 or 13 characters of ISBN.
+ */
+export function isCompleteIsbn( isbn ) {
+	return /^(\d{9}[\dX]|\d{13})$/.test( normalizeIsbn( isbn ) );
+}
+
+/**
+ * Find the edition with an ISBN, in either form.
+ *
+ * @param {Array<Object>} editions Editions from /book-complete.
+ * @param {string}        isbn     ISBN-10 or ISBN-13.
+ * @return {Object|undefined} The edition, if listed.
+ */
+export function findEdition( editions, isbn ) {
+	const wanted = normalizeIsbn( isbn );
+
+	return ( editions || [] ).find(
+		( edition ) =>
+			wanted &&
+			( normalizeIsbn( edition.isbn ) === wanted ||
+				normalizeIsbn( edition.isbn_10 ) === wanted )
+	);
+}
+
+/**
+ * Map a picked edition onto read card attributes.
+ *
+ * Details the edition doesn't have are left as they are, so a cover of
+ * the work isn't lost to an edition without one.
+ *
+ * @param {Object} edition Edition from /book-complete.
+ * @return {Object} Attributes.
+ */
+export function editionToAttributes( edition ) {
+	return {
+		isbn: edition.isbn,
+		...( edition.cover ? { coverImage: edition.cover } : {} ),
+		...( edition.pages ? { pageCount: edition.pages } : {} ),
+		...( edition.publisher ? { publisher: edition.publisher } : {} ),
+		...( edition.publish_date
+			? { publishDate: edition.publish_date }
+			: {} ),
+	};
+}
+
+/**
+ * Describe an edition for the picker: format, publisher, date and length.
+ *
+ * @param {Object} edition Edition from /book-complete.
+ * @return {string} Label.
+ */
+export function getEditionLabel( edition ) {
+	const parts = [
+		edition.format ||
+			__( 'Unknown format', 'post-kinds-for-indieweb-in-block-themes' ),
+		[ edition.publisher, edition.publish_date ]
+			.filter( Boolean )
+			.join( ', ' ),
+		edition.pages
+			? sprintf(
+					/* translators: %d: Number of pages. */
+					_n(
+						'%d page',
+						'%d pages',
+						edition.pages,
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					edition.pages
+			  )
+			: '',
+	];
+
+	return parts.filter( Boolean ).join( ' · ' );
+}
+
+/**
+ * Show a series with the book's place in it, as the saved card does.
+ *
+ * @param {string} name     Series name.
+ * @param {string} position Position in the series, or ''.
+ * @return {string} "The Expanse #3", or the name alone.
+ */
+export function formatSeries( name, position ) {
+	if ( ! name || ! position ) {
+		return name || '';
+	}
+
+	return sprintf(
+		/* translators: 1: Series name. 2: Position of the book in the series. */
+		__( '%1$s #%2$s', 'post-kinds-for-indieweb-in-block-themes' ),
+		name,
+		position
+	);
+}
+
+/**
+ * Panel body picking an edition of the card's book.
+ *
+ * When the card has no series yet, the series found with the editions
+ * fills it.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Read card attributes.
+ * @param {Function} props.setAttributes Read card attribute setter.
+ * @return {Element} The panel.
+ */
+export default function EditionPicker( { attributes, setAttributes } ) {
+	const { isbn, bookTitle, seriesName, seriesPosition } = attributes;
+
+	const [ editions, setEditions ] = useState( [] );
+	const [ status, setStatus ] = useState( () =>
+		isCompleteIsbn( isbn ) ? 'loading' : 'idle'
+	);
+	const [ error, setError ] = useState( '' );
+
+	// Picking a listed edition changes the ISBN, but not the book.
+	const query =
+		isCompleteIsbn( isbn ) && ! findEdition( editions, isbn )
+			? normalizeIsbn( isbn )
+			: '';
+
+	// Only a new book should reload; the title and series are read as they
+	// stand.
+	const cardRef = useRef();
+	cardRef.current = { bookTitle, seriesName, seriesPosition, setAttributes };
+
+	useEffect( () => {
+		if ( ! query ) {
+			return;
+		}
+
+		let cancelled = false;
+		setStatus( 'loading' );
+		setError( '' );
+
+		apiFetch( {
+			path: '/pkiw/v1/book-complete',
+			method: 'POST',
+			data: { isbn: query, title: cardRef.current.bookTitle },
+		} )
+			.then( ( book ) => {
+				if ( cancelled ) {
+					return;
+				}
+
+				setEditions( book.editions || [] );
+				setStatus( 'idle' );
+
+				const card = cardRef.current;
+				if (
+					! card.seriesName &&
+					! card.seriesPosition &&
+					book.series
+				) {
+					card.setAttributes( {
+						seriesName: book.series,
+						seriesPosition: book.series_position || '',
+					} );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( ! cancelled ) {
+					setError(
+						err.message ||
+							__(
+								'Loading the editions failed.',
+								'post-kinds-for-indieweb-in-block-themes'
+							)
+					);
+					setStatus( 'error' );
+				}
+			} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ query ] );
+
+	const current = findEdition( editions, isbn );
+
+	return (
+		<PanelBody
+			title={ __( 'Edition', 'post-kinds-for-indieweb-in-block-themes' ) }
+			initialOpen={ false }
+		>
+			{ 'error' === status && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			{ editions.length > 0 && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					label={ __(
+						'Edition you read',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={ current ? current.isbn : '' }
+					options={ [
+						...( current
+							? []
+							: [
+									{
+										value: '',
+										label: __(
+											'Select an edition',
+											'post-kinds-for-indieweb-in-block-themes'
+										),
+									},
+							  ] ),
+						...editions.map( ( edition ) => ( {
+							value: edition.isbn,
+							label: getEditionLabel( edition ),
+						} ) ),
+					] }
+					onChange={ ( value ) => {
+						const edition = findEdition( editions, value );
+						if ( edition ) {
+							setAttributes( editionToAttributes( edition ) );
+						}
+					} }
+				/>
+			) }
+
+			{ 'loading' === status && <Spinner /> }
+
+			{ 'idle' === status && ! editions.length && (
+				<p className="components-base-control__help">
+					{ isCompleteIsbn( isbn )
+						? __(
+								'No other editions were found for this ISBN.',
+								'post-kinds-for-indieweb-in-block-themes'
+						  )
+						: __(
+								'Add an ISBN to list the editions of this book.',
+								'post-kinds-for-indieweb-in-block-themes'
+						  ) }
+				</p>
+			) }
+		</PanelBody>
+	);
+}
@@ -0,0 +1,289 @@
+/**
+ * TV episode picker inspector panel.
+ *
+ * Shown on the watch card once a show is chosen. The show's seasons, and
+ * then a season's episodes, come from `/lookup/video/episodes` (TMDB, or
+ * TVmaze by IMDb ID); picking an episode fills the card's title, air date
+ * and still. The author's earlier watch posts of the same show, from
+ * `/history`, mark the episodes already posted about.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { useState, useEffect } from '@wordpress/element';
+import {
+	PanelBody,
+	SelectControl,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import { lookup } from '../editor/lookup-client';
+
+/**
+ * Format a season and episode as S02E05.
+ *
+ * @param {number} season  Season number, or 0.
+ * @param {number} episode Episode number, or 0.
+ * @return {string} Episode code, empty without either number.
+ */
+export function formatEpisodeCode( season, episode ) {
+	const pad = ( number ) => String( number ).padStart( 2, '0' );
+
+	return (
+		( season ? `S${ pad( season ) }` : '' ) +
+		( episode ? `E${ pad( episode ) }` : '' )
+	);
+}
+
+/**
+ * Map a picked episode onto watch card attributes.
+ *
+ * The episode title becomes the card title; the show's title moves to
+ * `showTitle`.
+ *
+ * @param {Object} episode   Episode from /lookup/video/episodes.
+ * @param {string} showTitle Title of the show.
+ * @param {number} count     Number of episodes in the season.
+ * @return {Object} Attributes.
+ */
+export function episodeToAttributes( episode, showTitle, count ) {
+	const year = parseInt( ( episode.air_date || '' ).slice( 0, 4 ), 10 );
+
+	return {
+		mediaType: 'episode',
+		showTitle,
+		mediaTitle: episode.title,
+		episodeTitle: episode.title,
+		seasonNumber: episode.season,
+		episodeNumber: episode.number,
+		seasonEpisodeCount: count || undefined,
+		airDate: episode.air_date || '',
+		stillImage: episode.still || '',
+		...( year ? { releaseYear: year } : {} ),
+	};
+}
+
+/**
+ * The episodes of a season the author has posted about.
+ *
+ * @param {Array<Object>} entries Entries from /history.
+ * @param {number}        season  Season number.
+ * @return {Array<number>} Episode numbers, ascending, without repeats.
+ */
+export function getWatchedEpisodes( entries, season ) {
+	const numbers = ( entries || [] )
+		.filter( ( entry ) => entry.season === season && entry.episode > 0 )
+		.map( ( entry ) => entry.episode );
+
+	return [ ...new Set( numbers ) ].sort( ( a, b ) => a - b );
+}
+
+/**
+ * Options for the episode select, marking the episodes already posted.
+ *
+ * @param {Array<Object>} episodes Episodes of the season.
+ * @param {Array<number>} watched  Episode numbers already posted.
+ * @return {Array<Object>} SelectControl options.
+ */
+export function getEpisodeOptions( episodes, watched ) {
+	return episodes.map( ( episode ) => ( {
+		value: String( episode.number ),
+		label:
+			`${ episode.number }. ${ episode.title }` +
+			( watched.includes( episode.number ) ? ' ✓' : '' ),
+	} ) );
+}
+
+/**
+ * Panel body picking a season and episode of the card's show.
+ *
+ * @param {Object}        props               Component props.
+ * @param {Object}        props.attributes    Watch card attributes.
+ * @param {Function}      props.setAttributes Watch card attribute setter.
+ * @param {Array<Object>} props.history       Entries from useKindHistory().
+ * @return {Element} The panel.
+ */
+export default function EpisodePicker( {
+	attributes,
+	setAttributes,
+	history,
+} ) {
+	const { tmdbId, imdbId, mediaType, mediaTitle, showTitle, seasonNumber } =
+		attributes;
+
+	const [ seasons, setSeasons ] = useState( [] );
+	const [ episodes, setEpisodes ] = useState( [] );
+	const [ season, setSeason ] = useState( seasonNumber || 0 );
+	const [ status, setStatus ] = useState( 'idle' );
+	const [ error, setError ] = useState( '' );
+
+	const fail = ( err ) => {
+		setError(
+			err.message ||
+				__(
+					'Loading the episode guide failed.',
+					'post-kinds-for-indieweb-in-block-themes'
+				)
+		);
+		setStatus( 'error' );
+	};
+
+	useEffect( () => {
+		setSeasons( [] );
+		setError( '' );
+
+		if ( ! tmdbId && ! imdbId ) {
+			setStatus( 'idle' );
+			return;
+		}
+
+		let cancelled = false;
+		setStatus( 'loading' );
+
+		lookup( 'video/episodes', { tmdb_id: tmdbId, imdb_id: imdbId } )
+			.then( ( guide ) => {
+				if ( ! cancelled ) {
+					setSeasons(
+						( guide.seasons || [] ).filter(
+							( item ) => item.number > 0
+						)
+					);
+					setStatus( 'idle' );
+				}
+			} )
+			.catch( ( err ) => ! cancelled && fail( err ) );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ tmdbId, imdbId ] );
+
+	useEffect( () => {
+		setEpisodes( [] );
+
+		if ( ! season || ( ! tmdbId && ! imdbId ) ) {
+			return;
+		}
+
+		let cancelled = false;
+		setStatus( 'loading' );
+
+		lookup( 'video/episodes', {
+			tmdb_id: tmdbId,
+			imdb_id: imdbId,
+			season,
+		} )
+			.then( ( guide ) => {
+				if ( ! cancelled ) {
+					setEpisodes( guide.episodes || [] );
+					setStatus( 'idle' );
+				}
+			} )
+			.catch( ( err ) => ! cancelled && fail( err ) );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ tmdbId, imdbId, season ] );
+
+	const watched = getWatchedEpisodes( history, season );
+	const count =
+		seasons.find( ( item ) => item.number === season )?.episode_count ||
+		episodes.length;
+
+	const handleEpisodeSelect = ( value ) => {
+		const episode = episodes.find(
+			( item ) => item.number === parseInt( value, 10 )
+		);
+
+		if ( episode ) {
+			setAttributes(
+				episodeToAttributes(
+					episode,
+					// Until an episode is picked the card title is the show's.
+					'episode' === mediaType ? showTitle : mediaTitle,
+					count
+				)
+			);
+		}
+	};
+
+	return (
+		<PanelBody
+			title={ __( 'Episode', 'post-kinds-for-indieweb-in-block-themes' ) }
+			initialOpen={ 'tv' === mediaType }
+		>
+			{ 'error' === status && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			{ seasons.length > 0 && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					label={ __(
+						'Season',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={ String( season ) }
+					options={ [
+						{
+							value: '0',
+							label: __(
+								'Select a season',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+						},
+						...seasons.map( ( item ) => ( {
+							value: String( item.number ),
+							label: item.name,
+						} ) ),
+					] }
+					onChange={ ( value ) => setSeason( parseInt( value, 10 ) ) }
+				/>
+			) }
+
+			{ episodes.length > 0 && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					label={ __(
+						'Episode',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={
+						season === seasonNumber
+							? String( attributes.episodeNumber || 0 )
+							: '0'
+					}
+					options={ [
+						{
+							value: '0',
+							label: __(
+								'Select an episode',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+						},
+						...getEpisodeOptions( episodes, watched ),
+					] }
+					onChange={ handleEpisodeSelect }
+				/>
+			) }
+
+			{ 'loading' === status && <Spinner /> }
+
+			{ watched.length > 0 && (
+				<p className="pkiw-episode-picker__watched">
+					{ sprintf(
+						/* translators: 1: Number of episodes posted about. 2: Number of episodes in the season. */
+						__(
+							'Posted about so far: %1$d of %2$d episodes (✓).',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+						watched.length,
+						count
+					) }
+				</p>
+			) }
+		</PanelBody>
+	);
+}
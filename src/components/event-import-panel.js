@@ -0,0 +1,351 @@
+/**
+ * Event import inspector panel.
+ *
+ * Shown on the RSVP card. "Fetch event" reads an event page or .ics URL
+ * through `/resolve/event`, which takes the event from the page's h-event,
+ * its schema.org Event JSON-LD, or the iCalendar file it links to. An .ics
+ * file can be uploaded instead; it is read in the browser and its text sent
+ * to the same route. The event's details replace the card's, as importing
+ * is asked for; the RSVP itself is left alone.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { useState, useRef } from '@wordpress/element';
+import {
+	PanelBody,
+	TextControl,
+	Button,
+	Flex,
+	FormFileUpload,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * RSVP card attribute each imported field fills.
+ *
+ * @type {Object<string, string>}
+ */
+export const EVENT_FIELD_ATTRIBUTES = {
+	name: 'eventName',
+	start: 'eventStart',
+	end: 'eventEnd',
+	location: 'eventLocation',
+	description: 'eventDescription',
+	image: 'eventImage',
+	url: 'eventUrl',
+};
+
+/**
+ * Map an imported event onto RSVP card attributes.
+ *
+ * The card's own event URL is kept, as it is what the RSVP replies to. An
+ * imported image gets the event name as its alt text when it has none.
+ *
+ * @param {Object} event      Response from /resolve/event.
+ * @param {Object} attributes RSVP card attributes.
+ * @return {Object} Attributes to set.
+ */
+export function eventToAttributes( event, attributes ) {
+	const values = event.values || {};
+	const update = {};
+
+	Object.entries( EVENT_FIELD_ATTRIBUTES ).forEach( ( [ field, name ] ) => {
+		if ( values[ field ] ) {
+			update[ name ] = values[ field ];
+		}
+	} );
+
+	if ( attributes.eventUrl ) {
+		delete update.eventUrl;
+	}
+
+	if ( update.eventImage && ! attributes.eventImageAlt ) {
+		update.eventImageAlt = update.eventName || attributes.eventName || '';
+	}
+
+	return update;
+}
+
+/**
+ * The UTC offset an event time was imported with.
+ *
+ * @param {string} value Date and time, as ISO 8601.
+ * @return {string} Offset such as "+01:00", or '' for a floating time.
+ */
+export function getUtcOffset( value ) {
+	const match = /(Z|[+-]\d{2}:?\d{2})$/i.exec( value || '' );
+
+	if ( ! match ) {
+		return '';
+	}
+
+	return 'Z' === match[ 1 ].toUpperCase()
+		? '+00:00'
+		: match[ 1 ].replace( /^([+-]\d{2})(\d{2})$/, '$1:$2' );
+}
+
+/**
+ * Put an event time in the UTC offset it was imported with.
+ *
+ * The date picker hands back a time without an offset; an event kept in
+ * its own time zone keeps that zone when its time is changed.
+ *
+ * @param {string} value  Date and time, as ISO 8601.
+ * @param {string} offset Offset such as "+01:00", or '' to leave it floating.
+ * @return {string} The wall-clock time, with the offset when one is given.
+ */
+export function withUtcOffset( value, offset ) {
+	const wallClock = ( value || '' ).replace( /(Z|[+-]\d{2}:?\d{2})$/i, '' );
+
+	return offset && wallClock ? wallClock + offset : wallClock;
+}
+
+/**
+ * Read an event time as the wall-clock time it names.
+ *
+ * The offset is dropped rather than converted, so an event at 19:00 in
+ * Berlin reads 19:00 in any browser. A value with no time is a whole day.
+ *
+ * @param {string} value Date and time, as ISO 8601.
+ * @return {{date: Date, allDay: boolean}|null} The wall-clock time in the
+ *         browser's zone, or null when the value is not a date.
+ */
+export function parseEventTime( value ) {
+	const match =
+		/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(
+			value || ''
+		);
+
+	if ( ! match ) {
+		const parsed = value ? new Date( value ) : null;
+
+		return parsed && ! Number.isNaN( parsed.getTime() )
+			? { date: parsed, allDay: false }
+			: null;
+	}
+
+	const [ year, month, day, hour, minute, second ] = match
+		.slice( 1 )
+		.map( ( part ) => Number( part || 0 ) );
+
+	return {
+		date: new Date( year, month - 1, day, hour, minute, second ),
+		allDay: undefined === match[ 4 ],
+	};
+}
+
+/**
+ * Describe an event time for the sidebar, in the event's own time.
+ *
+ * @param {string} value Date and time, as ISO 8601.
+ * @return {string} The date and time, with its UTC offset when it has
+ *                  one, or '' when the value is not a date.
+ */
+export function formatEventTime( value ) {
+	const time = parseEventTime( value );
+
+	if ( ! time ) {
+		return '';
+	}
+
+	if ( time.allDay ) {
+		return time.date.toLocaleDateString();
+	}
+
+	const offset = getUtcOffset( value );
+
+	return offset
+		? `${ time.date.toLocaleString() } (UTC${ offset })`
+		: time.date.toLocaleString();
+}
+
+/**
+ * Whether a chosen file looks like an iCalendar file.
+ *
+ * @param {File} file The file.
+ * @return {boolean} True for an .ics name or a text/calendar type.
+ */
+export function isCalendarFile( file ) {
+	return (
+		!! file &&
+		( 'text/calendar' === file.type || /\.ics$/i.test( file.name || '' ) )
+	);
+}
+
+/**
+ * Label for an event source.
+ *
+ * @param {string} source Source ID.
+ * @return {string} Label.
+ */
+function sourceLabel( source ) {
+	switch ( source ) {
+		case 'mf2':
+			return __( 'h-event', 'post-kinds-for-indieweb-in-block-themes' );
+		case 'json-ld':
+			return __(
+				'schema.org JSON-LD',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		default:
+			return __( 'iCalendar', 'post-kinds-for-indieweb-in-block-themes' );
+	}
+}
+
+/**
+ * Panel body importing the event an RSVP answers.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    RSVP card attributes.
+ * @param {Function} props.setAttributes RSVP card attribute setter.
+ * @return {Element} The panel.
+ */
+export default function EventImportPanel( { attributes, setAttributes } ) {
+	const [ url, setUrl ] = useState( null );
+	const [ status, setStatus ] = useState( 'idle' );
+	const [ result, setResult ] = useState( null );
+	const [ error, setError ] = useState( '' );
+
+	// The import resolves after the card may have changed; read it fresh.
+	const attributesRef = useRef( attributes );
+	attributesRef.current = attributes;
+
+	const importUrl = url ?? ( attributes.eventUrl || '' );
+
+	const importEvent = ( data ) => {
+		setStatus( 'loading' );
+		setError( '' );
+		setResult( null );
+
+		return apiFetch( {
+			path: '/post-kinds-indieweb/v1/resolve/event',
+			method: 'POST',
+			data,
+		} )
+			.then( ( response ) => {
+				if ( response.found ) {
+					setAttributes(
+						eventToAttributes( response, attributesRef.current )
+					);
+				}
+
+				setResult( response );
+				setStatus( 'done' );
+			} )
+			.catch( ( err ) => {
+				setError(
+					err.message ||
+						__(
+							'Importing the event failed.',
+							'post-kinds-for-indieweb-in-block-themes'
+						)
+				);
+				setStatus( 'error' );
+			} );
+	};
+
+	const handleUpload = ( event ) => {
+		const file = event.target.files?.[ 0 ];
+
+		if ( ! isCalendarFile( file ) ) {
+			setError(
+				__(
+					'Choose an iCalendar (.ics) file.',
+					'post-kinds-for-indieweb-in-block-themes'
+				)
+			);
+			setStatus( 'error' );
+			return;
+		}
+
+		file.text().then( ( ics ) => importEvent( { ics } ) );
+	};
+
+	const offset = result?.found ? getUtcOffset( result.values.start ) : '';
+
+	return (
+		<PanelBody
+			title={ __(
+				'Import event',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+			initialOpen={ ! attributes.eventName }
+		>
+			<TextControl
+				__nextHasNoMarginBottom
+				type="url"
+				label={ __(
+					'Event page or .ics URL',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+				value={ importUrl }
+				onChange={ setUrl }
+				placeholder="https://..."
+			/>
+
+			<Flex justify="flex-start">
+				<Button
+					variant="secondary"
+					onClick={ () => importEvent( { url: importUrl } ) }
+					disabled={ ! importUrl || 'loading' === status }
+				>
+					{ __(
+						'Fetch event',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+				<FormFileUpload
+					variant="tertiary"
+					accept=".ics,text/calendar"
+					onChange={ handleUpload }
+					disabled={ 'loading' === status }
+				>
+					{ __(
+						'Upload .ics file',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</FormFileUpload>
+				{ 'loading' === status && <Spinner /> }
+			</Flex>
+
+			{ 'error' === status && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			{ 'done' === status && ! result.found && (
+				<Notice status="warning" isDismissible={ false }>
+					{ __(
+						'No event was found there.',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Notice>
+			) }
+
+			{ 'done' === status && result.found && (
+				<p className="components-base-control__help">
+					{ sprintf(
+						/* translators: %s: Where the event was read from, e.g. "h-event". */
+						__(
+							'Event details imported from %s.',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+						sourceLabel( result.source )
+					) }{ ' ' }
+					{ offset &&
+						sprintf(
+							/* translators: %s: UTC offset, e.g. "+01:00". */
+							__(
+								"Times are kept in the event's own time zone (UTC%s).",
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							offset
+						) }
+				</p>
+			) }
+		</PanelBody>
+	);
+}
@@ -0,0 +1,148 @@
+/**
+ * Kind history: the author's earlier posts of the same title.
+ *
+ * Cards look their title up by the external IDs they store — TMDB and
+ * IMDb IDs for a watch, a MusicBrainz ID for a listen, an ISBN for a read,
+ * a BoardGameGeek ID for a play — through `/history`, which lists the
+ * current user's published posts of that kind dated before this one.
+ */
+
+import { __ } from '@wordpress/i18n';
+import { useState, useEffect } from '@wordpress/element';
+import { useSelect } from '@wordpress/data';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Card attribute holding each external ID, by kind and `/history` param.
+ *
+ * @type {Object<string, Object<string, string>>}
+ */
+export const HISTORY_ID_ATTRIBUTES = {
+	watch: { tmdb_id: 'tmdbId', imdb_id: 'imdbId' },
+	listen: { mbid: 'musicbrainzId' },
+	read: { isbn: 'isbn' },
+	play: { bgg_id: 'bggId' },
+};
+
+/**
+ * Build the `/history` query for a card.
+ *
+ * @param {string} kind       Kind slug.
+ * @param {Object} attributes Card attributes.
+ * @return {Object|null} Query params, or null when the card has no IDs.
+ */
+export function getHistoryQuery( kind, attributes ) {
+	const ids = Object.entries( HISTORY_ID_ATTRIBUTES[ kind ] || {} )
+		.map( ( [ param, attribute ] ) => [
+			param,
+			String( attributes[ attribute ] || '' ).trim(),
+		] )
+		.filter( ( [ , value ] ) => value );
+
+	return ids.length ? { kind, ...Object.fromEntries( ids ) } : null;
+}
+
+/**
+ * The history entries that make a watch a rewatch.
+ *
+ * A show's entries share its IDs across episodes, so an episode only
+ * counts as rewatched when the same season and episode was posted.
+ *
+ * @param {Array<Object>} entries    Entries from /history.
+ * @param {Object}        attributes Watch card attributes.
+ * @return {Array<Object>} Entries of the same film, show or episode.
+ */
+export function getRewatchEntries( entries, attributes ) {
+	if ( 'episode' !== attributes.mediaType ) {
+		return entries || [];
+	}
+
+	return ( entries || [] ).filter(
+		( entry ) =>
+			entry.season === attributes.seasonNumber &&
+			entry.episode === attributes.episodeNumber
+	);
+}
+
+/**
+ * Load the author's earlier posts of a card's title.
+ *
+ * @param {string} kind       Kind slug.
+ * @param {Object} attributes Card attributes.
+ * @return {Array<Object>|null} Entries, oldest first; null until loaded.
+ */
+export function useKindHistory( kind, attributes ) {
+	const [ loaded, setLoaded ] = useState( { path: '', entries: [] } );
+	const postId = useSelect(
+		( select ) => select( 'core/editor' ).getCurrentPostId(),
+		[]
+	);
+
+	const query = getHistoryQuery( kind, attributes );
+	const path = query
+		? '/post-kinds-indieweb/v1/history?' +
+		  new URLSearchParams( { ...query, post_id: postId || 0 } ).toString()
+		: '';
+
+	useEffect( () => {
+		if ( ! path ) {
+			return;
+		}
+
+		let cancelled = false;
+
+		apiFetch( { path } )
+			.then( ( response ) => {
+				if ( ! cancelled ) {
+					setLoaded( { path, entries: response.entries || [] } );
+				}
+			} )
+			.catch( () => {} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ path ] );
+
+	if ( ! path ) {
+		return [];
+	}
+
+	return loaded.path === path ? loaded.entries : null;
+}
+
+/**
+ * List of earlier posts, each linked by its date.
+ *
+ * @param {Object}        props         Component props.
+ * @param {Array<Object>} props.entries Entries from /history.
+ * @param {string}        props.label   Text before the list.
+ * @return {Element|null} The list, or nothing without entries.
+ */
+export default function KindHistoryList( { entries, label } ) {
+	if ( ! entries?.length ) {
+		return null;
+	}
+
+	return (
+		<div className="pkiw-kind-history">
+			<p>{ label }</p>
+			<ul>
+				{ entries.map( ( entry ) => (
+					<li key={ entry.post_id }>
+						<a href={ entry.link } target="_blank" rel="noreferrer">
+							{ new Date( entry.date ).toLocaleDateString() }
+						</a>
+						{ entry.title && ` — ${ entry.title }` }
+					</li>
+				) ) }
+			</ul>
+			<p className="pkiw-kind-history__note">
+				{ __(
+					'Only your published posts dated before this one are listed.',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</p>
+		</div>
+	);
+}
@@ -0,0 +1,151 @@
+/**
+ * Reading progress controls.
+ *
+ * "Add progress update" records a reading session — the date, the page
+ * reached and a note — and the timeline lists a read post's sessions, each
+ * with a ProgressBar of how far into the book it got. Used by the read
+ * card and the Read panel; the session helpers are in
+ * editor/reading-sessions.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import { TextControl, Button, Flex } from '@wordpress/components';
+import { ProgressBar } from '../blocks/shared/components';
+import { getToday, getPagePercent } from '../editor/reading-sessions';
+
+/**
+ * Show a session date in the browser's locale.
+ *
+ * @param {string} date Date as YYYY-MM-DD.
+ * @return {string} Display date.
+ */
+function formatSessionDate( date ) {
+	// A bare YYYY-MM-DD parses as UTC midnight, the day before west of it.
+	return new Date( `${ date }T00:00:00` ).toLocaleDateString();
+}
+
+/**
+ * Form adding a reading session.
+ *
+ * @param {Object}   props             Component props.
+ * @param {number}   props.pageCount   Pages in the book, or 0.
+ * @param {number}   props.currentPage Page reached so far.
+ * @param {Function} props.onAdd       Called with `{ date, page, note }`.
+ * @return {Element} The form.
+ */
+export function ReadingProgressUpdate( { pageCount, currentPage, onAdd } ) {
+	const [ page, setPage ] = useState( '' );
+	const [ date, setDate ] = useState( getToday );
+	const [ note, setNote ] = useState( '' );
+
+	const pageNumber = parseInt( page, 10 );
+	const isValid =
+		pageNumber >= 0 && ( ! pageCount || pageNumber <= pageCount ) && date;
+
+	const add = () => {
+		onAdd( { date, page: pageNumber, note } );
+		setPage( '' );
+		setNote( '' );
+	};
+
+	return (
+		<div className="pkiw-reading-progress-update">
+			<Flex align="flex-start">
+				<TextControl
+					__nextHasNoMarginBottom
+					type="number"
+					min={ 0 }
+					max={ pageCount || undefined }
+					label={ __(
+						'Page reached',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					placeholder={ currentPage ? String( currentPage ) : '' }
+					value={ page }
+					onChange={ setPage }
+				/>
+				<TextControl
+					__nextHasNoMarginBottom
+					type="date"
+					label={ __(
+						'Date',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={ date }
+					onChange={ setDate }
+				/>
+			</Flex>
+			<TextControl
+				__nextHasNoMarginBottom
+				label={ __(
+					'Note',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+				value={ note }
+				onChange={ setNote }
+			/>
+			<Button variant="secondary" onClick={ add } disabled={ ! isValid }>
+				{ __(
+					'Add progress update',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</Button>
+		</div>
+	);
+}
+
+/**
+ * Timeline of a read post's sessions.
+ *
+ * @param {Object}        props            Component props.
+ * @param {Array<Object>} props.sessions   Sessions, oldest first.
+ * @param {number}        props.pageCount  Pages in the book, or 0.
+ * @param {Function}      [props.onRemove] Called with a session's index to
+ *                                         remove it; omit for a read-only list.
+ * @return {Element|null} The timeline, or nothing without sessions.
+ */
+export function ReadingTimeline( { sessions, pageCount, onRemove } ) {
+	if ( ! sessions?.length ) {
+		return null;
+	}
+
+	return (
+		<ol className="pkiw-reading-timeline">
+			{ sessions.map( ( session, index ) => (
+				<li key={ `${ session.date }-${ index }` }>
+					<ProgressBar
+						value={ getPagePercent( session.page, pageCount ) }
+						showPercent={ !! pageCount }
+						label={ sprintf(
+							/* translators: 1: Session date. 2: Page reached. */
+							__(
+								'%1$s: page %2$d',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							formatSessionDate( session.date ),
+							session.page
+						) }
+					/>
+					{ session.note && (
+						<p className="pkiw-reading-timeline__note">
+							{ session.note }
+						</p>
+					) }
+					{ onRemove && (
+						<Button
+							variant="link"
+							isDestructive
+							onClick={ () => onRemove( index ) }
+						>
+							{ __(
+								'Remove',
+								'post-kinds-for-indieweb-in-block-themes'
+							) }
+						</Button>
+					) }
+				</li>
+			) ) }
+		</ol>
+	);
+}
@@ -0,0 +1,254 @@
+/**
+ * Reply context inspector panel.
+ *
+ * Shown on the cite cards. "Fetch context" reads the cited page through
+ * `/resolve/context`, which takes each value from the page's h-entry, then
+ * its OpenGraph tags, then its oEmbed response. Fields the card left empty
+ * are filled straight away; a field the user already wrote is only
+ * replaced on request. Every value is listed with the source it came from.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { PanelBody, Button, Notice, Spinner } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { diffRecord, fieldLabel, isLookupUrl } from './standard-site-panel';
+
+/**
+ * Map a fetched context onto cite card attributes.
+ *
+ * @param {Object} context       Response from /resolve/context.
+ * @param {string} dateAttribute The card's timestamp attribute, if any.
+ * @return {Object} Attributes the context has values for.
+ */
+export function contextToAttributes( context, dateAttribute ) {
+	const { published, ...values } = context.values || {};
+
+	if ( dateAttribute && published ) {
+		values[ dateAttribute ] = published;
+	}
+
+	return Object.fromEntries(
+		Object.entries( values ).filter( ( [ , value ] ) => !! value )
+	);
+}
+
+/**
+ * Map the context's sources onto cite card attributes.
+ *
+ * @param {Object} context       Response from /resolve/context.
+ * @param {string} dateAttribute The card's timestamp attribute, if any.
+ * @return {Object<string, string>} Attribute => 'mf2', 'opengraph' or 'oembed'.
+ */
+export function contextSources( context, dateAttribute ) {
+	const { published, ...sources } = context.sources || {};
+
+	if ( dateAttribute && published ) {
+		sources[ dateAttribute ] = published;
+	}
+
+	return sources;
+}
+
+/**
+ * Label for a context source.
+ *
+ * @param {string} source Source ID.
+ * @return {string} Label.
+ */
+function sourceLabel( source ) {
+	switch ( source ) {
+		case 'mf2':
+			return __(
+				'microformats',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		case 'opengraph':
+			return __( 'OpenGraph', 'post-kinds-for-indieweb-in-block-themes' );
+		default:
+			return __( 'oEmbed', 'post-kinds-for-indieweb-in-block-themes' );
+	}
+}
+
+/**
+ * Panel body fetching the context of the cited URL into the card.
+ *
+ * @param {Object}   props                 Component props.
+ * @param {string}   props.url             The cited URL, or empty.
+ * @param {Object}   props.attributes      Host card attributes.
+ * @param {Function} props.setAttributes   Host card attribute setter.
+ * @param {string}   [props.dateAttribute] The card's timestamp attribute,
+ *                                         which takes the published date.
+ * @return {Element} The panel.
+ */
+export default function ReplyContextPanel( {
+	url,
+	attributes,
+	setAttributes,
+	dateAttribute,
+} ) {
+	const [ status, setStatus ] = useState( 'idle' );
+	const [ result, setResult ] = useState( null );
+	const [ error, setError ] = useState( '' );
+
+	// The fetch resolves after the card may have changed; read it fresh.
+	const attributesRef = useRef( attributes );
+	attributesRef.current = attributes;
+
+	// A fetch for a URL the card no longer cites is dropped when it lands.
+	const urlRef = useRef( url );
+	urlRef.current = url;
+
+	// A new URL invalidates whatever was fetched for the previous one.
+	useEffect( () => {
+		setStatus( 'idle' );
+		setResult( null );
+		setError( '' );
+	}, [ url ] );
+
+	const fetchContext = () => {
+		const requested = url;
+
+		setStatus( 'loading' );
+		setError( '' );
+
+		return apiFetch( {
+			path:
+				'/post-kinds-indieweb/v1/resolve/context?url=' +
+				encodeURIComponent( url ),
+		} )
+			.then( ( response ) => {
+				if ( requested !== urlRef.current ) {
+					return;
+				}
+
+				const fills = diffRecord(
+					contextToAttributes( response, dateAttribute ),
+					attributesRef.current
+				).filter( ( change ) => ! change.current );
+
+				if ( fills.length > 0 ) {
+					setAttributes(
+						Object.fromEntries(
+							fills.map( ( change ) => [
+								change.attribute,
+								change.proposed,
+							] )
+						)
+					);
+				}
+
+				setResult( response );
+				setStatus( 'done' );
+			} )
+			.catch( ( err ) => {
+				if ( requested !== urlRef.current ) {
+					return;
+				}
+
+				setError(
+					err.message ||
+						__(
+							'Fetching the context failed.',
+							'post-kinds-for-indieweb-in-block-themes'
+						)
+				);
+				setStatus( 'error' );
+			} );
+	};
+
+	const values = result ? contextToAttributes( result, dateAttribute ) : {};
+	const sources = result ? contextSources( result, dateAttribute ) : {};
+
+	return (
+		<PanelBody
+			title={ __(
+				'Reply context',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+			initialOpen={ false }
+		>
+			<p>
+				{ __(
+					'Fill the card from the cited page: its microformats first, then its OpenGraph tags, then oEmbed.',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</p>
+			<Button
+				variant="secondary"
+				onClick={ fetchContext }
+				disabled={ ! isLookupUrl( url ) || 'loading' === status }
+			>
+				{ __(
+					'Fetch context',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</Button>
+
+			{ 'loading' === status && (
+				<p>
+					<Spinner />{ ' ' }
+					{ __(
+						'Fetching…',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</p>
+			) }
+
+			{ 'error' === status && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			{ 'done' === status && ! result?.found && (
+				<p>
+					{ __(
+						'The page has no microformats, OpenGraph tags or oEmbed data to use.',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</p>
+			) }
+
+			{ 'done' === status && result?.found && (
+				<ul className="pkiw-reply-context">
+					{ Object.entries( values ).map(
+						( [ attribute, value ] ) => (
+							<li key={ attribute }>
+								<strong>{ fieldLabel( attribute ) }</strong>{ ' ' }
+								{ sprintf(
+									/* translators: %s: source, e.g. microformats or OpenGraph. */
+									__(
+										'(from %s)',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									sourceLabel( sources[ attribute ] )
+								) }
+								<br />
+								{ value }
+								{ value !== attributes[ attribute ] && (
+									<>
+										<br />
+										<Button
+											variant="link"
+											onClick={ () =>
+												setAttributes( {
+													[ attribute ]: value,
+												} )
+											}
+										>
+											{ __(
+												'Replace the card value',
+												'post-kinds-for-indieweb-in-block-themes'
+											) }
+										</Button>
+									</>
+								) }
+							</li>
+						)
+					) }
+				</ul>
+			) }
+		</PanelBody>
+	);
+}
@@ -5,59 +5,215 @@
  * page publishes a standard.site document record and, if so, shows the
  * author's own metadata.
  *
+ * On a card that passes its attributes, a found record can be applied to
+ * the card: the record's title, author handle, published date and
+ * description are diffed against the card and the user picks which fields
+ * to overwrite.
+ *
  * Most of the web is not on AT Protocol, so this stays quiet by default: it
  * renders a single button until asked, and says so plainly when there is
- * nothing there. It never fetches on its own.
+ * nothing there. It never fetches on its own unless the site turns on
+ * "Apply standard.site records", and then only fills fields the card left
+ * empty, from verified records.
  */
 
 import { __, sprintf } from '@wordpress/i18n';
-import { useState, useEffect } from '@wordpress/element';
+import { useState, useEffect, useRef } from '@wordpress/element';
 import {
 	PanelBody,
 	Button,
+	CheckboxControl,
 	Notice,
 	ExternalLink,
 	Spinner,
 } from '@wordpress/components';
 import apiFetch from '@wordpress/api-fetch';
 
+/**
+ * How long the cited URL must stay unchanged before an automatic lookup,
+ * so typing a URL does not look up every prefix of it.
+ *
+ * @type {number}
+ */
+const AUTO_APPLY_DELAY = 1000;
+
+/**
+ * Map a resolved record onto cite card attributes.
+ *
+ * @param {Object} result        Response from /resolve/standard-site.
+ * @param {string} dateAttribute The card's timestamp attribute, if any.
+ * @return {Object} Attributes the record has values for.
+ */
+export function recordToAttributes( result, dateAttribute ) {
+	const values = {
+		title: result.title,
+		author: result.handle,
+		description: result.description,
+	};
+
+	if ( dateAttribute ) {
+		values[ dateAttribute ] = result.publishedAt;
+	}
+
+	return Object.fromEntries(
+		Object.entries( values ).filter( ( [ , value ] ) => !! value )
+	);
+}
+
+/**
+ * List the record's values that differ from the card's.
+ *
+ * @param {Object} proposed   Attributes from recordToAttributes().
+ * @param {Object} attributes Current card attributes.
+ * @return {Array<{attribute: string, current: string, proposed: string}>}
+ *         One entry per field the record would change.
+ */
+export function diffRecord( proposed, attributes ) {
+	return Object.entries( proposed )
+		.filter( ( [ attribute, value ] ) => value !== attributes[ attribute ] )
+		.map( ( [ attribute, value ] ) => ( {
+			attribute,
+			current: attributes[ attribute ] || '',
+			proposed: value,
+		} ) );
+}
+
+/**
+ * Whether a string is a complete http(s) URL worth looking up.
+ *
+ * @param {string} url Candidate URL.
+ * @return {boolean} True for an absolute http(s) URL with a host.
+ */
+export function isLookupUrl( url ) {
+	try {
+		const parsed = new window.URL( url );
+		return (
+			[ 'http:', 'https:' ].includes( parsed.protocol ) &&
+			parsed.hostname.includes( '.' )
+		);
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Label for a card attribute in the diff.
+ *
+ * @param {string} attribute Attribute name.
+ * @return {string} Label.
+ */
+export function fieldLabel( attribute ) {
+	switch ( attribute ) {
+		case 'title':
+			return __( 'Title', 'post-kinds-for-indieweb-in-block-themes' );
+		case 'author':
+			return __( 'Author', 'post-kinds-for-indieweb-in-block-themes' );
+		case 'description':
+			return __(
+				'Description',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		case 'image':
+			return __( 'Image', 'post-kinds-for-indieweb-in-block-themes' );
+		default:
+			return __( 'Published', 'post-kinds-for-indieweb-in-block-themes' );
+	}
+}
+
 /**
  * Panel body showing the standard.site record behind a cited URL.
  *
- * @param {Object} props     Component props.
- * @param {string} props.url The cited URL, or empty.
+ * @param {Object}   props                 Component props.
+ * @param {string}   props.url             The cited URL, or empty.
+ * @param {Object}   [props.attributes]    Host card attributes. With
+ *                                         setAttributes, enables applying
+ *                                         the record to the card.
+ * @param {Function} [props.setAttributes] Host card attribute setter.
+ * @param {string}   [props.dateAttribute] The card's timestamp attribute,
+ *                                         which takes the published date.
  * @return {Element|null} The panel, or null when there is no URL to check.
  */
-export default function StandardSitePanel( { url } ) {
+export default function StandardSitePanel( {
+	url,
+	attributes,
+	setAttributes,
+	dateAttribute,
+} ) {
 	const [ status, setStatus ] = useState( 'idle' );
 	const [ result, setResult ] = useState( null );
 	const [ error, setError ] = useState( '' );
+	const [ picked, setPicked ] = useState( {} );
 
-	// A new URL invalidates whatever was found for the previous one.
-	useEffect( () => {
-		setStatus( 'idle' );
-		setResult( null );
-		setError( '' );
-	}, [ url ] );
+	const canApply = !! attributes && !! setAttributes;
 
-	if ( ! url ) {
-		return null;
-	}
+	// The lookup resolves after the card may have changed; read it fresh.
+	const attributesRef = useRef( attributes );
+	attributesRef.current = attributes;
+
+	// A lookup for a URL the card no longer cites is dropped when it lands.
+	const urlRef = useRef( url );
+	urlRef.current = url;
+
+	const check = ( { auto = false } = {} ) => {
+		const requested = url;
 
-	const check = () => {
 		setStatus( 'loading' );
 		setError( '' );
 
-		apiFetch( {
+		return apiFetch( {
 			path:
 				'/post-kinds-indieweb/v1/resolve/standard-site?url=' +
 				encodeURIComponent( url ),
 		} )
 			.then( ( response ) => {
+				if ( requested !== urlRef.current ) {
+					return;
+				}
+
+				const changes =
+					canApply && response.found
+						? diffRecord(
+								recordToAttributes( response, dateAttribute ),
+								attributesRef.current
+						  )
+						: [];
+
+				// Automatic runs fill what the card left empty, and only
+				// from records that point back at the page.
+				if ( auto && response.verified ) {
+					const fills = changes.filter(
+						( change ) => ! change.current
+					);
+					if ( fills.length > 0 ) {
+						setAttributes(
+							Object.fromEntries(
+								fills.map( ( change ) => [
+									change.attribute,
+									change.proposed,
+								] )
+							)
+						);
+					}
+				}
+
+				// Pre-pick fields that would fill a gap; overwriting what
+				// the user wrote is opt-in per field.
+				setPicked(
+					Object.fromEntries(
+						changes.map( ( change ) => [
+							change.attribute,
+							! change.current,
+						] )
+					)
+				);
 				setResult( response );
 				setStatus( 'done' );
 			} )
 			.catch( ( err ) => {
+				if ( requested !== urlRef.current ) {
+					return;
+				}
+
 				setError(
 					err.message ||
 						__(
@@ -69,6 +225,55 @@ export default function StandardSitePanel( { url } ) {
 			} );
 	};
 
+	// The automatic lookup calls the latest check without re-arming on it.
+	const checkRef = useRef( check );
+	checkRef.current = check;
+
+	// A new URL invalidates whatever was found for the previous one, and
+	// is looked up on its own when the site opted in.
+	useEffect( () => {
+		setStatus( 'idle' );
+		setResult( null );
+		setError( '' );
+		setPicked( {} );
+
+		if (
+			! canApply ||
+			! window.pkiwAdminEditor?.standardSiteAutoApply ||
+			! isLookupUrl( url )
+		) {
+			return;
+		}
+
+		const timer = setTimeout(
+			() => checkRef.current( { auto: true } ),
+			AUTO_APPLY_DELAY
+		);
+		return () => clearTimeout( timer );
+	}, [ url, canApply ] );
+
+	if ( ! url ) {
+		return null;
+	}
+
+	const changes =
+		canApply && result?.found
+			? diffRecord(
+					recordToAttributes( result, dateAttribute ),
+					attributes
+			  )
+			: [];
+
+	const apply = () => {
+		const updates = {};
+		changes.forEach( ( change ) => {
+			if ( picked[ change.attribute ] ) {
+				updates[ change.attribute ] = change.proposed;
+			}
+		} );
+		setAttributes( updates );
+	};
+
 	return (
 		<PanelBody
 			title={ __(
@@ -85,7 +290,7 @@ export default function StandardSitePanel( { url } ) {
 							'post-kinds-for-indieweb-in-block-themes'
 						) }
 					</p>
-					<Button variant="secondary" onClick={ check }>
+					<Button variant="secondary" onClick={ () => check() }>
 						{ __(
 							'Check this URL',
 							'post-kinds-for-indieweb-in-block-themes'
@@ -165,6 +370,60 @@ export default function StandardSitePanel( { url } ) {
 							) }
 						</ExternalLink>
 					</p>
+
+					{ canApply && changes.length === 0 && (
+						<p>
+							{ __(
+								'The card already matches this record.',
+								'post-kinds-for-indieweb-in-block-themes'
+							) }
+						</p>
+					) }
+
+					{ canApply && changes.length > 0 && (
+						<>
+							{ changes.map( ( change ) => (
+								<CheckboxControl
+									key={ change.attribute }
+									label={ fieldLabel( change.attribute ) }
+									help={
+										change.current
+											? sprintf(
+													/* translators: 1: value on the card, 2: value in the record. */
+													__(
+														'“%1$s” → “%2$s”',
+														'post-kinds-for-indieweb-in-block-themes'
+													),
+													change.current,
+													change.proposed
+											  )
+											: change.proposed
+									}
+									checked={ !! picked[ change.attribute ] }
+									onChange={ ( value ) =>
+										setPicked( {
+											...picked,
+											[ change.attribute ]: value,
+										} )
+									}
+								/>
+							) ) }
+							<Button
+								variant="primary"
+								onClick={ apply }
+								disabled={
+									! changes.some(
+										( change ) => picked[ change.attribute ]
+									)
+								}
+							>
+								{ __(
+									'Apply to card',
+									'post-kinds-for-indieweb-in-block-themes'
+								) }
+							</Button>
+						</>
+					) }
 				</>
 			) }
 		</PanelBody>
@@ -0,0 +1,269 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Integration Events
+ *
+ * Window events other plugins use to follow and drive the post kind without
+ * importing anything from this one (Post Formats for Block Themes maps its
+ * formats onto kinds this way). Every event carries its payload in
+ * `event.detail`.
+ *
+ * Outbound, dispatched by the post-kinds store:
+ *
+ *     post-kinds-indieweb-kind-changed   { kind, previousKind }
+ *     post-kinds-indieweb-meta-changed   { meta }   (keys without `_pkiw_`)
+ *     post-kinds-indieweb-card-inserted  { kind, blockName, clientId, secondary }
+ *     post-kinds-indieweb-error          { code, message, event, detail }
+ *
+ * Inbound, handled here:
+ *
+ *     post-kinds-indieweb-set-kind       { kind }
+ *     post-kinds-indieweb-set-meta       { meta }
+ *     post-kinds-indieweb-insert-card    { kind, attributes, secondary }
+ *
+ * Inbound payloads are checked before anything is written: a kind must be
+ * a term in the `kind` taxonomy and a meta key must be registered. A
+ * request that fails the check gets an error event back naming the request
+ * and why, instead of being dropped silently.
+ *
+ *     window.addEventListener( 'post-kinds-indieweb-kind-changed', ( e ) =>
+ *         console.log( e.detail.kind )
+ *     );
+ *     window.dispatchEvent( new CustomEvent( 'post-kinds-indieweb-set-meta', {
+ *         detail: { meta: { listen_track: 'Gold Soundz' } },
+ *     } ) );
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { dispatch, select, subscribe } from '@wordpress/data';
+
+/**
+ * Event names.
+ *
+ * @type {Object<string, string>}
+ */
+export const EVENTS = {
+	KIND_CHANGED: 'post-kinds-indieweb-kind-changed',
+	META_CHANGED: 'post-kinds-indieweb-meta-changed',
+	CARD_INSERTED: 'post-kinds-indieweb-card-inserted',
+	ERROR: 'post-kinds-indieweb-error',
+	SET_KIND: 'post-kinds-indieweb-set-kind',
+	SET_META: 'post-kinds-indieweb-set-meta',
+	INSERT_CARD: 'post-kinds-indieweb-insert-card',
+};
+
+/**
+ * Set-kind event name from before the plugin rename, still sent by older
+ * versions of Post Formats for Block Themes.
+ *
+ * @type {string}
+ */
+const LEGACY_SET_KIND = 'reactions-indieweb-set-kind';
+
+/**
+ * Post kinds store name. Repeated here rather than imported so the store
+ * can import this module.
+ *
+ * @type {string}
+ */
+const STORE_NAME = 'post-kinds-indieweb/post-kinds';
+
+/**
+ * Dispatch an integration event on the window.
+ *
+ * @param {string} name   Event name (see EVENTS).
+ * @param {Object} detail Event payload.
+ */
+export function emitEvent( name, detail ) {
+	if ( typeof window === 'undefined' || ! window.dispatchEvent ) {
+		return;
+	}
+
+	window.dispatchEvent( new window.CustomEvent( name, { detail } ) );
+}
+
+/**
+ * Answer an inbound request with an error event.
+ *
+ * @param {string} event   Name of the event that failed.
+ * @param {string} code    Machine-readable reason.
+ * @param {string} message Human-readable reason.
+ * @param {Object} detail  The request's payload.
+ */
+function emitError( event, code, message, detail ) {
+	emitEvent( EVENTS.ERROR, { code, message, event, detail } );
+}
+
+/**
+ * Wait until the store has loaded the kind terms.
+ *
+ * Events can arrive before the Post Kind panel has initialized the store;
+ * validating against an empty term list would reject every kind.
+ *
+ * @return {Promise<Array<Object>>} Kind terms.
+ */
+function whenKindsLoaded() {
+	const store = () => select( STORE_NAME );
+
+	return new Promise( ( resolve ) => {
+		if ( store().isInitialized() ) {
+			resolve( store().getAvailableKinds() );
+			return;
+		}
+
+		const unsubscribe = subscribe( () => {
+			if ( store().isInitialized() ) {
+				unsubscribe();
+				resolve( store().getAvailableKinds() );
+			}
+		}, STORE_NAME );
+	} );
+}
+
+/**
+ * Check an inbound kind against the kind terms.
+ *
+ * @param {string} event  Name of the inbound event.
+ * @param {Object} detail The request's payload.
+ * @return {Promise<boolean>} Whether the kind is known. An error event has
+ *                            been emitted when it isn't.
+ */
+async function validateKind( event, detail ) {
+	const { kind } = detail;
+
+	if ( typeof kind !== 'string' || ! kind ) {
+		emitError(
+			event,
+			'invalid_payload',
+			'The event detail needs a `kind` slug.',
+			detail
+		);
+		return false;
+	}
+
+	const kinds = await whenKindsLoaded();
+	if ( ! kinds.some( ( term ) => term.slug === kind ) ) {
+		emitError(
+			event,
+			'unknown_kind',
+			`"${ kind }" is not a post kind. Known kinds: ${ kinds
+				.map( ( term ) => term.slug )
+				.join( ', ' ) }.`,
+			detail
+		);
+		return false;
+	}
+
+	return true;
+}
+
+/**
+ * Handle a set-kind request.
+ *
+ * @param {CustomEvent<{kind: string}>} event Inbound event.
+ */
+export async function handleSetKind( event ) {
+	const detail = event.detail || {};
+
+	if ( await validateKind( event.type, detail ) ) {
+		await dispatch( STORE_NAME ).updatePostKind( detail.kind );
+	}
+}
+
+/**
+ * Handle a set-meta request.
+ *
+ * Keys may be given with or without the `_pkiw_` prefix. Registered keys
+ * are written in one edit; any others are reported in one error event.
+ *
+ * @param {CustomEvent<{meta: Object}>} event Inbound event.
+ */
+export async function handleSetMeta( event ) {
+	const detail = event.detail || {};
+	const { meta } = detail;
+
+	if ( ! meta || typeof meta !== 'object' || Array.isArray( meta ) ) {
+		emitError(
+			event.type,
+			'invalid_payload',
+			'The event detail needs a `meta` object.',
+			detail
+		);
+		return;
+	}
+
+	const types = window.pkiwAdminEditor?.metaFieldTypes || {};
+	const values = {};
+	const unknown = [];
+
+	Object.entries( meta ).forEach( ( [ key, value ] ) => {
+		const field = key.replace( /^_pkiw_/, '' );
+		if ( types[ field ] ) {
+			values[ field ] = value;
+		} else {
+			unknown.push( key );
+		}
+	} );
+
+	if ( unknown.length > 0 ) {
+		emitError(
+			event.type,
+			'unknown_meta_key',
+			`Not registered kind meta: ${ unknown.join( ', ' ) }.`,
+			detail
+		);
+	}
+
+	if ( Object.keys( values ).length > 0 ) {
+		await dispatch( STORE_NAME ).updateKindMetaBatch( values );
+	}
+}
+
+/**
+ * Handle an insert-card request.
+ *
+ * @param {CustomEvent<{kind: string, attributes: Object, secondary: boolean}>} event Inbound event.
+ */
+export async function handleInsertCard( event ) {
+	const detail = event.detail || {};
+
+	if ( ! ( await validateKind( event.type, detail ) ) ) {
+		return;
+	}
+
+	const result = await dispatch( STORE_NAME ).insertCardBlock(
+		detail.kind,
+		detail.attributes || {},
+		{ secondary: !! detail.secondary }
+	);
+
+	if ( result?.error ) {
+		emitError( event.type, result.error, result.message, detail );
+	}
+}
+
+/**
+ * Start listening for inbound integration events.
+ *
+ * @return {Function} Stops listening.
+ */
+export function listenForIntegrationEvents() {
+	const listeners = [
+		[ EVENTS.SET_KIND, handleSetKind ],
+		[ LEGACY_SET_KIND, handleSetKind ],
+		[ EVENTS.SET_META, handleSetMeta ],
+		[ EVENTS.INSERT_CARD, handleInsertCard ],
+	];
+
+	listeners.forEach( ( [ name, handler ] ) =>
+		window.addEventListener( name, handler )
+	);
+
+	return () =>
+		listeners.forEach( ( [ name, handler ] ) =>
+			window.removeEventListener( name, handler )
+		);
+}
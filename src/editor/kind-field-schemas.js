@@ -0,0 +1,149 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Field Schemas
+ *
+ * Reads the per-kind field schemas PHP publishes as
+ * `window.pkiwAdminEditor.kindFieldSchemas` (see Kind_Field_Schemas) and
+ * turns schema fields and stored meta into what the sidebar controls show.
+ * The rendering itself lives in SchemaFields.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { getPostKind } from './kind-registry';
+
+/**
+ * Rating scale used when a rating field declares no maximum.
+ *
+ * @type {number}
+ */
+const DEFAULT_RATING_MAX = 5;
+
+/**
+ * Get the field schema for a kind.
+ *
+ * Fields given to `registerPostKind()` take the place of the ones PHP
+ * published.
+ *
+ * @param {string} kind Kind slug.
+ * @return {Object|null} Schema (`{ description, fields }`), or null when
+ *                       the kind has none.
+ */
+export function getKindFieldSchema( kind ) {
+	const registered = getPostKind( kind );
+	const schema = Array.isArray( registered?.fields )
+		? {
+				description: registered.description || '',
+				fields: registered.fields,
+		  }
+		: window?.pkiwAdminEditor?.kindFieldSchemas?.[ kind ];
+
+	return schema?.fields?.length ? schema : null;
+}
+
+/**
+ * Split schema fields into their groups, in order of first appearance.
+ *
+ * Fields without a group form a group with an empty label.
+ *
+ * @param {Array<Object>} fields Schema fields.
+ * @return {Array<{label: string, fields: Array<Object>}>} Groups.
+ */
+export function groupSchemaFields( fields ) {
+	const groups = [];
+
+	fields.forEach( ( field ) => {
+		const label = field.group || '';
+		let group = groups.find( ( g ) => g.label === label );
+
+		if ( ! group ) {
+			group = { label, fields: [] };
+			groups.push( group );
+		}
+
+		group.fields.push( field );
+	} );
+
+	return groups;
+}
+
+/**
+ * Get the value a field's control should show.
+ *
+ * Select values are strings; a stored value that matches no option (the 0
+ * an unset numeric meta reads back as, say) shows the field's default when
+ * that is an option, otherwise nothing.
+ *
+ * @param {Object} field Schema field.
+ * @param {*}      value Stored meta value.
+ * @return {*} Control value.
+ */
+export function getFieldDisplayValue( field, value ) {
+	switch ( field.control ) {
+		case 'select': {
+			const values = ( field.options || [] ).map( ( option ) =>
+				String( option.value )
+			);
+			const current = String( value ?? '' );
+
+			if ( current !== '' && values.includes( current ) ) {
+				return current;
+			}
+
+			const fallback = String( field.default ?? '' );
+			return values.includes( fallback ) ? fallback : '';
+		}
+		case 'rating':
+			return parseFloat( value ) || 0;
+		case 'number':
+			return value === undefined || value === null || value === ''
+				? field.default ?? ''
+				: value;
+		default:
+			return value ?? '';
+	}
+}
+
+/**
+ * Get the maximum of a rating field.
+ *
+ * @param {Object} field Schema field.
+ * @param {Object} meta  Current kind meta, for fields with a `max_key`.
+ * @return {number} Maximum rating.
+ */
+export function getRatingMax( field, meta = {} ) {
+	if ( field.max_key ) {
+		const max = parseInt( meta[ field.max_key ], 10 );
+		if ( max > 0 ) {
+			return max;
+		}
+	}
+
+	return field.max || DEFAULT_RATING_MAX;
+}
+
+/**
+ * Build the meta updates for a picked lookup result.
+ *
+ * Result properties that are empty are skipped, so picking a result never
+ * wipes a field the lookup knows nothing about.
+ *
+ * @param {Object} lookup Field lookup binding (`{ type, map, display }`).
+ * @param {Object} result Lookup result.
+ * @return {Object} Meta updates keyed by field name.
+ */
+export function mapLookupResult( lookup, result ) {
+	const updates = {};
+
+	Object.entries( lookup?.map || {} ).forEach( ( [ key, property ] ) => {
+		const value = result?.[ property ];
+		if ( value !== undefined && value !== null && value !== '' ) {
+			updates[ key ] = value;
+		}
+	} );
+
+	return updates;
+}
@@ -0,0 +1,285 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Switch Migration
+ *
+ * Works out what happens to a post's kind meta when its kind changes:
+ * which fields carry over to the new kind under another name (a jam's
+ * track becomes a listen's track), which stay because both kinds use them,
+ * and which belong only to the old kind and get cleared — and what becomes
+ * of the old kind's card block. The kind selector shows the plan, the
+ * store's `switchPostKind()` applies it.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { createBlock, switchToBlockType } from '@wordpress/blocks';
+
+/**
+ * Internal dependencies
+ */
+import { metaToCardAttributes } from './url-providers';
+import { getKindCardBlock, getCardBlockKind } from './kind-registry';
+
+/**
+ * Meta key prefixes each kind owns (without `_pkiw_`).
+ *
+ * A field is cleared on a switch when the old kind owns it and the new kind
+ * doesn't. Keys no kind owns (geo, syndication, schema) are never touched.
+ * RSVP owns the `event_*` fields too: an RSVP describes the event it
+ * answers, and the RSVP Card shows its start, end and location.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+export const KIND_META_PREFIXES = {
+	reply: [ 'cite_' ],
+	like: [ 'cite_' ],
+	repost: [ 'cite_' ],
+	bookmark: [ 'cite_', 'bookmark_' ],
+	rsvp: [ 'rsvp_', 'cite_', 'event_' ],
+	checkin: [ 'checkin_' ],
+	listen: [ 'listen_' ],
+	watch: [ 'watch_' ],
+	read: [ 'read_' ],
+	event: [ 'event_' ],
+	review: [ 'review_' ],
+	recipe: [ 'recipe_' ],
+	favorite: [ 'favorite_' ],
+	jam: [ 'jam_' ],
+	wish: [ 'wish_' ],
+	mood: [ 'mood_' ],
+	acquisition: [ 'acquisition_' ],
+	drink: [ 'drink_' ],
+	eat: [ 'eat_' ],
+	play: [ 'play_' ],
+};
+
+/**
+ * Fields shared by every cite-based kind that map onto a favorite.
+ *
+ * @type {Object<string, string>}
+ */
+const CITE_TO_FAVORITE = {
+	cite_name: 'favorite_name',
+	cite_url: 'favorite_url',
+};
+
+/**
+ * Fields an eat and a drink have in common.
+ *
+ * @type {Object<string, string>}
+ */
+const EAT_TO_DRINK = {
+	eat_name: 'drink_name',
+	eat_photo: 'drink_photo',
+	eat_rating: 'drink_rating',
+	eat_notes: 'drink_notes',
+	eat_restaurant_url: 'drink_venue_url',
+	eat_location_name: 'drink_location_name',
+	eat_location_address: 'drink_location_address',
+	eat_location_locality: 'drink_location_locality',
+	eat_location_region: 'drink_location_region',
+	eat_location_country: 'drink_location_country',
+	eat_geo_latitude: 'drink_geo_latitude',
+	eat_geo_longitude: 'drink_geo_longitude',
+};
+
+/**
+ * Swap the keys and values of a field map.
+ *
+ * @param {Object<string, string>} map Field map.
+ * @return {Object<string, string>} Reversed map.
+ */
+function reverse( map ) {
+	return Object.fromEntries(
+		Object.entries( map ).map( ( [ from, to ] ) => [ to, from ] )
+	);
+}
+
+/**
+ * Field maps between kinds, keyed `from>to`.
+ *
+ * @type {Object<string, Object<string, string>>}
+ */
+export const KIND_FIELD_MIGRATIONS = ( () => {
+	const jamToListen = {
+		jam_track: 'listen_track',
+		jam_artist: 'listen_artist',
+		jam_album: 'listen_album',
+		jam_cover: 'listen_cover',
+		jam_url: 'listen_url',
+	};
+	const eventToRsvp = { event_url: 'cite_url' };
+
+	const migrations = {
+		'jam>listen': jamToListen,
+		'listen>jam': reverse( jamToListen ),
+		'event>rsvp': eventToRsvp,
+		'rsvp>event': reverse( eventToRsvp ),
+		'eat>drink': EAT_TO_DRINK,
+		'drink>eat': reverse( EAT_TO_DRINK ),
+	};
+
+	[ 'like', 'reply', 'repost', 'bookmark' ].forEach( ( kind ) => {
+		migrations[ `${ kind }>favorite` ] = CITE_TO_FAVORITE;
+		migrations[ `favorite>${ kind }` ] = reverse( CITE_TO_FAVORITE );
+	} );
+
+	return migrations;
+} )();
+
+/**
+ * Whether a meta value holds anything worth keeping.
+ *
+ * @param {*} value Meta value.
+ * @return {boolean} True when set.
+ */
+export function hasValue( value ) {
+	if ( Array.isArray( value ) ) {
+		return value.length > 0;
+	}
+	return value !== '' && value !== null && value !== undefined && value !== 0;
+}
+
+/**
+ * Whether a kind owns a meta key.
+ *
+ * @param {string} kind Kind slug.
+ * @param {string} key  Meta key (without prefix).
+ * @return {boolean} True when the key starts with one of the kind's prefixes.
+ */
+export function kindOwnsMetaKey( kind, key ) {
+	return ( KIND_META_PREFIXES[ kind ] || [] ).some( ( prefix ) =>
+		key.startsWith( prefix )
+	);
+}
+
+/**
+ * Plan a kind switch.
+ *
+ * @param {string} fromKind Current kind.
+ * @param {string} toKind   New kind.
+ * @param {Object} meta     Current kind meta (without prefix).
+ * @return {{carried: Array<{from: string, to: string, value: *}>, cleared: Array<{key: string, value: *}>, updates: Object}}
+ *         Fields carried over, fields lost, and the meta edit that does
+ *         both. Old fields are set to null, which deletes them.
+ */
+export function planKindMigration( fromKind, toKind, meta = {} ) {
+	const map = KIND_FIELD_MIGRATIONS[ `${ fromKind }>${ toKind }` ] || {};
+	const carried = [];
+	const cleared = [];
+	const updates = {};
+
+	Object.keys( map ).forEach( ( from ) => {
+		const to = map[ from ];
+		// Never overwrite a value the new kind already has.
+		if ( hasValue( meta[ from ] ) && ! hasValue( meta[ to ] ) ) {
+			carried.push( { from, to, value: meta[ from ] } );
+			updates[ to ] = meta[ from ];
+		}
+	} );
+
+	const moved = carried.map( ( { from } ) => from );
+
+	Object.keys( meta ).forEach( ( key ) => {
+		if (
+			hasValue( meta[ key ] ) &&
+			kindOwnsMetaKey( fromKind, key ) &&
+			! kindOwnsMetaKey( toKind, key ) &&
+			! ( key in updates )
+		) {
+			// A moved field is cleared under its old name but listed as
+			// carried, not lost.
+			if ( ! moved.includes( key ) ) {
+				cleared.push( { key, value: meta[ key ] } );
+			}
+			updates[ key ] = null;
+		}
+	} );
+
+	return { carried, cleared, updates };
+}
+
+/**
+ * Find the first card block for a kind in a block tree.
+ *
+ * @param {Array<Object>} blockList Blocks.
+ * @param {string}        kind      Kind slug.
+ * @return {Object|null} Card block, or null.
+ */
+export function findKindCardBlock( blockList, kind ) {
+	const blockName = getKindCardBlock( kind );
+	if ( ! blockName || ! Array.isArray( blockList ) ) {
+		return null;
+	}
+
+	for ( const block of blockList ) {
+		if ( block.name === blockName ) {
+			return block;
+		}
+		const inner = findKindCardBlock( block.innerBlocks, kind );
+		if ( inner ) {
+			return inner;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * List the kinds whose cards are in a block tree.
+ *
+ * @param {Array<Object>} blockList Blocks.
+ * @return {Array<string>} Kind slugs, in document order, each once.
+ */
+export function getCardKinds( blockList ) {
+	const kinds = [];
+
+	const visit = ( list ) =>
+		( Array.isArray( list ) ? list : [] ).forEach( ( block ) => {
+			const kind = getCardBlockKind( block.name );
+			if ( kind && ! kinds.includes( kind ) ) {
+				kinds.push( kind );
+			}
+			visit( block.innerBlocks );
+		} );
+
+	visit( blockList );
+
+	return kinds;
+}
+
+/**
+ * Turn the old kind's card into the new kind's.
+ *
+ * Uses the card's registered block transforms when there is one, so the
+ * card keeps what it shows; otherwise builds a fresh card from the new
+ * kind's meta.
+ *
+ * @param {Object} block  Old card block.
+ * @param {string} toKind New kind.
+ * @param {Object} meta   Kind meta after the switch (without prefix).
+ * @return {{blocks: Array<Object>, transformed: boolean}} Replacement
+ *         blocks (empty when the new kind has no card) and whether a
+ *         transform made them.
+ */
+export function convertKindCard( block, toKind, meta = {} ) {
+	const blockName = getKindCardBlock( toKind );
+	if ( ! blockName ) {
+		return { blocks: [], transformed: false };
+	}
+
+	const switched = block ? switchToBlockType( block, blockName ) : null;
+	if ( switched?.length ) {
+		return { blocks: switched, transformed: true };
+	}
+
+	return {
+		blocks: [
+			createBlock( blockName, metaToCardAttributes( toKind, meta ) ),
+		],
+		transformed: false,
+	};
+}
@@ -0,0 +1,265 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Registry
+ *
+ * What the editor knows about each kind beyond its taxonomy term: its label
+ * and icon in the kind grid, its sidebar fields, its card block and how to
+ * detect it. The built-in kinds are registered here; add-on plugins
+ * register their own with `registerPostKind()`, which the editor script
+ * exposes as `window.postKindsIndieweb.registerPostKind`:
+ *
+ *     window.postKindsIndieweb.registerPostKind( 'climb', {
+ *         label: 'Climb',
+ *         icon: ClimbIcon,
+ *         cardBlock: 'my-plugin/climb-card',
+ *         fields: [
+ *             { key: 'climb_route', label: 'Route' },
+ *             { key: 'climb_grade', control: 'select', label: 'Grade', options },
+ *         ],
+ *         detect: ( { blocks } ) =>
+ *             blocks.some( ( b ) => b.name === 'my-plugin/climb-card' )
+ *                 ? { confidence: 0.9, reason: 'Contains a climb card' }
+ *                 : null,
+ *     } );
+ *
+ * Enqueue the add-on script with `post-kinds-indieweb-editor` as a
+ * dependency so the registration runs before the sidebar renders. The kind
+ * still needs its term in the `kind` taxonomy, and each field key needs its
+ * `_pkiw_` meta registered through the `pkiw_meta_fields` PHP filter, or
+ * nothing saves. Kinds can also be added or changed through the
+ * `postKindsIndieweb.postKinds` filter.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * A registered kind.
+ *
+ * @typedef {Object} PostKind
+ * @property {string}                 slug         Kind term slug.
+ * @property {string}                 [label]      Grid label; defaults to the
+ *                                                 term name.
+ * @property {Function}               [icon]       Icon component.
+ * @property {Array<Object>|Function} [fields]     Schema fields (see
+ *                                                 SchemaFields), or a
+ *                                                 component for the panel.
+ * @property {string}                 [cardBlock]  Card block name.
+ * @property {boolean}                [autoInsert] Insert the card when the
+ *                                                 kind is chosen. Default
+ *                                                 true when there is a card.
+ * @property {Function}               [detect]     Receives the detection
+ *                                                 context, returns a
+ *                                                 confidence, a
+ *                                                 `{ confidence, reason }`
+ *                                                 match, or null.
+ */
+
+const CARD = 'post-kinds-indieweb/';
+
+/**
+ * Built-in kinds, in kind grid order. Kinds that only have a term and an
+ * icon (audio, quote, weather…) aren't listed and sort after these.
+ *
+ * The cite and event cards aren't inserted on their own: a reply or like
+ * starts from the URL, and an event usually from a calendar plugin.
+ * Bookmarks get an embed instead, which the sidebar handles itself.
+ *
+ * @type {Array<PostKind>}
+ */
+const BUILTIN_KINDS = [
+	{ slug: 'note' },
+	{ slug: 'article' },
+	{ slug: 'reply', cardBlock: `${ CARD }reply-card`, autoInsert: false },
+	{ slug: 'like', cardBlock: `${ CARD }like-card`, autoInsert: false },
+	{ slug: 'repost', cardBlock: `${ CARD }repost-card`, autoInsert: false },
+	{
+		slug: 'bookmark',
+		cardBlock: `${ CARD }bookmark-card`,
+		autoInsert: false,
+	},
+	{ slug: 'photo' },
+	{ slug: 'video' },
+	{ slug: 'rsvp', cardBlock: `${ CARD }rsvp-card` },
+	{ slug: 'checkin', cardBlock: `${ CARD }checkin-card` },
+	{ slug: 'listen', cardBlock: `${ CARD }listen-card` },
+	{ slug: 'watch', cardBlock: `${ CARD }watch-card` },
+	{ slug: 'read', cardBlock: `${ CARD }read-card` },
+	{ slug: 'event', cardBlock: `${ CARD }event-card`, autoInsert: false },
+	{ slug: 'review' },
+	{ slug: 'play', cardBlock: `${ CARD }play-card` },
+	{ slug: 'eat', cardBlock: `${ CARD }eat-card` },
+	{ slug: 'drink', cardBlock: `${ CARD }drink-card` },
+	{ slug: 'favorite', cardBlock: `${ CARD }favorite-card` },
+	{ slug: 'jam', cardBlock: `${ CARD }jam-card` },
+	{ slug: 'wish', cardBlock: `${ CARD }wish-card` },
+	{ slug: 'mood', cardBlock: `${ CARD }mood-card` },
+	{ slug: 'acquisition', cardBlock: `${ CARD }acquisition-card` },
+	{ slug: 'recipe' },
+];
+
+/**
+ * Registered kinds, keyed by slug, in registration order.
+ *
+ * @type {Map<string, PostKind>}
+ */
+const registry = new Map(
+	BUILTIN_KINDS.map( ( kind ) => [ kind.slug, kind ] )
+);
+
+/**
+ * Register a kind, or change a registered one.
+ *
+ * Settings for a slug that is already registered are merged over it, so an
+ * add-on can give a built-in kind its own panel or card.
+ *
+ * @param {string} slug     Kind term slug.
+ * @param {Object} settings Kind settings (see PostKind).
+ * @return {PostKind|undefined} The registered kind, or undefined when the
+ *                              slug is invalid.
+ */
+export function registerPostKind( slug, settings = {} ) {
+	if ( typeof slug !== 'string' || ! /^[a-z0-9][a-z0-9-]*$/.test( slug ) ) {
+		// eslint-disable-next-line no-console
+		console.error(
+			'Post kind slugs must be lowercase letters, digits and dashes.'
+		);
+		return undefined;
+	}
+
+	const kind = { ...registry.get( slug ), ...settings, slug };
+	registry.set( slug, kind );
+	return kind;
+}
+
+/**
+ * Unregister a kind.
+ *
+ * @param {string} slug Kind term slug.
+ * @return {PostKind|undefined} The removed kind.
+ */
+export function unregisterPostKind( slug ) {
+	const kind = registry.get( slug );
+	registry.delete( slug );
+	return kind;
+}
+
+/**
+ * Get the registered kinds, after the `postKindsIndieweb.postKinds` filter.
+ *
+ * @return {Array<PostKind>} Kinds, in grid order.
+ */
+export function getPostKinds() {
+	const kinds = applyFilters( 'postKindsIndieweb.postKinds', [
+		...registry.values(),
+	] );
+
+	return Array.isArray( kinds )
+		? kinds.filter( ( kind ) => typeof kind?.slug === 'string' )
+		: [ ...registry.values() ];
+}
+
+/**
+ * Get a registered kind.
+ *
+ * @param {string} slug Kind slug.
+ * @return {PostKind|null} The kind, or null when it isn't registered.
+ */
+export function getPostKind( slug ) {
+	return getPostKinds().find( ( kind ) => kind.slug === slug ) || null;
+}
+
+/**
+ * Get a kind's card block.
+ *
+ * @param {string} slug Kind slug.
+ * @return {string|null} Block name, or null when the kind has no card.
+ */
+export function getKindCardBlock( slug ) {
+	return getPostKind( slug )?.cardBlock || null;
+}
+
+/**
+ * Get the kind a card block belongs to.
+ *
+ * @param {string} blockName Block name.
+ * @return {string|null} Kind slug, or null when no kind has this card.
+ */
+export function getCardBlockKind( blockName ) {
+	return (
+		getPostKinds().find( ( kind ) => kind.cardBlock === blockName )?.slug ||
+		null
+	);
+}
+
+/**
+ * Whether a card is a secondary card of a post of some kind.
+ *
+ * A post has one primary kind, which owns the kind meta and the taxonomy
+ * term; cards of other kinds in the same post ("watched X while drinking
+ * Y") keep their data in their own attributes. A post whose kind has no
+ * card (a note, an article) has no primary card to defer to.
+ *
+ * @param {string}      blockName   Card block name.
+ * @param {string|null} primaryKind The post's kind.
+ * @return {boolean} True when the card belongs to another kind than the post.
+ */
+export function isSecondaryCard( blockName, primaryKind ) {
+	const primaryCard = primaryKind ? getKindCardBlock( primaryKind ) : null;
+
+	return !! primaryCard && primaryCard !== blockName;
+}
+
+/**
+ * Get the card block to insert when a kind is chosen.
+ *
+ * @param {string} slug Kind slug.
+ * @return {string|null} Block name, or null when nothing is inserted.
+ */
+export function getAutoInsertCardBlock( slug ) {
+	const kind = getPostKind( slug );
+	return kind?.cardBlock && kind.autoInsert !== false ? kind.cardBlock : null;
+}
+
+/**
+ * Sort kind terms into grid order: registered kinds first, in registration
+ * order, then the rest as they came.
+ *
+ * @param {Array<{slug: string}>} terms Kind terms.
+ * @return {Array<{slug: string}>} Sorted copy.
+ */
+export function sortKindTerms( terms ) {
+	const order = getPostKinds().map( ( kind ) => kind.slug );
+	const position = ( slug ) => {
+		const index = order.indexOf( slug );
+		return index === -1 ? order.length : index;
+	};
+
+	return [ ...terms ].sort(
+		( a, b ) => position( a.slug ) - position( b.slug )
+	);
+}
+
+/**
+ * Build detection rules from the kinds that have a `detect` callback.
+ *
+ * @return {Array<Object>} Detection rules (see detect-kind.js).
+ */
+export function getKindDetectionRules() {
+	return getPostKinds()
+		.filter( ( kind ) => typeof kind.detect === 'function' )
+		.map( ( kind ) => ( {
+			name: `kind/${ kind.slug }`,
+			detect: ( context ) => {
+				const result = kind.detect( context );
+				if ( typeof result === 'number' ) {
+					return { kind: kind.slug, confidence: result, reason: '' };
+				}
+				return result ? { ...result, kind: kind.slug } : null;
+			},
+		} ) );
+}
@@ -17,19 +17,26 @@ import { check, closeSmall } from '@wordpress/icons';
 /**
  * Auto Detection Notice Component
  *
- * Shows a dismissible notice with the auto-detected kind and actions.
+ * Shows a dismissible notice with the auto-detected kind and actions,
+ * the reason it was detected, and the runners-up as one-click alternatives.
  *
- * @param {Object}   props           Component props.
- * @param {string}   props.kindLabel Human-readable kind label.
- * @param {Function} props.onAccept  Callback to accept the detected kind.
- * @param {Function} props.onDismiss Callback to dismiss the notice.
+ * @param {Object}   props            Component props.
+ * @param {string}   props.kindLabel  Human-readable kind label.
+ * @param {Array}    props.candidates Ranked candidates, best first, each
+ *                                    `{ kind, label, reason }`.
+ * @param {Function} props.onAccept   Callback to accept a kind; receives the
+ *                                    slug, or nothing for the top candidate.
+ * @param {Function} props.onDismiss  Callback to dismiss the notice.
  * @return {JSX.Element} The notice component.
  */
 export default function AutoDetectionNotice( {
 	kindLabel,
+	candidates = [],
 	onAccept,
 	onDismiss,
 } ) {
+	const [ top, ...alternatives ] = candidates;
+
 	return (
 		<Notice
 			status="info"
@@ -43,12 +50,42 @@ export default function AutoDetectionNotice( {
 				) }{ ' ' }
 				<strong>{ kindLabel }</strong>
 			</p>
+			{ top?.reason && (
+				<p className="post-kinds-indieweb-auto-detect-reason">
+					{ top.reason }
+				</p>
+			) }
+			{ alternatives.length > 0 && (
+				<p className="post-kinds-indieweb-auto-detect-reason">
+					{ __(
+						'Also possible:',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</p>
+			) }
+			{ alternatives.length > 0 && (
+				<ul className="post-kinds-indieweb-auto-detect-alternatives">
+					{ alternatives.map( ( candidate ) => (
+						<li key={ candidate.kind }>
+							<Button
+								variant="link"
+								onClick={ () => onAccept( candidate.kind ) }
+							>
+								{ candidate.label }
+							</Button>
+							{ candidate.reason && (
+								<span> — { candidate.reason }</span>
+							) }
+						</li>
+					) ) }
+				</ul>
+			) }
 			<div className="post-kinds-indieweb-auto-detect-actions">
 				<Button
 					variant="primary"
 					size="small"
 					icon={ check }
-					onClick={ onAccept }
+					onClick={ () => onAccept() }
 				>
 					{ __(
 						'Use this',
@@ -77,6 +114,16 @@ export default function AutoDetectionNotice( {
 					margin: 0 0 8px 0;
 				}
 
+				.post-kinds-indieweb-auto-detect-reason,
+				.post-kinds-indieweb-auto-detect-alternatives {
+					font-size: 12px;
+				}
+
+				.post-kinds-indieweb-auto-detect-alternatives {
+					margin: 0 0 8px 0;
+					list-style: none;
+				}
+
 				.post-kinds-indieweb-auto-detect-actions {
 					display: flex;
 					gap: 8px;
@@ -32,134 +32,56 @@ import apiFetch from '@wordpress/api-fetch';
  * Internal dependencies
  */
 import { STORE_NAME } from '../../stores/post-kinds';
+import { lookup } from '../../lookup-client';
 import SyndicationControls from './SyndicationControls';
+import SchemaFields from './SchemaFields';
+import { getPostKind } from '../../kind-registry';
+import { applyReadingSession } from '../../reading-sessions';
+import {
+	ReadingProgressUpdate,
+	ReadingTimeline,
+} from '../../../components/reading-progress';
 
 /**
- * Kind Fields Component
+ * Empty reading sessions, shared so the selector returns a stable value.
  *
- * Renders appropriate metadata fields based on the selected kind.
+ * @type {Array}
+ */
+const NO_SESSIONS = [];
+
+/**
+ * Built-in kinds with a bespoke panel, which does more than a field schema
+ * can: lookups by URL, geolocation, venue search, syndication toggles.
  *
- * @param {Object} props      Component props.
- * @param {string} props.kind Current kind slug.
- * @return {JSX.Element|null} The fields component or null.
+ * @type {Object<string, Function>}
  */
-export default function KindFields( { kind } ) {
-	switch ( kind ) {
-		case 'rsvp':
-			return <RSVPFields />;
-		case 'checkin':
-			return <CheckinFields />;
-		case 'listen':
-			return <ListenFields />;
-		case 'watch':
-			return <WatchFields />;
-		case 'read':
-			return <ReadFields />;
-		case 'event':
-			return <EventFields />;
-		case 'review':
-			return <ReviewFields />;
-		case 'play':
-			return <PlayFields />;
-		case 'eat':
-			return <EatFields />;
-		case 'drink':
-			return <DrinkFields />;
-		case 'favorite':
-			return <FavoriteFields />;
-		case 'jam':
-			return <JamFields />;
-		case 'wish':
-			return <WishFields />;
-		case 'mood':
-			return <MoodFields />;
-		case 'acquisition':
-			return <AcquisitionFields />;
-		case 'recipe':
-			return <RecipeFields />;
-		case 'reply':
-		case 'like':
-		case 'repost':
-			return <CitationFields />;
-		case 'bookmark':
-			return <BookmarkFields />;
-		default:
-			return null;
-	}
-}
+const BUILTIN_PANELS = {
+	bookmark: BookmarkFields,
+	checkin: CheckinFields,
+	listen: ListenFields,
+	watch: WatchFields,
+	read: ReadFields,
+	play: PlayFields,
+	eat: EatFields,
+	drink: DrinkFields,
+};
 
 /**
- * Citation Fields Component
+ * Kind Fields Component
  *
- * Fields for reply, like, repost, and bookmark kinds.
+ * Renders the panel a kind was registered with, else its built-in panel,
+ * else its fields drawn from their schema by SchemaFields.
  *
- * @return {JSX.Element} Citation fields.
+ * @param {Object} props      Component props.
+ * @param {string} props.kind Current kind slug.
+ * @return {JSX.Element|null} The fields component or null.
  */
-function CitationFields() {
-	const { citeName, citeUrl, citeAuthor, citeSummary } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				citeName: getKindMeta( 'cite_name' ),
-				citeUrl: getKindMeta( 'cite_url' ),
-				citeAuthor: getKindMeta( 'cite_author' ),
-				citeSummary: getKindMeta( 'cite_summary' ),
-			};
-		},
-		[]
-	);
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
+export default function KindFields( { kind } ) {
+	const registered = getPostKind( kind )?.fields;
+	const Panel =
+		typeof registered === 'function' ? registered : BUILTIN_PANELS[ kind ];
 
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ) }
-				value={ citeUrl }
-				onChange={ ( value ) => updateKindMeta( 'cite_url', value ) }
-				type="url"
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Title',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ citeName }
-				onChange={ ( value ) => updateKindMeta( 'cite_name', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Author',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ citeAuthor }
-				onChange={ ( value ) => updateKindMeta( 'cite_author', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextareaControl
-				label={ __(
-					'Summary',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ citeSummary }
-				onChange={ ( value ) =>
-					updateKindMeta( 'cite_summary', value )
-				}
-				rows={ 3 }
-				__nextHasNoMarginBottom
-			/>
-		</Flex>
-	);
+	return Panel ? <Panel /> : <SchemaFields kind={ kind } />;
 }
 
 /**
@@ -257,6 +179,7 @@ function BookmarkFields() {
 			<TextControl
 				label={ __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ) }
 				value={ citeUrl }
+				data-pkiw-field="cite_url"
 				onChange={ ( value ) => {
 					updateKindMeta( 'cite_url', value );
 					checkEmbedSupport( value );
@@ -361,102 +284,6 @@ function BookmarkFields() {
 	);
 }
 
-/**
- * RSVP Fields Component
- *
- * @return {JSX.Element} RSVP fields.
- */
-function RSVPFields() {
-	const { rsvpStatus, citeUrl, citeName } = useSelect( ( select ) => {
-		const getKindMeta = select( STORE_NAME ).getKindMeta;
-		return {
-			rsvpStatus: getKindMeta( 'rsvp_status' ),
-			citeUrl: getKindMeta( 'cite_url' ),
-			citeName: getKindMeta( 'cite_name' ),
-		};
-	}, [] );
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __(
-					'Event URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ citeUrl }
-				onChange={ ( value ) => updateKindMeta( 'cite_url', value ) }
-				type="url"
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Event Name',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ citeName }
-				onChange={ ( value ) => updateKindMeta( 'cite_name', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<SelectControl
-				label={ __(
-					'RSVP Status',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ rsvpStatus }
-				onChange={ ( value ) => updateKindMeta( 'rsvp_status', value ) }
-				options={ [
-					{
-						label: __(
-							'Select status…',
-							'post-kinds-for-indieweb-in-block-themes'
-						),
-						value: '',
-					},
-					{
-						label: __(
-							'✅ Yes, attending',
-							'post-kinds-for-indieweb-in-block-themes'
-						),
-						value: 'yes',
-					},
-					{
-						label: __(
-							"❌ No, can't make it",
-							'post-kinds-for-indieweb-in-block-themes'
-						),
-						value: 'no',
-					},
-					{
-						label: __(
-							'🤔 Maybe',
-							'post-kinds-for-indieweb-in-block-themes'
-						),
-						value: 'maybe',
-					},
-					{
-						label: __(
-							'👀 Interested',
-							'post-kinds-for-indieweb-in-block-themes'
-						),
-						value: 'interested',
-					},
-				] }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
 /**
  * Checkin Fields Component
  *
@@ -488,7 +315,7 @@ function CheckinFields() {
 		};
 	}, [] );
 
-	const { updateKindMeta } = useDispatch( STORE_NAME );
+	const { updateKindMeta, updateKindMetaBatch } = useDispatch( STORE_NAME );
 
 	/**
 	 * Search for venues using Foursquare/Nominatim
@@ -555,34 +382,26 @@ function CheckinFields() {
 	 */
 	const selectVenue = ( result ) => {
 		// Auto-fill all venue fields from Foursquare or Nominatim result
-		updateKindMeta(
-			'checkin_name',
-			result.name || result.display_name?.split( ',' )[ 0 ] || ''
-		);
-		updateKindMeta(
-			'checkin_address',
-			result.address || result.street || ''
-		);
-		updateKindMeta(
-			'checkin_locality',
-			result.locality || result.city || ''
-		);
-		updateKindMeta( 'checkin_region', result.region || result.state || '' );
-		updateKindMeta( 'checkin_country', result.country || '' );
+		const venueMeta = {
+			checkin_name:
+				result.name || result.display_name?.split( ',' )[ 0 ] || '',
+			checkin_address: result.address || result.street || '',
+			checkin_locality: result.locality || result.city || '',
+			checkin_region: result.region || result.state || '',
+			checkin_country: result.country || '',
+		};
 
 		if ( result.latitude || result.lat ) {
-			updateKindMeta(
-				'geo_latitude',
-				parseFloat( result.latitude || result.lat ) || 0
-			);
+			venueMeta.geo_latitude =
+				parseFloat( result.latitude || result.lat ) || 0;
 		}
 		if ( result.longitude || result.lon ) {
-			updateKindMeta(
-				'geo_longitude',
-				parseFloat( result.longitude || result.lon ) || 0
-			);
+			venueMeta.geo_longitude =
+				parseFloat( result.longitude || result.lon ) || 0;
 		}
 
+		updateKindMetaBatch( venueMeta );
+
 		// Clear search
 		setSearchQuery( '' );
 		setSearchResults( [] );
@@ -679,6 +498,7 @@ function CheckinFields() {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				value={ checkinName }
+				data-pkiw-field="checkin_name"
 				onChange={ ( value ) =>
 					updateKindMeta( 'checkin_name', value )
 				}
@@ -812,16 +632,17 @@ function ListenFields() {
 			listenRating: getKindMeta( 'listen_rating' ) || 0,
 			listenReleaseDate: getKindMeta( 'listen_release_date' ),
 			listenListenedAt: getKindMeta( 'listen_listened_at' ),
-			isLoading: store.isApiLoading(),
-			apiResults:
-				store.getApiLookupType() === 'music'
-					? store.getApiResults()
-					: [],
+			isLoading: store.isApiLoading( 'music' ),
+			apiResults: store.getApiResults( 'music' ),
 		};
 	}, [] );
 
-	const { updateKindMeta, performApiLookup, clearApiResults } =
-		useDispatch( STORE_NAME );
+	const {
+		updateKindMeta,
+		updateKindMetaBatch,
+		performApiLookup,
+		clearApiResults,
+	} = useDispatch( STORE_NAME );
 
 	// Check if input looks like a URL.
 	const isUrl = useCallback( ( input ) => {
@@ -839,27 +660,23 @@ function ListenFields() {
 		setUrlError( '' );
 
 		try {
-			const result = await apiFetch( {
-				path: `/post-kinds-indieweb/v1/lookup/music-url?url=${ encodeURIComponent(
-					url
-				) }`,
-			} );
+			const result = await lookup( 'music-url', { url } );
 
-			// Update metadata from result.
+			// Update metadata from result, storing the URL for embedding.
+			const trackMeta = { listen_url: result.url || url };
 			if ( result.track ) {
-				updateKindMeta( 'listen_track', result.track );
+				trackMeta.listen_track = result.track;
 			}
 			if ( result.artist ) {
-				updateKindMeta( 'listen_artist', result.artist );
+				trackMeta.listen_artist = result.artist;
 			}
 			if ( result.album ) {
-				updateKindMeta( 'listen_album', result.album );
+				trackMeta.listen_album = result.album;
 			}
 			if ( result.cover ) {
-				updateKindMeta( 'listen_cover', result.cover );
+				trackMeta.listen_cover = result.cover;
 			}
-			// Store the URL for embedding.
-			updateKindMeta( 'listen_url', result.url || url );
+			updateKindMetaBatch( trackMeta );
 
 			setUrlInput( '' );
 		} catch ( error ) {
@@ -873,7 +690,7 @@ function ListenFields() {
 		} finally {
 			setIsUrlLoading( false );
 		}
-	}, [ urlInput, updateKindMeta ] );
+	}, [ urlInput, updateKindMetaBatch ] );
 
 	const handleSearch = useCallback( () => {
 		const query = searchQuery.trim();
@@ -894,15 +711,17 @@ function ListenFields() {
 
 	const handleSelectResult = useCallback(
 		( result ) => {
-			updateKindMeta( 'listen_track', result.track );
-			updateKindMeta( 'listen_artist', result.artist );
-			updateKindMeta( 'listen_album', result.album );
-			updateKindMeta( 'listen_cover', result.cover );
-			updateKindMeta( 'listen_mbid', result.mbid );
-			clearApiResults();
+			updateKindMetaBatch( {
+				listen_track: result.track,
+				listen_artist: result.artist,
+				listen_album: result.album,
+				listen_cover: result.cover,
+				listen_mbid: result.mbid,
+			} );
+			clearApiResults( 'music' );
 			setSearchQuery( '' );
 		},
-		[ updateKindMeta, clearApiResults ]
+		[ updateKindMetaBatch, clearApiResults ]
 	);
 
 	return (
@@ -1055,6 +874,7 @@ function ListenFields() {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				value={ listenTrack }
+				data-pkiw-field="listen_track"
 				onChange={ ( value ) =>
 					updateKindMeta( 'listen_track', value )
 				}
@@ -1067,6 +887,7 @@ function ListenFields() {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				value={ listenArtist }
+				data-pkiw-field="listen_artist"
 				onChange={ ( value ) =>
 					updateKindMeta( 'listen_artist', value )
 				}
@@ -1203,16 +1024,17 @@ function WatchFields() {
 			watchSeason: getKindMeta( 'watch_season' ),
 			watchEpisode: getKindMeta( 'watch_episode' ),
 			watchEpisodeTitle: getKindMeta( 'watch_episode_title' ),
-			isLoading: store.isApiLoading(),
-			apiResults:
-				store.getApiLookupType() === 'movie'
-					? store.getApiResults()
-					: [],
+			isLoading: store.isApiLoading( 'movie' ),
+			apiResults: store.getApiResults( 'movie' ),
 		};
 	}, [] );
 
-	const { updateKindMeta, performApiLookup, clearApiResults } =
-		useDispatch( STORE_NAME );
+	const {
+		updateKindMeta,
+		updateKindMetaBatch,
+		performApiLookup,
+		clearApiResults,
+	} = useDispatch( STORE_NAME );
 
 	// Check if input looks like a URL.
 	const isUrl = useCallback( ( input ) => {
@@ -1230,33 +1052,29 @@ function WatchFields() {
 		setUrlError( '' );
 
 		try {
-			const result = await apiFetch( {
-				path: `/post-kinds-indieweb/v1/lookup/watch-url?url=${ encodeURIComponent(
-					url
-				) }`,
-			} );
+			const result = await lookup( 'watch-url', { url } );
 
-			// Update metadata from result.
+			// Update metadata from result, storing the URL for reference.
+			const watchMeta = { watch_url: url };
 			if ( result.title ) {
-				updateKindMeta( 'watch_title', result.title );
+				watchMeta.watch_title = result.title;
 			}
 			if ( result.year ) {
-				updateKindMeta( 'watch_year', String( result.year ) );
+				watchMeta.watch_year = String( result.year );
 			}
 			if ( result.poster ) {
-				updateKindMeta( 'watch_poster', result.poster );
+				watchMeta.watch_poster = result.poster;
 			}
 			if ( result.tmdb_id ) {
-				updateKindMeta( 'watch_tmdb_id', String( result.tmdb_id ) );
+				watchMeta.watch_tmdb_id = String( result.tmdb_id );
 			}
 			if ( result.imdb_id ) {
-				updateKindMeta( 'watch_imdb_id', String( result.imdb_id ) );
+				watchMeta.watch_imdb_id = String( result.imdb_id );
 			}
 			if ( result.trakt_id ) {
-				updateKindMeta( 'watch_trakt_id', String( result.trakt_id ) );
+				watchMeta.watch_trakt_id = String( result.trakt_id );
 			}
-			// Store the URL for reference.
-			updateKindMeta( 'watch_url', url );
+			updateKindMetaBatch( watchMeta );
 
 			setUrlInput( '' );
 		} catch ( error ) {
@@ -1270,7 +1088,7 @@ function WatchFields() {
 		} finally {
 			setIsUrlLoading( false );
 		}
-	}, [ urlInput, updateKindMeta ] );
+	}, [ urlInput, updateKindMetaBatch ] );
 
 	const handleSearch = useCallback( () => {
 		const query = searchQuery.trim();
@@ -1291,20 +1109,16 @@ function WatchFields() {
 
 	const handleSelectResult = useCallback(
 		( result ) => {
-			updateKindMeta( 'watch_title', result.title );
-			updateKindMeta(
-				'watch_year',
-				result.year ? String( result.year ) : ''
-			);
-			updateKindMeta( 'watch_poster', result.poster );
-			updateKindMeta(
-				'watch_tmdb_id',
-				result.tmdb_id ? String( result.tmdb_id ) : ''
-			);
-			clearApiResults();
+			updateKindMetaBatch( {
+				watch_title: result.title,
+				watch_year: result.year ? String( result.year ) : '',
+				watch_poster: result.poster,
+				watch_tmdb_id: result.tmdb_id ? String( result.tmdb_id ) : '',
+			} );
+			clearApiResults( 'movie' );
 			setSearchQuery( '' );
 		},
-		[ updateKindMeta, clearApiResults ]
+		[ updateKindMetaBatch, clearApiResults ]
 	);
 
 	return (
@@ -1485,6 +1299,7 @@ function WatchFields() {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				value={ watchTitle }
+				data-pkiw-field="watch_title"
 				onChange={ ( value ) => updateKindMeta( 'watch_title', value ) }
 				__nextHasNoMarginBottom
 				__next40pxDefaultSize
@@ -1727,11 +1542,14 @@ function ReadFields() {
 	const {
 		readTitle,
 		readAuthor,
+		readSeries,
+		readSeriesPosition,
 		readIsbn,
 		readCover,
 		readStatus,
 		readProgress,
 		readPages,
+		readSessions,
 		readUrl,
 		readPublisher,
 		readPublishDate,
@@ -1747,11 +1565,14 @@ function ReadFields() {
 		return {
 			readTitle: getKindMeta( 'read_title' ),
 			readAuthor: getKindMeta( 'read_author' ),
+			readSeries: getKindMeta( 'read_series' ),
+			readSeriesPosition: getKindMeta( 'read_series_position' ),
 			readIsbn: getKindMeta( 'read_isbn' ),
 			readCover: getKindMeta( 'read_cover' ),
 			readStatus: getKindMeta( 'read_status' ),
 			readProgress: getKindMeta( 'read_progress' ),
 			readPages: getKindMeta( 'read_pages' ),
+			readSessions: getKindMeta( 'read_sessions' ) || NO_SESSIONS,
 			readUrl: getKindMeta( 'read_url' ),
 			readPublisher: getKindMeta( 'read_publisher' ),
 			readPublishDate: getKindMeta( 'read_publish_date' ),
@@ -1759,16 +1580,17 @@ function ReadFields() {
 			readStartedAt: getKindMeta( 'read_started_at' ),
 			readFinishedAt: getKindMeta( 'read_finished_at' ),
 			readReview: getKindMeta( 'read_review' ),
-			isLoading: store.isApiLoading(),
-			apiResults:
-				store.getApiLookupType() === 'book'
-					? store.getApiResults()
-					: [],
+			isLoading: store.isApiLoading( 'book' ),
+			apiResults: store.getApiResults( 'book' ),
 		};
 	}, [] );
 
-	const { updateKindMeta, performApiLookup, clearApiResults } =
-		useDispatch( STORE_NAME );
+	const {
+		updateKindMeta,
+		updateKindMetaBatch,
+		performApiLookup,
+		clearApiResults,
+	} = useDispatch( STORE_NAME );
 
 	const handleSearch = useCallback( () => {
 		if ( searchQuery.trim() ) {
@@ -1776,17 +1598,42 @@ function ReadFields() {
 		}
 	}, [ searchQuery, performApiLookup ] );
 
+	const handleAddSession = ( session ) => {
+		const update = applyReadingSession(
+			{
+				sessions: readSessions,
+				pageCount: readPages,
+				status: readStatus,
+				startedAt: readStartedAt,
+				finishedAt: readFinishedAt,
+			},
+			session
+		);
+
+		updateKindMetaBatch( {
+			read_sessions: update.sessions,
+			read_progress: update.page,
+			read_status: update.status,
+			read_started_at: update.startedAt,
+			read_finished_at: update.finishedAt,
+		} );
+	};
+
 	const handleSelectResult = useCallback(
 		( result ) => {
-			updateKindMeta( 'read_title', result.title );
-			updateKindMeta( 'read_author', result.author );
-			updateKindMeta( 'read_isbn', result.isbn );
-			updateKindMeta( 'read_cover', result.cover );
-			updateKindMeta( 'read_pages', result.pages || 0 );
-			clearApiResults();
+			updateKindMetaBatch( {
+				read_title: result.title,
+				read_author: result.author,
+				read_series: '',
+				read_series_position: '',
+				read_isbn: result.isbn,
+				read_cover: result.cover,
+				read_pages: result.pages || 0,
+			} );
+			clearApiResults( 'book' );
 			setSearchQuery( '' );
 		},
-		[ updateKindMeta, clearApiResults ]
+		[ updateKindMetaBatch, clearApiResults ]
 	);
 
 	return (
@@ -1862,6 +1709,7 @@ function ReadFields() {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				value={ readTitle }
+				data-pkiw-field="read_title"
 				onChange={ ( value ) => updateKindMeta( 'read_title', value ) }
 				__nextHasNoMarginBottom
 				__next40pxDefaultSize
@@ -1876,6 +1724,32 @@ function ReadFields() {
 				__nextHasNoMarginBottom
 				__next40pxDefaultSize
 			/>
+			<Flex align="flex-start">
+				<TextControl
+					label={ __(
+						'Series',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={ readSeries }
+					onChange={ ( value ) =>
+						updateKindMeta( 'read_series', value )
+					}
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+				/>
+				<TextControl
+					label={ __(
+						'Number in series',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value={ readSeriesPosition }
+					onChange={ ( value ) =>
+						updateKindMeta( 'read_series_position', value )
+					}
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+				/>
+			</Flex>
 			<TextControl
 				label={ __(
 					'ISBN',
@@ -1962,6 +1836,21 @@ function ReadFields() {
 					__next40pxDefaultSize
 				/>
 			</Flex>
+			<ReadingProgressUpdate
+				pageCount={ readPages }
+				currentPage={ readProgress }
+				onAdd={ handleAddSession }
+			/>
+			<ReadingTimeline
+				sessions={ readSessions }
+				pageCount={ readPages }
+				onRemove={ ( index ) =>
+					updateKindMeta(
+						'read_sessions',
+						readSessions.filter( ( session, i ) => i !== index )
+					)
+				}
+			/>
 			<TextControl
 				label={ __(
 					'Cover URL',
@@ -2077,288 +1966,81 @@ function ReadFields() {
 }
 
 /**
- * Event Fields Component
+ * Play Fields Component
+ *
+ * Fields for game logging with BGG/RAWG lookup.
  *
- * @return {JSX.Element} Event fields.
+ * @return {JSX.Element} Play fields.
  */
-function EventFields() {
-	const { eventStart, eventEnd, eventLocation, eventUrl } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				eventStart: getKindMeta( 'event_start' ),
-				eventEnd: getKindMeta( 'event_end' ),
-				eventLocation: getKindMeta( 'event_location' ),
-				eventUrl: getKindMeta( 'event_url' ),
-			};
-		},
-		[]
-	);
+function PlayFields() {
+	const gameSearchId = useId();
+	const gameUrlId = useId();
+	const [ searchQuery, setSearchQuery ] = useState( '' );
+	const [ searchSource, setSearchSource ] = useState( 'bgg' );
+	const [ gameType, setGameType ] = useState( 'boardgame' );
+	const [ isFetchingDetails, setIsFetchingDetails ] = useState( false );
+	const [ gameUrl, setGameUrl ] = useState( '' );
+	const [ showCustomPlatform, setShowCustomPlatform ] = useState( false );
 
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __(
-					'Start Date/Time',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ eventStart }
-				onChange={ ( value ) => updateKindMeta( 'event_start', value ) }
-				type="datetime-local"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'End Date/Time',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ eventEnd }
-				onChange={ ( value ) => updateKindMeta( 'event_end', value ) }
-				type="datetime-local"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Location',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ eventLocation }
-				onChange={ ( value ) =>
-					updateKindMeta( 'event_location', value )
-				}
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Event URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ eventUrl }
-				onChange={ ( value ) => updateKindMeta( 'event_url', value ) }
-				type="url"
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Review Fields Component
- *
- * @return {JSX.Element} Review fields.
- */
-function ReviewFields() {
-	const ratingId = useId();
-	const { reviewRating, reviewBest, reviewItemName, reviewItemUrl } =
-		useSelect( ( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				reviewRating: getKindMeta( 'review_rating' ),
-				reviewBest: getKindMeta( 'review_best' ) || 5,
-				reviewItemName: getKindMeta( 'review_item_name' ),
-				reviewItemUrl: getKindMeta( 'review_item_url' ),
-			};
-		}, [] );
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	// Generate star display.
-	const rating = parseFloat( reviewRating ) || 0;
-	const best = parseInt( reviewBest, 10 ) || 5;
-	const stars = [];
-	for ( let i = 1; i <= best; i++ ) {
-		if ( i <= rating ) {
-			stars.push( '★' );
-		} else if ( i - 0.5 === rating ) {
-			stars.push( '½' );
-		} else {
-			stars.push( '☆' );
-		}
-	}
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __(
-					'Item Name',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ reviewItemName }
-				onChange={ ( value ) =>
-					updateKindMeta( 'review_item_name', value )
-				}
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Item URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ reviewItemUrl }
-				onChange={ ( value ) =>
-					updateKindMeta( 'review_item_url', value )
-				}
-				type="url"
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<BaseControl
-				id={ ratingId }
-				label={ __(
-					'Rating',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-			>
-				<div className="post-kinds-indieweb-star-rating">
-					<span
-						className="post-kinds-indieweb-stars"
-						aria-hidden="true"
-					>
-						{ stars.join( '' ) }
-					</span>
-					<RangeControl
-						value={ rating }
-						onChange={ ( value ) =>
-							updateKindMeta( 'review_rating', value )
-						}
-						min={ 0 }
-						max={ best }
-						step={ 0.5 }
-						withInputField={ true }
-						__nextHasNoMarginBottom
-						__next40pxDefaultSize
-					/>
-				</div>
-			</BaseControl>
-			<TextControl
-				label={ __(
-					'Maximum Rating',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ reviewBest }
-				onChange={ ( value ) =>
-					updateKindMeta( 'review_best', parseInt( value, 10 ) || 5 )
-				}
-				type="number"
-				min="1"
-				max="10"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-
-			<style>{ `
-				.post-kinds-indieweb-star-rating .post-kinds-indieweb-stars {
-					font-size: 24px;
-					color: #f5a623;
-					margin-bottom: 8px;
-					display: block;
-				}
-
-				.post-kinds-indieweb-api-results {
-					display: flex;
-					flex-direction: column;
-					gap: 4px;
-					max-height: 200px;
-					overflow-y: auto;
-					border: 1px solid #ddd;
-					border-radius: 4px;
-					padding: 4px;
-				}
-
-				.post-kinds-indieweb-api-result {
-					display: flex;
-					align-items: center;
-					gap: 8px;
-					padding: 8px;
-					text-align: left;
-					width: 100%;
-					justify-content: flex-start;
-				}
-
-				.post-kinds-indieweb-api-result img {
-					flex-shrink: 0;
-					object-fit: cover;
-				}
-
-				.post-kinds-indieweb-api-result span {
-					overflow: hidden;
-					text-overflow: ellipsis;
-				}
-			` }</style>
-		</Flex>
-	);
-}
-
-/**
- * Play Fields Component
- *
- * Fields for game logging with BGG/RAWG lookup.
- *
- * @return {JSX.Element} Play fields.
- */
-function PlayFields() {
-	const gameSearchId = useId();
-	const gameUrlId = useId();
-	const [ searchQuery, setSearchQuery ] = useState( '' );
-	const [ searchSource, setSearchSource ] = useState( 'bgg' );
-	const [ gameType, setGameType ] = useState( 'boardgame' );
-	const [ isSearching, setIsSearching ] = useState( false );
-	const [ searchResults, setSearchResults ] = useState( [] );
-	const [ searchError, setSearchError ] = useState( '' );
-	const [ gameUrl, setGameUrl ] = useState( '' );
-	const [ showCustomPlatform, setShowCustomPlatform ] = useState( false );
+	const {
+		playTitle,
+		playPlatform,
+		playStatus,
+		playHours,
+		playCover,
+		playRating,
+		playReview,
+		playGameUrl,
+		playBggId,
+		playRawgId,
+		playSteamId,
+		playOfficialUrl,
+		playPurchaseUrl,
+		isSearching,
+		searchResults,
+		lookupError,
+	} = useSelect( ( select ) => {
+		const getKindMeta = select( STORE_NAME ).getKindMeta;
+		const store = select( STORE_NAME );
+		return {
+			playTitle: getKindMeta( 'play_title' ),
+			playPlatform: getKindMeta( 'play_platform' ),
+			playStatus: getKindMeta( 'play_status' ),
+			playHours: getKindMeta( 'play_hours' ),
+			playCover: getKindMeta( 'play_cover' ),
+			playRating: getKindMeta( 'play_rating' ),
+			playReview: getKindMeta( 'play_review' ),
+			playGameUrl: getKindMeta( 'play_game_url' ),
+			playBggId: getKindMeta( 'play_bgg_id' ),
+			playRawgId: getKindMeta( 'play_rawg_id' ),
+			playSteamId: getKindMeta( 'play_steam_id' ),
+			playOfficialUrl: getKindMeta( 'play_official_url' ),
+			playPurchaseUrl: getKindMeta( 'play_purchase_url' ),
+			isSearching: store.isApiLoading( 'game' ),
+			searchResults: store.getApiResults( 'game' ),
+			lookupError: store.getApiError( 'game' ),
+		};
+	}, [] );
 
 	const {
-		playTitle,
-		playPlatform,
-		playStatus,
-		playHours,
-		playCover,
-		playRating,
-		playReview,
-		playGameUrl,
-		playBggId,
-		playRawgId,
-		playSteamId,
-		playOfficialUrl,
-		playPurchaseUrl,
-	} = useSelect( ( select ) => {
-		const getKindMeta = select( STORE_NAME ).getKindMeta;
-		return {
-			playTitle: getKindMeta( 'play_title' ),
-			playPlatform: getKindMeta( 'play_platform' ),
-			playStatus: getKindMeta( 'play_status' ),
-			playHours: getKindMeta( 'play_hours' ),
-			playCover: getKindMeta( 'play_cover' ),
-			playRating: getKindMeta( 'play_rating' ),
-			playReview: getKindMeta( 'play_review' ),
-			playGameUrl: getKindMeta( 'play_game_url' ),
-			playBggId: getKindMeta( 'play_bgg_id' ),
-			playRawgId: getKindMeta( 'play_rawg_id' ),
-			playSteamId: getKindMeta( 'play_steam_id' ),
-			playOfficialUrl: getKindMeta( 'play_official_url' ),
-			playPurchaseUrl: getKindMeta( 'play_purchase_url' ),
-		};
-	}, [] );
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
+		updateKindMeta,
+		updateKindMetaBatch,
+		performApiLookup,
+		clearApiResults,
+	} = useDispatch( STORE_NAME );
+
+	// Don't show raw HTML from a PHP fatal error as the search error.
+	let searchError = '';
+	if ( lookupError ) {
+		searchError =
+			lookupError.includes( '<' ) ||
+			lookupError.includes( 'critical error' )
+				? __(
+						'API not configured. Use manual URL paste below, or configure BGG token in Settings.',
+						'post-kinds-for-indieweb-in-block-themes'
+				  )
+				: lookupError;
+	}
 
 	// Check if platform is a predefined option
 	const isPredefinedPlatform = platformOptions.some(
@@ -2388,7 +2070,7 @@ function PlayFields() {
 			/(?:boardgamegeek|videogamegeek)\.com\/(?:boardgame|boardgameexpansion|videogame|videogameexpansion|rpgitem|thing)\/(\d+)(?:\/([^/?#]+))?/
 		);
 		if ( bggMatch ) {
-			updateKindMeta( 'play_bgg_id', bggMatch[ 1 ] );
+			const gameMeta = { play_bgg_id: bggMatch[ 1 ] };
 			// Extract title from URL slug if present
 			if ( bggMatch[ 2 ] ) {
 				// Convert slug to title: "wingspan-americas-expansion" -> "Wingspan Americas Expansion"
@@ -2399,107 +2081,74 @@ function PlayFields() {
 							word.charAt( 0 ).toUpperCase() + word.slice( 1 )
 					)
 					.join( ' ' );
-				updateKindMeta( 'play_title', titleFromSlug );
+				gameMeta.play_title = titleFromSlug;
 			}
+			updateKindMetaBatch( gameMeta );
 		}
 	};
 
-	const handleSearch = useCallback( async () => {
+	const handleSearch = useCallback( () => {
 		const query = searchQuery.trim();
 		if ( ! query ) {
 			return;
 		}
 
-		setIsSearching( true );
-		setSearchError( '' );
-		setSearchResults( [] );
-
-		try {
-			const params = new URLSearchParams( {
-				q: query,
-				source: searchSource,
-			} );
-
-			if ( searchSource === 'bgg' ) {
-				params.set( 'type', gameType );
-			}
-
-			const results = await apiFetch( {
-				path: `/post-kinds-indieweb/v1/lookup/game?${ params.toString() }`,
-			} );
-
-			setSearchResults( results || [] );
-		} catch ( error ) {
-			// Handle error - don't show raw HTML
-			let errorMsg = __(
-				'Search failed.',
-				'post-kinds-for-indieweb-in-block-themes'
-			);
-			if ( error.message ) {
-				// Check if error contains HTML (from PHP fatal error)
-				if (
-					error.message.includes( '<' ) ||
-					error.message.includes( 'critical error' )
-				) {
-					errorMsg = __(
-						'API not configured. Use manual URL paste below, or configure BGG token in Settings.',
-						'post-kinds-for-indieweb-in-block-themes'
-					);
-				} else {
-					errorMsg = error.message;
-				}
-			}
-			setSearchError( errorMsg );
-		} finally {
-			setIsSearching( false );
+		const params = { source: searchSource };
+		if ( searchSource === 'bgg' ) {
+			params.type = gameType;
 		}
-	}, [ searchQuery, searchSource, gameType ] );
+
+		performApiLookup( 'game', query, params );
+	}, [ searchQuery, searchSource, gameType, performApiLookup ] );
 
 	const handleSelectResult = useCallback(
 		async ( result ) => {
 			// For BGG, fetch full details.
 			if ( result.source === 'bgg' && result.id ) {
-				setIsSearching( true );
+				setIsFetchingDetails( true );
 				try {
-					const details = await apiFetch( {
-						path: `/post-kinds-indieweb/v1/lookup/game?source=bgg&id=${ result.id }`,
+					const details = await lookup( 'game', {
+						source: 'bgg',
+						id: result.id,
 					} );
 
-					updateKindMeta(
-						'play_title',
-						details.title || result.title
-					);
-					updateKindMeta( 'play_cover', details.cover || '' );
-					updateKindMeta(
-						'play_bgg_id',
-						String( details.id || result.id )
-					);
-					updateKindMeta( 'play_rawg_id', '' );
+					updateKindMetaBatch( {
+						play_title: details.title || result.title,
+						play_cover: details.cover || '',
+						play_bgg_id: String( details.id || result.id ),
+						play_rawg_id: '',
+					} );
 				} catch {
 					// Fallback to search result data.
-					updateKindMeta( 'play_title', result.title );
-					updateKindMeta( 'play_bgg_id', String( result.id ) );
-					updateKindMeta( 'play_rawg_id', '' );
+					updateKindMetaBatch( {
+						play_title: result.title,
+						play_bgg_id: String( result.id ),
+						play_rawg_id: '',
+					} );
 				} finally {
-					setIsSearching( false );
+					setIsFetchingDetails( false );
 				}
 			} else {
 				// RAWG result.
-				updateKindMeta( 'play_title', result.name || result.title );
-				updateKindMeta( 'play_cover', result.cover || '' );
-				updateKindMeta( 'play_rawg_id', String( result.id ) );
-				updateKindMeta( 'play_bgg_id', '' );
+				const gameMeta = {
+					play_title: result.name || result.title,
+					play_cover: result.cover || '',
+					play_rawg_id: String( result.id ),
+					play_bgg_id: '',
+				};
 
 				// Set platform from first platform if available.
 				if ( result.platforms && result.platforms.length > 0 ) {
-					updateKindMeta( 'play_platform', result.platforms[ 0 ] );
+					gameMeta.play_platform = result.platforms[ 0 ];
 				}
+
+				updateKindMetaBatch( gameMeta );
 			}
 
-			setSearchResults( [] );
+			clearApiResults( 'game' );
 			setSearchQuery( '' );
 		},
-		[ updateKindMeta ]
+		[ updateKindMetaBatch, clearApiResults ]
 	);
 
 	const platformOptions = [
@@ -2710,7 +2359,7 @@ function PlayFields() {
 						<Button
 							icon={ searchIcon }
 							onClick={ handleSearch }
-							disabled={ isSearching }
+							disabled={ isSearching || isFetchingDetails }
 							label={ __(
 								'Search',
 								'post-kinds-for-indieweb-in-block-themes'
@@ -2720,7 +2369,7 @@ function PlayFields() {
 				</Flex>
 			</BaseControl>
 
-			{ isSearching && <Spinner /> }
+			{ ( isSearching || isFetchingDetails ) && <Spinner /> }
 
 			{ searchError && (
 				<p style={ { color: '#d63638', fontSize: '12px' } }>
@@ -3717,641 +3366,3 @@ function DrinkFields() {
 		</Flex>
 	);
 }
-
-/**
- * Favorite Fields Component
- *
- * Fields for starring/saving items.
- *
- * @return {JSX.Element} Favorite fields.
- */
-function FavoriteFields() {
-	const { favoriteName, favoriteUrl, favoriteRating } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				favoriteName: getKindMeta( 'favorite_name' ),
-				favoriteUrl: getKindMeta( 'favorite_url' ),
-				favoriteRating: getKindMeta( 'favorite_rating' ),
-			};
-		},
-		[]
-	);
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __(
-					'Name/Title',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ favoriteName }
-				onChange={ ( value ) =>
-					updateKindMeta( 'favorite_name', value )
-				}
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ) }
-				type="url"
-				value={ favoriteUrl }
-				onChange={ ( value ) =>
-					updateKindMeta( 'favorite_url', value )
-				}
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<RangeControl
-				label={ __(
-					'Rating',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ favoriteRating || 0 }
-				onChange={ ( value ) =>
-					updateKindMeta( 'favorite_rating', value )
-				}
-				min={ 0 }
-				max={ 5 }
-				step={ 0.5 }
-				withInputField
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Jam Fields Component
- *
- * Fields for "this is my jam" music highlights.
- *
- * @return {JSX.Element} Jam fields.
- */
-function JamFields() {
-	const { jamTrack, jamArtist, jamAlbum, jamUrl, jamCover } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				jamTrack: getKindMeta( 'jam_track' ),
-				jamArtist: getKindMeta( 'jam_artist' ),
-				jamAlbum: getKindMeta( 'jam_album' ),
-				jamUrl: getKindMeta( 'jam_url' ),
-				jamCover: getKindMeta( 'jam_cover' ),
-			};
-		},
-		[]
-	);
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			{ jamCover && (
-				<div style={ { textAlign: 'center' } }>
-					<img
-						src={ jamCover }
-						alt={ jamTrack }
-						style={ { maxWidth: '120px', borderRadius: '4px' } }
-					/>
-				</div>
-			) }
-			<TextControl
-				label={ __(
-					'Track',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ jamTrack }
-				onChange={ ( value ) => updateKindMeta( 'jam_track', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Artist',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ jamArtist }
-				onChange={ ( value ) => updateKindMeta( 'jam_artist', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Album',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ jamAlbum }
-				onChange={ ( value ) => updateKindMeta( 'jam_album', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Link',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				type="url"
-				value={ jamUrl }
-				onChange={ ( value ) => updateKindMeta( 'jam_url', value ) }
-				placeholder="https://open.spotify.com/..."
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Cover Image URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				type="url"
-				value={ jamCover }
-				onChange={ ( value ) => updateKindMeta( 'jam_cover', value ) }
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Wish Fields Component
- *
- * Fields for wishlist items.
- *
- * @return {JSX.Element} Wish fields.
- */
-function WishFields() {
-	const { wishName, wishUrl, wishType, wishPriority, wishPhoto } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				wishName: getKindMeta( 'wish_name' ),
-				wishUrl: getKindMeta( 'wish_url' ),
-				wishType: getKindMeta( 'wish_type' ),
-				wishPriority: getKindMeta( 'wish_priority' ),
-				wishPhoto: getKindMeta( 'wish_photo' ),
-			};
-		},
-		[]
-	);
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	const typeOptions = [
-		{
-			label: __(
-				'Select type…',
-				'post-kinds-for-indieweb-in-block-themes'
-			),
-			value: '',
-		},
-		{
-			label: __( 'Book', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'book',
-		},
-		{
-			label: __(
-				'Movie/Show',
-				'post-kinds-for-indieweb-in-block-themes'
-			),
-			value: 'movie',
-		},
-		{
-			label: __( 'Game', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'game',
-		},
-		{
-			label: __( 'Music', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'music',
-		},
-		{
-			label: __( 'Product', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'product',
-		},
-		{
-			label: __(
-				'Experience',
-				'post-kinds-for-indieweb-in-block-themes'
-			),
-			value: 'experience',
-		},
-		{
-			label: __( 'Other', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'other',
-		},
-	];
-
-	const priorityOptions = [
-		{
-			label: __( 'Low', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'low',
-		},
-		{
-			label: __( 'Medium', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'medium',
-		},
-		{
-			label: __( 'High', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: 'high',
-		},
-	];
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<TextControl
-				label={ __(
-					'Item Name',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ wishName }
-				onChange={ ( value ) => updateKindMeta( 'wish_name', value ) }
-				placeholder={ __(
-					'What do you wish for?',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ) }
-				type="url"
-				value={ wishUrl }
-				onChange={ ( value ) => updateKindMeta( 'wish_url', value ) }
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<SelectControl
-				label={ __(
-					'Type',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ wishType }
-				options={ typeOptions }
-				onChange={ ( value ) => updateKindMeta( 'wish_type', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<SelectControl
-				label={ __(
-					'Priority',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ wishPriority || 'medium' }
-				options={ priorityOptions }
-				onChange={ ( value ) =>
-					updateKindMeta( 'wish_priority', value )
-				}
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Photo URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				type="url"
-				value={ wishPhoto }
-				onChange={ ( value ) => updateKindMeta( 'wish_photo', value ) }
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Mood Fields Component
- *
- * Fields for emotional state logging.
- *
- * @return {JSX.Element} Mood fields.
- */
-function MoodFields() {
-	const { moodEmoji, moodLabel, moodRating } = useSelect( ( select ) => {
-		const getKindMeta = select( STORE_NAME ).getKindMeta;
-		return {
-			moodEmoji: getKindMeta( 'mood_emoji' ),
-			moodLabel: getKindMeta( 'mood_label' ),
-			moodRating: getKindMeta( 'mood_rating' ),
-		};
-	}, [] );
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	const ratingOptions = [
-		{
-			label: __(
-				'Select level…',
-				'post-kinds-for-indieweb-in-block-themes'
-			),
-			value: '',
-		},
-		{
-			label:
-				'1 - ' + __( 'Low', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: '1',
-		},
-		{ label: '2', value: '2' },
-		{
-			label:
-				'3 - ' +
-				__( 'Neutral', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: '3',
-		},
-		{ label: '4', value: '4' },
-		{
-			label:
-				'5 - ' +
-				__( 'High', 'post-kinds-for-indieweb-in-block-themes' ),
-			value: '5',
-		},
-	];
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			{ moodEmoji && (
-				<div style={ { fontSize: '48px', textAlign: 'center' } }>
-					{ moodEmoji }
-				</div>
-			) }
-			<TextControl
-				label={ __(
-					'Mood Emoji',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ moodEmoji }
-				onChange={ ( value ) => updateKindMeta( 'mood_emoji', value ) }
-				placeholder="😊"
-				maxLength={ 10 }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Mood Label',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ moodLabel }
-				onChange={ ( value ) => updateKindMeta( 'mood_label', value ) }
-				placeholder={ __(
-					'How are you feeling?',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<SelectControl
-				label={ __(
-					'Level (1–5)',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ moodRating ? String( moodRating ) : '' }
-				options={ ratingOptions }
-				onChange={ ( value ) =>
-					updateKindMeta( 'mood_rating', parseInt( value ) || 0 )
-				}
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Acquisition Fields Component
- *
- * Fields for items acquired/purchased.
- *
- * @return {JSX.Element} Acquisition fields.
- */
-function AcquisitionFields() {
-	const {
-		acquisitionName,
-		acquisitionUrl,
-		acquisitionPrice,
-		acquisitionPhoto,
-		acquisitionRating,
-	} = useSelect( ( select ) => {
-		const getKindMeta = select( STORE_NAME ).getKindMeta;
-		return {
-			acquisitionName: getKindMeta( 'acquisition_name' ),
-			acquisitionUrl: getKindMeta( 'acquisition_url' ),
-			acquisitionPrice: getKindMeta( 'acquisition_price' ),
-			acquisitionPhoto: getKindMeta( 'acquisition_photo' ),
-			acquisitionRating: getKindMeta( 'acquisition_rating' ),
-		};
-	}, [] );
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			{ acquisitionPhoto && (
-				<div style={ { textAlign: 'center' } }>
-					<img
-						src={ acquisitionPhoto }
-						alt={ acquisitionName }
-						style={ { maxWidth: '150px', borderRadius: '4px' } }
-					/>
-				</div>
-			) }
-			<TextControl
-				label={ __(
-					'Item Name',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ acquisitionName }
-				onChange={ ( value ) =>
-					updateKindMeta( 'acquisition_name', value )
-				}
-				placeholder={ __(
-					'What did you get?',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __( 'URL', 'post-kinds-for-indieweb-in-block-themes' ) }
-				type="url"
-				value={ acquisitionUrl }
-				onChange={ ( value ) =>
-					updateKindMeta( 'acquisition_url', value )
-				}
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Price',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ acquisitionPrice }
-				onChange={ ( value ) =>
-					updateKindMeta( 'acquisition_price', value )
-				}
-				placeholder="$0.00"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<RangeControl
-				label={ __(
-					'Rating',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ acquisitionRating || 0 }
-				onChange={ ( value ) =>
-					updateKindMeta( 'acquisition_rating', value )
-				}
-				min={ 0 }
-				max={ 5 }
-				step={ 0.5 }
-				withInputField
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Photo URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				type="url"
-				value={ acquisitionPhoto }
-				onChange={ ( value ) =>
-					updateKindMeta( 'acquisition_photo', value )
-				}
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
-
-/**
- * Recipe Fields Component
- *
- * Fields for recipe posts (integrates with WP Recipe Maker).
- *
- * @return {JSX.Element} Recipe fields.
- */
-function RecipeFields() {
-	const { recipeName, recipeYield, recipeDuration, recipeUrl } = useSelect(
-		( select ) => {
-			const getKindMeta = select( STORE_NAME ).getKindMeta;
-			return {
-				recipeName: getKindMeta( 'recipe_name' ),
-				recipeYield: getKindMeta( 'recipe_yield' ),
-				recipeDuration: getKindMeta( 'recipe_duration' ),
-				recipeUrl: getKindMeta( 'recipe_url' ),
-			};
-		},
-		[]
-	);
-
-	const { updateKindMeta } = useDispatch( STORE_NAME );
-
-	return (
-		<Flex
-			direction="column"
-			gap={ 4 }
-			className="post-kinds-indieweb-kind-fields"
-		>
-			<p
-				className="description"
-				style={ { margin: 0, fontSize: '12px', color: '#757575' } }
-			>
-				{ __(
-					'For full recipe features, use WP Recipe Maker blocks.',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-			</p>
-			<TextControl
-				label={ __(
-					'Recipe Name',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ recipeName }
-				onChange={ ( value ) => updateKindMeta( 'recipe_name', value ) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Yield/Servings',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ recipeYield }
-				onChange={ ( value ) =>
-					updateKindMeta( 'recipe_yield', value )
-				}
-				placeholder={ __(
-					'4 servings',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Total Time',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				value={ recipeDuration }
-				onChange={ ( value ) =>
-					updateKindMeta( 'recipe_duration', value )
-				}
-				placeholder={ __(
-					'PT1H30M (ISO 8601)',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				help={ __(
-					'Format: PT1H30M = 1 hour 30 minutes',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-			<TextControl
-				label={ __(
-					'Recipe Source URL',
-					'post-kinds-for-indieweb-in-block-themes'
-				) }
-				type="url"
-				value={ recipeUrl }
-				onChange={ ( value ) => updateKindMeta( 'recipe_url', value ) }
-				placeholder="https://"
-				__nextHasNoMarginBottom
-				__next40pxDefaultSize
-			/>
-		</Flex>
-	);
-}
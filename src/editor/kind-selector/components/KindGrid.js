@@ -18,6 +18,7 @@ import { useRef, useCallback } from '@wordpress/element';
  * Internal dependencies
  */
 import { getKindIcon } from '../icons';
+import { getPostKind, sortKindTerms } from '../../kind-registry';
 
 /**
  * Kind Grid Component
@@ -82,40 +83,8 @@ export default function KindGrid( { kinds, selectedKind, onSelect } ) {
 		buttons[ newIndex ]?.focus();
 	}, [] );
 
-	// Sort kinds to show common ones first.
-	const sortedKinds = [ ...kinds ].sort( ( a, b ) => {
-		const order = [
-			'note',
-			'article',
-			'reply',
-			'like',
-			'repost',
-			'bookmark',
-			'photo',
-			'video',
-			'rsvp',
-			'checkin',
-			'listen',
-			'watch',
-			'read',
-			'event',
-			'review',
-			'play',
-			'eat',
-			'drink',
-			'favorite',
-			'jam',
-			'wish',
-			'mood',
-			'acquisition',
-			'recipe',
-		];
-		const aIndex = order.indexOf( a.slug );
-		const bIndex = order.indexOf( b.slug );
-		return (
-			( aIndex === -1 ? 999 : aIndex ) - ( bIndex === -1 ? 999 : bIndex )
-		);
-	} );
+	// Registered kinds first, in registration order.
+	const sortedKinds = sortKindTerms( kinds );
 
 	return (
 		<div
@@ -130,11 +99,12 @@ export default function KindGrid( { kinds, selectedKind, onSelect } ) {
 			{ sortedKinds.map( ( kind, index ) => {
 				const Icon = getKindIcon( kind.slug );
 				const isSelected = kind.slug === selectedKind;
+				const label = getPostKind( kind.slug )?.label || kind.name;
 
 				return (
 					<Tooltip
 						key={ kind.slug }
-						text={ kind.description || kind.name }
+						text={ kind.description || label }
 						position="bottom center"
 					>
 						<Button
@@ -144,11 +114,11 @@ export default function KindGrid( { kinds, selectedKind, onSelect } ) {
 							onClick={ () => onSelect( kind.slug ) }
 							onKeyDown={ ( e ) => handleKeyDown( e, index ) }
 							aria-pressed={ isSelected }
-							aria-label={ kind.name }
+							aria-label={ label }
 						>
 							<Icon />
 							<span className="post-kinds-indieweb-kind-label">
-								{ kind.name }
+								{ label }
 							</span>
 							{ isSelected && (
 								<VisuallyHidden>
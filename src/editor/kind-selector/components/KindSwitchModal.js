@@ -0,0 +1,186 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Switch Modal Component
+ *
+ * Confirms a kind change on a post that already has kind data: shows the
+ * fields that carry over, the ones that will be cleared, and offers to
+ * convert the old kind's card.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { Modal, Button, CheckboxControl } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+
+/**
+ * Show a meta value in a list, shortened.
+ *
+ * @param {*} value Meta value.
+ * @return {string} Display text.
+ */
+function formatValue( value ) {
+	const text = Array.isArray( value ) ? value.join( ', ' ) : String( value );
+	return text.length > 60 ? `${ text.slice( 0, 57 ) }…` : text;
+}
+
+/**
+ * Kind Switch Modal Component
+ *
+ * @param {Object}   props              Component props.
+ * @param {string}   props.fromLabel    Current kind label.
+ * @param {string}   props.toLabel      New kind label.
+ * @param {Object}   props.plan         Plan from planKindMigration().
+ * @param {boolean}  props.hasCard      Whether the post has the old kind's card.
+ * @param {boolean}  props.canTransform Whether the card converts through a
+ *                                      block transform.
+ * @param {Function} props.onConfirm    Called with `{ replaceCard }`.
+ * @param {Function} props.onCancel     Called to close without switching.
+ * @return {JSX.Element} The modal component.
+ */
+export default function KindSwitchModal( {
+	fromLabel,
+	toLabel,
+	plan,
+	hasCard,
+	canTransform,
+	onConfirm,
+	onCancel,
+} ) {
+	const [ replaceCard, setReplaceCard ] = useState( true );
+
+	return (
+		<Modal
+			title={ sprintf(
+				/* translators: 1: current kind, 2: new kind. */
+				__(
+					'Switch from %1$s to %2$s',
+					'post-kinds-for-indieweb-in-block-themes'
+				),
+				fromLabel,
+				toLabel
+			) }
+			onRequestClose={ onCancel }
+			className="post-kinds-indieweb-kind-switch-modal"
+		>
+			{ plan.carried.length > 0 && (
+				<>
+					<h3>
+						{ __(
+							'Carried over',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					</h3>
+					<ul>
+						{ plan.carried.map( ( { from, to, value } ) => (
+							<li key={ from }>
+								<code>{ from }</code> → <code>{ to }</code>:{ ' ' }
+								{ formatValue( value ) }
+							</li>
+						) ) }
+					</ul>
+				</>
+			) }
+
+			{ plan.cleared.length > 0 && (
+				<>
+					<h3>
+						{ __(
+							'Will be cleared',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					</h3>
+					<ul>
+						{ plan.cleared.map( ( { key, value } ) => (
+							<li key={ key }>
+								<code>{ key }</code>: { formatValue( value ) }
+							</li>
+						) ) }
+					</ul>
+				</>
+			) }
+
+			{ hasCard && (
+				<CheckboxControl
+					__nextHasNoMarginBottom
+					label={
+						canTransform
+							? sprintf(
+									/* translators: 1: current kind, 2: new kind. */
+									__(
+										'Convert the %1$s card into a %2$s card',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									fromLabel,
+									toLabel
+							  )
+							: sprintf(
+									/* translators: 1: current kind, 2: new kind. */
+									__(
+										'Replace the %1$s card with a %2$s card',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									fromLabel,
+									toLabel
+							  )
+					}
+					checked={ replaceCard }
+					onChange={ setReplaceCard }
+				/>
+			) }
+
+			<p className="post-kinds-indieweb-kind-switch-undo">
+				{ __(
+					'The switch can be undone in one step.',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</p>
+
+			<div className="post-kinds-indieweb-kind-switch-actions">
+				<Button variant="tertiary" onClick={ onCancel }>
+					{ __(
+						'Cancel',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+				<Button
+					variant="primary"
+					onClick={ () =>
+						onConfirm( { replaceCard: hasCard && replaceCard } )
+					}
+				>
+					{ __(
+						'Switch kind',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			</div>
+
+			<style>{ `
+				.post-kinds-indieweb-kind-switch-modal h3 {
+					margin: 16px 0 8px;
+					font-size: 13px;
+				}
+
+				.post-kinds-indieweb-kind-switch-modal ul {
+					margin: 0 0 8px;
+					list-style: none;
+				}
+
+				.post-kinds-indieweb-kind-switch-undo {
+					font-size: 12px;
+					color: #757575;
+				}
+
+				.post-kinds-indieweb-kind-switch-actions {
+					display: flex;
+					justify-content: flex-end;
+					gap: 8px;
+				}
+			` }</style>
+		</Modal>
+	);
+}
@@ -0,0 +1,104 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Templates Component
+ *
+ * Offers the author's templates for a kind that was just chosen, before
+ * its card goes in: the card can start from a template or blank.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { Button } from '@wordpress/components';
+
+/**
+ * Kind Templates Component
+ *
+ * @param {Object}        props           Component props.
+ * @param {string}        props.kindLabel Label of the chosen kind.
+ * @param {Array<Object>} props.templates The kind's templates.
+ * @param {Function}      props.onUse     Called with the template to start from.
+ * @param {Function}      props.onBlank   Called to insert a blank card.
+ * @param {Function}      props.onDelete  Called with the ID of a template to delete.
+ * @return {JSX.Element} The component.
+ */
+export default function KindTemplates( {
+	kindLabel,
+	templates,
+	onUse,
+	onBlank,
+	onDelete,
+} ) {
+	return (
+		<div className="post-kinds-indieweb-kind-templates">
+			<p className="post-kinds-indieweb-kind-templates__heading">
+				{ sprintf(
+					/* translators: %s: kind label, e.g. Drink. */
+					__(
+						'Start the %s card from a template:',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					kindLabel
+				) }
+			</p>
+			<ul>
+				{ templates.map( ( template ) => (
+					<li key={ template.id }>
+						<Button
+							variant="secondary"
+							onClick={ () => onUse( template ) }
+						>
+							{ template.name }
+						</Button>{ ' ' }
+						<Button
+							variant="link"
+							isDestructive
+							onClick={ () => onDelete( template.id ) }
+							label={ sprintf(
+								/* translators: %s: template name. */
+								__(
+									'Delete the %s template',
+									'post-kinds-for-indieweb-in-block-themes'
+								),
+								template.name
+							) }
+						>
+							{ __(
+								'Delete',
+								'post-kinds-for-indieweb-in-block-themes'
+							) }
+						</Button>
+					</li>
+				) ) }
+			</ul>
+			<Button variant="tertiary" onClick={ onBlank }>
+				{ __(
+					'Blank card',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</Button>
+
+			<style>{ `
+				.post-kinds-indieweb-kind-templates {
+					margin-top: 16px;
+				}
+
+				.post-kinds-indieweb-kind-templates__heading {
+					margin: 0 0 8px 0;
+				}
+
+				.post-kinds-indieweb-kind-templates ul {
+					margin: 0 0 8px 0;
+					list-style: none;
+				}
+
+				.post-kinds-indieweb-kind-templates li {
+					margin-bottom: 4px;
+				}
+			` }</style>
+		</div>
+	);
+}
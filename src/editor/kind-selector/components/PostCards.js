@@ -0,0 +1,118 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Post Cards Component
+ *
+ * Lists the secondary cards of a post — cards of other kinds than the
+ * post's, as in "watched X while drinking Y at Z" — and adds more.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { Button, SelectControl } from '@wordpress/components';
+
+/**
+ * Post Cards Component
+ *
+ * @param {Object}        props                Component props.
+ * @param {Array<string>} props.secondaryKinds Kinds of the secondary cards,
+ *                                             in document order.
+ * @param {Array<string>} props.addableKinds   Kinds whose card can be added.
+ * @param {Function}      props.getKindLabel   Kind slug => label.
+ * @param {Function}      props.onAdd          Callback to add a kind's card.
+ * @param {Function}      props.onMakePrimary  Callback to make a kind's card
+ *                                             the primary one.
+ * @return {JSX.Element} The component.
+ */
+export default function PostCards( {
+	secondaryKinds,
+	addableKinds,
+	getKindLabel,
+	onAdd,
+	onMakePrimary,
+} ) {
+	return (
+		<div className="post-kinds-indieweb-post-cards">
+			{ secondaryKinds.length > 0 && (
+				<>
+					<p className="post-kinds-indieweb-post-cards__heading">
+						{ __(
+							'Also in this post:',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					</p>
+					<ul>
+						{ secondaryKinds.map( ( kind ) => (
+							<li key={ kind }>
+								{ sprintf(
+									/* translators: %s: kind label, e.g. Drink. */
+									__(
+										'%s card',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									getKindLabel( kind )
+								) }{ ' ' }
+								<Button
+									variant="link"
+									onClick={ () => onMakePrimary( kind ) }
+								>
+									{ __(
+										'Make primary',
+										'post-kinds-for-indieweb-in-block-themes'
+									) }
+								</Button>
+							</li>
+						) ) }
+					</ul>
+				</>
+			) }
+
+			{ addableKinds.length > 0 && (
+				<SelectControl
+					__nextHasNoMarginBottom
+					label={ __(
+						'Add a card of another kind',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+					value=""
+					options={ [
+						{
+							label: __(
+								'Choose a kind…',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							value: '',
+						},
+						...addableKinds.map( ( kind ) => ( {
+							label: getKindLabel( kind ),
+							value: kind,
+						} ) ),
+					] }
+					onChange={ ( kind ) => kind && onAdd( kind ) }
+					help={ __(
+						'The post keeps its kind; the card keeps its own details.',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				/>
+			) }
+
+			<style>{ `
+				.post-kinds-indieweb-post-cards {
+					margin-top: 16px;
+				}
+
+				.post-kinds-indieweb-post-cards__heading {
+					margin: 0 0 4px 0;
+				}
+
+				.post-kinds-indieweb-post-cards ul {
+					margin: 0 0 12px 0;
+					list-style: none;
+				}
+			` }</style>
+		</div>
+	);
+}
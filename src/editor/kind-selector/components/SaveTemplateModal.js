@@ -0,0 +1,178 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Save Template Modal Component
+ *
+ * Saves the post's card and kind details as a template for the kind: the
+ * author names it and picks the fields to remember.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Modal,
+	Button,
+	CheckboxControl,
+	TextControl,
+	Notice,
+} from '@wordpress/components';
+import { useState } from '@wordpress/element';
+
+/**
+ * Show a field value in a list, shortened.
+ *
+ * @param {*} value Field value.
+ * @return {string} Display text.
+ */
+function formatValue( value ) {
+	const text = Array.isArray( value ) ? value.join( ', ' ) : String( value );
+	return text.length > 40 ? `${ text.slice( 0, 37 ) }…` : text;
+}
+
+/**
+ * Save Template Modal Component
+ *
+ * @param {Object}        props           Component props.
+ * @param {string}        props.kindLabel Kind label.
+ * @param {Array<Object>} props.fields    Fields from getTemplateFields().
+ * @param {boolean}       props.isSaving  Whether a save is in flight.
+ * @param {string}        props.error     Error of the last save, if any.
+ * @param {Function}      props.onSave    Called with the name and the IDs
+ *                                        of the fields to keep.
+ * @param {Function}      props.onCancel  Called to close without saving.
+ * @return {JSX.Element} The modal component.
+ */
+export default function SaveTemplateModal( {
+	kindLabel,
+	fields,
+	isSaving,
+	error,
+	onSave,
+	onCancel,
+} ) {
+	const [ name, setName ] = useState( '' );
+	const [ kept, setKept ] = useState( () =>
+		fields.filter( ( field ) => field.checked ).map( ( field ) => field.id )
+	);
+
+	const toggle = ( id, checked ) =>
+		setKept( ( current ) =>
+			checked
+				? [ ...current, id ]
+				: current.filter( ( keptId ) => keptId !== id )
+		);
+
+	const groups = [
+		{
+			source: 'attributes',
+			label: __( 'Card', 'post-kinds-for-indieweb-in-block-themes' ),
+		},
+		{
+			source: 'meta',
+			label: __( 'Details', 'post-kinds-for-indieweb-in-block-themes' ),
+		},
+	];
+
+	return (
+		<Modal
+			title={ sprintf(
+				/* translators: %s: kind label, e.g. Drink. */
+				__(
+					'Save as %s template',
+					'post-kinds-for-indieweb-in-block-themes'
+				),
+				kindLabel
+			) }
+			onRequestClose={ onCancel }
+			className="post-kinds-indieweb-save-template-modal"
+		>
+			{ error && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			<TextControl
+				__nextHasNoMarginBottom
+				label={ __(
+					'Template name',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+				value={ name }
+				onChange={ setName }
+				maxLength={ 80 }
+			/>
+
+			<p>
+				{ __(
+					'New posts of this kind can start from the ticked fields. Dates are left out unless you tick them.',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</p>
+
+			{ groups.map( ( group ) => {
+				const groupFields = fields.filter(
+					( field ) => field.source === group.source
+				);
+
+				return (
+					groupFields.length > 0 && (
+						<div key={ group.source }>
+							<h3>{ group.label }</h3>
+							{ groupFields.map( ( field ) => (
+								<CheckboxControl
+									key={ field.id }
+									__nextHasNoMarginBottom
+									label={ `${ field.label }: ${ formatValue(
+										field.value
+									) }` }
+									checked={ kept.includes( field.id ) }
+									onChange={ ( checked ) =>
+										toggle( field.id, checked )
+									}
+								/>
+							) ) }
+						</div>
+					)
+				);
+			} ) }
+
+			<div className="post-kinds-indieweb-save-template-actions">
+				<Button variant="tertiary" onClick={ onCancel }>
+					{ __(
+						'Cancel',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+				<Button
+					variant="primary"
+					onClick={ () => onSave( name.trim(), kept ) }
+					disabled={ ! name.trim() || ! kept.length || isSaving }
+					isBusy={ isSaving }
+				>
+					{ __(
+						'Save template',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			</div>
+
+			<style>{ `
+				.post-kinds-indieweb-save-template-modal h3 {
+					margin: 16px 0 8px;
+					font-size: 13px;
+				}
+
+				.post-kinds-indieweb-save-template-actions {
+					display: flex;
+					justify-content: flex-end;
+					gap: 8px;
+					margin-top: 16px;
+				}
+			` }</style>
+		</Modal>
+	);
+}
@@ -0,0 +1,467 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Schema Fields Component
+ *
+ * Renders a kind's sidebar fields from its field schema, for every kind
+ * without a bespoke panel in KindFields — including kinds registered by
+ * other plugins through the `pkiw_kind_field_schemas` filter.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { useSelect, useDispatch } from '@wordpress/data';
+import {
+	TextControl,
+	TextareaControl,
+	SelectControl,
+	RangeControl,
+	Button,
+	Spinner,
+	BaseControl,
+	Flex,
+} from '@wordpress/components';
+import { useState, useCallback, useId } from '@wordpress/element';
+import { search as searchIcon } from '@wordpress/icons';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_NAME } from '../../stores/post-kinds';
+import {
+	getKindFieldSchema,
+	groupSchemaFields,
+	getFieldDisplayValue,
+	getRatingMax,
+	mapLookupResult,
+} from '../../kind-field-schemas';
+
+/**
+ * Build the star string for a rating.
+ *
+ * @param {number} rating Rating.
+ * @param {number} best   Maximum rating.
+ * @return {string} Stars.
+ */
+function getStars( rating, best ) {
+	const stars = [];
+	for ( let i = 1; i <= best; i++ ) {
+		if ( i <= rating ) {
+			stars.push( '★' );
+		} else if ( i - 0.5 === rating ) {
+			stars.push( '½' );
+		} else {
+			stars.push( '☆' );
+		}
+	}
+	return stars.join( '' );
+}
+
+/**
+ * Schema Fields Component
+ *
+ * @param {Object} props      Component props.
+ * @param {string} props.kind Kind slug.
+ * @return {JSX.Element|null} The fields, or null when the kind has no schema.
+ */
+export default function SchemaFields( { kind } ) {
+	const schema = getKindFieldSchema( kind );
+
+	const meta = useSelect(
+		( select ) => {
+			const getKindMeta = select( STORE_NAME ).getKindMeta;
+			const values = {};
+			( getKindFieldSchema( kind )?.fields || [] ).forEach( ( field ) => {
+				values[ field.key ] = getKindMeta( field.key );
+			} );
+			return values;
+		},
+		[ kind ]
+	);
+
+	const { updateKindMeta } = useDispatch( STORE_NAME );
+
+	if ( ! schema ) {
+		return null;
+	}
+
+	const { fields } = schema;
+	const previews = fields.filter(
+		( field ) => field.preview && meta[ field.key ]
+	);
+
+	return (
+		<Flex
+			direction="column"
+			gap={ 4 }
+			className="post-kinds-indieweb-kind-fields"
+		>
+			{ schema.description && (
+				<p
+					className="description"
+					style={ { margin: 0, fontSize: '12px', color: '#757575' } }
+				>
+					{ schema.description }
+				</p>
+			) }
+
+			{ previews.map( ( field ) =>
+				field.preview === 'emoji' ? (
+					<div
+						key={ field.key }
+						style={ { fontSize: '48px', textAlign: 'center' } }
+					>
+						{ meta[ field.key ] }
+					</div>
+				) : (
+					<div key={ field.key } style={ { textAlign: 'center' } }>
+						<img
+							src={ meta[ field.key ] }
+							alt=""
+							style={ { maxWidth: '120px', borderRadius: '4px' } }
+						/>
+					</div>
+				)
+			) }
+
+			{ groupSchemaFields( fields ).map( ( group ) => (
+				<Flex
+					key={ group.label || '_' }
+					direction="column"
+					gap={ 4 }
+					className="post-kinds-indieweb-schema-group"
+				>
+					{ group.label && (
+						<h3 className="post-kinds-indieweb-schema-group-label">
+							{ group.label }
+						</h3>
+					) }
+					{ group.fields.map( ( field ) => (
+						<SchemaField
+							key={ field.key }
+							field={ field }
+							meta={ meta }
+							onChange={ ( value ) =>
+								updateKindMeta( field.key, value )
+							}
+						/>
+					) ) }
+				</Flex>
+			) ) }
+
+			<style>{ `
+				.post-kinds-indieweb-schema-group-label {
+					margin: 0;
+					font-size: 11px;
+					font-weight: 500;
+					text-transform: uppercase;
+				}
+
+				.post-kinds-indieweb-star-rating .post-kinds-indieweb-stars {
+					font-size: 24px;
+					color: #f5a623;
+					margin-bottom: 8px;
+					display: block;
+				}
+
+				.post-kinds-indieweb-api-results {
+					display: flex;
+					flex-direction: column;
+					gap: 4px;
+					max-height: 200px;
+					overflow-y: auto;
+					border: 1px solid #ddd;
+					border-radius: 4px;
+					padding: 4px;
+				}
+
+				.post-kinds-indieweb-api-result {
+					display: flex;
+					align-items: center;
+					gap: 8px;
+					padding: 8px;
+					text-align: left;
+					width: 100%;
+					justify-content: flex-start;
+				}
+
+				.post-kinds-indieweb-api-result img {
+					flex-shrink: 0;
+					object-fit: cover;
+				}
+
+				.post-kinds-indieweb-api-result span {
+					overflow: hidden;
+					text-overflow: ellipsis;
+				}
+			` }</style>
+		</Flex>
+	);
+}
+
+/**
+ * One schema field, with its lookup search when it has one.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.field    Schema field.
+ * @param {Object}   props.meta     Current values of the kind's fields.
+ * @param {Function} props.onChange Called with the new value.
+ * @return {JSX.Element} The field.
+ */
+function SchemaField( { field, meta, onChange } ) {
+	const control = (
+		<SchemaControl
+			field={ field }
+			value={ getFieldDisplayValue( field, meta[ field.key ] ) }
+			meta={ meta }
+			onChange={ onChange }
+		/>
+	);
+
+	if ( ! field.lookup ) {
+		return control;
+	}
+
+	return (
+		<>
+			<FieldLookup field={ field } query={ meta[ field.key ] } />
+			{ control }
+		</>
+	);
+}
+
+/**
+ * The control for a schema field.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.field    Schema field.
+ * @param {*}        props.value    Value to show.
+ * @param {Object}   props.meta     Current values of the kind's fields.
+ * @param {Function} props.onChange Called with the new value.
+ * @return {JSX.Element} The control.
+ */
+function SchemaControl( { field, value, meta, onChange } ) {
+	const ratingId = useId();
+	const common = {
+		label: field.label,
+		help: field.help,
+		'data-pkiw-field': field.key,
+		__nextHasNoMarginBottom: true,
+	};
+
+	switch ( field.control ) {
+		case 'textarea':
+			return (
+				<TextareaControl
+					{ ...common }
+					value={ value }
+					onChange={ onChange }
+					placeholder={ field.placeholder }
+					rows={ 3 }
+				/>
+			);
+		case 'select':
+			return (
+				<SelectControl
+					{ ...common }
+					value={ value }
+					options={ field.options || [] }
+					onChange={ onChange }
+					__next40pxDefaultSize
+				/>
+			);
+		case 'rating': {
+			const best = getRatingMax( field, meta );
+			const range = (
+				<RangeControl
+					{ ...( field.stars ? {} : common ) }
+					value={ value }
+					onChange={ onChange }
+					min={ field.min ?? 0 }
+					max={ best }
+					step={ field.step ?? 0.5 }
+					withInputField
+					__nextHasNoMarginBottom
+					__next40pxDefaultSize
+				/>
+			);
+
+			if ( ! field.stars ) {
+				return range;
+			}
+
+			return (
+				<BaseControl
+					id={ ratingId }
+					label={ field.label }
+					help={ field.help }
+				>
+					<div className="post-kinds-indieweb-star-rating">
+						<span
+							className="post-kinds-indieweb-stars"
+							aria-hidden="true"
+						>
+							{ getStars( value, best ) }
+						</span>
+						{ range }
+					</div>
+				</BaseControl>
+			);
+		}
+		case 'number':
+			return (
+				<TextControl
+					{ ...common }
+					type="number"
+					value={ value }
+					onChange={ ( next ) => {
+						const number = parseFloat( next );
+						onChange(
+							Number.isNaN( number )
+								? field.default ?? null
+								: number
+						);
+					} }
+					min={ field.min }
+					max={ field.max }
+					step={ field.step }
+					__next40pxDefaultSize
+				/>
+			);
+		default:
+			return (
+				<TextControl
+					{ ...common }
+					type={
+						{ url: 'url', datetime: 'datetime-local' }[
+							field.control
+						] || 'text'
+					}
+					value={ value }
+					onChange={ onChange }
+					placeholder={ field.placeholder }
+					__next40pxDefaultSize
+				/>
+			);
+	}
+}
+
+/**
+ * Search bound to a field through its `lookup` schema.
+ *
+ * Searches the field's lookup endpoint and writes the mapped properties of
+ * the picked result in one edit.
+ *
+ * @param {Object} props       Component props.
+ * @param {Object} props.field Schema field with a `lookup` binding.
+ * @param {string} props.query The field's current value, the default query.
+ * @return {JSX.Element} The search.
+ */
+function FieldLookup( { field, query } ) {
+	const searchId = useId();
+	const { type, display = {} } = field.lookup;
+	const [ searchQuery, setSearchQuery ] = useState( '' );
+
+	const { isLoading, apiResults } = useSelect(
+		( select ) => ( {
+			isLoading: select( STORE_NAME ).isApiLoading( type ),
+			apiResults: select( STORE_NAME ).getApiResults( type ),
+		} ),
+		[ type ]
+	);
+
+	const { updateKindMetaBatch, performApiLookup, clearApiResults } =
+		useDispatch( STORE_NAME );
+
+	const handleSearch = useCallback( () => {
+		const text = ( searchQuery || query || '' ).trim();
+		if ( text ) {
+			performApiLookup( type, text );
+		}
+	}, [ searchQuery, query, type, performApiLookup ] );
+
+	const handleSelectResult = useCallback(
+		( result ) => {
+			updateKindMetaBatch( mapLookupResult( field.lookup, result ) );
+			clearApiResults( type );
+			setSearchQuery( '' );
+		},
+		[ field.lookup, type, updateKindMetaBatch, clearApiResults ]
+	);
+
+	return (
+		<>
+			<BaseControl
+				id={ searchId }
+				label={ __(
+					'Search',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			>
+				<Flex>
+					<TextControl
+						id={ searchId }
+						value={ searchQuery }
+						onChange={ setSearchQuery }
+						placeholder={ query || '' }
+						onKeyDown={ ( event ) => {
+							if ( event.key === 'Enter' ) {
+								event.preventDefault();
+								handleSearch();
+							}
+						} }
+						__nextHasNoMarginBottom
+						__next40pxDefaultSize
+					/>
+					<Button
+						icon={ searchIcon }
+						onClick={ handleSearch }
+						disabled={ isLoading }
+						label={ __(
+							'Search',
+							'post-kinds-for-indieweb-in-block-themes'
+						) }
+					/>
+				</Flex>
+			</BaseControl>
+
+			{ isLoading && <Spinner /> }
+
+			{ apiResults.length > 0 && (
+				<div className="post-kinds-indieweb-api-results">
+					{ apiResults.slice( 0, 5 ).map( ( result, index ) => (
+						<Button
+							key={ index }
+							className="post-kinds-indieweb-api-result"
+							onClick={ () => handleSelectResult( result ) }
+						>
+							{ display.image && result[ display.image ] && (
+								<img
+									src={ result[ display.image ] }
+									alt=""
+									width="40"
+									height="40"
+								/>
+							) }
+							<span>
+								<strong>
+									{ result[ display.title || 'title' ] }
+								</strong>
+								{ display.subtitle &&
+									result[ display.subtitle ] && (
+										<>
+											<br />
+											{ result[ display.subtitle ] }
+										</>
+									) }
+							</span>
+						</Button>
+					) ) }
+				</div>
+			) }
+		</>
+	);
+}
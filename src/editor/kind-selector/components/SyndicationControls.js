@@ -1,7 +1,8 @@
 /**
  * Post Kinds for IndieWeb in Block Themes - Syndication Controls Component
  *
- * Displays per-post syndication opt-out toggles for connected services.
+ * Displays per-post syndication opt-out toggles for connected services,
+ * and once the post is published, where each one stands.
  *
  * @package
  * @since   1.0.0
@@ -12,12 +13,20 @@
  */
 import { __ } from '@wordpress/i18n';
 import { useSelect, useDispatch } from '@wordpress/data';
-import { ToggleControl, PanelRow, Flex } from '@wordpress/components';
+import {
+	ToggleControl,
+	PanelRow,
+	Flex,
+	Button,
+	ExternalLink,
+	Spinner,
+} from '@wordpress/components';
 
 /**
  * Internal dependencies
  */
 import { STORE_NAME } from '../../stores/post-kinds';
+import useSyndicationStatus from '../use-syndication-status';
 
 /**
  * Get available syndication services from global config.
@@ -31,12 +40,99 @@ function getSyndicationServices() {
 	return window.pkiwAdminEditor?.syndicationServices || {};
 }
 
+/**
+ * One target's syndication status.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.target   Target from the status endpoint.
+ * @param {boolean}  props.retrying Whether a retry is running.
+ * @param {Function} props.onRetry  Retry handler.
+ * @return {JSX.Element} The status line.
+ */
+function SyndicationStatus( { target, retrying, onRetry } ) {
+	if ( target.status === 'syndicated' ) {
+		return (
+			<div className="post-kinds-indieweb-syndication-status is-syndicated">
+				{ __(
+					'Syndicated',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+				{ target.url && (
+					<>
+						{ ': ' }
+						<ExternalLink href={ target.url }>
+							{ __(
+								'View copy',
+								'post-kinds-for-indieweb-in-block-themes'
+							) }
+						</ExternalLink>
+					</>
+				) }
+			</div>
+		);
+	}
+
+	if ( target.status === 'failed' ) {
+		return (
+			<div className="post-kinds-indieweb-syndication-status is-failed">
+				{ target.error ||
+					__(
+						'Syndication failed.',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }{ ' ' }
+				<Button
+					variant="link"
+					onClick={ onRetry }
+					isBusy={ retrying }
+					disabled={ retrying }
+				>
+					{ __(
+						'Retry now',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			</div>
+		);
+	}
+
+	if ( target.status === 'not_attempted' ) {
+		return (
+			<div className="post-kinds-indieweb-syndication-status is-not-attempted">
+				{ __(
+					'Not syndicated yet.',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }{ ' ' }
+				<Button
+					variant="link"
+					onClick={ onRetry }
+					isBusy={ retrying }
+					disabled={ retrying }
+				>
+					{ __(
+						'Syndicate now',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			</div>
+		);
+	}
+
+	return (
+		<div className="post-kinds-indieweb-syndication-status is-pending">
+			<Spinner />
+			{ __( 'Pending', 'post-kinds-for-indieweb-in-block-themes' ) }
+		</div>
+	);
+}
+
 /**
  * Syndication Controls Component
  *
  * Renders opt-out toggles for each connected syndication service
- * that matches the current post kind. Also shows notices for
- * services that need authentication.
+ * that matches the current post kind, with the post's status on each
+ * (pending, syndicated with the remote URL, failed with a retry, or not
+ * attempted with a button to syndicate now).
+ * Also shows notices for services that need authentication.
  *
  * @param {Object} props      Component props.
  * @param {string} props.kind Current post kind slug.
@@ -61,6 +157,15 @@ export default function SyndicationControls( { kind } ) {
 
 	const { updateKindMeta } = useDispatch( STORE_NAME );
 
+	const postId = useSelect(
+		( select ) => select( 'core/editor' ).getCurrentPostId(),
+		[]
+	);
+	const { targets, retry, retrying } = useSyndicationStatus(
+		postId,
+		connectedServices.length > 0
+	);
+
 	// Get current syndication settings from meta.
 	// Hooks must be called unconditionally per React rules.
 	const syndicationMeta = useSelect(
@@ -103,27 +208,41 @@ export default function SyndicationControls( { kind } ) {
 			{ connectedServices.map( ( [ serviceId, config ] ) => {
 				// Default to true (syndicate by default) if not set.
 				const isEnabled = syndicationMeta[ serviceId ] !== false;
+				const target = targets.find(
+					( item ) => item.service === serviceId
+				);
 
 				return (
-					<ToggleControl
-						key={ serviceId }
-						label={ config.name }
-						help={
-							isEnabled
-								? __(
-										'Will sync on publish',
-										'post-kinds-for-indieweb-in-block-themes'
-								  )
-								: __(
-										'Will not sync',
-										'post-kinds-for-indieweb-in-block-themes'
-								  )
-						}
-						checked={ isEnabled }
-						onChange={ ( value ) =>
-							updateKindMeta( `syndicate_${ serviceId }`, value )
-						}
-					/>
+					<div key={ serviceId }>
+						<ToggleControl
+							label={ config.name }
+							help={
+								isEnabled
+									? __(
+											'Will sync on publish',
+											'post-kinds-for-indieweb-in-block-themes'
+									  )
+									: __(
+											'Will not sync',
+											'post-kinds-for-indieweb-in-block-themes'
+									  )
+							}
+							checked={ isEnabled }
+							onChange={ ( value ) =>
+								updateKindMeta(
+									`syndicate_${ serviceId }`,
+									value
+								)
+							}
+						/>
+						{ isEnabled && target && (
+							<SyndicationStatus
+								target={ target }
+								retrying={ retrying === serviceId }
+								onRetry={ () => retry( serviceId ) }
+							/>
+						) }
+					</div>
 				);
 			} ) }
 
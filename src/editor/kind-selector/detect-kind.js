@@ -0,0 +1,544 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Detection Rules
+ *
+ * Weighted rules that suggest a kind from the post being written. Each rule
+ * looks at one signal — block names, embed providers, links in paragraphs,
+ * the title — and returns candidate kinds with a confidence and a reason the
+ * editor can show. Scores from all rules are merged per kind, so a YouTube
+ * embed (watch) outranks the title check (article) rather than whichever
+ * rule happened to run first.
+ *
+ * Sites that use other block plugins can teach detection about them through
+ * the `postKindsIndieweb.detectionRules` filter:
+ *
+ *     wp.hooks.addFilter( 'postKindsIndieweb.detectionRules', 'my-site', ( rules ) => [
+ *         ...rules,
+ *         {
+ *             name: 'my-site/recipe-block',
+ *             weight: 1,
+ *             detect: ( { blocks } ) =>
+ *                 blocks.some( ( b ) => b.name === 'wprm/recipe' )
+ *                     ? { kind: 'recipe', confidence: 0.9, reason: 'Contains a recipe card' }
+ *                     : null,
+ *         },
+ *     ] );
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies
+ */
+import { matchUrlProvider } from '../url-providers';
+import {
+	getKindDetectionRules,
+	getCardBlockKind,
+	getPostKind,
+} from '../kind-registry';
+
+/**
+ * A rule's verdict about one kind.
+ *
+ * @typedef {Object} DetectionMatch
+ * @property {string} kind       Kind slug.
+ * @property {number} confidence How sure the rule is, 0–1.
+ * @property {string} reason     Human-readable explanation.
+ */
+
+/**
+ * A detection rule.
+ *
+ * @typedef {Object}   DetectionRule
+ * @property {string}   name     Unique rule name.
+ * @property {number}   [weight] Multiplier for the rule's confidence. Default 1.
+ * @property {Function} detect   Receives the detection context, returns a
+ *                               DetectionMatch, an array of them, or null.
+ */
+
+/**
+ * Block names that indicate specific kinds.
+ *
+ * @type {Object}
+ */
+export const BLOCK_KIND_MAP = {
+	'indieblocks/reply': 'reply',
+	'indieblocks/like': 'like',
+	'indieblocks/repost': 'repost',
+	'indieblocks/bookmark': 'bookmark',
+	'mamaduka/bookmark-card': 'bookmark',
+	'core/gallery': 'photo',
+	'core/video': 'video',
+	'core/audio': 'listen',
+};
+
+/**
+ * Embed provider slugs (`providerNameSlug` on core/embed) that indicate
+ * specific kinds.
+ *
+ * @type {Object}
+ */
+export const EMBED_PROVIDER_KIND_MAP = {
+	youtube: 'watch',
+	vimeo: 'watch',
+	dailymotion: 'watch',
+	videopress: 'watch',
+	'wordpress-tv': 'watch',
+	spotify: 'listen',
+	soundcloud: 'listen',
+	mixcloud: 'listen',
+	'pocket-casts': 'listen',
+	goodreads: 'read',
+	kickstarter: 'wish',
+};
+
+/**
+ * Hostnames of linked pages that indicate specific kinds.
+ *
+ * Matched against the end of the hostname, so subdomains count.
+ *
+ * @type {Object}
+ */
+export const URL_HOST_KIND_MAP = {
+	'youtube.com': 'watch',
+	'youtu.be': 'watch',
+	'vimeo.com': 'watch',
+	'letterboxd.com': 'watch',
+	'imdb.com': 'watch',
+	'trakt.tv': 'watch',
+	'themoviedb.org': 'watch',
+	'open.spotify.com': 'listen',
+	'music.apple.com': 'listen',
+	'soundcloud.com': 'listen',
+	'bandcamp.com': 'listen',
+	'last.fm': 'listen',
+	'goodreads.com': 'read',
+	'openlibrary.org': 'read',
+	'thestorygraph.com': 'read',
+	'boardgamegeek.com': 'play',
+	'store.steampowered.com': 'play',
+	'untappd.com': 'drink',
+	'foursquare.com': 'checkin',
+	'swarmapp.com': 'checkin',
+};
+
+/**
+ * Flatten a block tree into a single list, parents before children.
+ *
+ * @param {Array<Object>} blockList Blocks.
+ * @return {Array<Object>} Every block in the tree.
+ */
+export function flattenBlocks( blockList ) {
+	if ( ! Array.isArray( blockList ) ) {
+		return [];
+	}
+
+	return blockList.reduce( ( all, block ) => {
+		if ( ! block ) {
+			return all;
+		}
+		return [ ...all, block, ...flattenBlocks( block.innerBlocks ) ];
+	}, [] );
+}
+
+/**
+ * Read a rich-text attribute as an HTML string.
+ *
+ * Paragraph content is a plain string on older WordPress and RichTextData
+ * on newer releases.
+ *
+ * @param {*} content Attribute value.
+ * @return {string} HTML string.
+ */
+function richTextToString( content ) {
+	if ( typeof content === 'string' ) {
+		return content;
+	}
+	if ( content && typeof content.toHTMLString === 'function' ) {
+		return content.toHTMLString();
+	}
+	return content ? String( content ) : '';
+}
+
+/**
+ * Extract the URLs linked or pasted into a piece of HTML.
+ *
+ * @param {string} html HTML string.
+ * @return {Array<string>} URLs, in order of appearance.
+ */
+export function extractUrls( html ) {
+	const matches = String( html || '' ).match( /https?:\/\/[^\s"'<>]+/gi );
+	return matches
+		? [
+				...new Set(
+					matches.map( ( url ) => url.replace( /[.,)]+$/, '' ) )
+				),
+		  ]
+		: [];
+}
+
+/**
+ * Get the hostname of a URL, without `www.`.
+ *
+ * @param {string} url URL.
+ * @return {string} Hostname, or an empty string when unparseable.
+ */
+export function getHostname( url ) {
+	try {
+		return new URL( url ).hostname.replace( /^www\./, '' ).toLowerCase();
+	} catch {
+		return '';
+	}
+}
+
+/**
+ * Find the kind a URL's host indicates.
+ *
+ * @param {string} url URL.
+ * @return {string|null} Kind slug or null.
+ */
+export function getKindForUrl( url ) {
+	const hostname = getHostname( url );
+	if ( ! hostname ) {
+		return null;
+	}
+
+	const host = Object.keys( URL_HOST_KIND_MAP ).find(
+		( candidate ) =>
+			hostname === candidate || hostname.endsWith( `.${ candidate }` )
+	);
+
+	return host ? URL_HOST_KIND_MAP[ host ] : null;
+}
+
+/**
+ * Find the URL a post leads with: the first link in its first paragraph or
+ * embed, whichever comes first.
+ *
+ * @param {Array<Object>} blockList Post blocks.
+ * @return {string} URL, or an empty string.
+ */
+export function getLeadUrl( blockList ) {
+	const lead = flattenBlocks( blockList ).find(
+		( block ) =>
+			block.name === 'core/paragraph' || block.name === 'core/embed'
+	);
+
+	if ( ! lead ) {
+		return '';
+	}
+
+	if ( lead.name === 'core/embed' ) {
+		return lead.attributes?.url || '';
+	}
+
+	return (
+		extractUrls( richTextToString( lead.attributes?.content ) )[ 0 ] || ''
+	);
+}
+
+/**
+ * Build the context every rule receives.
+ *
+ * @param {Array<Object>} blockList Post blocks.
+ * @param {string}        title     Post title.
+ * @return {Object} Detection context: `blocks` (flattened), `title`,
+ *                  `embeds` ({ url, provider }), `urls` (from paragraphs),
+ *                  `leadUrl` (see getLeadUrl()) and `cards` (the card
+ *                  blocks, in document order).
+ */
+export function buildDetectionContext( blockList, title ) {
+	const blocks = flattenBlocks( blockList );
+
+	const embeds = blocks
+		.filter( ( block ) => block.name === 'core/embed' )
+		.map( ( block ) => ( {
+			url: block.attributes?.url || '',
+			provider: block.attributes?.providerNameSlug || '',
+		} ) );
+
+	const urls = blocks
+		.filter( ( block ) => block.name === 'core/paragraph' )
+		.flatMap( ( block ) =>
+			extractUrls( richTextToString( block.attributes?.content ) )
+		);
+
+	return {
+		blocks,
+		title: title || '',
+		embeds,
+		urls: [ ...new Set( urls ) ],
+		leadUrl: getLeadUrl( blockList ),
+		cards: blocks.filter( ( block ) => getCardBlockKind( block.name ) ),
+	};
+}
+
+/**
+ * Built-in detection rules.
+ *
+ * @type {Array<DetectionRule>}
+ */
+export const DEFAULT_DETECTION_RULES = [
+	{
+		// A post can hold several cards ("watched X while drinking Y at
+		// Z"). The first one is what the post is about, as on the server,
+		// which assigns the kind of the first card; the others are offered
+		// as alternatives. A kind with its own `detect` speaks for its card.
+		name: 'card-blocks',
+		weight: 1,
+		detect: ( { cards } ) =>
+			cards
+				.map( ( block, index ) => ( {
+					kind: getCardBlockKind( block.name ),
+					confidence: index === 0 ? 0.98 : 0.7,
+					reason:
+						index === 0
+							? sprintf(
+									/* translators: %s: block name, e.g. post-kinds-indieweb/watch-card. */
+									__(
+										'Leads with a %s block',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									block.name
+							  )
+							: sprintf(
+									/* translators: %s: block name, e.g. post-kinds-indieweb/drink-card. */
+									__(
+										'Also contains a %s block',
+										'post-kinds-for-indieweb-in-block-themes'
+									),
+									block.name
+							  ),
+				} ) )
+				.filter(
+					( match ) =>
+						typeof getPostKind( match.kind )?.detect !== 'function'
+				),
+	},
+	{
+		name: 'block-names',
+		weight: 1,
+		detect: ( { blocks } ) => {
+			const matches = blocks
+				.filter( ( block ) => BLOCK_KIND_MAP[ block.name ] )
+				.map( ( block ) => ( {
+					kind: BLOCK_KIND_MAP[ block.name ],
+					confidence: 0.9,
+					reason: sprintf(
+						/* translators: %s: block name, e.g. core/gallery. */
+						__(
+							'Contains a %s block',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+						block.name
+					),
+				} ) );
+
+			// A lone image is as likely a note with an illustration as a
+			// photo post; three or more reads as a photo post.
+			const imageCount = blocks.filter(
+				( block ) => block.name === 'core/image'
+			).length;
+
+			if ( imageCount > 0 ) {
+				matches.push( {
+					kind: 'photo',
+					confidence: imageCount >= 3 ? 0.8 : 0.5,
+					reason: sprintf(
+						/* translators: %d: number of image blocks. */
+						_n(
+							'Contains %d image',
+							'Contains %d images',
+							imageCount,
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+						imageCount
+					),
+				} );
+			}
+
+			return matches;
+		},
+	},
+	{
+		// A post that opens with a Letterboxd film or a BGG game page is
+		// about that film or game, more surely than any embed further down.
+		name: 'lead-url-provider',
+		weight: 1,
+		detect: ( { leadUrl } ) => {
+			const found = matchUrlProvider( leadUrl );
+			if ( ! found ) {
+				return null;
+			}
+			return {
+				kind: found.provider.kind,
+				confidence: 0.95,
+				reason: sprintf(
+					/* translators: %s: site name, e.g. Letterboxd. */
+					__(
+						'Starts with a %s link',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					found.provider.label || found.provider.name
+				),
+			};
+		},
+	},
+	{
+		name: 'embed-providers',
+		weight: 1,
+		detect: ( { embeds } ) =>
+			embeds
+				.map( ( { url, provider } ) => {
+					const kind =
+						EMBED_PROVIDER_KIND_MAP[ provider ] ||
+						getKindForUrl( url );
+					if ( ! kind ) {
+						return null;
+					}
+					return {
+						kind,
+						confidence: 0.85,
+						reason: sprintf(
+							/* translators: %s: embed provider or site, e.g. youtube. */
+							__(
+								'Embeds content from %s',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							provider || getHostname( url )
+						),
+					};
+				} )
+				.filter( Boolean ),
+	},
+	{
+		name: 'paragraph-urls',
+		weight: 1,
+		detect: ( { urls } ) =>
+			urls
+				.map( ( url ) => {
+					const kind = getKindForUrl( url );
+					if ( ! kind ) {
+						return null;
+					}
+					return {
+						kind,
+						confidence: 0.6,
+						reason: sprintf(
+							/* translators: %s: site hostname, e.g. letterboxd.com. */
+							__(
+								'Links to %s',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							getHostname( url )
+						),
+					};
+				} )
+				.filter( Boolean ),
+	},
+	{
+		name: 'title',
+		weight: 1,
+		detect: ( { title } ) =>
+			title.trim().length > 0
+				? {
+						kind: 'article',
+						confidence: 0.3,
+						reason: __(
+							'Has a title',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+				  }
+				: {
+						kind: 'note',
+						confidence: 0.2,
+						reason: __(
+							'Short and untitled',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+				  },
+	},
+];
+
+/**
+ * Get the active detection rules: the defaults plus the `detect` callbacks
+ * of registered kinds, after the `postKindsIndieweb.detectionRules` filter.
+ *
+ * @return {Array<DetectionRule>} Rules.
+ */
+export function getDetectionRules() {
+	const rules = applyFilters( 'postKindsIndieweb.detectionRules', [
+		...DEFAULT_DETECTION_RULES,
+		...getKindDetectionRules(),
+	] );
+
+	return Array.isArray( rules )
+		? rules.filter( ( rule ) => typeof rule?.detect === 'function' )
+		: DEFAULT_DETECTION_RULES;
+}
+
+/**
+ * Rank candidate kinds for a post.
+ *
+ * Each rule's confidence is multiplied by its weight; a kind's score is the
+ * best score any rule gave it, and its reason comes from that rule. A rule
+ * that throws is skipped so one broken add-on can't take detection down.
+ *
+ * @param {Array<Object>} blockList Post blocks.
+ * @param {string}        title     Post title.
+ * @return {Array<{kind: string, score: number, reason: string, rule: string}>}
+ *         Candidates, best first.
+ */
+export function detectKindCandidates( blockList, title ) {
+	const context = buildDetectionContext( blockList, title );
+	const best = {};
+
+	getDetectionRules().forEach( ( rule ) => {
+		let result;
+		try {
+			result = rule.detect( context );
+		} catch {
+			return;
+		}
+
+		const weight = typeof rule.weight === 'number' ? rule.weight : 1;
+		const matches = ( Array.isArray( result ) ? result : [ result ] )
+			.filter( ( match ) => match?.kind )
+			.map( ( match ) => ( {
+				kind: match.kind,
+				score: ( Number( match.confidence ) || 0 ) * weight,
+				reason: match.reason || '',
+				rule: rule.name || '',
+			} ) );
+
+		matches.forEach( ( match ) => {
+			if (
+				! best[ match.kind ] ||
+				match.score > best[ match.kind ].score
+			) {
+				best[ match.kind ] = match;
+			}
+		} );
+	} );
+
+	return Object.values( best )
+		.filter( ( candidate ) => candidate.score > 0 )
+		.sort( ( a, b ) => b.score - a.score );
+}
+
+/**
+ * Detect the single most likely kind for a post.
+ *
+ * @param {Array<Object>} blockList Post blocks.
+ * @param {string}        title     Post title.
+ * @return {string} Detected kind, `note` when nothing matched.
+ */
+export default function detectKindFromContent( blockList, title ) {
+	return detectKindCandidates( blockList, title )[ 0 ]?.kind || 'note';
+}
@@ -13,6 +13,11 @@
 import { SVG, Path, Circle } from '@wordpress/primitives';
 import { applyFilters } from '@wordpress/hooks';
 
+/**
+ * Internal dependencies
+ */
+import { getPostKinds } from '../kind-registry';
+
 /**
  * Note icon - simple document/text
  *
@@ -507,6 +512,7 @@ export const kindIcons = {
 /**
  * Resolve the icon component for a kind slug.
  *
+ * Icons given to `registerPostKind()` take the place of the built-in ones.
  * Runs the `postKindsIndieweb.kindIcons` filter so sites can register
  * icons for custom kind terms (or override built-ins):
  *
@@ -521,8 +527,16 @@ export const kindIcons = {
  * @return {Function} Icon component.
  */
 export function getKindIcon( slug ) {
+	const registered = {};
+	getPostKinds().forEach( ( kind ) => {
+		if ( kind.icon ) {
+			registered[ kind.slug ] = kind.icon;
+		}
+	} );
+
 	const icons = applyFilters( 'postKindsIndieweb.kindIcons', {
 		...kindIcons,
+		...registered,
 	} );
 	return icons[ slug ] || icons.note || kindIcons.note;
 }
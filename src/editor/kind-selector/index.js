@@ -12,8 +12,9 @@
  * WordPress dependencies
  */
 import { __ } from '@wordpress/i18n';
+import { Button } from '@wordpress/components';
 import { useSelect, useDispatch } from '@wordpress/data';
-import { useEffect, useCallback, useRef } from '@wordpress/element';
+import { useEffect, useCallback, useRef, useState } from '@wordpress/element';
 import {
 	PluginDocumentSettingPanel,
 	store as editorStore,
@@ -29,56 +30,27 @@ import { STORE_NAME } from '../stores/post-kinds';
 import KindGrid from './components/KindGrid';
 import KindFields from './components/KindFields';
 import AutoDetectionNotice from './components/AutoDetectionNotice';
+import KindSwitchModal from './components/KindSwitchModal';
+import PostCards from './components/PostCards';
+import KindTemplates from './components/KindTemplates';
+import SaveTemplateModal from './components/SaveTemplateModal';
 import { getKindIcon } from './icons';
 import hasBookmarkBlock from './has-bookmark-block';
-
-/**
- * Block names that indicate specific kinds.
- *
- * @type {Object}
- */
-/**
- * Map block names to kind slugs (for auto-detection).
- *
- * @type {Object}
- */
-const BLOCK_KIND_MAP = {
-	'indieblocks/reply': 'reply',
-	'indieblocks/like': 'like',
-	'indieblocks/repost': 'repost',
-	'indieblocks/bookmark': 'bookmark',
-	'mamaduka/bookmark-card': 'bookmark',
-	'core/gallery': 'photo',
-	'core/image': 'photo',
-	'core/video': 'video',
-	'core/audio': 'listen',
-};
-
-/**
- * Map kind slugs to their corresponding card block names.
- * When a kind is selected, we auto-insert this block if not present.
- * Note: Bookmark kind is handled separately with embed type detection.
- *
- * @return {Object} Kind to block name mapping.
- */
-function getKindCardBlockMap() {
-	return {
-		listen: 'post-kinds-indieweb/listen-card',
-		watch: 'post-kinds-indieweb/watch-card',
-		read: 'post-kinds-indieweb/read-card',
-		checkin: 'post-kinds-indieweb/checkin-card',
-		rsvp: 'post-kinds-indieweb/rsvp-card',
-		play: 'post-kinds-indieweb/play-card',
-		eat: 'post-kinds-indieweb/eat-card',
-		drink: 'post-kinds-indieweb/drink-card',
-		favorite: 'post-kinds-indieweb/favorite-card',
-		jam: 'post-kinds-indieweb/jam-card',
-		wish: 'post-kinds-indieweb/wish-card',
-		mood: 'post-kinds-indieweb/mood-card',
-		acquisition: 'post-kinds-indieweb/acquisition-card',
-		// Note: bookmark is handled separately - see insertBookmarkBlock()
-	};
-}
+import { detectKindCandidates, getLeadUrl } from './detect-kind';
+import { matchUrlProvider, metaToCardAttributes } from '../url-providers';
+import {
+	planKindMigration,
+	findKindCardBlock,
+	getCardKinds,
+	convertKindCard,
+} from '../kind-migration';
+import {
+	getPostKind,
+	getPostKinds,
+	getKindCardBlock,
+	getAutoInsertCardBlock,
+} from '../kind-registry';
+import { getTemplateFields, pickTemplateValues } from '../kind-templates';
 
 /**
  * Get the appropriate block name for a bookmark based on embed type and oEmbed support.
@@ -107,51 +79,6 @@ function getBookmarkBlockName( embedType, hasOembedSupport ) {
 	}
 }
 
-/**
- * Detect kind from post content and blocks.
- *
- * @param {Array}  blockList Post blocks.
- * @param {string} title     Post title.
- * @return {string|null} Detected kind or null.
- */
-function detectKindFromContent( blockList, title ) {
-	// Check for IndieBlocks blocks first.
-	for ( const block of blockList ) {
-		if ( BLOCK_KIND_MAP[ block.name ] ) {
-			return BLOCK_KIND_MAP[ block.name ];
-		}
-
-		// Check inner blocks recursively.
-		if ( block.innerBlocks && block.innerBlocks.length > 0 ) {
-			const innerKind = detectKindFromContent( block.innerBlocks, title );
-			if ( innerKind ) {
-				return innerKind;
-			}
-		}
-	}
-
-	// Check for media-heavy posts.
-	const hasGallery = blockList.some( ( b ) => b.name === 'core/gallery' );
-	const imageCount = blockList.filter(
-		( b ) => b.name === 'core/image'
-	).length;
-
-	if ( hasGallery || imageCount >= 3 ) {
-		return 'photo';
-	}
-
-	if ( blockList.some( ( b ) => b.name === 'core/video' ) ) {
-		return 'video';
-	}
-
-	// Determine article vs note based on title.
-	if ( title && title.trim().length > 0 ) {
-		return 'article';
-	}
-
-	return 'note';
-}
-
 /**
  * Kind Selector Panel Component
  *
@@ -163,9 +90,11 @@ export default function KindSelectorPanel() {
 	const {
 		selectedKind,
 		autoDetectedKind,
+		detectionCandidates,
 		isAutoDetectionEnabled,
 		availableKinds,
 		isInitialized,
+		kindTemplates,
 		postTitle,
 		blocks,
 		citeUrl,
@@ -178,9 +107,11 @@ export default function KindSelectorPanel() {
 		return {
 			selectedKind: kindsStore.getSelectedKind(),
 			autoDetectedKind: kindsStore.getAutoDetectedKind(),
+			detectionCandidates: kindsStore.getDetectionCandidates(),
 			isAutoDetectionEnabled: kindsStore.isAutoDetectionEnabled(),
 			availableKinds: kindsStore.getAvailableKinds(),
 			isInitialized: kindsStore.isInitialized(),
+			kindTemplates: kindsStore.getKindTemplates(),
 			postTitle: editor.getEditedPostAttribute( 'title' ),
 			blocks: blockEditor.getBlocks(),
 			citeUrl: kindsStore.getKindMeta( 'cite_url' ),
@@ -197,51 +128,35 @@ export default function KindSelectorPanel() {
 	} = useDispatch( STORE_NAME );
 
 	const { insertBlocks, replaceBlock } = useDispatch( blockEditorStore );
+	const { prefillKindMetaFromUrl, insertCardBlock: insertKindCard } =
+		useDispatch( STORE_NAME );
 
 	/**
 	 * Check if a card block for the given kind already exists in the post.
 	 *
+	 * Checked per kind: a post can hold cards of several kinds, and only a
+	 * second card of the same kind is refused.
+	 *
 	 * @param {string} kind Kind slug.
-	 * @return {boolean} True if card block exists.
+	 * @return {boolean} True if card block exists, or the kind has none to insert.
 	 */
 	const hasCardBlockForKind = useCallback(
-		( kind ) => {
-			const kindCardBlockMap = getKindCardBlockMap();
-			const blockName = kindCardBlockMap[ kind ];
-			if ( ! blockName ) {
-				return true; // No card block defined for this kind
-			}
-
-			// Check if any block matches the card block name
-			const checkBlocks = ( blockList ) => {
-				for ( const block of blockList ) {
-					if ( block.name === blockName ) {
-						return true;
-					}
-					// Check inner blocks recursively
-					if ( block.innerBlocks && block.innerBlocks.length > 0 ) {
-						if ( checkBlocks( block.innerBlocks ) ) {
-							return true;
-						}
-					}
-				}
-				return false;
-			};
-
-			return checkBlocks( blocks );
-		},
+		( kind ) =>
+			! getAutoInsertCardBlock( kind ) ||
+			!! findKindCardBlock( blocks, kind ),
 		[ blocks ]
 	);
 
 	/**
 	 * Insert card block for the given kind at the beginning of the post.
 	 *
-	 * @param {string} kind Kind slug.
+	 * @param {string}      kind         Kind slug.
+	 * @param {Object}      [attributes] Initial card attributes.
+	 * @param {Object|null} [template]   Kind template to start from.
 	 */
 	const insertCardBlock = useCallback(
-		( kind ) => {
-			const kindCardBlockMap = getKindCardBlockMap();
-			const blockName = kindCardBlockMap[ kind ];
+		( kind, attributes = {}, template = null ) => {
+			const blockName = getAutoInsertCardBlock( kind );
 			if ( ! blockName ) {
 				return; // No card block defined for this kind
 			}
@@ -251,11 +166,86 @@ export default function KindSelectorPanel() {
 				return;
 			}
 
-			// Create and insert the block at the beginning
-			const newBlock = createBlock( blockName );
-			insertBlocks( newBlock, 0 );
+			// Insert at the beginning, through the store so integrations
+			// hear about it.
+			insertKindCard( kind, attributes, { template } );
 		},
-		[ hasCardBlockForKind, insertBlocks ]
+		[ hasCardBlockForKind, insertKindCard ]
+	);
+
+	// Kind being pre-filled from the lead URL, so a second click waits.
+	const prefillingKindRef = useRef( null );
+
+	/**
+	 * Insert the card for a kind, pre-filled from the post's lead URL when
+	 * that URL belongs to a known provider of the same kind.
+	 *
+	 * The provider lookup finishes before the card goes in, so the card
+	 * shows the film, track or game straight away. Looked-up values win
+	 * over the template's.
+	 *
+	 * @param {string}      kind       Kind slug.
+	 * @param {Object|null} [template] Kind template to start from.
+	 */
+	const insertPrefilledCardBlock = useCallback(
+		async ( kind, template = null ) => {
+			const leadUrl = getLeadUrl( blocks );
+			const found = matchUrlProvider( leadUrl );
+
+			if (
+				! found ||
+				found.provider.kind !== kind ||
+				hasCardBlockForKind( kind )
+			) {
+				insertCardBlock( kind, {}, template );
+				return;
+			}
+
+			if ( prefillingKindRef.current === kind ) {
+				return;
+			}
+			prefillingKindRef.current = kind;
+
+			let attributes = {};
+			try {
+				const prefilled = await prefillKindMetaFromUrl( leadUrl );
+				attributes = metaToCardAttributes( kind, prefilled?.meta );
+			} catch {
+				// Insert the empty card; the fields can still be filled by hand.
+			} finally {
+				prefillingKindRef.current = null;
+			}
+
+			insertCardBlock( kind, attributes, template );
+		},
+		[ blocks, hasCardBlockForKind, insertCardBlock, prefillKindMetaFromUrl ]
+	);
+
+	// Kind whose templates are offered before its card goes in.
+	const [ templateOfferKind, setTemplateOfferKind ] = useState( null );
+
+	/**
+	 * Start the card of a newly chosen kind: offer the author's templates
+	 * for the kind when there are any, insert the card straight away when
+	 * not.
+	 *
+	 * @param {string} kind Kind slug.
+	 */
+	const startKindCard = useCallback(
+		( kind ) => {
+			const hasTemplates = kindTemplates.some(
+				( template ) => template.kind === kind
+			);
+
+			if ( hasTemplates && ! hasCardBlockForKind( kind ) ) {
+				setTemplateOfferKind( kind );
+				return;
+			}
+
+			setTemplateOfferKind( null );
+			insertPrefilledCardBlock( kind );
+		},
+		[ kindTemplates, hasCardBlockForKind, insertPrefilledCardBlock ]
 	);
 
 	// Initialize store on mount.
@@ -298,8 +288,8 @@ export default function KindSelectorPanel() {
 			return;
 		}
 
-		const detectedKind = detectKindFromContent( blocks, postTitle );
-		setAutoDetectedKind( detectedKind );
+		const candidates = detectKindCandidates( blocks, postTitle );
+		setAutoDetectedKind( candidates[ 0 ]?.kind || 'note', candidates );
 	}, [
 		blocks,
 		postTitle,
@@ -309,7 +299,7 @@ export default function KindSelectorPanel() {
 	] );
 
 	// Sync Bookmark Card block attributes to citation post meta.
-	const { updateKindMeta } = useDispatch( STORE_NAME );
+	const { updateKindMetaBatch } = useDispatch( STORE_NAME );
 
 	useEffect( () => {
 		// Only sync for bookmark kind when Bookmark Card plugin is active.
@@ -341,23 +331,26 @@ export default function KindSelectorPanel() {
 		// Sync block attributes to post meta.
 		const { url, title, description, publisher, image } =
 			bookmarkCard.attributes;
+		const citeMeta = {};
 
 		if ( url ) {
-			updateKindMeta( 'cite_url', url );
+			citeMeta.cite_url = url;
 		}
 		if ( title ) {
-			updateKindMeta( 'cite_name', title );
+			citeMeta.cite_name = title;
 		}
 		if ( description ) {
-			updateKindMeta( 'cite_summary', description );
+			citeMeta.cite_summary = description;
 		}
 		if ( publisher ) {
-			updateKindMeta( 'cite_author', publisher );
+			citeMeta.cite_author = publisher;
 		}
 		if ( image ) {
-			updateKindMeta( 'cite_photo', image );
+			citeMeta.cite_photo = image;
 		}
-	}, [ blocks, updateKindMeta ] );
+
+		updateKindMetaBatch( citeMeta );
+	}, [ blocks, updateKindMetaBatch ] );
 
 	// Track last URL we inserted a block for to avoid duplicate insertions.
 	const lastInsertedUrlRef = useRef( '' );
@@ -556,12 +549,79 @@ export default function KindSelectorPanel() {
 		insertBlocks( newBlock, 0 );
 	}, [ blocks, insertBlocks ] );
 
+	const { switchPostKind } = useDispatch( STORE_NAME );
+	const allKindMeta = useSelect(
+		( select ) => select( STORE_NAME ).getAllKindMeta(),
+		[]
+	);
+
+	// Kind switch waiting for confirmation in the modal.
+	const [ pendingSwitch, setPendingSwitch ] = useState( null );
+
+	/**
+	 * Work out whether switching kinds needs confirming.
+	 *
+	 * @param {string} kind New kind slug.
+	 * @return {Object|null} Pending switch, or null when the post has no
+	 *                       meta or card the switch would touch.
+	 */
+	function getPendingSwitch( kind ) {
+		if ( ! selectedKind || selectedKind === kind ) {
+			return null;
+		}
+
+		const plan = planKindMigration( selectedKind, kind, allKindMeta );
+		const oldCard = findKindCardBlock( blocks, selectedKind );
+
+		if ( ! oldCard && ! plan.carried.length && ! plan.cleared.length ) {
+			return null;
+		}
+
+		return {
+			kind,
+			plan,
+			hasCard: !! oldCard,
+			canTransform:
+				!! oldCard && convertKindCard( oldCard, kind, {} ).transformed,
+		};
+	}
+
+	/**
+	 * Apply a confirmed kind switch.
+	 *
+	 * @param {Object}  options             Options from the modal.
+	 * @param {boolean} options.replaceCard Convert the old kind's card.
+	 */
+	async function handleConfirmSwitch( { replaceCard } ) {
+		const { kind } = pendingSwitch;
+		setPendingSwitch( null );
+		disableAutoDetection();
+
+		await switchPostKind( kind, {
+			replaceCard,
+			cardBlockName: getAutoInsertCardBlock( kind ),
+		} );
+
+		if ( kind === 'bookmark' ) {
+			insertBookmarkEmbedBlock();
+		}
+	}
+
 	/**
 	 * Handle kind selection.
 	 *
+	 * Switching away from a kind that has meta or a card goes through the
+	 * kind switch modal first.
+	 *
 	 * @param {string} kind Kind slug.
 	 */
 	function handleKindSelect( kind ) {
+		const pending = getPendingSwitch( kind );
+		if ( pending ) {
+			setPendingSwitch( pending );
+			return;
+		}
+
 		updatePostKind( kind );
 		disableAutoDetection();
 
@@ -573,33 +633,117 @@ export default function KindSelectorPanel() {
 		}
 
 		// Auto-insert the corresponding card block if not already present
-		insertCardBlock( kind );
+		startKindCard( kind );
 	}
 
 	/**
-	 * Handle accepting auto-detected kind.
+	 * Handle accepting an auto-detected kind.
+	 *
+	 * @param {string} [kind] Candidate to accept. Defaults to the top one.
 	 */
-	function handleAcceptAutoDetected() {
-		if ( autoDetectedKind ) {
-			updatePostKind( autoDetectedKind );
+	function handleAcceptAutoDetected( kind = autoDetectedKind ) {
+		if ( kind ) {
+			updatePostKind( kind );
 			disableAutoDetection();
 
 			// For bookmark kind, insert embed block.
-			if ( autoDetectedKind === 'bookmark' ) {
+			if ( kind === 'bookmark' ) {
 				insertBookmarkEmbedBlock();
 				return;
 			}
 
 			// Auto-insert the corresponding card block if not already present
-			insertCardBlock( autoDetectedKind );
+			startKindCard( kind );
 		}
 	}
 
+	/**
+	 * Get the display label for a kind slug.
+	 *
+	 * @param {string} slug Kind slug.
+	 * @return {string} Registered label, the kind term name, or the slug.
+	 */
+	const getKindLabel = ( slug ) =>
+		getPostKind( slug )?.label ||
+		availableKinds.find( ( k ) => k.slug === slug )?.name ||
+		slug;
+
+	const { makeCardPrimary } = useDispatch( STORE_NAME );
+
+	/**
+	 * Make a secondary card the post's primary one.
+	 *
+	 * @param {string} kind Kind slug of the card.
+	 */
+	async function handleMakePrimary( kind ) {
+		disableAutoDetection();
+		await makeCardPrimary( kind );
+	}
+
 	// Get the current kind (selected or auto-detected).
 	const currentKind = selectedKind || autoDetectedKind || 'note';
-	const currentKindData = availableKinds.find(
-		( k ) => k.slug === currentKind
-	);
+
+	const { saveKindTemplate, deleteKindTemplate } = useDispatch( STORE_NAME );
+
+	// Save-as-template modal: null when closed.
+	const [ templateSave, setTemplateSave ] = useState( null );
+
+	/**
+	 * Save the post's card and kind details as a template.
+	 *
+	 * @param {string}        name Template name.
+	 * @param {Array<string>} ids  IDs of the fields to keep.
+	 */
+	async function handleSaveTemplate( name, ids ) {
+		setTemplateSave( { ...templateSave, isSaving: true, error: '' } );
+
+		const result = await saveKindTemplate(
+			selectedKind,
+			name,
+			pickTemplateValues( templateSave.fields, ids )
+		);
+
+		if ( result?.error ) {
+			setTemplateSave( {
+				...templateSave,
+				isSaving: false,
+				error: result.message,
+			} );
+			return;
+		}
+
+		setTemplateSave( null );
+	}
+
+	// The primary card, which a template can be saved from.
+	const primaryCard = selectedKind
+		? findKindCardBlock( blocks, selectedKind )
+		: null;
+
+	const offeredTemplates =
+		templateOfferKind === selectedKind &&
+		! hasCardBlockForKind( templateOfferKind )
+			? kindTemplates.filter(
+					( template ) => template.kind === templateOfferKind
+			  )
+			: [];
+
+	// Cards of other kinds than the post's, and the kinds that could join.
+	const cardKinds = getCardKinds( blocks );
+	const secondaryKinds = getKindCardBlock( currentKind )
+		? cardKinds.filter( ( kind ) => kind !== currentKind )
+		: [];
+	const addableKinds = getKindCardBlock( currentKind )
+		? getPostKinds()
+				.map( ( kind ) => kind.slug )
+				.filter(
+					( kind ) =>
+						kind !== currentKind &&
+						getKindCardBlock( kind ) &&
+						! cardKinds.includes( kind ) &&
+						availableKinds.some( ( term ) => term.slug === kind )
+				)
+		: [];
 
 	// Get icon for current kind.
 	const KindIcon = getKindIcon( currentKind );
@@ -618,7 +762,13 @@ export default function KindSelectorPanel() {
 			{ ! selectedKind && autoDetectedKind && (
 				<AutoDetectionNotice
 					detectedKind={ autoDetectedKind }
-					kindLabel={ currentKindData?.name || autoDetectedKind }
+					kindLabel={ getKindLabel( autoDetectedKind ) }
+					candidates={ detectionCandidates
+						.slice( 0, 3 )
+						.map( ( candidate ) => ( {
+							...candidate,
+							label: getKindLabel( candidate.kind ),
+						} ) ) }
 					onAccept={ handleAcceptAutoDetected }
 					onDismiss={ () => setAutoDetectedKind( null ) }
 				/>
@@ -631,8 +781,84 @@ export default function KindSelectorPanel() {
 				onSelect={ handleKindSelect }
 			/>
 
+			{ /* Templates for a newly chosen kind */ }
+			{ offeredTemplates.length > 0 && (
+				<KindTemplates
+					kindLabel={ getKindLabel( templateOfferKind ) }
+					templates={ offeredTemplates }
+					onUse={ ( template ) => {
+						setTemplateOfferKind( null );
+						insertPrefilledCardBlock( template.kind, template );
+					} }
+					onBlank={ () => {
+						setTemplateOfferKind( null );
+						insertPrefilledCardBlock( templateOfferKind );
+					} }
+					onDelete={ deleteKindTemplate }
+				/>
+			) }
+
 			{ /* Kind-specific fields */ }
 			{ currentKind && <KindFields kind={ currentKind } /> }
+
+			{ primaryCard && (
+				<Button
+					variant="link"
+					className="post-kinds-indieweb-save-template"
+					onClick={ () =>
+						setTemplateSave( {
+							fields: getTemplateFields(
+								selectedKind,
+								primaryCard,
+								allKindMeta
+							),
+							isSaving: false,
+							error: '',
+						} )
+					}
+				>
+					{ __(
+						'Save as template…',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</Button>
+			) }
+
+			{ /* Cards of other kinds in the same post */ }
+			{ ( secondaryKinds.length > 0 || addableKinds.length > 0 ) && (
+				<PostCards
+					secondaryKinds={ secondaryKinds }
+					addableKinds={ addableKinds }
+					getKindLabel={ getKindLabel }
+					onAdd={ ( kind ) =>
+						insertKindCard( kind, {}, { secondary: true } )
+					}
+					onMakePrimary={ handleMakePrimary }
+				/>
+			) }
+
+			{ templateSave && (
+				<SaveTemplateModal
+					kindLabel={ getKindLabel( selectedKind ) }
+					fields={ templateSave.fields }
+					isSaving={ templateSave.isSaving }
+					error={ templateSave.error }
+					onSave={ handleSaveTemplate }
+					onCancel={ () => setTemplateSave( null ) }
+				/>
+			) }
+
+			{ pendingSwitch && (
+				<KindSwitchModal
+					fromLabel={ getKindLabel( selectedKind ) }
+					toLabel={ getKindLabel( pendingSwitch.kind ) }
+					plan={ pendingSwitch.plan }
+					hasCard={ pendingSwitch.hasCard }
+					canTransform={ pendingSwitch.canTransform }
+					onConfirm={ handleConfirmSwitch }
+					onCancel={ () => setPendingSwitch( null ) }
+				/>
+			) }
 		</PluginDocumentSettingPanel>
 	);
 }
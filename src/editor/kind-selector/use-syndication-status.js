@@ -0,0 +1,151 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Syndication Status
+ *
+ * Per-post status of each syndication target, read from
+ * `/syndication/{id}`. Syndication runs while the post is saved, so the
+ * status is fetched after every save of a published post and polled while
+ * a target is still pending.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import { useCallback, useEffect, useRef, useState } from '@wordpress/element';
+
+/**
+ * REST path of the status endpoint.
+ *
+ * @type {string}
+ */
+export const SYNDICATION_PATH = '/post-kinds-indieweb/v1/syndication';
+
+/**
+ * Milliseconds between polls while a target is pending.
+ *
+ * @type {number}
+ */
+export const POLL_INTERVAL = 3000;
+
+/**
+ * Polls per save before giving up on a target that stays pending.
+ *
+ * @type {number}
+ */
+export const MAX_POLLS = 10;
+
+/**
+ * Whether any enabled target is still waiting to be syndicated.
+ *
+ * @param {Array<Object>} targets Targets from the status endpoint.
+ * @return {boolean} True while a poll could still change something.
+ */
+export function hasPendingTargets( targets ) {
+	return targets.some(
+		( target ) => target.enabled && target.status === 'pending'
+	);
+}
+
+/**
+ * Follow a post's syndication status.
+ *
+ * @param {number}  postId Post ID.
+ * @param {boolean} active Whether the post has any targets to follow.
+ * @return {{targets: Array<Object>, retry: Function, retrying: string|null}}
+ *         Targets, a retry action taking a service ID, and the service
+ *         being retried.
+ */
+export default function useSyndicationStatus( postId, active ) {
+	const [ targets, setTargets ] = useState( [] );
+	const [ retrying, setRetrying ] = useState( null );
+	const [ saveCount, setSaveCount ] = useState( 0 );
+	const wasSaving = useRef( false );
+
+	const { isSaving, isPublished } = useSelect( ( select ) => {
+		const editor = select( 'core/editor' );
+		return {
+			isSaving: editor.isSavingPost() && ! editor.isAutosavingPost(),
+			isPublished: editor.isCurrentPostPublished(),
+		};
+	}, [] );
+
+	// Count finished saves; each one restarts polling.
+	useEffect( () => {
+		if ( wasSaving.current && ! isSaving ) {
+			setSaveCount( ( count ) => count + 1 );
+		}
+		wasSaving.current = isSaving;
+	}, [ isSaving ] );
+
+	useEffect( () => {
+		if ( ! active || ! postId || ! isPublished ) {
+			return;
+		}
+
+		let cancelled = false;
+		let timer;
+		let polls = 0;
+
+		const poll = async () => {
+			let response;
+			try {
+				response = await apiFetch( {
+					path: `${ SYNDICATION_PATH }/${ postId }`,
+				} );
+			} catch {
+				// Keep showing the last known status.
+				return;
+			}
+
+			if ( cancelled ) {
+				return;
+			}
+
+			const next = response?.targets || [];
+			setTargets( next );
+			polls++;
+
+			if ( hasPendingTargets( next ) && polls < MAX_POLLS ) {
+				timer = setTimeout( poll, POLL_INTERVAL );
+			}
+		};
+
+		poll();
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ active, postId, isPublished, saveCount ] );
+
+	const retry = useCallback(
+		async ( service ) => {
+			setRetrying( service );
+
+			let target;
+			try {
+				target = await apiFetch( {
+					path: `${ SYNDICATION_PATH }/${ postId }/retry`,
+					method: 'POST',
+					data: { service },
+				} );
+			} catch ( error ) {
+				target = { service, status: 'failed', error: error.message };
+			}
+
+			setTargets( ( current ) =>
+				current.map( ( item ) =>
+					item.service === service ? { ...item, ...target } : item
+				)
+			);
+			setRetrying( null );
+		},
+		[ postId ]
+	);
+
+	return { targets, retry, retrying };
+}
@@ -0,0 +1,127 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Kind Templates
+ *
+ * Helpers for per-user kind templates (see Kind_Templates): the card
+ * attributes and kind meta an author saves from one post to start the
+ * next post of the same kind from.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { hasValue, kindOwnsMetaKey } from './kind-migration';
+import { getKindFieldSchema } from './kind-field-schemas';
+
+/**
+ * REST path of the kind templates.
+ *
+ * @type {string}
+ */
+export const KIND_TEMPLATES_PATH = '/post-kinds-indieweb/v1/kind-templates';
+
+/**
+ * Block attributes that belong to the block, not the card's content.
+ *
+ * @type {Array<string>}
+ */
+const SKIPPED_ATTRIBUTES = [ 'lock', 'metadata' ];
+
+/**
+ * Names of fields that record when something happened. They are offered
+ * but not ticked: the next post happens at another time.
+ *
+ * @type {RegExp}
+ */
+const MOMENT_FIELD = /(At|Date|Time|_at|_date|_time)$/;
+
+/**
+ * List the filled fields of a post that a template could remember.
+ *
+ * @param {string}      kind Kind slug.
+ * @param {Object|null} card The kind's card block, if the post has one.
+ * @param {Object}      meta Kind meta (without prefix).
+ * @return {Array<{id: string, source: string, key: string, label: string, value: *, checked: boolean}>}
+ *         Card attributes first, then the kind's meta. `id` is unique
+ *         across both.
+ */
+export function getTemplateFields( kind, card, meta = {} ) {
+	const labels = Object.fromEntries(
+		( getKindFieldSchema( kind )?.fields || [] ).map( ( field ) => [
+			field.key,
+			field.label,
+		] )
+	);
+
+	const field = ( source, key, value, label ) => ( {
+		id: `${ source }:${ key }`,
+		source,
+		key,
+		label,
+		value,
+		checked: ! MOMENT_FIELD.test( key ),
+	} );
+
+	const attributes = Object.keys( card?.attributes || {} )
+		.filter(
+			( key ) =>
+				! SKIPPED_ATTRIBUTES.includes( key ) &&
+				hasValue( card.attributes[ key ] )
+		)
+		.map( ( key ) =>
+			field( 'attributes', key, card.attributes[ key ], key )
+		);
+
+	const metaFields = Object.keys( meta )
+		.filter(
+			( key ) => kindOwnsMetaKey( kind, key ) && hasValue( meta[ key ] )
+		)
+		.map( ( key ) =>
+			field( 'meta', key, meta[ key ], labels[ key ] || key )
+		);
+
+	return [ ...attributes, ...metaFields ];
+}
+
+/**
+ * Build a template's values from the fields the author kept.
+ *
+ * @param {Array<Object>} fields Fields from getTemplateFields().
+ * @param {Array<string>} ids    IDs of the fields to keep.
+ * @return {{attributes: Object, meta: Object}} Template values.
+ */
+export function pickTemplateValues( fields, ids ) {
+	const values = { attributes: {}, meta: {} };
+
+	fields
+		.filter( ( field ) => ids.includes( field.id ) )
+		.forEach( ( field ) => {
+			values[ field.source ][ field.key ] = field.value;
+		} );
+
+	return values;
+}
+
+/**
+ * Get the meta edit that applies a template to a post.
+ *
+ * Only empty fields are filled, so a template never overwrites what the
+ * post already says.
+ *
+ * @param {Object} template Template.
+ * @param {Object} meta     Current kind meta (without prefix).
+ * @return {Object} Meta updates keyed by field name.
+ */
+export function getTemplateMetaUpdates( template, meta = {} ) {
+	const updates = {};
+
+	Object.keys( template?.meta || {} ).forEach( ( key ) => {
+		if ( ! hasValue( meta[ key ] ) ) {
+			updates[ key ] = template.meta[ key ];
+		}
+	} );
+
+	return updates;
+}
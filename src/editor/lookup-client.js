@@ -0,0 +1,247 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Lookup Client
+ *
+ * Single entry point for `/post-kinds-indieweb/v1/lookup/*` requests from
+ * the editor. Responses are cached in memory and in sessionStorage, keyed
+ * by endpoint and params, so re-typing a query or opening a second card
+ * doesn't hit TMDB, MusicBrainz or OpenLibrary again. Identical requests
+ * already in flight are shared rather than repeated.
+ *
+ * The editor and block bundles each get their own in-memory copy of this
+ * module; sessionStorage is what lets them share results.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * REST namespace path for lookups.
+ *
+ * @type {string}
+ */
+const LOOKUP_BASE_PATH = '/post-kinds-indieweb/v1/lookup/';
+
+/**
+ * sessionStorage key prefix.
+ *
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'pkiw-lookup:';
+
+/**
+ * How long a cached response stays fresh, in milliseconds.
+ *
+ * @type {number}
+ */
+export const LOOKUP_CACHE_TTL = 10 * 60 * 1000;
+
+/**
+ * Fresh responses, keyed by cache key.
+ *
+ * @type {Map<string, {expires: number, data: *}>}
+ */
+const memoryCache = new Map();
+
+/**
+ * Requests in flight, keyed by cache key.
+ *
+ * @type {Map<string, Promise>}
+ */
+const inFlight = new Map();
+
+/**
+ * Build a lookup query string with params in a stable order.
+ *
+ * Null and undefined params are left out, so optional filters don't
+ * split the cache.
+ *
+ * @param {Object} params Query-string params.
+ * @return {string} Query string, without the leading `?`.
+ */
+export function buildLookupQuery( params = {} ) {
+	const search = new URLSearchParams();
+
+	Object.keys( params )
+		.sort()
+		.forEach( ( name ) => {
+			if ( params[ name ] !== undefined && params[ name ] !== null ) {
+				search.set( name, String( params[ name ] ) );
+			}
+		} );
+
+	return search.toString();
+}
+
+/**
+ * Build the cache key (and request path suffix) for a lookup.
+ *
+ * @param {string} endpoint Lookup endpoint (music, video, watch-url…).
+ * @param {Object} params   Query-string params.
+ * @return {string} Cache key.
+ */
+export function getLookupCacheKey( endpoint, params = {} ) {
+	const query = buildLookupQuery( params );
+	return query ? `${ endpoint }?${ query }` : endpoint;
+}
+
+/**
+ * Read a fresh cache entry from memory, then sessionStorage.
+ *
+ * @param {string} key Cache key.
+ * @return {{data: *}|null} Cache hit, or null.
+ */
+function readCache( key ) {
+	const now = Date.now();
+	const memory = memoryCache.get( key );
+
+	if ( memory ) {
+		if ( memory.expires > now ) {
+			return memory;
+		}
+		memoryCache.delete( key );
+	}
+
+	try {
+		const stored = window.sessionStorage.getItem( STORAGE_PREFIX + key );
+		if ( ! stored ) {
+			return null;
+		}
+
+		const entry = JSON.parse( stored );
+		if ( entry?.expires > now ) {
+			memoryCache.set( key, entry );
+			return entry;
+		}
+		window.sessionStorage.removeItem( STORAGE_PREFIX + key );
+	} catch {
+		// Storage disabled or entry corrupt — treat as a miss.
+	}
+
+	return null;
+}
+
+/**
+ * Store a response in memory and sessionStorage.
+ *
+ * @param {string} key  Cache key.
+ * @param {*}      data Response data.
+ * @param {number} ttl  Time to live in milliseconds.
+ */
+function writeCache( key, data, ttl ) {
+	const entry = { expires: Date.now() + ttl, data };
+	memoryCache.set( key, entry );
+
+	try {
+		window.sessionStorage.setItem(
+			STORAGE_PREFIX + key,
+			JSON.stringify( entry )
+		);
+	} catch {
+		// Quota exceeded or storage disabled — the memory copy still works.
+	}
+}
+
+/**
+ * Reject when a caller's abort signal fires.
+ *
+ * The shared request itself keeps going, so other callers waiting on it
+ * (and the cache) still get the response.
+ *
+ * @param {Promise}     promise Shared request.
+ * @param {AbortSignal} signal  Caller's signal.
+ * @return {Promise} Promise that settles with the request or the abort.
+ */
+function withSignal( promise, signal ) {
+	if ( ! signal ) {
+		return promise;
+	}
+
+	const abortError = () => {
+		const error = new Error( 'The lookup was aborted.' );
+		error.name = 'AbortError';
+		return error;
+	};
+
+	if ( signal.aborted ) {
+		return Promise.reject( abortError() );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const onAbort = () => reject( abortError() );
+		signal.addEventListener( 'abort', onAbort, { once: true } );
+		promise.then(
+			( data ) => {
+				signal.removeEventListener( 'abort', onAbort );
+				resolve( data );
+			},
+			( error ) => {
+				signal.removeEventListener( 'abort', onAbort );
+				reject( error );
+			}
+		);
+	} );
+}
+
+/**
+ * Perform a lookup, served from cache when fresh.
+ *
+ * Errors are never cached.
+ *
+ * @param {string}      endpoint          Lookup endpoint (music, video, watch-url…).
+ * @param {Object}      [params]          Query-string params.
+ * @param {Object}      [options]         Options.
+ * @param {boolean}     [options.refresh] Skip the cache and any shared request.
+ * @param {AbortSignal} [options.signal]  Abort signal for this caller.
+ * @param {number}      [options.ttl]     Cache lifetime in milliseconds.
+ * @return {Promise<*>} Lookup response.
+ */
+export function lookup( endpoint, params = {}, options = {} ) {
+	const { refresh = false, signal, ttl = LOOKUP_CACHE_TTL } = options;
+	const key = getLookupCacheKey( endpoint, params );
+
+	if ( ! refresh ) {
+		const cached = readCache( key );
+		if ( cached ) {
+			return withSignal( Promise.resolve( cached.data ), signal );
+		}
+
+		if ( inFlight.has( key ) ) {
+			return withSignal( inFlight.get( key ), signal );
+		}
+	}
+
+	const request = apiFetch( { path: LOOKUP_BASE_PATH + key } )
+		.then( ( data ) => {
+			writeCache( key, data, ttl );
+			return data;
+		} )
+		.finally( () => {
+			if ( inFlight.get( key ) === request ) {
+				inFlight.delete( key );
+			}
+		} );
+
+	inFlight.set( key, request );
+
+	return withSignal( request, signal );
+}
+
+/**
+ * Drop every cached lookup response.
+ */
+export function clearLookupCache() {
+	memoryCache.clear();
+
+	try {
+		Object.keys( window.sessionStorage )
+			.filter( ( name ) => name.startsWith( STORAGE_PREFIX ) )
+			.forEach( ( name ) => window.sessionStorage.removeItem( name ) );
+	} catch {
+		// Storage disabled — nothing persisted.
+	}
+}
@@ -0,0 +1,647 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Microformats Preview Builder
+ *
+ * Builds the microformats2 JSON a parser would read from the published
+ * post, without a round trip to the server. It mirrors what the PHP side
+ * prints: the entry root and hidden data from class-microformats.php
+ * (published as `window.pkiwAdminEditor.mf2KindFormats`) and the markup
+ * each card's render.php gives its attributes, described in CARD_FORMATS.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * How a card's markup parses.
+ *
+ * `property` is the property class on the card root (`u-like-of` makes the
+ * card the entry's `like-of`); without one the card parses as a child.
+ * Each entry of `properties` is an attribute name, a function of the
+ * attributes, a nested format, or a list of those.
+ *
+ * @typedef {Object} CardFormat
+ * @property {string}            type       Root type, e.g. 'h-cite'.
+ * @property {string}            [property] Property class on the root, e.g. 'u-like-of'.
+ * @property {Object<string, *>} properties mf2 property => source.
+ */
+
+/**
+ * Nested h-card for an author name attribute.
+ *
+ * @param {string} attribute Attribute holding the name.
+ * @return {CardFormat} Format.
+ */
+const authorCard = ( attribute ) => ( {
+	type: 'h-card',
+	properties: { name: attribute },
+} );
+
+/**
+ * Format of the like, reply, repost, bookmark and favorite cards.
+ *
+ * @param {string} property      Property class on the card root.
+ * @param {string} dateAttribute Attribute holding the response date.
+ * @return {CardFormat} Format.
+ */
+const citeCard = ( property, dateAttribute ) => ( {
+	type: 'h-cite',
+	property,
+	properties: {
+		name: 'title',
+		url: 'url',
+		author: authorCard( 'author' ),
+		content: 'description',
+		photo: 'image',
+		published: dateAttribute,
+	},
+} );
+
+/**
+ * Prefix a URL base to an ID attribute, when the ID is set.
+ *
+ * @param {string} base      URL base.
+ * @param {string} attribute Attribute holding the ID.
+ * @return {Function} Source.
+ */
+const idUrl = ( base, attribute ) => ( attributes ) =>
+	attributes[ attribute ] ? base + attributes[ attribute ] : '';
+
+/**
+ * Nested h-card for a place, from the eat and drink location attributes.
+ *
+ * @type {CardFormat}
+ */
+const LOCATION_CARD = {
+	type: 'h-card',
+	properties: {
+		name: 'locationName',
+		'street-address': 'locationAddress',
+		locality: 'locationLocality',
+		region: 'locationRegion',
+		'country-name': 'locationCountry',
+	},
+};
+
+/**
+ * Card block formats, keyed by block name.
+ *
+ * @type {Object<string, CardFormat>}
+ */
+export const CARD_FORMATS = {
+	'post-kinds-indieweb/like-card': citeCard( 'u-like-of', 'likedAt' ),
+	'post-kinds-indieweb/reply-card': citeCard( 'u-in-reply-to', 'repliedAt' ),
+	'post-kinds-indieweb/repost-card': citeCard( 'u-repost-of', 'repostedAt' ),
+	'post-kinds-indieweb/bookmark-card': citeCard(
+		'u-bookmark-of',
+		'bookmarkedAt'
+	),
+	'post-kinds-indieweb/favorite-card': citeCard(
+		'u-favorite-of',
+		'favoritedAt'
+	),
+	'post-kinds-indieweb/listen-card': {
+		type: 'h-cite',
+		property: 'u-listen-of',
+		properties: {
+			name: 'trackTitle',
+			url: 'listenUrl',
+			author: authorCard( 'artistName' ),
+			rating: 'rating',
+			photo: 'coverImage',
+			published: 'listenedAt',
+			uid: idUrl( 'https://musicbrainz.org/recording/', 'musicbrainzId' ),
+		},
+	},
+	'post-kinds-indieweb/watch-card': {
+		type: 'h-cite',
+		property: 'u-watch-of',
+		properties: {
+			name: 'mediaTitle',
+			url: 'watchUrl',
+			author: authorCard( 'director' ),
+			rating: 'rating',
+			photo: 'posterImage',
+			content: 'review',
+			published: 'watchedAt',
+		},
+	},
+	'post-kinds-indieweb/read-card': {
+		type: 'h-cite',
+		property: 'u-read-of',
+		properties: {
+			name: 'bookTitle',
+			url: 'bookUrl',
+			author: authorCard( 'authorName' ),
+			series: 'seriesName',
+			// The position only prints beside a series name.
+			'series-position': ( attributes ) =>
+				attributes.seriesName ? attributes.seriesPosition : '',
+			rating: 'rating',
+			photo: 'coverImage',
+			content: 'review',
+			published: 'finishedAt',
+			isbn: 'isbn',
+			uid: idUrl( 'https://openlibrary.org', 'openlibraryId' ),
+		},
+	},
+	'post-kinds-indieweb/jam-card': {
+		type: 'h-cite',
+		properties: {
+			name: 'title',
+			url: 'url',
+			'jam-of': 'url',
+			author: authorCard( 'artist' ),
+			content: 'note',
+			photo: 'cover',
+			published: 'jammedAt',
+		},
+	},
+	'post-kinds-indieweb/wish-card': {
+		type: 'h-cite',
+		properties: {
+			name: 'title',
+			url: 'url',
+			'wish-of': 'url',
+			photo: 'image',
+			content: 'reason',
+			published: 'wishedAt',
+		},
+	},
+	'post-kinds-indieweb/play-card': {
+		type: 'h-cite',
+		properties: {
+			name: 'title',
+			url: 'gameUrl',
+			rating: 'rating',
+			photo: 'cover',
+			content: 'review',
+			published: 'playedAt',
+			'play-of': 'gameUrl',
+		},
+	},
+	'post-kinds-indieweb/acquisition-card': {
+		type: 'h-cite',
+		properties: {
+			name: 'title',
+			url: 'whereUrl',
+			location: 'where',
+			photo: 'photo',
+			content: 'notes',
+			published: 'acquiredAt',
+			acquired: 'title',
+		},
+	},
+	'post-kinds-indieweb/event-card': {
+		type: 'h-event',
+		properties: {
+			name: 'eventName',
+			url: 'eventUrl',
+			start: 'eventStart',
+			end: 'eventEnd',
+			location: 'eventLocation',
+			summary: 'eventDescription',
+			photo: 'eventImage',
+		},
+	},
+	'post-kinds-indieweb/rsvp-card': {
+		type: 'h-entry',
+		properties: {
+			'in-reply-to': [
+				{
+					type: 'h-event',
+					property: 'p-in-reply-to',
+					properties: {
+						name: 'eventName',
+						url: 'eventUrl',
+						start: 'eventStart',
+						end: 'eventEnd',
+						location: 'eventLocation',
+						summary: 'eventDescription',
+						photo: 'eventImage',
+					},
+				},
+				'eventUrl',
+			],
+			rsvp: 'rsvpStatus',
+			content: 'rsvpNote',
+			published: 'rsvpAt',
+		},
+	},
+	'post-kinds-indieweb/checkin-card': {
+		type: 'h-entry',
+		properties: {
+			location: {
+				type: 'h-card',
+				property: 'p-location',
+				properties: {
+					name: 'venueName',
+					url: 'venueUrl',
+					'street-address': 'address',
+					locality: 'locality',
+					region: 'region',
+					'country-name': 'country',
+					'postal-code': 'postalCode',
+				},
+			},
+			photo: 'photo',
+			content: 'note',
+			published: 'checkinAt',
+			checkin: 'venueUrl',
+			uid: idUrl( 'https://foursquare.com/v/', 'foursquareId' ),
+		},
+	},
+	'post-kinds-indieweb/eat-card': {
+		type: 'h-food',
+		properties: {
+			name: 'name',
+			location: LOCATION_CARD,
+			rating: 'rating',
+			photo: 'photo',
+			content: 'notes',
+		},
+	},
+	'post-kinds-indieweb/drink-card': {
+		type: 'h-food',
+		properties: {
+			name: 'name',
+			author: authorCard( 'brand' ),
+			location: LOCATION_CARD,
+			rating: 'rating',
+			photo: 'photo',
+			content: 'notes',
+		},
+	},
+	'post-kinds-indieweb/mood-card': {
+		type: 'h-entry',
+		properties: {
+			name: 'mood',
+			content: 'note',
+			published: 'moodAt',
+		},
+	},
+};
+
+/**
+ * Whether a value would print anything.
+ *
+ * @param {*} value Value.
+ * @return {boolean} True when empty.
+ */
+function isEmpty( value ) {
+	return (
+		value === undefined ||
+		value === null ||
+		value === '' ||
+		value === 0 ||
+		value === false
+	);
+}
+
+/**
+ * Build a microformat item from a format and its attributes.
+ *
+ * The item's `value`, used when it is a property of its parent, is its
+ * first url for a u-* property and its first name otherwise.
+ *
+ * @param {CardFormat} format     Format.
+ * @param {Object}     attributes Attributes.
+ * @param {boolean}    asProperty Whether the item is a property of its parent.
+ * @return {Object} Microformat item.
+ */
+function buildItem( format, attributes, asProperty = false ) {
+	const properties = {};
+
+	Object.entries( format.properties ).forEach( ( [ name, sources ] ) => {
+		const values = [];
+
+		( Array.isArray( sources ) ? sources : [ sources ] ).forEach(
+			( source ) => {
+				if ( typeof source === 'object' ) {
+					const nested = buildItem( source, attributes, true );
+					if ( Object.keys( nested.properties ).length ) {
+						values.push( nested );
+					}
+					return;
+				}
+
+				const value =
+					typeof source === 'function'
+						? source( attributes )
+						: attributes[ source ];
+
+				if ( ! isEmpty( value ) ) {
+					values.push( value );
+				}
+			}
+		);
+
+		if ( values.length ) {
+			properties[ name ] = values;
+		}
+	} );
+
+	const item = { type: [ format.type ], properties };
+	const value = format.property?.startsWith( 'u-' )
+		? properties.url?.[ 0 ] ?? properties.name?.[ 0 ]
+		: properties.name?.[ 0 ];
+
+	if ( asProperty && ! isEmpty( value ) ) {
+		item.value = value;
+	}
+
+	return item;
+}
+
+/**
+ * Remove block delimiter comments from serialized post content.
+ *
+ * @param {string} html Post content.
+ * @return {string} HTML.
+ */
+function stripBlockComments( html ) {
+	return html.replace( /<!--[\s\S]*?-->/g, '' );
+}
+
+/**
+ * Get the text of post content, as a parser reads an e-* value.
+ *
+ * @param {string} html Post content.
+ * @return {string} Text with whitespace collapsed.
+ */
+export function toPlainText( html ) {
+	return stripBlockComments( html )
+		.replace( /<[^>]*>/g, ' ' )
+		.replace( /&nbsp;/g, ' ' )
+		.replace( /&amp;/g, '&' )
+		.replace( /&lt;/g, '<' )
+		.replace( /&gt;/g, '>' )
+		.replace( /&quot;/g, '"' )
+		.replace( /&#0?39;/g, "'" )
+		.replace( /\s+/g, ' ' )
+		.trim();
+}
+
+/**
+ * Pretty-print mf2 JSON, marking the expected properties that are empty.
+ *
+ * Missing properties are shown as empty lists on the entry so they can be
+ * highlighted in place.
+ *
+ * @param {{items: Array<Object>, missing: Array<string>}} result From buildMf2().
+ * @return {Array<{text: string, missing: boolean}>} Lines.
+ */
+export function toDisplayLines( { items, missing } ) {
+	const [ entry, ...rest ] = items;
+	const properties = { ...entry.properties };
+
+	missing
+		.filter( ( name ) => ! name.startsWith( 'h-' ) )
+		.forEach( ( name ) => {
+			properties[ name ] = [];
+		} );
+
+	const json = JSON.stringify(
+		{ items: [ { ...entry, properties }, ...rest ] },
+		null,
+		2
+	);
+
+	return json.split( '\n' ).map( ( text ) => {
+		const match = /^\s*"([^"]+)": \[\],?$/.exec( text );
+		return { text, missing: !! match && missing.includes( match[ 1 ] ) };
+	} );
+}
+
+/**
+ * Property name of an mf2 class, e.g. 'like-of' for 'u-like-of'.
+ *
+ * @param {string} className Class.
+ * @return {string|null} Property name, or null for a root class.
+ */
+function propertyName( className ) {
+	const match = /^(?:p|u|dt|e)-(.+)$/.exec( className );
+	return match ? match[ 1 ] : null;
+}
+
+/**
+ * Hidden data class-microformats.php adds to the entry from kind meta.
+ *
+ * @param {string} kind Kind slug.
+ * @param {Object} meta Kind meta, keys without prefix.
+ * @return {Object} Entry properties.
+ */
+function hiddenProperties( kind, meta ) {
+	switch ( kind ) {
+		case 'rsvp':
+			return meta.rsvp_status ? { rsvp: [ meta.rsvp_status ] } : {};
+
+		case 'checkin': {
+			const privacy = meta.geo_privacy || 'approximate';
+
+			if ( privacy === 'private' ) {
+				return {};
+			}
+
+			const adr = buildItem(
+				{
+					type: 'h-adr',
+					properties: {
+						'street-address':
+							privacy === 'public' ? 'checkin_address' : [],
+						locality: 'checkin_locality',
+						region: 'checkin_region',
+						'country-name': 'checkin_country',
+					},
+				},
+				meta
+			);
+			const card = { type: [ 'h-card' ], properties: {} };
+
+			if ( meta.checkin_name ) {
+				card.properties.name = [ meta.checkin_name ];
+				card.value = meta.checkin_name;
+			}
+
+			if ( Object.keys( adr.properties ).length ) {
+				card.properties.adr = [ adr ];
+			}
+
+			if (
+				privacy === 'public' &&
+				meta.geo_latitude &&
+				meta.geo_longitude
+			) {
+				card.properties.geo = [
+					{
+						type: [ 'h-geo' ],
+						properties: {
+							latitude: [ String( meta.geo_latitude ) ],
+							longitude: [ String( meta.geo_longitude ) ],
+						},
+					},
+				];
+			}
+
+			return { checkin: [ card ] };
+		}
+
+		case 'review':
+			return meta.review_rating
+				? {
+						rating: [ String( meta.review_rating ) ],
+						best: [ String( meta.review_best || 5 ) ],
+				  }
+				: {};
+
+		case 'event':
+			return {
+				...( meta.event_start && { start: [ meta.event_start ] } ),
+				...( meta.event_end && { end: [ meta.event_end ] } ),
+			};
+
+		default:
+			return {};
+	}
+}
+
+/**
+ * Collect the property names and types present anywhere in an item.
+ *
+ * @param {Object} item  Microformat item.
+ * @param {Set}    found Names and types seen so far.
+ * @return {Set} Names and types.
+ */
+function collect( item, found = new Set() ) {
+	item.type.forEach( ( type ) => found.add( type ) );
+
+	Object.entries( item.properties ).forEach( ( [ name, values ] ) => {
+		found.add( name );
+		values.forEach( ( value ) => {
+			if ( value?.type ) {
+				collect( value, found );
+			}
+		} );
+	} );
+
+	( item.children || [] ).forEach( ( child ) => collect( child, found ) );
+
+	return found;
+}
+
+/**
+ * Get the properties a kind's format expects.
+ *
+ * Each class string of the format names one: its first property class,
+ * or its root type when it has none ('h-cite' expects a nested h-cite).
+ * Properties a check-in's location privacy withholds are not expected.
+ *
+ * @param {Object} format Kind format from class-microformats.php.
+ * @param {string} kind   Kind slug.
+ * @param {Object} meta   Kind meta.
+ * @return {Array<string>} Property names and root types.
+ */
+export function getExpectedProperties( format, kind, meta = {} ) {
+	const withheld =
+		kind === 'checkin' && ( meta.geo_privacy || 'approximate' ) !== 'public'
+			? [ 'street-address', 'geo', 'latitude', 'longitude' ]
+			: [];
+
+	return Object.values( format?.properties || {} )
+		.map( ( classes ) => {
+			const tokens = classes.split( /\s+/ );
+			return tokens.map( propertyName ).find( Boolean ) || tokens[ 0 ];
+		} )
+		.filter(
+			( name, index, names ) =>
+				names.indexOf( name ) === index && ! withheld.includes( name )
+		);
+}
+
+/**
+ * Build the mf2 JSON of a post.
+ *
+ * @param {Object}        post           Post being edited.
+ * @param {string}        post.kind      Kind slug, or '' for none.
+ * @param {Object}        post.meta      Kind meta, keys without prefix.
+ * @param {Array<Object>} post.blocks    Blocks (`{ name, attributes }`), flattened.
+ * @param {string}        post.title     Post title.
+ * @param {string}        post.url       Permalink.
+ * @param {string}        post.published Publish date.
+ * @param {string}        post.content   Post text outside the cards.
+ * @param {Object}        [formats]      Kind formats; defaults to the ones PHP published.
+ * @return {{items: Array<Object>, missing: Array<string>}} Parsed items and
+ *         the expected properties that came out empty.
+ */
+export function buildMf2(
+	post,
+	formats = window.pkiwAdminEditor?.mf2KindFormats
+) {
+	const { kind, meta = {}, blocks = [] } = post;
+	const format = formats?.[ kind ];
+	const entry = {
+		type: format?.root || [ 'h-entry' ],
+		properties: {},
+	};
+
+	// Entry essentials, as wrap_singular_content() prints them.
+	if ( post.url ) {
+		entry.properties.url = [ post.url ];
+	}
+	if ( post.published ) {
+		entry.properties.published = [ post.published ];
+	}
+	if (
+		post.title &&
+		Object.values( format?.properties || {} ).includes( 'p-name' )
+	) {
+		entry.properties.name = [ post.title ];
+	}
+	const text = toPlainText( post.content || '' );
+	if ( text ) {
+		entry.properties.content = [
+			{ html: stripBlockComments( post.content ).trim(), value: text },
+		];
+	}
+
+	blocks.forEach( ( block ) => {
+		const cardFormat = CARD_FORMATS[ block.name ];
+
+		if ( ! cardFormat ) {
+			return;
+		}
+
+		const item = buildItem(
+			cardFormat,
+			block.attributes || {},
+			!! cardFormat.property
+		);
+		const name = cardFormat.property && propertyName( cardFormat.property );
+
+		if ( name ) {
+			entry.properties[ name ] = [
+				...( entry.properties[ name ] || [] ),
+				item,
+			];
+		} else {
+			entry.children = [ ...( entry.children || [] ), item ];
+		}
+	} );
+
+	Object.entries( hiddenProperties( kind, meta ) ).forEach(
+		( [ name, values ] ) => {
+			entry.properties[ name ] = [
+				...( entry.properties[ name ] || [] ),
+				...values,
+			];
+		}
+	);
+
+	const found = collect( entry );
+	const missing = kind
+		? getExpectedProperties( format, kind, meta ).filter(
+				( name ) => ! found.has( name )
+		  )
+		: [];
+
+	return { items: [ entry ], missing };
+}
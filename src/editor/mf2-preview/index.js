@@ -0,0 +1,186 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Microformats Preview Sidebar
+ *
+ * A sidebar showing the microformats2 JSON the post will publish, built in
+ * the browser from the card blocks and kind meta (see build-mf2.js), so it
+ * follows every keystroke. Properties the kind's format expects but the
+ * post leaves empty are highlighted.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import {
+	PluginSidebar,
+	PluginSidebarMoreMenuItem,
+	store as editorStore,
+} from '@wordpress/editor';
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { serialize } from '@wordpress/blocks';
+import { PanelBody } from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useMemo } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { code } from '@wordpress/icons';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_NAME } from '../stores/post-kinds';
+import { getCardBlockKind } from '../kind-registry';
+import { buildMf2, toDisplayLines } from './build-mf2';
+
+/**
+ * Sidebar name.
+ *
+ * @type {string}
+ */
+const SIDEBAR_NAME = 'pkiw-mf2-preview';
+
+/**
+ * Flatten a block tree into a list.
+ *
+ * @param {Array<Object>} blocks Blocks.
+ * @return {Array<Object>} Blocks and their inner blocks, in document order.
+ */
+function flattenBlocks( blocks ) {
+	return blocks.flatMap( ( block ) => [
+		block,
+		...flattenBlocks( block.innerBlocks || [] ),
+	] );
+}
+
+/**
+ * Drop kind cards from a block tree, leaving the post's own text.
+ *
+ * @param {Array<Object>} blocks Blocks.
+ * @return {Array<Object>} Blocks without cards, inner blocks included.
+ */
+function withoutCards( blocks ) {
+	return blocks
+		.filter( ( block ) => ! getCardBlockKind( block.name ) )
+		.map( ( block ) =>
+			block.innerBlocks?.length
+				? { ...block, innerBlocks: withoutCards( block.innerBlocks ) }
+				: block
+		);
+}
+
+/**
+ * The preview itself, mounted only while the sidebar is open.
+ *
+ * @return {JSX.Element} Preview.
+ */
+const Mf2PreviewContent = () => {
+	const blocks = useSelect(
+		( select ) => select( blockEditorStore ).getBlocks(),
+		[]
+	);
+
+	// The entry content is the text outside the cards. The block list keeps
+	// its identity until a block changes, so it is only serialized then
+	// rather than on every store update.
+	const flatBlocks = useMemo( () => flattenBlocks( blocks ), [ blocks ] );
+	const content = useMemo(
+		() => serialize( withoutCards( blocks ) ),
+		[ blocks ]
+	);
+
+	// Serialized, so the selection stays equal until the output changes.
+	const json = useSelect(
+		( select ) => {
+			const editor = select( editorStore );
+			const store = select( STORE_NAME );
+
+			return JSON.stringify(
+				buildMf2( {
+					kind: store.getSelectedKind() || '',
+					meta: store.getAllKindMeta(),
+					blocks: flatBlocks,
+					title: editor.getEditedPostAttribute( 'title' ),
+					url: editor.getPermalink(),
+					published: editor.getEditedPostAttribute( 'date' ),
+					content,
+				} )
+			);
+		},
+		[ flatBlocks, content ]
+	);
+
+	const result = JSON.parse( json );
+	const lines = toDisplayLines( result );
+
+	return (
+		<PanelBody>
+			<p>
+				{ result.missing.length
+					? sprintf(
+							/* translators: %s: comma-separated mf2 property names */
+							__(
+								'Expected but empty: %s',
+								'post-kinds-for-indieweb-in-block-themes'
+							),
+							result.missing.join( ', ' )
+					  )
+					: __(
+							'Every property this kind expects has a value.',
+							'post-kinds-for-indieweb-in-block-themes'
+					  ) }
+			</p>
+			<pre className="pkiw-mf2-preview">
+				{ lines.map( ( line, index ) => (
+					<div
+						key={ index }
+						className={ line.missing ? 'is-missing' : undefined }
+					>
+						{ line.text }
+					</div>
+				) ) }
+			</pre>
+			<style>{ `
+				.pkiw-mf2-preview {
+					margin: 0;
+					padding: 8px;
+					overflow-x: auto;
+					font-size: 11px;
+					line-height: 1.5;
+					background: #f6f7f7;
+					border-radius: 2px;
+				}
+
+				.pkiw-mf2-preview .is-missing {
+					background: #fcf0f1;
+					color: #8a2424;
+					font-weight: 600;
+				}
+			` }</style>
+		</PanelBody>
+	);
+};
+
+const Mf2Preview = () => (
+	<>
+		<PluginSidebarMoreMenuItem target={ SIDEBAR_NAME } icon={ code }>
+			{ __(
+				'Microformats preview',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+		</PluginSidebarMoreMenuItem>
+		<PluginSidebar
+			name={ SIDEBAR_NAME }
+			title={ __(
+				'Microformats preview',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+			icon={ code }
+		>
+			<Mf2PreviewContent />
+		</PluginSidebar>
+	</>
+);
+
+registerPlugin( SIDEBAR_NAME, { render: Mf2Preview } );
@@ -3,7 +3,9 @@
  *
  * A document sidebar toggle bound to the `pkiw_promote` post meta. When on,
  * a post that would otherwise be classified as "stream" (by its kind) is
- * treated as "main" instead. Shown only for the `post` type.
+ * treated as "main" instead. Below the toggle, a preview shows the surface
+ * the post lands on, the rule that decided it and the feeds and archives
+ * that will list it. Shown only for the `post` type.
  *
  * @package
  * @since 1.3.0
@@ -11,10 +13,74 @@
 
 import { registerPlugin } from '@wordpress/plugins';
 import { PluginDocumentSettingPanel } from '@wordpress/editor';
-import { ToggleControl } from '@wordpress/components';
+import { ExternalLink, Spinner, ToggleControl } from '@wordpress/components';
 import { useSelect, useDispatch } from '@wordpress/data';
 import { __ } from '@wordpress/i18n';
 
+import useSurfacePreview, { describeRule } from './use-surface-preview';
+
+/**
+ * Computed surface, its rule and the listings the post appears in.
+ *
+ * @param {Object}  props           Component props.
+ * @param {Object}  props.preview   Response from the preview endpoint.
+ * @param {boolean} props.isLoading Whether a newer preview is on its way.
+ * @return {JSX.Element} The preview.
+ */
+const SurfacePreview = ( { preview, isLoading } ) => {
+	const included = preview.places.filter( ( place ) => place.included );
+	const excluded = preview.places.filter( ( place ) => ! place.included );
+
+	return (
+		<div className="pkiw-surface-preview" aria-busy={ isLoading }>
+			<p>
+				<strong>
+					{ preview.surface === 'stream'
+						? __(
+								'Stream',
+								'post-kinds-for-indieweb-in-block-themes'
+						  )
+						: __(
+								'Main',
+								'post-kinds-for-indieweb-in-block-themes'
+						  ) }
+				</strong>
+				{ ' — ' }
+				{ describeRule( preview ) }
+				{ isLoading && <Spinner /> }
+			</p>
+			<p>
+				{ __(
+					'Once published, listed in:',
+					'post-kinds-for-indieweb-in-block-themes'
+				) }
+			</p>
+			<ul>
+				{ included.map( ( place ) => (
+					<li key={ place.id }>
+						{ place.url ? (
+							<ExternalLink href={ place.url }>
+								{ place.label }
+							</ExternalLink>
+						) : (
+							place.label
+						) }
+					</li>
+				) ) }
+			</ul>
+			{ excluded.length > 0 && (
+				<p className="pkiw-surface-preview__excluded">
+					{ __(
+						'Imported posts are hidden from:',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }{ ' ' }
+					{ excluded.map( ( place ) => place.label ).join( ', ' ) }
+				</p>
+			) }
+		</div>
+	);
+};
+
 const PromotePanel = () => {
 	const { postType, promote } = useSelect(
 		( select ) => ( {
@@ -26,6 +92,7 @@ const PromotePanel = () => {
 		[]
 	);
 	const { editPost } = useDispatch( 'core/editor' );
+	const { preview, isLoading } = useSurfacePreview( postType === 'post' );
 
 	if ( postType !== 'post' ) {
 		return null;
@@ -45,7 +112,7 @@ const PromotePanel = () => {
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				help={ __(
-					'Show this post on the main archive even if its kind is normally stream-only.',
+					'Show this post on the main archive even if its kind or category is normally stream-only.',
 					'post-kinds-for-indieweb-in-block-themes'
 				) }
 				checked={ !! promote }
@@ -53,6 +120,11 @@ const PromotePanel = () => {
 					editPost( { meta: { pkiw_promote: value } } )
 				}
 			/>
+			{ preview ? (
+				<SurfacePreview preview={ preview } isLoading={ isLoading } />
+			) : (
+				isLoading && <Spinner />
+			) }
 		</PluginDocumentSettingPanel>
 	);
 };
@@ -0,0 +1,154 @@
+/**
+ * Post surface preview.
+ *
+ * Asks `/surface/{id}` which surface the post lands on, which rule decided
+ * it and which feeds and archives will list it. The edited kinds,
+ * categories and promote flag are sent along, so the preview follows
+ * unsaved changes.
+ *
+ * @package
+ * @since 1.8.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * REST path of the preview endpoint.
+ *
+ * @type {string}
+ */
+export const SURFACE_PATH = '/post-kinds-indieweb/v1/surface';
+
+/**
+ * Milliseconds to wait after an edit before asking again.
+ *
+ * @type {number}
+ */
+export const PREVIEW_DELAY = 500;
+
+/**
+ * Describe the rule that decided a post's surface.
+ *
+ * @param {Object} preview       Response from the preview endpoint.
+ * @param {string} preview.rule  Deciding rule.
+ * @param {string} preview.match Kind or category slug that matched.
+ * @return {string} One sentence for the panel.
+ */
+export function describeRule( { rule, match } ) {
+	switch ( rule ) {
+		case 'promote':
+			return __(
+				'Promoted: the promote flag overrides the stream rule.',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		case 'kind':
+			return sprintf(
+				/* translators: %s: Kind slug */
+				__(
+					'Kind default: "%s" posts go to the stream.',
+					'post-kinds-for-indieweb-in-block-themes'
+				),
+				match
+			);
+		case 'category':
+			return sprintf(
+				/* translators: %s: Category slug */
+				__(
+					'Category: posts in "%s" go to the stream.',
+					'post-kinds-for-indieweb-in-block-themes'
+				),
+				match
+			);
+		case 'filter':
+			return __(
+				'Set by the pkiw_post_surface filter.',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		default:
+			return __(
+				'No stream rule applies.',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+	}
+}
+
+/**
+ * Turn a comma-joined term list back into term IDs.
+ *
+ * @param {string} key Term IDs joined with commas.
+ * @return {Array<number>} Term IDs.
+ */
+function toTermIds( key ) {
+	return key ? key.split( ',' ).map( Number ) : [];
+}
+
+/**
+ * Follow the surface preview of the post being edited.
+ *
+ * @param {boolean} active Whether the post type has a surface.
+ * @return {{preview: Object|null, isLoading: boolean}} Latest preview and
+ *         whether a newer one is on its way.
+ */
+export default function useSurfacePreview( active ) {
+	const [ preview, setPreview ] = useState( null );
+	const [ isLoading, setIsLoading ] = useState( false );
+
+	const { postId, kinds, categories, promote } = useSelect( ( select ) => {
+		const editor = select( 'core/editor' );
+		return {
+			postId: editor.getCurrentPostId(),
+			kinds: editor.getEditedPostAttribute( 'kind' ),
+			categories: editor.getEditedPostAttribute( 'categories' ),
+			promote: !! editor.getEditedPostAttribute( 'meta' )?.pkiw_promote,
+		};
+	}, [] );
+
+	// Compare the term lists by value; the editor hands out new arrays.
+	const kindKey = ( kinds || [] ).join( ',' );
+	const categoryKey = ( categories || [] ).join( ',' );
+
+	useEffect( () => {
+		if ( ! active || ! postId ) {
+			return;
+		}
+
+		let cancelled = false;
+		setIsLoading( true );
+
+		const timer = setTimeout( async () => {
+			let response = null;
+			try {
+				response = await apiFetch( {
+					path: `${ SURFACE_PATH }/${ postId }`,
+					method: 'POST',
+					data: {
+						kinds: toTermIds( kindKey ),
+						categories: toTermIds( categoryKey ),
+						promote,
+					},
+				} );
+			} catch {
+				// Keep showing the last preview.
+			}
+
+			if ( cancelled ) {
+				return;
+			}
+
+			if ( response ) {
+				setPreview( response );
+			}
+			setIsLoading( false );
+		}, PREVIEW_DELAY );
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ active, postId, kindKey, categoryKey, promote ] );
+
+	return { preview, isLoading };
+}
@@ -0,0 +1,242 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Publish Checks
+ *
+ * What each kind needs before it is published: a watch needs a title, a
+ * check-in a venue or coordinates, a like a URL to cite. A check names the
+ * meta key of the sidebar control that fixes it. Sites can add or change
+ * checks through the `postKindsIndieweb.publishChecks` filter:
+ *
+ *     addFilter( 'postKindsIndieweb.publishChecks', 'my-plugin', ( checks, kind ) =>
+ *         kind === 'climb'
+ *             ? [ ...checks, { id: 'climb-route', field: 'climb_route',
+ *                 label: 'Route', test: ( get ) => !! get( 'climb_route' ) } ]
+ *             : checks
+ *     );
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * A publish check.
+ *
+ * @typedef {Object} PublishCheck
+ * @property {string}   id    Unique check ID.
+ * @property {string}   field Meta key (without prefix) of the control that fixes it.
+ * @property {string}   label What is missing, shown in the checklist.
+ * @property {Function} test  Called with a `( key ) => value` meta getter;
+ *                            returns true when the check passes.
+ */
+
+/**
+ * RSVP statuses a post can be published with.
+ *
+ * @type {Array<string>}
+ */
+export const RSVP_STATUSES = [ 'yes', 'no', 'maybe', 'interested' ];
+
+/**
+ * Whether a meta value has been filled in.
+ *
+ * @param {*} value Meta value.
+ * @return {boolean} True for a non-blank value.
+ */
+function isFilled( value ) {
+	return typeof value === 'string'
+		? value.trim() !== ''
+		: value !== null && value !== undefined;
+}
+
+/**
+ * Whether a value is an http(s) URL.
+ *
+ * @param {*} value Meta value.
+ * @return {boolean} True for an absolute web URL.
+ */
+function isWebUrl( value ) {
+	return (
+		typeof value === 'string' && /^https?:\/\/\S+$/i.test( value.trim() )
+	);
+}
+
+/**
+ * Check for a cite URL, shared by the response kinds.
+ *
+ * @return {PublishCheck} The check.
+ */
+function citeUrlCheck() {
+	return {
+		id: 'cite-url',
+		field: 'cite_url',
+		label: __(
+			'URL of the post you are responding to',
+			'post-kinds-for-indieweb-in-block-themes'
+		),
+		test: ( get ) => isWebUrl( get( 'cite_url' ) ),
+	};
+}
+
+/**
+ * Build the built-in checks of a kind.
+ *
+ * @param {string} kind Kind slug.
+ * @return {Array<PublishCheck>} Checks.
+ */
+function getBuiltInChecks( kind ) {
+	switch ( kind ) {
+		case 'like':
+		case 'reply':
+		case 'repost':
+		case 'bookmark':
+			return [ citeUrlCheck() ];
+		case 'read':
+			return [
+				{
+					id: 'read-title',
+					field: 'read_title',
+					label: __(
+						'Book title',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					test: ( get ) => isFilled( get( 'read_title' ) ),
+				},
+			];
+		case 'watch':
+			return [
+				{
+					id: 'watch-title',
+					field: 'watch_title',
+					label: __(
+						'Title',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					test: ( get ) => isFilled( get( 'watch_title' ) ),
+				},
+			];
+		case 'listen':
+			return [
+				{
+					id: 'listen-track',
+					field: 'listen_track',
+					label: __(
+						'Track',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					test: ( get ) => isFilled( get( 'listen_track' ) ),
+				},
+				{
+					id: 'listen-artist',
+					field: 'listen_artist',
+					label: __(
+						'Artist',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					test: ( get ) => isFilled( get( 'listen_artist' ) ),
+				},
+			];
+		case 'checkin':
+			return [
+				{
+					id: 'checkin-place',
+					field: 'checkin_name',
+					label: __(
+						'Venue name or coordinates',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					// Unset coordinates read back as 0.
+					test: ( get ) =>
+						isFilled( get( 'checkin_name' ) ) ||
+						( !! Number( get( 'geo_latitude' ) ) &&
+							!! Number( get( 'geo_longitude' ) ) ),
+				},
+			];
+		case 'rsvp':
+			return [
+				{
+					id: 'rsvp-status',
+					field: 'rsvp_status',
+					label: __(
+						'RSVP response',
+						'post-kinds-for-indieweb-in-block-themes'
+					),
+					test: ( get ) =>
+						RSVP_STATUSES.includes( get( 'rsvp_status' ) ),
+				},
+			];
+		default:
+			return [];
+	}
+}
+
+/**
+ * Get the publish checks of a kind.
+ *
+ * @param {string} kind Kind slug.
+ * @return {Array<PublishCheck>} Checks.
+ */
+export function getKindChecks( kind ) {
+	const checks = applyFilters(
+		'postKindsIndieweb.publishChecks',
+		getBuiltInChecks( kind ),
+		kind
+	);
+
+	return Array.isArray( checks )
+		? checks.filter(
+				( check ) => check?.id && typeof check.test === 'function'
+		  )
+		: [];
+}
+
+/**
+ * Run a kind's checks against its meta.
+ *
+ * @param {string}   kind    Kind slug.
+ * @param {Function} getMeta `( key ) => value` meta getter.
+ * @return {Array<PublishCheck>} The checks that failed.
+ */
+export function getFailedChecks( kind, getMeta ) {
+	return getKindChecks( kind ).filter( ( check ) => ! check.test( getMeta ) );
+}
+
+/**
+ * Get what a failed check does to publishing for a kind.
+ *
+ * Set per kind on the settings page and published as
+ * `window.pkiwAdminEditor.publishCheckSeverity`.
+ *
+ * @param {string} kind Kind slug.
+ * @return {string} 'block' to stop publishing, else 'warn'.
+ */
+export function getCheckSeverity( kind ) {
+	return window.pkiwAdminEditor?.publishCheckSeverity?.[ kind ] === 'block'
+		? 'block'
+		: 'warn';
+}
+
+/**
+ * Whether a blocking check should hold the post back now.
+ *
+ * That is while the pre-publish panel of an unpublished post is open. With
+ * that panel turned off, Publish goes straight through, so an unpublished
+ * post is held back all the time.
+ *
+ * @param {Object} editor `core/editor` selectors.
+ * @return {boolean} True while publishing needs to be locked.
+ */
+export function isAboutToPublish( editor ) {
+	if ( editor.isCurrentPostPublished?.() ) {
+		return false;
+	}
+
+	return (
+		!! editor.isPublishSidebarOpened?.() ||
+		editor.isPublishSidebarEnabled?.() === false
+	);
+}
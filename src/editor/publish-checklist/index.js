@@ -0,0 +1,192 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Publish Checklist
+ *
+ * A pre-publish panel listing what the selected kind still needs (see
+ * checks.js). Each missing item has a "Fix" link that leaves the publish
+ * flow and focuses the matching control in the Post Kind panel. When the
+ * kind's severity is set to block, publishing stays locked while the
+ * panel lists a missing item. The lock is only held while the pre-publish
+ * panel of an unpublished post is open, so drafts, autosaves and updates
+ * to published posts still save. With the pre-publish panel turned off,
+ * nothing stands between Publish and the post, so an unpublished post is
+ * locked for as long as the item is missing.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import { PluginPrePublishPanel } from '@wordpress/editor';
+import { Button } from '@wordpress/components';
+import { useSelect, useDispatch, select } from '@wordpress/data';
+import { useCallback, useEffect } from '@wordpress/element';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { STORE_NAME } from '../stores/post-kinds';
+import {
+	getKindChecks,
+	getFailedChecks,
+	getCheckSeverity,
+	isAboutToPublish,
+} from './checks';
+
+/**
+ * Name of the post saving lock held while a blocking check fails and the
+ * post is about to be published.
+ *
+ * @type {string}
+ */
+const LOCK_NAME = 'pkiw-publish-checklist';
+
+/**
+ * Editor panel name of the Post Kind panel.
+ *
+ * @type {string}
+ */
+const KIND_PANEL =
+	'post-kinds-indieweb-kind-selector/post-kinds-indieweb-kind-selector';
+
+/**
+ * Focus the sidebar control bound to a meta key.
+ *
+ * The sidebar renders after the publish panel closes, so the control is
+ * looked for a few times before giving up.
+ *
+ * @param {string} field    Meta key (without prefix).
+ * @param {number} attempts Tries left.
+ */
+function focusKindField( field, attempts = 10 ) {
+	const control = document.querySelector(
+		`.post-kinds-indieweb-kind-panel [data-pkiw-field="${ field }"]`
+	);
+
+	if ( control ) {
+		control.focus();
+		control.scrollIntoView?.( { block: 'center' } );
+	} else if ( attempts > 1 ) {
+		setTimeout( () => focusKindField( field, attempts - 1 ), 50 );
+	}
+}
+
+const PublishChecklist = () => {
+	const { kind, failedIds, publishing } = useSelect( ( storeSelect ) => {
+		const store = storeSelect( STORE_NAME );
+		const editor = storeSelect( 'core/editor' );
+		const selected = store.getSelectedKind();
+
+		return {
+			kind: selected,
+			publishing: isAboutToPublish( editor ),
+			// A string, so the selection stays equal between renders.
+			failedIds: selected
+				? getFailedChecks( selected, store.getKindMeta )
+						.map( ( check ) => check.id )
+						.join( ' ' )
+				: '',
+		};
+	}, [] );
+
+	const {
+		lockPostSaving,
+		unlockPostSaving,
+		closePublishSidebar,
+		toggleEditorPanelOpened,
+	} = useDispatch( 'core/editor' );
+	const { openGeneralSidebar } = useDispatch( 'core/edit-post' );
+
+	const checks = kind ? getKindChecks( kind ) : [];
+	const failed = checks.filter( ( check ) =>
+		failedIds.split( ' ' ).includes( check.id )
+	);
+	const blocking = failed.length > 0 && getCheckSeverity( kind ) === 'block';
+
+	useEffect( () => {
+		if ( ! blocking || ! publishing ) {
+			return;
+		}
+
+		lockPostSaving( LOCK_NAME );
+		return () => unlockPostSaving( LOCK_NAME );
+	}, [ blocking, publishing, lockPostSaving, unlockPostSaving ] );
+
+	const handleFix = useCallback(
+		( field ) => {
+			closePublishSidebar();
+			openGeneralSidebar?.( 'edit-post/document' );
+
+			if ( ! select( 'core/editor' ).isEditorPanelOpened( KIND_PANEL ) ) {
+				toggleEditorPanelOpened( KIND_PANEL );
+			}
+
+			focusKindField( field );
+		},
+		[ closePublishSidebar, openGeneralSidebar, toggleEditorPanelOpened ]
+	);
+
+	if ( ! checks.length ) {
+		return null;
+	}
+
+	return (
+		<PluginPrePublishPanel
+			name="pkiw-publish-checklist"
+			title={ __(
+				'Post kind checklist',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+			initialOpen={ failed.length > 0 }
+		>
+			{ ! failed.length && (
+				<p>
+					{ __(
+						'Everything this kind needs is filled in.',
+						'post-kinds-for-indieweb-in-block-themes'
+					) }
+				</p>
+			) }
+			{ failed.length > 0 && (
+				<>
+					<p>
+						{ blocking
+							? __(
+									'Fill these in to publish:',
+									'post-kinds-for-indieweb-in-block-themes'
+							  )
+							: __(
+									'These are missing. You can still publish.',
+									'post-kinds-for-indieweb-in-block-themes'
+							  ) }
+					</p>
+					<ul className="pkiw-publish-checklist">
+						{ failed.map( ( check ) => (
+							<li key={ check.id }>
+								{ check.label }{ ' ' }
+								{ check.field && (
+									<Button
+										variant="link"
+										onClick={ () =>
+											handleFix( check.field )
+										}
+									>
+										{ __(
+											'Fix',
+											'post-kinds-for-indieweb-in-block-themes'
+										) }
+									</Button>
+								) }
+							</li>
+						) ) }
+					</ul>
+				</>
+			) }
+		</PluginPrePublishPanel>
+	);
+};
+
+registerPlugin( 'pkiw-publish-checklist', { render: PublishChecklist } );
@@ -0,0 +1,101 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Reading Sessions
+ *
+ * A read post keeps each progress update as a session — the date, the page
+ * reached and an optional note — in `_pkiw_read_sessions`, oldest first.
+ * The current page is the latest session's; reaching the book's last page
+ * finishes it. The read card and the Read panel share these helpers.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * Today's date in the browser's time zone, as YYYY-MM-DD.
+ *
+ * @return {string} Date.
+ */
+export function getToday() {
+	const now = new Date();
+	const pad = ( number ) => String( number ).padStart( 2, '0' );
+
+	return `${ now.getFullYear() }-${ pad( now.getMonth() + 1 ) }-${ pad(
+		now.getDate()
+	) }`;
+}
+
+/**
+ * Percentage of the book a page reaches.
+ *
+ * @param {number} page      Page reached.
+ * @param {number} pageCount Pages in the book.
+ * @return {number} Whole percentage, 0 to 100; 0 without a page count.
+ */
+export function getPagePercent( page, pageCount ) {
+	if ( ! pageCount || ! page ) {
+		return 0;
+	}
+
+	return Math.min( 100, Math.round( ( page / pageCount ) * 100 ) );
+}
+
+/**
+ * Add a session, keeping the list in date order.
+ *
+ * A session lands after any others on the same day.
+ *
+ * @param {Array<Object>} sessions Sessions, oldest first.
+ * @param {Object}        session  Session with `date`, `page` and `note`.
+ * @return {Array<Object>} New list of sessions.
+ */
+export function addReadingSession( sessions, session ) {
+	const list = [ ...( sessions || [] ) ];
+	const index = list.findIndex( ( item ) => item.date > session.date );
+	const entry = {
+		date: session.date,
+		page: Math.max( 0, parseInt( session.page, 10 ) || 0 ),
+		note: ( session.note || '' ).trim(),
+	};
+
+	list.splice( index === -1 ? list.length : index, 0, entry );
+
+	return list;
+}
+
+/**
+ * What adding a session changes on the post.
+ *
+ * The current page becomes the latest session's. The start date is the
+ * first session's unless one was set. At the last page the book is
+ * finished, on that session's date unless a finish date was set; before
+ * it, a book still to read becomes one being read.
+ *
+ * @param {Object}        current            The post's reading state.
+ * @param {Array<Object>} current.sessions   Sessions, oldest first.
+ * @param {number}        current.pageCount  Pages in the book.
+ * @param {string}        current.status     Reading status.
+ * @param {string}        current.startedAt  Start date.
+ * @param {string}        current.finishedAt Finish date.
+ * @param {Object}        session            The new session.
+ * @return {Object} `sessions`, `page`, `status`, `startedAt` and `finishedAt`.
+ */
+export function applyReadingSession( current, session ) {
+	const sessions = addReadingSession( current.sessions, session );
+	const latest = sessions[ sessions.length - 1 ];
+	const update = {
+		sessions,
+		page: latest.page,
+		status: current.status,
+		startedAt: current.startedAt || sessions[ 0 ].date,
+		finishedAt: current.finishedAt,
+	};
+
+	if ( current.pageCount > 0 && latest.page >= current.pageCount ) {
+		update.status = 'finished';
+		update.finishedAt = current.finishedAt || latest.date;
+	} else if ( ! current.status || 'to-read' === current.status ) {
+		update.status = 'reading';
+	}
+
+	return update;
+}
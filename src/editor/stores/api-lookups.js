@@ -0,0 +1,140 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - API Lookup State
+ *
+ * Lookup state keyed by lookup type, so a book search in the sidebar and a
+ * game search in a card block each get their own slot instead of fighting
+ * over one. Every slot remembers the request key it was started with;
+ * responses carrying any other key are stale and dropped, which backs up
+ * the AbortController cancellation in the store for fetches that resolve
+ * before the abort lands.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { buildLookupQuery } from '../lookup-client';
+
+/**
+ * Action types handled by the lookup reducer.
+ *
+ * @type {Object}
+ */
+export const LOOKUP_ACTION_TYPES = {
+	START_API_LOOKUP: 'START_API_LOOKUP',
+	RECEIVE_API_RESULTS: 'RECEIVE_API_RESULTS',
+	API_LOOKUP_ERROR: 'API_LOOKUP_ERROR',
+	CANCEL_API_LOOKUP: 'CANCEL_API_LOOKUP',
+	CLEAR_API_RESULTS: 'CLEAR_API_RESULTS',
+};
+
+/**
+ * State of a lookup type that has never been searched.
+ *
+ * Shared and frozen so selectors return a stable reference for idle slots.
+ *
+ * @type {Object}
+ */
+export const EMPTY_LOOKUP = Object.freeze( {
+	query: null,
+	key: null,
+	isLoading: false,
+	results: Object.freeze( [] ),
+	error: null,
+} );
+
+/**
+ * Build the request key for a lookup.
+ *
+ * The key is the query string sent to `/lookup/{type}`, so two searches
+ * for the same text with different params (BGG vs RAWG, board game vs
+ * video game) are never mistaken for each other.
+ *
+ * @param {string} query  Search query.
+ * @param {Object} params Extra query-string params.
+ * @return {string} Request key.
+ */
+export function getLookupKey( query, params = {} ) {
+	return buildLookupQuery( { ...params, q: query } );
+}
+
+/**
+ * Lookup reducer, keyed by lookup type.
+ *
+ * @param {Object} state  Current lookups, keyed by type.
+ * @param {Object} action Action object.
+ * @return {Object} New lookups state.
+ */
+export function apiLookups( state = {}, action ) {
+	const current = state[ action.lookupType ] || EMPTY_LOOKUP;
+
+	switch ( action.type ) {
+		case LOOKUP_ACTION_TYPES.START_API_LOOKUP:
+			return {
+				...state,
+				[ action.lookupType ]: {
+					query: action.query,
+					key: action.key,
+					isLoading: true,
+					results: [],
+					error: null,
+				},
+			};
+
+		case LOOKUP_ACTION_TYPES.RECEIVE_API_RESULTS:
+			if ( current.key !== action.key ) {
+				return state;
+			}
+			return {
+				...state,
+				[ action.lookupType ]: {
+					...current,
+					isLoading: false,
+					results: Array.isArray( action.results )
+						? action.results
+						: [],
+					error: null,
+				},
+			};
+
+		case LOOKUP_ACTION_TYPES.API_LOOKUP_ERROR:
+			if ( current.key !== action.key ) {
+				return state;
+			}
+			return {
+				...state,
+				[ action.lookupType ]: {
+					...current,
+					isLoading: false,
+					results: [],
+					error: action.error,
+				},
+			};
+
+		case LOOKUP_ACTION_TYPES.CANCEL_API_LOOKUP:
+			if ( ! current.isLoading ) {
+				return state;
+			}
+			return {
+				...state,
+				[ action.lookupType ]: {
+					...current,
+					isLoading: false,
+				},
+			};
+
+		case LOOKUP_ACTION_TYPES.CLEAR_API_RESULTS: {
+			// No type clears every slot.
+			if ( ! action.lookupType ) {
+				return {};
+			}
+			const { [ action.lookupType ]: cleared, ...rest } = state;
+			return cleared ? rest : state;
+		}
+
+		default:
+			return state;
+	}
+}
@@ -43,3 +43,19 @@ export function coerceMetaValue( key, value ) {
 
 	return value;
 }
+
+/**
+ * Coerce a set of kind-meta values for a single write.
+ *
+ * @param {Object} values Values keyed by field name (without the meta prefix).
+ * @return {Object} Coerced values under the same keys.
+ */
+export function coerceMetaValues( values ) {
+	const coerced = {};
+
+	Object.keys( values || {} ).forEach( ( key ) => {
+		coerced[ key ] = coerceMetaValue( key, values[ key ] );
+	} );
+
+	return coerced;
+}
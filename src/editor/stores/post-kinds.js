@@ -12,8 +12,27 @@
  */
 import { createReduxStore, createRegistrySelector } from '@wordpress/data';
 import apiFetch from '@wordpress/api-fetch';
+import { createBlock } from '@wordpress/blocks';
 import { store as editorStore } from '@wordpress/editor';
-import { coerceMetaValue } from './coerce-meta-value';
+import { store as blockEditorStore } from '@wordpress/block-editor';
+import { coerceMetaValues } from './coerce-meta-value';
+import { lookup } from '../lookup-client';
+import { resolveUrlMeta } from '../url-providers';
+import {
+	planKindMigration,
+	findKindCardBlock,
+	getCardKinds,
+	convertKindCard,
+} from '../kind-migration';
+import {
+	LOOKUP_ACTION_TYPES,
+	EMPTY_LOOKUP,
+	apiLookups,
+	getLookupKey,
+} from './api-lookups';
+import { getKindCardBlock } from '../kind-registry';
+import { KIND_TEMPLATES_PATH, getTemplateMetaUpdates } from '../kind-templates';
+import { EVENTS, emitEvent } from '../integration-events';
 
 /**
  * Store name constant.
@@ -37,14 +56,11 @@ const META_PREFIX = '_pkiw_';
 const DEFAULT_STATE = {
 	selectedKind: null,
 	autoDetectedKind: null,
+	detectionCandidates: [],
 	isAutoDetectionEnabled: true,
-	apiLookup: {
-		isLoading: false,
-		results: [],
-		error: null,
-		type: null,
-	},
+	apiLookups: {},
 	availableKinds: [],
+	kindTemplates: [],
 	isInitialized: false,
 };
 
@@ -58,14 +74,36 @@ const ACTION_TYPES = {
 	SET_AUTO_DETECTED_KIND: 'SET_AUTO_DETECTED_KIND',
 	ENABLE_AUTO_DETECTION: 'ENABLE_AUTO_DETECTION',
 	DISABLE_AUTO_DETECTION: 'DISABLE_AUTO_DETECTION',
-	START_API_LOOKUP: 'START_API_LOOKUP',
-	RECEIVE_API_RESULTS: 'RECEIVE_API_RESULTS',
-	API_LOOKUP_ERROR: 'API_LOOKUP_ERROR',
-	CLEAR_API_RESULTS: 'CLEAR_API_RESULTS',
+	...LOOKUP_ACTION_TYPES,
 	SET_AVAILABLE_KINDS: 'SET_AVAILABLE_KINDS',
+	SET_KIND_TEMPLATES: 'SET_KIND_TEMPLATES',
 	SET_INITIALIZED: 'SET_INITIALIZED',
 };
 
+/**
+ * In-flight lookup controllers, keyed by lookup type.
+ *
+ * AbortControllers aren't serializable, so they live beside the store
+ * rather than in it. Starting a lookup aborts whatever the same type had
+ * in flight; other types are left alone.
+ *
+ * @type {Map<string, AbortController>}
+ */
+const lookupControllers = new Map();
+
+/**
+ * Abort the in-flight request for a lookup type, if any.
+ *
+ * @param {string} lookupType Lookup type.
+ */
+function abortLookup( lookupType ) {
+	const controller = lookupControllers.get( lookupType );
+	if ( controller ) {
+		controller.abort();
+		lookupControllers.delete( lookupType );
+	}
+}
+
 /**
  * Store actions.
  *
@@ -88,13 +126,16 @@ const actions = {
 	/**
 	 * Set the auto-detected kind.
 	 *
-	 * @param {string|null} kind Kind slug or null.
+	 * @param {string|null} kind         Kind slug or null.
+	 * @param {Array}       [candidates] Ranked candidates from detectKindCandidates(),
+	 *                                   each `{ kind, score, reason, rule }`.
 	 * @return {Object} Action object.
 	 */
-	setAutoDetectedKind( kind ) {
+	setAutoDetectedKind( kind, candidates = [] ) {
 		return {
 			type: ACTION_TYPES.SET_AUTO_DETECTED_KIND,
 			kind,
+			candidates: kind ? candidates : [],
 		};
 	},
 
@@ -123,25 +164,36 @@ const actions = {
 	/**
 	 * Start an API lookup.
 	 *
-	 * @param {string} lookupType Type of lookup (music, movie, book, venue).
+	 * @param {string} lookupType Type of lookup (music, movie, book, game…).
+	 * @param {string} query      Search query.
+	 * @param {string} key        Request key from getLookupKey().
 	 * @return {Object} Action object.
 	 */
-	startApiLookup( lookupType ) {
+	startApiLookup( lookupType, query, key ) {
 		return {
 			type: ACTION_TYPES.START_API_LOOKUP,
 			lookupType,
+			query,
+			key,
 		};
 	},
 
 	/**
 	 * Receive API lookup results.
 	 *
-	 * @param {Array} results API results.
+	 * Ignored by the reducer unless `key` matches the lookup type's
+	 * current request.
+	 *
+	 * @param {string} lookupType Type of lookup.
+	 * @param {string} key        Request key the results belong to.
+	 * @param {Array}  results    API results.
 	 * @return {Object} Action object.
 	 */
-	receiveApiResults( results ) {
+	receiveApiResults( lookupType, key, results ) {
 		return {
 			type: ACTION_TYPES.RECEIVE_API_RESULTS,
+			lookupType,
+			key,
 			results,
 		};
 	},
@@ -149,24 +201,59 @@ const actions = {
 	/**
 	 * Handle API lookup error.
 	 *
-	 * @param {string} error Error message.
+	 * @param {string} lookupType Type of lookup.
+	 * @param {string} key        Request key the error belongs to.
+	 * @param {string} error      Error message.
 	 * @return {Object} Action object.
 	 */
-	apiLookupError( error ) {
+	apiLookupError( lookupType, key, error ) {
 		return {
 			type: ACTION_TYPES.API_LOOKUP_ERROR,
+			lookupType,
+			key,
 			error,
 		};
 	},
 
+	/**
+	 * Cancel the in-flight lookup of one type.
+	 *
+	 * Results already received are kept; only the loading state ends.
+	 *
+	 * @param {string} lookupType Type of lookup.
+	 * @return {Function} Thunk action.
+	 */
+	cancelApiLookup( lookupType ) {
+		return ( { dispatch } ) => {
+			abortLookup( lookupType );
+			dispatch( {
+				type: ACTION_TYPES.CANCEL_API_LOOKUP,
+				lookupType,
+			} );
+		};
+	},
+
 	/**
 	 * Clear API results.
 	 *
-	 * @return {Object} Action object.
+	 * Cancels anything in flight for the cleared type(s) as well, so a late
+	 * response can't repopulate a list the user just dismissed.
+	 *
+	 * @param {string} [lookupType] Type to clear. Omit to clear every type.
+	 * @return {Function} Thunk action.
 	 */
-	clearApiResults() {
-		return {
-			type: ACTION_TYPES.CLEAR_API_RESULTS,
+	clearApiResults( lookupType ) {
+		return ( { dispatch } ) => {
+			if ( lookupType ) {
+				abortLookup( lookupType );
+			} else {
+				Array.from( lookupControllers.keys() ).forEach( abortLookup );
+			}
+
+			dispatch( {
+				type: ACTION_TYPES.CLEAR_API_RESULTS,
+				lookupType,
+			} );
 		};
 	},
 
@@ -201,8 +288,9 @@ const actions = {
 	 * @return {Function} Thunk action.
 	 */
 	updatePostKind( kind ) {
-		return async ( { dispatch, registry } ) => {
+		return async ( { select, dispatch, registry } ) => {
 			const { editPost } = registry.dispatch( editorStore );
+			const previousKind = select.getSelectedKind();
 
 			// Get available kinds to find the term ID.
 			const kinds = registry.select( STORE_NAME ).getAvailableKinds();
@@ -215,6 +303,107 @@ const actions = {
 
 			// Update local state.
 			dispatch.setKind( kind );
+
+			if ( kind !== previousKind ) {
+				emitEvent( EVENTS.KIND_CHANGED, { kind, previousKind } );
+			}
+		};
+	},
+
+	/**
+	 * Switch the post to another kind, migrating its meta and card.
+	 *
+	 * Fields the two kinds share under different names are carried over,
+	 * fields only the old kind uses are deleted (see planKindMigration()),
+	 * and the old kind's card is converted to the new kind's when
+	 * `options.replaceCard` is set. The block change is marked as not
+	 * persistent so it folds into the `editPost()` that follows: the whole
+	 * switch is one undo step.
+	 *
+	 * @param {string}  kind                    New kind slug.
+	 * @param {Object}  [options]               Options.
+	 * @param {boolean} [options.replaceCard]   Convert the old kind's card.
+	 * @param {string}  [options.cardBlockName] Card to insert when the post
+	 *                                          has none for the new kind.
+	 * @return {Function} Thunk action.
+	 */
+	switchPostKind( kind, options = {} ) {
+		return async ( { select, dispatch, registry } ) => {
+			const { replaceCard = false, cardBlockName = null } = options;
+			const fromKind = select.getSelectedKind();
+			const currentMeta = select.getAllKindMeta();
+			const { updates } = planKindMigration(
+				fromKind,
+				kind,
+				currentMeta
+			);
+			const metaAfter = { ...currentMeta, ...updates };
+
+			const blocks = registry.select( blockEditorStore ).getBlocks();
+			const oldCard = replaceCard
+				? findKindCardBlock( blocks, fromKind )
+				: null;
+			const blockEditor = registry.dispatch( blockEditorStore );
+
+			let newCard = null;
+
+			if ( oldCard ) {
+				const converted = convertKindCard( oldCard, kind, metaAfter );
+				blockEditor.__unstableMarkNextChangeAsNotPersistent();
+				if ( converted.blocks.length > 0 ) {
+					blockEditor.replaceBlocks(
+						oldCard.clientId,
+						converted.blocks
+					);
+					newCard = findKindCardBlock( converted.blocks, kind );
+				} else {
+					blockEditor.removeBlock( oldCard.clientId, false );
+				}
+			} else if ( cardBlockName && ! findKindCardBlock( blocks, kind ) ) {
+				const converted = convertKindCard( null, kind, metaAfter );
+				blockEditor.__unstableMarkNextChangeAsNotPersistent();
+				blockEditor.insertBlocks( converted.blocks, 0 );
+				newCard = findKindCardBlock( converted.blocks, kind );
+			}
+
+			const edits = {};
+			const kindTerm = select
+				.getAvailableKinds()
+				.find( ( k ) => k.slug === kind );
+			if ( kindTerm ) {
+				edits.kind = [ kindTerm.id ];
+			}
+
+			const coerced = coerceMetaValues( updates );
+			if ( Object.keys( coerced ).length > 0 ) {
+				edits.meta = {};
+				Object.keys( coerced ).forEach( ( key ) => {
+					edits.meta[ META_PREFIX + key ] = coerced[ key ];
+				} );
+			}
+
+			if ( Object.keys( edits ).length > 0 ) {
+				await registry.dispatch( editorStore ).editPost( edits );
+			}
+
+			dispatch.setKind( kind );
+
+			if ( kind !== fromKind ) {
+				emitEvent( EVENTS.KIND_CHANGED, {
+					kind,
+					previousKind: fromKind,
+				} );
+			}
+			if ( edits.meta ) {
+				emitEvent( EVENTS.META_CHANGED, { meta: coerced } );
+			}
+			if ( newCard ) {
+				emitEvent( EVENTS.CARD_INSERTED, {
+					kind,
+					blockName: newCard.name,
+					clientId: newCard.clientId,
+				} );
+			}
 		};
 	},
 
@@ -226,39 +415,342 @@ const actions = {
 	 * @return {Function} Thunk action.
 	 */
 	updateKindMeta( key, value ) {
+		return async ( { dispatch } ) => {
+			await dispatch.updateKindMetaBatch( { [ key ]: value } );
+		};
+	},
+
+	/**
+	 * Update several kind meta fields in one edit.
+	 *
+	 * Every value is coerced like updateKindMeta(), but all of them land in
+	 * a single `editPost()` — one re-render and one undo step, so Ctrl+Z
+	 * reverts a whole lookup selection rather than its last field.
+	 *
+	 * @param {Object} values Meta values keyed by field name (without prefix).
+	 * @return {Function} Thunk action.
+	 */
+	updateKindMetaBatch( values ) {
 		return async ( { registry } ) => {
-			const { editPost } = registry.dispatch( editorStore );
-			const metaKey = META_PREFIX + key;
+			const coerced = coerceMetaValues( values );
+			const meta = {};
 
-			await editPost( {
-				meta: {
-					[ metaKey ]: coerceMetaValue( key, value ),
-				},
+			Object.keys( coerced ).forEach( ( key ) => {
+				meta[ META_PREFIX + key ] = coerced[ key ];
 			} );
+
+			if ( Object.keys( meta ).length === 0 ) {
+				return;
+			}
+
+			await registry.dispatch( editorStore ).editPost( { meta } );
+
+			emitEvent( EVENTS.META_CHANGED, { meta: coerced } );
 		};
 	},
 
 	/**
-	 * Perform an API lookup.
+	 * Insert a kind's card block at the top of the post.
+	 *
+	 * A secondary card — one of another kind than the post, as in "watched
+	 * X while drinking Y" — goes after the cards already there instead, and
+	 * keeps its data in its attributes. Nothing is inserted when the kind
+	 * has no card or the post already has one of that kind; the result
+	 * says which.
+	 *
+	 * A kind template fills the card's attributes that `attributes` leaves
+	 * out and, for a primary card, the kind meta that is still empty.
+	 *
+	 * @param {string}  kind                Kind slug.
+	 * @param {Object}  [attributes]        Initial card attributes.
+	 * @param {Object}  [options]           Options.
+	 * @param {boolean} [options.secondary] Insert after the existing cards.
+	 * @param {Object}  [options.template]  Kind template to start from.
+	 * @return {Function} Thunk action resolving to `{ block }`, or to
+	 *                    `{ error, message }` when nothing was inserted.
+	 */
+	insertCardBlock( kind, attributes = {}, options = {} ) {
+		return async ( { select, dispatch, registry } ) => {
+			const blockName = getKindCardBlock( kind );
+			if ( ! blockName ) {
+				return {
+					error: 'no_card_block',
+					message: `The "${ kind }" kind has no card block.`,
+				};
+			}
+
+			const blocks = registry.select( blockEditorStore ).getBlocks();
+			if ( findKindCardBlock( blocks, kind ) ) {
+				return {
+					error: 'card_exists',
+					message: `The post already has a "${ kind }" card.`,
+				};
+			}
+
+			let index = 0;
+			if ( options.secondary ) {
+				blocks.forEach( ( topLevel, position ) => {
+					if ( getCardKinds( [ topLevel ] ).length > 0 ) {
+						index = position + 1;
+					}
+				} );
+			}
+
+			const { template } = options;
+
+			// Meta first: the card seeds meta from its attributes on mount.
+			if ( template && ! options.secondary ) {
+				await dispatch.updateKindMetaBatch(
+					getTemplateMetaUpdates( template, select.getAllKindMeta() )
+				);
+			}
+
+			const block = createBlock( blockName, {
+				...template?.attributes,
+				...attributes,
+			} );
+			await registry
+				.dispatch( blockEditorStore )
+				.insertBlocks( block, index );
+
+			emitEvent( EVENTS.CARD_INSERTED, {
+				kind,
+				blockName,
+				clientId: block.clientId,
+				secondary: !! options.secondary,
+				template: template?.id || null,
+			} );
+
+			return { block };
+		};
+	},
+
+	/**
+	 * Make a secondary card the post's primary one.
+	 *
+	 * The card moves to the top of the block list it sits in, where the
+	 * server looks for the first card, and its kind becomes the post's.
+	 * The previous kind's card stays, as a secondary card.
+	 *
+	 * @param {string} kind Kind slug of the card.
+	 * @return {Function} Thunk action resolving to `{ block }`, or to
+	 *                    `{ error, message }` when the post has no such card.
+	 */
+	makeCardPrimary( kind ) {
+		return async ( { dispatch, registry } ) => {
+			const blockEditor = registry.select( blockEditorStore );
+			const block = findKindCardBlock( blockEditor.getBlocks(), kind );
+
+			if ( ! block ) {
+				return {
+					error: 'no_card_block',
+					message: `The post has no "${ kind }" card.`,
+				};
+			}
+
+			const rootClientId =
+				blockEditor.getBlockRootClientId( block.clientId ) || '';
+			await registry
+				.dispatch( blockEditorStore )
+				.moveBlocksToPosition(
+					[ block.clientId ],
+					rootClientId,
+					rootClientId,
+					0
+				);
+
+			await dispatch.updatePostKind( kind );
+
+			return { block };
+		};
+	},
+
+	/**
+	 * Set the current user's kind templates.
+	 *
+	 * @param {Array<Object>} templates Templates.
+	 * @return {Object} Action object.
+	 */
+	setKindTemplates( templates ) {
+		return {
+			type: ACTION_TYPES.SET_KIND_TEMPLATES,
+			templates,
+		};
+	},
+
+	/**
+	 * Load the current user's kind templates.
 	 *
-	 * @param {string} lookupType Type of lookup.
-	 * @param {string} query      Search query.
 	 * @return {Function} Thunk action.
 	 */
-	performApiLookup( lookupType, query ) {
+	loadKindTemplates() {
 		return async ( { dispatch } ) => {
-			dispatch.startApiLookup( lookupType );
+			try {
+				const response = await apiFetch( {
+					path: KIND_TEMPLATES_PATH,
+				} );
+				dispatch.setKindTemplates( response?.templates || [] );
+			} catch ( error ) {
+				// eslint-disable-next-line no-console
+				console.error( 'Failed to fetch kind templates:', error );
+			}
+		};
+	},
 
+	/**
+	 * Save a kind template for the current user.
+	 *
+	 * A template with the same kind and name is replaced.
+	 *
+	 * @param {string} kind              Kind slug.
+	 * @param {string} name              Template name.
+	 * @param {Object} values            Template values.
+	 * @param {Object} values.attributes Card attributes.
+	 * @param {Object} values.meta       Kind meta (without prefix).
+	 * @return {Function} Thunk action resolving to `{ template }`, or to
+	 *                    `{ error, message }` when the save failed.
+	 */
+	saveKindTemplate( kind, name, { attributes = {}, meta = {} } ) {
+		return async ( { select, dispatch } ) => {
+			let template;
 			try {
-				const results = await apiFetch( {
-					path: `/post-kinds-indieweb/v1/lookup/${ lookupType }?q=${ encodeURIComponent(
-						query
-					) }`,
+				template = await apiFetch( {
+					path: KIND_TEMPLATES_PATH,
+					method: 'POST',
+					data: { kind, name, attributes, meta },
 				} );
+			} catch ( error ) {
+				return {
+					error: error.code || 'save_failed',
+					message: error.message,
+				};
+			}
+
+			dispatch.setKindTemplates( [
+				...select
+					.getKindTemplates()
+					.filter( ( saved ) => saved.id !== template.id ),
+				template,
+			] );
+
+			return { template };
+		};
+	},
 
-				dispatch.receiveApiResults( results );
+	/**
+	 * Delete one of the current user's kind templates.
+	 *
+	 * @param {string} id Template ID.
+	 * @return {Function} Thunk action resolving to `{ deleted }`, or to
+	 *                    `{ error, message }` when the delete failed.
+	 */
+	deleteKindTemplate( id ) {
+		return async ( { select, dispatch } ) => {
+			try {
+				await apiFetch( {
+					path: `${ KIND_TEMPLATES_PATH }/${ id }`,
+					method: 'DELETE',
+				} );
 			} catch ( error ) {
-				dispatch.apiLookupError( error.message || 'Lookup failed' );
+				return {
+					error: error.code || 'delete_failed',
+					message: error.message,
+				};
+			}
+
+			dispatch.setKindTemplates(
+				select
+					.getKindTemplates()
+					.filter( ( template ) => template.id !== id )
+			);
+
+			return { deleted: id };
+		};
+	},
+
+	/**
+	 * Pre-fill kind meta from a known provider URL.
+	 *
+	 * Only fields that are still empty are written, in one edit, so a value
+	 * the author already typed survives. Resolves to the post's meta for
+	 * those fields afterwards — what a freshly inserted card should show.
+	 *
+	 * @param {string} url Provider URL (Letterboxd, BGG, Last.fm…).
+	 * @return {Function} Thunk action resolving to `{ kind, meta }`, or
+	 *                    null when no provider knows the URL.
+	 */
+	prefillKindMetaFromUrl( url ) {
+		return async ( { select, dispatch } ) => {
+			const resolved = await resolveUrlMeta( url );
+			if ( ! resolved ) {
+				return null;
+			}
+
+			const meta = {};
+			const updates = {};
+
+			Object.keys( resolved.meta ).forEach( ( key ) => {
+				const current = select.getKindMeta( key );
+				if ( current ) {
+					meta[ key ] = current;
+					return;
+				}
+				meta[ key ] = resolved.meta[ key ];
+				updates[ key ] = resolved.meta[ key ];
+			} );
+
+			await dispatch.updateKindMetaBatch( updates );
+
+			return { kind: resolved.kind, meta };
+		};
+	},
+
+	/**
+	 * Perform an API lookup.
+	 *
+	 * Supersedes any lookup of the same type still in flight: the earlier
+	 * request is aborted and, should it resolve anyway, its response is
+	 * discarded. Lookups of other types carry on untouched. Responses come
+	 * from the shared lookup cache unless `options.refresh` is set.
+	 *
+	 * @param {string}  lookupType        Type of lookup.
+	 * @param {string}  query             Search query.
+	 * @param {Object}  [params]          Extra query-string params (e.g. `source`).
+	 * @param {Object}  [options]         Options.
+	 * @param {boolean} [options.refresh] Bypass the lookup cache.
+	 * @return {Function} Thunk action.
+	 */
+	performApiLookup( lookupType, query, params = {}, options = {} ) {
+		return async ( { dispatch } ) => {
+			abortLookup( lookupType );
+
+			const controller = new AbortController();
+			const key = getLookupKey( query, params );
+			lookupControllers.set( lookupType, controller );
+
+			dispatch.startApiLookup( lookupType, query, key );
+
+			try {
+				const results = await lookup(
+					lookupType,
+					{ ...params, q: query },
+					{ signal: controller.signal, refresh: options.refresh }
+				);
+
+				dispatch.receiveApiResults( lookupType, key, results );
+			} catch ( error ) {
+				if ( error?.name === 'AbortError' ) {
+					return;
+				}
+				dispatch.apiLookupError(
+					lookupType,
+					key,
+					error?.message || 'Lookup failed'
+				);
+			} finally {
+				if ( lookupControllers.get( lookupType ) === controller ) {
+					lookupControllers.delete( lookupType );
+				}
 			}
 		};
 	},
@@ -302,6 +794,9 @@ const actions = {
 				}
 			}
 
+			// Not awaited: the panel need not wait for them.
+			dispatch.loadKindTemplates();
+
 			dispatch.setInitialized();
 		};
 	},
@@ -326,6 +821,7 @@ function reducer( state = DEFAULT_STATE, action ) {
 			return {
 				...state,
 				autoDetectedKind: action.kind,
+				detectionCandidates: action.candidates || [],
 			};
 
 		case ACTION_TYPES.ENABLE_AUTO_DETECTION:
@@ -341,53 +837,25 @@ function reducer( state = DEFAULT_STATE, action ) {
 			};
 
 		case ACTION_TYPES.START_API_LOOKUP:
-			return {
-				...state,
-				apiLookup: {
-					isLoading: true,
-					results: [],
-					error: null,
-					type: action.lookupType,
-				},
-			};
-
 		case ACTION_TYPES.RECEIVE_API_RESULTS:
-			return {
-				...state,
-				apiLookup: {
-					...state.apiLookup,
-					isLoading: false,
-					results: action.results,
-					error: null,
-				},
-			};
-
 		case ACTION_TYPES.API_LOOKUP_ERROR:
+		case ACTION_TYPES.CANCEL_API_LOOKUP:
+		case ACTION_TYPES.CLEAR_API_RESULTS:
 			return {
 				...state,
-				apiLookup: {
-					...state.apiLookup,
-					isLoading: false,
-					results: [],
-					error: action.error,
-				},
+				apiLookups: apiLookups( state.apiLookups, action ),
 			};
 
-		case ACTION_TYPES.CLEAR_API_RESULTS:
+		case ACTION_TYPES.SET_AVAILABLE_KINDS:
 			return {
 				...state,
-				apiLookup: {
-					isLoading: false,
-					results: [],
-					error: null,
-					type: null,
-				},
+				availableKinds: action.kinds,
 			};
 
-		case ACTION_TYPES.SET_AVAILABLE_KINDS:
+		case ACTION_TYPES.SET_KIND_TEMPLATES:
 			return {
 				...state,
-				availableKinds: action.kinds,
+				kindTemplates: action.templates,
 			};
 
 		case ACTION_TYPES.SET_INITIALIZED:
@@ -427,6 +895,16 @@ const selectors = {
 		return state.autoDetectedKind;
 	},
 
+	/**
+	 * Get the ranked auto-detection candidates.
+	 *
+	 * @param {Object} state Store state.
+	 * @return {Array} Candidates, best first, each `{ kind, score, reason, rule }`.
+	 */
+	getDetectionCandidates( state ) {
+		return state.detectionCandidates;
+	},
+
 	/**
 	 * Check if auto-detection is enabled.
 	 *
@@ -438,43 +916,52 @@ const selectors = {
 	},
 
 	/**
-	 * Check if API lookup is loading.
+	 * Check if an API lookup is loading.
 	 *
-	 * @param {Object} state Store state.
+	 * @param {Object} state        Store state.
+	 * @param {string} [lookupType] Lookup type. Omit to ask whether any is.
 	 * @return {boolean} Whether lookup is in progress.
 	 */
-	isApiLoading( state ) {
-		return state.apiLookup.isLoading;
+	isApiLoading( state, lookupType ) {
+		if ( ! lookupType ) {
+			return Object.values( state.apiLookups ).some(
+				( slot ) => slot.isLoading
+			);
+		}
+		return ( state.apiLookups[ lookupType ] || EMPTY_LOOKUP ).isLoading;
 	},
 
 	/**
-	 * Get API lookup results.
+	 * Get API lookup results for a lookup type.
 	 *
-	 * @param {Object} state Store state.
+	 * @param {Object} state      Store state.
+	 * @param {string} lookupType Lookup type.
 	 * @return {Array} Lookup results.
 	 */
-	getApiResults( state ) {
-		return state.apiLookup.results;
+	getApiResults( state, lookupType ) {
+		return ( state.apiLookups[ lookupType ] || EMPTY_LOOKUP ).results;
 	},
 
 	/**
-	 * Get API lookup error.
+	 * Get API lookup error for a lookup type.
 	 *
-	 * @param {Object} state Store state.
+	 * @param {Object} state      Store state.
+	 * @param {string} lookupType Lookup type.
 	 * @return {string|null} Error message.
 	 */
-	getApiError( state ) {
-		return state.apiLookup.error;
+	getApiError( state, lookupType ) {
+		return ( state.apiLookups[ lookupType ] || EMPTY_LOOKUP ).error;
 	},
 
 	/**
-	 * Get API lookup type.
+	 * Get the query last searched for a lookup type.
 	 *
-	 * @param {Object} state Store state.
-	 * @return {string|null} Lookup type.
+	 * @param {Object} state      Store state.
+	 * @param {string} lookupType Lookup type.
+	 * @return {string|null} Search query.
 	 */
-	getApiLookupType( state ) {
-		return state.apiLookup.type;
+	getApiQuery( state, lookupType ) {
+		return ( state.apiLookups[ lookupType ] || EMPTY_LOOKUP ).query;
 	},
 
 	/**
@@ -487,6 +974,16 @@ const selectors = {
 		return state.availableKinds;
 	},
 
+	/**
+	 * Get the current user's kind templates.
+	 *
+	 * @param {Object} state Store state.
+	 * @return {Array<Object>} Templates of every kind, oldest first.
+	 */
+	getKindTemplates( state ) {
+		return state.kindTemplates;
+	},
+
 	/**
 	 * Check if store is initialized.
 	 *
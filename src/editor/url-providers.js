@@ -0,0 +1,422 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - URL Providers
+ *
+ * Known sites whose URLs say what kind of post is being written — a
+ * Letterboxd film is a watch, a BoardGameGeek page a play — and what the
+ * card should be filled with. Each provider reads what it can from the URL
+ * itself (ids, slugs) and may ask one of the lookup resolvers for the rest.
+ *
+ * More providers can be added through the `postKindsIndieweb.urlProviders`
+ * filter:
+ *
+ *     wp.hooks.addFilter( 'postKindsIndieweb.urlProviders', 'my-site', ( providers ) => [
+ *         ...providers,
+ *         {
+ *             name: 'serializd',
+ *             label: 'Serializd',
+ *             kind: 'watch',
+ *             pattern: /^https?:\/\/(?:www\.)?serializd\.com\/show\/([^/?#]+)/i,
+ *             parse: ( match ) => ( { watch_title: match[ 1 ] } ),
+ *         },
+ *     ] );
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * Internal dependencies
+ */
+import { lookup } from './lookup-client';
+
+/**
+ * A URL provider.
+ *
+ * @typedef {Object}   UrlProvider
+ * @property {string}   name      Unique provider name.
+ * @property {string}   label     Site name shown to the user.
+ * @property {string}   kind      Kind slug the URL indicates.
+ * @property {RegExp}   pattern   Matched against the whole URL.
+ * @property {Function} [parse]   Receives the match and URL, returns meta
+ *                                read from the URL alone.
+ * @property {Function} [resolve] Receives the URL, match and options,
+ *                                resolves to meta from a lookup endpoint.
+ */
+
+/**
+ * Turn a URL slug into a title.
+ *
+ * "wingspan-americas-expansion" becomes "Wingspan Americas Expansion".
+ *
+ * @param {string} slug URL slug.
+ * @return {string} Title.
+ */
+export function titleFromSlug( slug ) {
+	let decoded = String( slug || '' );
+	try {
+		decoded = decodeURIComponent( decoded.replace( /\+/g, ' ' ) );
+	} catch {
+		// Malformed escape — use the slug as it is.
+	}
+
+	return decoded
+		.split( /[-_\s]+/ )
+		.filter( Boolean )
+		.map( ( word ) => word.charAt( 0 ).toUpperCase() + word.slice( 1 ) )
+		.join( ' ' );
+}
+
+/**
+ * Decode a path segment that keeps its own capitalisation (Last.fm
+ * artist and track names).
+ *
+ * @param {string} segment Path segment.
+ * @return {string} Decoded text.
+ */
+function decodeSegment( segment ) {
+	try {
+		return decodeURIComponent( String( segment ).replace( /\+/g, ' ' ) );
+	} catch {
+		return String( segment );
+	}
+}
+
+/**
+ * Resolve a film or show URL through `/lookup/watch-url`.
+ *
+ * @param {string} url     Page URL.
+ * @param {Array}  match   Pattern match.
+ * @param {Object} options Lookup options.
+ * @return {Promise<Object>} Watch meta.
+ */
+async function resolveWatchUrl( url, match, options ) {
+	const result = await lookup( 'watch-url', { url }, options );
+
+	return {
+		watch_title: result?.title || '',
+		watch_year: result?.year ? String( result.year ) : '',
+		watch_poster: result?.poster || '',
+		watch_tmdb_id: result?.tmdb_id ? String( result.tmdb_id ) : '',
+		watch_imdb_id: result?.imdb_id ? String( result.imdb_id ) : '',
+	};
+}
+
+/**
+ * Resolve a track or album URL through `/lookup/music-url`.
+ *
+ * @param {string} url     Page URL.
+ * @param {Array}  match   Pattern match.
+ * @param {Object} options Lookup options.
+ * @return {Promise<Object>} Listen meta.
+ */
+async function resolveMusicUrl( url, match, options ) {
+	const result = await lookup( 'music-url', { url }, options );
+
+	return {
+		listen_track: result?.track || '',
+		listen_artist: result?.artist || '',
+		listen_album: result?.album || '',
+		listen_cover: result?.cover || '',
+	};
+}
+
+/**
+ * Resolve a BoardGameGeek URL through `/lookup/game?source=bgg`.
+ *
+ * @param {string} url     Page URL.
+ * @param {Array}  match   Pattern match; group 1 is the BGG id.
+ * @param {Object} options Lookup options.
+ * @return {Promise<Object>} Play meta.
+ */
+async function resolveBggUrl( url, match, options ) {
+	const result = await lookup(
+		'game',
+		{ source: 'bgg', id: match[ 1 ] },
+		options
+	);
+
+	return {
+		play_title: result?.title || '',
+		play_cover: result?.cover || '',
+	};
+}
+
+/**
+ * Built-in URL providers.
+ *
+ * @type {Array<UrlProvider>}
+ */
+export const DEFAULT_URL_PROVIDERS = [
+	{
+		name: 'letterboxd',
+		label: 'Letterboxd',
+		kind: 'watch',
+		pattern:
+			/^https?:\/\/(?:www\.)?letterboxd\.com\/(?:[^/]+\/)?film\/([^/?#]+)/i,
+		parse: ( match, url ) => ( {
+			watch_url: url,
+			watch_title: titleFromSlug( match[ 1 ] ),
+		} ),
+		resolve: resolveWatchUrl,
+	},
+	{
+		name: 'imdb',
+		label: 'IMDb',
+		kind: 'watch',
+		pattern: /^https?:\/\/(?:www\.|m\.)?imdb\.com\/title\/(tt\d+)/i,
+		parse: ( match, url ) => ( {
+			watch_url: url,
+			watch_imdb_id: match[ 1 ],
+		} ),
+		resolve: resolveWatchUrl,
+	},
+	{
+		name: 'lastfm',
+		label: 'Last.fm',
+		kind: 'listen',
+		pattern:
+			/^https?:\/\/(?:www\.)?last\.fm\/(?:[a-z]{2}\/)?music\/([^/?#]+)(?:\/(_\/)?([^/?#]+))?/i,
+		parse: ( match, url ) => {
+			const meta = {
+				listen_url: url,
+				listen_artist: decodeSegment( match[ 1 ] ),
+			};
+			// "/music/Artist/_/Track" is a track, "/music/Artist/Album" an album.
+			if ( match[ 3 ] && match[ 2 ] ) {
+				meta.listen_track = decodeSegment( match[ 3 ] );
+			} else if ( match[ 3 ] && ! /^[+_]/.test( match[ 3 ] ) ) {
+				meta.listen_album = decodeSegment( match[ 3 ] );
+			}
+			return meta;
+		},
+		resolve: resolveMusicUrl,
+	},
+	{
+		name: 'goodreads',
+		label: 'Goodreads',
+		kind: 'read',
+		pattern:
+			/^https?:\/\/(?:www\.)?goodreads\.com\/book\/show\/\d+(?:[-.]([^/?#]+))?/i,
+		parse: ( match, url ) => ( {
+			read_url: url,
+			read_title: match[ 1 ] ? titleFromSlug( match[ 1 ] ) : '',
+		} ),
+	},
+	{
+		name: 'boardgamegeek',
+		label: 'BoardGameGeek',
+		kind: 'play',
+		pattern:
+			/^https?:\/\/(?:www\.)?(?:boardgamegeek|videogamegeek)\.com\/(?:boardgame|boardgameexpansion|videogame|videogameexpansion|rpgitem|thing)\/(\d+)(?:\/([^/?#]+))?/i,
+		parse: ( match, url ) => ( {
+			play_game_url: url,
+			play_bgg_id: match[ 1 ],
+			play_title: match[ 2 ] ? titleFromSlug( match[ 2 ] ) : '',
+		} ),
+		resolve: resolveBggUrl,
+	},
+	{
+		name: 'untappd',
+		label: 'Untappd',
+		kind: 'drink',
+		pattern: /^https?:\/\/(?:www\.)?untappd\.com\/b\/([^/?#]+)\/\d+/i,
+		parse: ( match ) => ( {
+			drink_type: 'beer',
+			drink_name: titleFromSlug( match[ 1 ] ),
+		} ),
+	},
+	{
+		name: 'foursquare',
+		label: 'Foursquare',
+		kind: 'checkin',
+		pattern: /^https?:\/\/(?:www\.)?foursquare\.com\/v\/([^/?#]+)\/\w+/i,
+		parse: ( match, url ) => ( {
+			checkin_url: url,
+			checkin_name: titleFromSlug( match[ 1 ] ),
+		} ),
+	},
+];
+
+/**
+ * Get the active URL providers, after the
+ * `postKindsIndieweb.urlProviders` filter.
+ *
+ * @return {Array<UrlProvider>} Providers.
+ */
+export function getUrlProviders() {
+	const providers = applyFilters( 'postKindsIndieweb.urlProviders', [
+		...DEFAULT_URL_PROVIDERS,
+	] );
+
+	return Array.isArray( providers )
+		? providers.filter(
+				( provider ) =>
+					provider?.kind && provider.pattern instanceof RegExp
+		  )
+		: DEFAULT_URL_PROVIDERS;
+}
+
+/**
+ * Find the provider a URL belongs to.
+ *
+ * @param {string} url URL.
+ * @return {{provider: UrlProvider, match: Array}|null} Provider and the
+ *         pattern match, or null when no provider knows the URL.
+ */
+export function matchUrlProvider( url ) {
+	if ( ! url ) {
+		return null;
+	}
+
+	for ( const provider of getUrlProviders() ) {
+		const match = String( url ).match( provider.pattern );
+		if ( match ) {
+			return { provider, match };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Drop empty values so they don't overwrite what another source found.
+ *
+ * @param {Object} meta Meta values.
+ * @return {Object} Non-empty values.
+ */
+function withoutEmpty( meta ) {
+	return Object.fromEntries(
+		Object.entries( meta || {} ).filter(
+			( [ , value ] ) =>
+				value !== '' && value !== null && value !== undefined
+		)
+	);
+}
+
+/**
+ * Work out the kind and meta for a provider URL.
+ *
+ * Meta parsed from the URL is the baseline; the provider's resolver fills
+ * in and corrects it. A resolver that fails leaves the baseline in place —
+ * a Last.fm page without oEmbed still yields its artist and track.
+ *
+ * @param {string}      url              URL.
+ * @param {Object}      [options]        Options.
+ * @param {AbortSignal} [options.signal] Abort signal for the lookup.
+ * @return {Promise<{kind: string, provider: string, meta: Object}|null>}
+ *         Resolved kind and meta (without prefix), or null for an unknown URL.
+ */
+export async function resolveUrlMeta( url, options = {} ) {
+	const found = matchUrlProvider( url );
+	if ( ! found ) {
+		return null;
+	}
+
+	const { provider, match } = found;
+	let meta = withoutEmpty(
+		typeof provider.parse === 'function' ? provider.parse( match, url ) : {}
+	);
+
+	if ( typeof provider.resolve === 'function' ) {
+		try {
+			meta = {
+				...meta,
+				...withoutEmpty(
+					await provider.resolve( url, match, options )
+				),
+			};
+		} catch ( error ) {
+			if ( error?.name === 'AbortError' ) {
+				throw error;
+			}
+		}
+	}
+
+	return { kind: provider.kind, provider: provider.name, meta };
+}
+
+/**
+ * Card block attributes fed by each kind's meta, for inserting a card that
+ * already shows what was pre-filled.
+ *
+ * @type {Object}
+ */
+const CARD_ATTRIBUTE_MAP = {
+	watch: {
+		watch_title: 'mediaTitle',
+		watch_year: 'releaseYear',
+		watch_poster: 'posterImage',
+		watch_url: 'watchUrl',
+		watch_tmdb_id: 'tmdbId',
+		watch_imdb_id: 'imdbId',
+	},
+	listen: {
+		listen_track: 'trackTitle',
+		listen_artist: 'artistName',
+		listen_album: 'albumTitle',
+		listen_cover: 'coverImage',
+		listen_url: 'listenUrl',
+	},
+	read: {
+		read_title: 'bookTitle',
+		read_url: 'bookUrl',
+	},
+	play: {
+		play_title: 'title',
+		play_cover: 'cover',
+		play_bgg_id: 'bggId',
+		play_game_url: 'gameUrl',
+	},
+	drink: {
+		drink_name: 'name',
+		drink_type: 'drinkType',
+	},
+	checkin: {
+		checkin_name: 'venueName',
+		checkin_url: 'venueUrl',
+	},
+};
+
+/**
+ * Card attributes stored as numbers while their meta is a string.
+ *
+ * @type {Array<string>}
+ */
+const NUMERIC_CARD_ATTRIBUTES = [ 'releaseYear' ];
+
+/**
+ * Map pre-filled meta onto the attributes of a kind's card block.
+ *
+ * @param {string} kind Kind slug.
+ * @param {Object} meta Meta values (without prefix).
+ * @return {Object} Card block attributes.
+ */
+export function metaToCardAttributes( kind, meta ) {
+	const map = CARD_ATTRIBUTE_MAP[ kind ] || {};
+	const attributes = {};
+
+	Object.keys( map ).forEach( ( key ) => {
+		const value = meta?.[ key ];
+		if ( value === undefined || value === null || value === '' ) {
+			return;
+		}
+
+		const attribute = map[ key ];
+		if ( NUMERIC_CARD_ATTRIBUTES.includes( attribute ) ) {
+			const number = parseInt( value, 10 );
+			if ( ! Number.isNaN( number ) ) {
+				attributes[ attribute ] = number;
+			}
+			return;
+		}
+
+		attributes[ attribute ] = value;
+	} );
+
+	return attributes;
+}
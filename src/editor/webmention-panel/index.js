@@ -0,0 +1,138 @@
+/**
+ * Post Kinds for IndieWeb in Block Themes - Webmentions Panel
+ *
+ * A document panel listing the URLs the post's cards cite. Before publish
+ * it shows whether each one accepts webmentions; after publish, what
+ * happened when a webmention was sent to it, with a resend button. Shown
+ * only when a card cites a URL.
+ *
+ * @package
+ * @since   1.8.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { registerPlugin } from '@wordpress/plugins';
+import { PluginDocumentSettingPanel } from '@wordpress/editor';
+import { Button, ExternalLink, Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import useWebmentions from './use-webmentions';
+
+/**
+ * Describe whether a target accepts webmentions.
+ *
+ * @param {string|undefined} endpoint Endpoint, '' for none, undefined while unknown.
+ * @return {string} One line for the panel.
+ */
+function describeEndpoint( endpoint ) {
+	if ( endpoint === undefined ) {
+		return __( 'Checking…', 'post-kinds-for-indieweb-in-block-themes' );
+	}
+
+	return endpoint
+		? __(
+				'Accepts webmentions.',
+				'post-kinds-for-indieweb-in-block-themes'
+		  )
+		: __(
+				'No webmention endpoint found.',
+				'post-kinds-for-indieweb-in-block-themes'
+		  );
+}
+
+/**
+ * Describe a target's send result.
+ *
+ * @param {Object} target Target from useWebmentions().
+ * @return {string} One line for the panel.
+ */
+function describeStatus( target ) {
+	switch ( target.status ) {
+		case 'accepted':
+			return __( 'Accepted.', 'post-kinds-for-indieweb-in-block-themes' );
+		case 'queued':
+			return __(
+				'Queued by the receiver.',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+		case 'failed':
+			return target.error
+				? sprintf(
+						/* translators: %s: Error message. */
+						__(
+							'Failed: %s',
+							'post-kinds-for-indieweb-in-block-themes'
+						),
+						target.error
+				  )
+				: __( 'Failed.', 'post-kinds-for-indieweb-in-block-themes' );
+		default:
+			return __(
+				'Not sent yet.',
+				'post-kinds-for-indieweb-in-block-themes'
+			);
+	}
+}
+
+const WebmentionPanel = () => {
+	const { targets, isPublished, resend, resending } = useWebmentions();
+
+	if ( ! targets.length ) {
+		return null;
+	}
+
+	return (
+		<PluginDocumentSettingPanel
+			name="pkiw-webmentions"
+			title={ __(
+				'Webmentions',
+				'post-kinds-for-indieweb-in-block-themes'
+			) }
+		>
+			<ul className="pkiw-webmentions">
+				{ targets.map( ( target ) => (
+					<li
+						key={ target.target }
+						className={ `is-${ target.status }` }
+					>
+						<ExternalLink href={ target.target }>
+							{ target.target }
+						</ExternalLink>
+						<br />
+						{ isPublished && target.status !== 'unsent'
+							? describeStatus( target )
+							: describeEndpoint( target.endpoint ) }
+						{ isPublished && target.endpoint !== '' && (
+							<>
+								{ ' ' }
+								<Button
+									variant="link"
+									onClick={ () => resend( target.target ) }
+									disabled={ resending !== null }
+								>
+									{ target.status === 'unsent'
+										? __(
+												'Send now',
+												'post-kinds-for-indieweb-in-block-themes'
+										  )
+										: __(
+												'Resend',
+												'post-kinds-for-indieweb-in-block-themes'
+										  ) }
+								</Button>
+								{ resending === target.target && <Spinner /> }
+							</>
+						) }
+					</li>
+				) ) }
+			</ul>
+		</PluginDocumentSettingPanel>
+	);
+};
+
+registerPlugin( 'pkiw-webmentions', { render: WebmentionPanel } );
@@ -0,0 +1,263 @@
+/**
+ * Webmention targets of the post being edited.
+ *
+ * The targets are the URLs the card blocks cite. Their webmention endpoints
+ * are discovered through `/webmention/discover` as the URLs are edited.
+ * Once the post is published, its send log is read from `/webmention/{id}`
+ * after every save, and polled for a while as the Webmention plugin sends
+ * in the background.
+ *
+ * @package
+ * @since 1.8.0
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import { useCallback, useEffect, useRef, useState } from '@wordpress/element';
+
+/**
+ * REST path of the webmention endpoints.
+ *
+ * @type {string}
+ */
+export const WEBMENTION_PATH = '/post-kinds-indieweb/v1/webmention';
+
+/**
+ * Milliseconds to wait after a URL edit before discovering.
+ *
+ * @type {number}
+ */
+export const DISCOVER_DELAY = 1000;
+
+/**
+ * Milliseconds between polls of the send log.
+ *
+ * @type {number}
+ */
+export const POLL_INTERVAL = 5000;
+
+/**
+ * Polls per save before giving up on a target that was not sent.
+ *
+ * @type {number}
+ */
+export const MAX_POLLS = 6;
+
+/**
+ * Attribute holding the cited URL, by card block name.
+ *
+ * @type {Object<string, string>}
+ */
+export const CITED_URL_ATTRIBUTES = {
+	'post-kinds-indieweb/like-card': 'url',
+	'post-kinds-indieweb/reply-card': 'url',
+	'post-kinds-indieweb/repost-card': 'url',
+	'post-kinds-indieweb/bookmark-card': 'url',
+	'post-kinds-indieweb/favorite-card': 'url',
+	'post-kinds-indieweb/rsvp-card': 'eventUrl',
+};
+
+/**
+ * Collect the URLs a post's cards cite.
+ *
+ * @param {Array<Object>} blocks Blocks, with their inner blocks.
+ * @return {Array<string>} Unique http(s) URLs, in document order.
+ */
+export function getCitedUrls( blocks ) {
+	const urls = [];
+
+	const visit = ( list ) =>
+		list.forEach( ( block ) => {
+			const attribute = CITED_URL_ATTRIBUTES[ block.name ];
+			const url = attribute ? block.attributes?.[ attribute ] : '';
+
+			if (
+				typeof url === 'string' &&
+				/^https?:\/\/\S+$/i.test( url.trim() )
+			) {
+				urls.push( url.trim() );
+			}
+
+			visit( block.innerBlocks || [] );
+		} );
+
+	visit( blocks );
+
+	return [ ...new Set( urls ) ];
+}
+
+/**
+ * Combine the cited URLs with their endpoints and send log.
+ *
+ * @param {Array<string>}          urls      Cited URLs.
+ * @param {Object<string, string>} endpoints Target => endpoint ('' for none).
+ * @param {Object<string, Object>} log       Target => send log entry.
+ * @return {Array<Object>} One entry per URL: target, endpoint (undefined
+ *         until discovered) and its log fields, with status 'unsent' when
+ *         nothing was sent.
+ */
+export function mergeTargets( urls, endpoints, log ) {
+	return urls.map( ( target ) => ( {
+		target,
+		endpoint: endpoints[ target ],
+		status: 'unsent',
+		error: '',
+		...log[ target ],
+	} ) );
+}
+
+/**
+ * Follow the webmention targets of the post being edited.
+ *
+ * @return {{targets: Array<Object>, isPublished: boolean, resend: Function, resending: string|null}}
+ *         Targets, whether the post is published, a resend action taking
+ *         a target URL, and the target being resent.
+ */
+export default function useWebmentions() {
+	const [ endpoints, setEndpoints ] = useState( {} );
+	const [ log, setLog ] = useState( {} );
+	const [ resending, setResending ] = useState( null );
+	const [ saveCount, setSaveCount ] = useState( 0 );
+	const wasSaving = useRef( false );
+
+	const { postId, urlKey, isSaving, isPublished } = useSelect( ( select ) => {
+		const editor = select( 'core/editor' );
+		return {
+			postId: editor.getCurrentPostId(),
+			// A string, so the selection stays equal between renders.
+			urlKey: getCitedUrls(
+				select( 'core/block-editor' ).getBlocks()
+			).join( '\n' ),
+			isSaving: editor.isSavingPost() && ! editor.isAutosavingPost(),
+			isPublished: editor.isCurrentPostPublished(),
+		};
+	}, [] );
+
+	const urls = urlKey ? urlKey.split( '\n' ) : [];
+
+	// Count finished saves; each one reads the log again.
+	useEffect( () => {
+		if ( wasSaving.current && ! isSaving ) {
+			setSaveCount( ( count ) => count + 1 );
+		}
+		wasSaving.current = isSaving;
+	}, [ isSaving ] );
+
+	useEffect( () => {
+		if ( ! urlKey ) {
+			return;
+		}
+
+		let cancelled = false;
+
+		const timer = setTimeout( async () => {
+			let response;
+			try {
+				response = await apiFetch( {
+					path: `${ WEBMENTION_PATH }/discover`,
+					method: 'POST',
+					data: { urls: urlKey.split( '\n' ) },
+				} );
+			} catch {
+				// Leave the targets undiscovered.
+				return;
+			}
+
+			if ( ! cancelled ) {
+				setEndpoints( ( current ) => ( {
+					...current,
+					...Object.fromEntries(
+						( response?.targets || [] ).map( ( item ) => [
+							item.target,
+							item.endpoint,
+						] )
+					),
+				} ) );
+			}
+		}, DISCOVER_DELAY );
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ urlKey ] );
+
+	useEffect( () => {
+		if ( ! postId || ! isPublished || ! urlKey ) {
+			return;
+		}
+
+		let cancelled = false;
+		let timer;
+		let polls = 0;
+
+		const poll = async () => {
+			let response;
+			try {
+				response = await apiFetch( {
+					path: `${ WEBMENTION_PATH }/${ postId }`,
+				} );
+			} catch {
+				// Keep showing the last known log.
+				return;
+			}
+
+			if ( cancelled ) {
+				return;
+			}
+
+			const next = Object.fromEntries(
+				( response?.targets || [] ).map( ( entry ) => [
+					entry.target,
+					entry,
+				] )
+			);
+			setLog( next );
+			polls++;
+
+			// Endpoints may still be undiscovered here; poll while unsure.
+			const pending = urlKey
+				.split( '\n' )
+				.some( ( target ) => ! next[ target ] );
+
+			if ( pending && polls < MAX_POLLS ) {
+				timer = setTimeout( poll, POLL_INTERVAL );
+			}
+		};
+
+		poll();
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ postId, isPublished, urlKey, saveCount ] );
+
+	const resend = useCallback(
+		async ( target ) => {
+			setResending( target );
+
+			let entry;
+			try {
+				entry = await apiFetch( {
+					path: `${ WEBMENTION_PATH }/${ postId }/resend`,
+					method: 'POST',
+					data: { target },
+				} );
+			} catch ( error ) {
+				entry = { target, status: 'failed', error: error.message };
+			}
+
+			setLog( ( current ) => ( { ...current, [ target ]: entry } ) );
+			setResending( null );
+		},
+		[ postId ]
+	);
+
+	return {
+		targets: mergeTargets( urls, endpoints, log ),
+		isPublished,
+		resend,
+		resending,
+	};
+}
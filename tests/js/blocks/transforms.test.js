@@ -0,0 +1,129 @@
+/**
+ * Tests for the block transforms between related card blocks.
+ */
+import { createBlock } from '@wordpress/blocks';
+import {
+	convertCardAttributes,
+	getCardTransforms,
+} from '../../../src/blocks/shared/transforms';
+
+jest.mock( '@wordpress/blocks', () => ( {
+	createBlock: jest.fn( ( name, attributes ) => ( { name, attributes } ) ),
+} ) );
+
+const card = ( name ) => `post-kinds-indieweb/${ name }-card`;
+
+describe( 'convertCardAttributes', () => {
+	it( 'turns a like into a favorite, timestamp included', () => {
+		expect(
+			convertCardAttributes( card( 'like' ), card( 'favorite' ), {
+				title: 'A post',
+				url: 'https://example.com/post',
+				author: 'Someone',
+				likedAt: '2026-10-18T09:00',
+				layout: 'vertical',
+			} )
+		).toEqual( {
+			title: 'A post',
+			url: 'https://example.com/post',
+			author: 'Someone',
+			favoritedAt: '2026-10-18T09:00',
+		} );
+	} );
+
+	it( 'renames jam fields to listen fields', () => {
+		expect(
+			convertCardAttributes( card( 'jam' ), card( 'listen' ), {
+				title: 'Gold Soundz',
+				artist: 'Pavement',
+				note: 'On repeat',
+			} )
+		).toEqual( { trackTitle: 'Gold Soundz', artistName: 'Pavement' } );
+	} );
+
+	it( 'keeps the event when an event card becomes an RSVP', () => {
+		expect(
+			convertCardAttributes( card( 'event' ), card( 'rsvp' ), {
+				eventName: 'IndieWebCamp',
+				eventStart: '2026-11-01T10:00',
+				calendarSource: 'ics',
+			} )
+		).toEqual( {
+			eventName: 'IndieWebCamp',
+			eventStart: '2026-11-01T10:00',
+		} );
+	} );
+
+	it( 'moves the venue between eat, drink and check-in cards', () => {
+		const drink = convertCardAttributes( card( 'eat' ), card( 'drink' ), {
+			name: 'Pizza',
+			restaurant: 'Da Michele',
+			restaurantUrl: 'https://example.com/da-michele',
+			geoLatitude: 40.85,
+		} );
+
+		expect( drink ).toEqual( {
+			name: 'Pizza',
+			locationName: 'Da Michele',
+			venueUrl: 'https://example.com/da-michele',
+			geoLatitude: 40.85,
+		} );
+		expect(
+			convertCardAttributes( card( 'drink' ), card( 'checkin' ), drink )
+		).toEqual( {
+			venueName: 'Da Michele',
+			venueUrl: 'https://example.com/da-michele',
+			latitude: 40.85,
+		} );
+	} );
+
+	it( 'refuses cards from different groups', () => {
+		expect(
+			convertCardAttributes( card( 'jam' ), card( 'rsvp' ), {} )
+		).toBeNull();
+	} );
+} );
+
+describe( 'getCardTransforms', () => {
+	beforeEach( () => createBlock.mockClear() );
+
+	it( 'offers every other card in the group', () => {
+		const { to } = getCardTransforms( card( 'like' ) );
+
+		expect( to.map( ( t ) => t.blocks[ 0 ] ) ).toEqual( [
+			card( 'reply' ),
+			card( 'repost' ),
+			card( 'bookmark' ),
+			card( 'favorite' ),
+		] );
+	} );
+
+	it( 'creates the target block with converted attributes', () => {
+		const toListen = getCardTransforms( card( 'jam' ) ).to[ 0 ];
+
+		expect( toListen.transform( { title: 'Gold Soundz' } ) ).toEqual( {
+			name: card( 'listen' ),
+			attributes: { trackTitle: 'Gold Soundz' },
+		} );
+	} );
+
+	it( 'lets a bookmark card be made from an embed with a URL', () => {
+		const [ fromEmbed ] = getCardTransforms( card( 'bookmark' ) ).from;
+
+		expect( fromEmbed.blocks ).toEqual( [ 'core/embed' ] );
+		expect( fromEmbed.isMatch( { url: '' } ) ).toBe( false );
+		expect(
+			fromEmbed.transform( { url: 'https://example.com/' } )
+		).toEqual( {
+			name: card( 'bookmark' ),
+			attributes: { url: 'https://example.com/' },
+		} );
+	} );
+
+	it( 'has nothing for cards outside a group', () => {
+		expect( getCardTransforms( card( 'watch' ) ) ).toEqual( {
+			from: [],
+			to: [],
+		} );
+	} );
+} );
@@ -0,0 +1,154 @@
+/**
+ * Tests for the shared card ↔ meta sync hook.
+ */
+import { renderHook } from '@testing-library/react';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { useBlockEditContext } from '@wordpress/block-editor';
+import useCardMetaSync, {
+	toAttributeValue,
+	toMetaValue,
+} from '../../../src/blocks/shared/use-card-meta-sync';
+
+const SYNC_KEYS = [
+	[ '_pkiw_play_title', 'title', '' ],
+	[ '_pkiw_play_status', 'status', '' ],
+	[ '_pkiw_play_hours', 'hoursPlayed', 0 ],
+];
+
+describe( 'useCardMetaSync', () => {
+	let meta;
+	let selectedKind;
+	let editPost;
+	let setAttributes;
+
+	const render = ( attributes ) =>
+		renderHook(
+			( props ) => useCardMetaSync( SYNC_KEYS, props, setAttributes ),
+			{ initialProps: attributes }
+		);
+
+	beforeEach( () => {
+		meta = {};
+		selectedKind = null;
+		editPost = jest.fn();
+		setAttributes = jest.fn();
+		useBlockEditContext.mockReturnValue( {
+			name: 'post-kinds-indieweb/play-card',
+		} );
+		useSelect.mockImplementation( ( selector ) =>
+			selector( () => ( {
+				getEditedPostAttribute: () => meta,
+				getSelectedKind: () => selectedKind,
+			} ) )
+		);
+		useDispatch.mockImplementation( () => ( { editPost } ) );
+	} );
+
+	afterEach( () => {
+		useSelect.mockReset();
+		useDispatch.mockReset();
+	} );
+
+	it( 'seeds meta from the block over schema defaults', () => {
+		meta = { _pkiw_play_status: 'playing', _pkiw_play_hours: 0 };
+		render( { title: 'Outer Wilds', status: 'completed' } );
+
+		expect( editPost ).toHaveBeenCalledWith( {
+			meta: {
+				_pkiw_play_title: 'Outer Wilds',
+				_pkiw_play_status: 'completed',
+			},
+		} );
+		expect( setAttributes ).not.toHaveBeenCalled();
+	} );
+
+	it( 'settles once the seeded meta comes back', () => {
+		const { rerender } = render( { status: 'completed' } );
+		meta = { _pkiw_play_status: 'completed' };
+		rerender( { status: 'completed' } );
+
+		expect( editPost ).toHaveBeenCalledTimes( 1 );
+		expect( setAttributes ).not.toHaveBeenCalled();
+	} );
+
+	it( 'applies sidebar edits to the block', () => {
+		const attributes = { title: 'Outer Wilds', hoursPlayed: 3 };
+		const { rerender } = render( attributes );
+		meta = { _pkiw_play_title: 'Outer Wilds', _pkiw_play_hours: '12' };
+		rerender( attributes );
+
+		expect( setAttributes ).toHaveBeenCalledWith( { hoursPlayed: 12 } );
+	} );
+
+	it( 'writes block edits to meta and announces them', () => {
+		const listener = jest.fn();
+		window.addEventListener( 'post-kinds-indieweb-meta-changed', listener );
+
+		meta = { _pkiw_play_title: 'Outer Wilds' };
+		const { rerender } = render( { title: 'Outer Wilds' } );
+		rerender( { title: 'Outer Wilds: Echoes of the Eye' } );
+
+		expect( editPost ).toHaveBeenCalledTimes( 1 );
+		expect( editPost ).toHaveBeenCalledWith( {
+			meta: { _pkiw_play_title: 'Outer Wilds: Echoes of the Eye' },
+		} );
+		expect( listener.mock.calls[ 0 ][ 0 ].detail ).toEqual( {
+			meta: { play_title: 'Outer Wilds: Echoes of the Eye' },
+		} );
+		window.removeEventListener(
+			'post-kinds-indieweb-meta-changed',
+			listener
+		);
+	} );
+
+	it( 'leaves meta alone for a card of another kind than the post', () => {
+		selectedKind = 'watch';
+		meta = { _pkiw_play_title: 'Outer Wilds' };
+		const { rerender } = render( { title: 'Tetris' } );
+		meta = { _pkiw_play_title: 'Outer Wilds', _pkiw_play_hours: '12' };
+		rerender( { title: 'Tetris Effect' } );
+
+		expect( editPost ).not.toHaveBeenCalled();
+		expect( setAttributes ).not.toHaveBeenCalled();
+	} );
+
+	it( 'seeds meta from a card that becomes the primary one', () => {
+		selectedKind = 'watch';
+		const { rerender } = render( { title: 'Tetris' } );
+		selectedKind = 'play';
+		rerender( { title: 'Tetris' } );
+
+		expect( editPost ).toHaveBeenCalledWith( {
+			meta: { _pkiw_play_title: 'Tetris' },
+		} );
+	} );
+} );
+
+describe( 'toAttributeValue', () => {
+	it( 'brings meta into the attribute type', () => {
+		expect( toAttributeValue( '1999', 0 ) ).toBe( 1999 );
+		expect( toAttributeValue( '', 0 ) ).toBe( 0 );
+		expect( toAttributeValue( 'n/a', 0 ) ).toBe( 0 );
+		expect( toAttributeValue( 7, '' ) ).toBe( '7' );
+		expect( toAttributeValue( undefined, false ) ).toBe( false );
+		expect( toAttributeValue( 1, false ) ).toBe( true );
+	} );
+} );
+
+describe( 'toMetaValue', () => {
+	beforeEach( () => {
+		window.pkiwAdminEditor = {
+			metaFieldTypes: { watch_year: 'string', play_hours: 'number' },
+		};
+	} );
+
+	afterEach( () => {
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'brings attributes into the registered meta type', () => {
+		expect( toMetaValue( '_pkiw_watch_year', 1999, 0 ) ).toBe( '1999' );
+		expect( toMetaValue( '_pkiw_watch_year', 0, 0 ) ).toBe( '' );
+		expect( toMetaValue( '_pkiw_play_hours', 0, 0 ) ).toBe( 0 );
+	} );
+} );
@@ -0,0 +1,90 @@
+/**
+ * Tests for the book edition picker helpers.
+ */
+import {
+	normalizeIsbn,
+	isCompleteIsbn,
+	findEdition,
+	editionToAttributes,
+	getEditionLabel,
+	formatSeries,
+} from '../../../src/components/edition-picker';
+
+const PAPERBACK = {
+	isbn: '9780316129084',
+	isbn_10: '0316129089',
+	title: "Abaddon's Gate",
+	format: 'Paperback',
+	publisher: 'Orbit',
+	publish_date: '2013',
+	pages: 539,
+	cover: 'https://covers.openlibrary.org/b/id/1-M.jpg',
+	source: 'openlibrary',
+};
+
+const EBOOK = {
+	isbn: '9780316217620',
+	isbn_10: '',
+	title: "Abaddon's Gate",
+	format: '',
+	publisher: '',
+	publish_date: '',
+	pages: 0,
+	cover: '',
+	source: 'hardcover',
+};
+
+describe( 'isCompleteIsbn', () => {
+	it( 'accepts either ISBN form, with or without hyphens', () => {
+		expect( normalizeIsbn( '0-316-12908-x' ) ).toBe( '031612908X' );
+		expect( isCompleteIsbn( '0-316-12908-x' ) ).toBe( true );
+		expect( isCompleteIsbn( '978-0-316-12908-4' ) ).toBe( true );
+		expect( isCompleteIsbn( '978031612' ) ).toBe( false );
+		expect( isCompleteIsbn( undefined ) ).toBe( false );
+	} );
+} );
+
+describe( 'findEdition', () => {
+	it( 'matches an edition by either of its ISBNs', () => {
+		const editions = [ EBOOK, PAPERBACK ];
+
+		expect( findEdition( editions, '0316129089' ) ).toBe( PAPERBACK );
+		expect( findEdition( editions, '978-0-316-21762-0' ) ).toBe( EBOOK );
+		expect( findEdition( editions, '' ) ).toBeUndefined();
+	} );
+} );
+
+describe( 'editionToAttributes', () => {
+	it( 'swaps the ISBN, cover and page count', () => {
+		expect( editionToAttributes( PAPERBACK ) ).toEqual( {
+			isbn: '9780316129084',
+			coverImage: PAPERBACK.cover,
+			pageCount: 539,
+			publisher: 'Orbit',
+			publishDate: '2013',
+		} );
+	} );
+
+	it( 'keeps what the edition does not have', () => {
+		expect( editionToAttributes( EBOOK ) ).toEqual( {
+			isbn: '9780316217620',
+		} );
+	} );
+} );
+
+describe( 'getEditionLabel', () => {
+	it( 'describes format, publisher, date and length', () => {
+		expect( getEditionLabel( PAPERBACK ) ).toBe(
+			'Paperback · Orbit, 2013 · 539 pages'
+		);
+		expect( getEditionLabel( EBOOK ) ).toBe( 'Unknown format' );
+	} );
+} );
+
+describe( 'formatSeries', () => {
+	it( 'adds the position when there is one', () => {
+		expect( formatSeries( 'The Expanse', '3' ) ).toBe( 'The Expanse #3' );
+		expect( formatSeries( 'The Expanse', '' ) ).toBe( 'The Expanse' );
+		expect( formatSeries( '', '3' ) ).toBe( '' );
+	} );
+} );
@@ -0,0 +1,86 @@
+/**
+ * Tests for the TV episode picker helpers.
+ */
+import {
+	formatEpisodeCode,
+	episodeToAttributes,
+	getWatchedEpisodes,
+	getEpisodeOptions,
+} from '../../../src/components/episode-picker';
+
+const EPISODE = {
+	season: 2,
+	number: 5,
+	title: 'Breakage',
+	air_date: '2009-04-05',
+	still: 'https://image.tmdb.org/t/p/w300/still.jpg',
+	overview: '',
+	runtime: 47,
+};
+
+const HISTORY = [
+	{ post_id: 11, season: 2, episode: 3 },
+	{ post_id: 12, season: 2, episode: 1 },
+	{ post_id: 13, season: 2, episode: 3 },
+	{ post_id: 14, season: 1, episode: 7 },
+	{ post_id: 15, season: 0, episode: 0 },
+];
+
+describe( 'formatEpisodeCode', () => {
+	it( 'pads the season and episode', () => {
+		expect( formatEpisodeCode( 2, 5 ) ).toBe( 'S02E05' );
+		expect( formatEpisodeCode( 12, 0 ) ).toBe( 'S12' );
+		expect( formatEpisodeCode( 0, 0 ) ).toBe( '' );
+	} );
+} );
+
+describe( 'episodeToAttributes', () => {
+	it( 'makes the episode the card title and keeps the show', () => {
+		expect( episodeToAttributes( EPISODE, 'Breaking Bad', 13 ) ).toEqual( {
+			mediaType: 'episode',
+			showTitle: 'Breaking Bad',
+			mediaTitle: 'Breakage',
+			episodeTitle: 'Breakage',
+			seasonNumber: 2,
+			episodeNumber: 5,
+			seasonEpisodeCount: 13,
+			airDate: '2009-04-05',
+			stillImage: 'https://image.tmdb.org/t/p/w300/still.jpg',
+			releaseYear: 2009,
+		} );
+	} );
+
+	it( 'leaves the year alone for an episode without an air date', () => {
+		const attributes = episodeToAttributes(
+			{ ...EPISODE, air_date: '', still: '' },
+			'Breaking Bad',
+			0
+		);
+
+		expect( attributes ).not.toHaveProperty( 'releaseYear' );
+		expect( attributes.seasonEpisodeCount ).toBeUndefined();
+		expect( attributes.stillImage ).toBe( '' );
+	} );
+} );
+
+describe( 'getWatchedEpisodes', () => {
+	it( "lists the season's episodes posted about, once each", () => {
+		expect( getWatchedEpisodes( HISTORY, 2 ) ).toEqual( [ 1, 3 ] );
+		expect( getWatchedEpisodes( HISTORY, 3 ) ).toEqual( [] );
+		expect( getWatchedEpisodes( undefined, 2 ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'getEpisodeOptions', () => {
+	it( 'ticks the episodes already posted', () => {
+		expect(
+			getEpisodeOptions(
+				[ EPISODE, { ...EPISODE, number: 6, title: 'Peekaboo' } ],
+				[ 6 ]
+			)
+		).toEqual( [
+			{ value: '5', label: '5. Breakage' },
+			{ value: '6', label: '6. Peekaboo ✓' },
+		] );
+	} );
+} );
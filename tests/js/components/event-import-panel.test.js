@@ -0,0 +1,143 @@
+/**
+ * Tests for mapping an imported event onto the RSVP card.
+ */
+import {
+	eventToAttributes,
+	formatEventTime,
+	getUtcOffset,
+	isCalendarFile,
+	parseEventTime,
+	withUtcOffset,
+} from '../../../src/components/event-import-panel';
+
+const EVENT = {
+	found: true,
+	source: 'ics',
+	values: {
+		name: 'Web Meetup, November',
+		start: '2026-11-05T19:00:00+01:00',
+		end: '2026-11-05T22:00:00+01:00',
+		location: 'Betahaus, Rudi-Dutschke-Straße 23, Berlin',
+		image: 'https://events.example.test/meetup.png',
+		url: 'https://events.example.test/meetup',
+	},
+};
+
+describe( 'eventToAttributes', () => {
+	it( 'fills the event fields, keeping the offset', () => {
+		expect( eventToAttributes( EVENT, {} ) ).toEqual( {
+			eventName: 'Web Meetup, November',
+			eventStart: '2026-11-05T19:00:00+01:00',
+			eventEnd: '2026-11-05T22:00:00+01:00',
+			eventLocation: 'Betahaus, Rudi-Dutschke-Straße 23, Berlin',
+			eventImage: 'https://events.example.test/meetup.png',
+			eventImageAlt: 'Web Meetup, November',
+			eventUrl: 'https://events.example.test/meetup',
+		} );
+	} );
+
+	it( 'keeps the URL and image alt the card already has', () => {
+		const update = eventToAttributes( EVENT, {
+			eventUrl: 'https://example.com/rsvp-target',
+			eventImageAlt: 'Stage at Betahaus',
+		} );
+
+		expect( update ).not.toHaveProperty( 'eventUrl' );
+		expect( update ).not.toHaveProperty( 'eventImageAlt' );
+	} );
+
+	it( 'handles an event with nothing found', () => {
+		expect( eventToAttributes( { found: false, values: {} }, {} ) ).toEqual(
+			{}
+		);
+	} );
+} );
+
+describe( 'getUtcOffset', () => {
+	it( 'reads the offset of a time', () => {
+		expect( getUtcOffset( '2026-11-05T19:00:00+01:00' ) ).toBe( '+01:00' );
+		expect( getUtcOffset( '2026-11-04T18:00:00-0800' ) ).toBe( '-08:00' );
+		expect( getUtcOffset( '2026-12-01T15:00:00Z' ) ).toBe( '+00:00' );
+	} );
+
+	it( 'has none for floating times and dates', () => {
+		expect( getUtcOffset( '2026-12-01T19:00:00' ) ).toBe( '' );
+		expect( getUtcOffset( '2026-12-12' ) ).toBe( '' );
+		expect( getUtcOffset( undefined ) ).toBe( '' );
+	} );
+} );
+
+describe( 'withUtcOffset', () => {
+	it( 'keeps the offset when the picker changes the time', () => {
+		expect( withUtcOffset( '2026-11-05T20:30:00', '+01:00' ) ).toBe(
+			'2026-11-05T20:30:00+01:00'
+		);
+		expect( withUtcOffset( '2026-11-05T20:30:00', '' ) ).toBe(
+			'2026-11-05T20:30:00'
+		);
+	} );
+
+	it( 'strips the offset for the picker', () => {
+		expect( withUtcOffset( '2026-11-05T19:00:00+01:00' ) ).toBe(
+			'2026-11-05T19:00:00'
+		);
+		expect( withUtcOffset( undefined, '+01:00' ) ).toBe( '' );
+	} );
+} );
+
+describe( 'parseEventTime', () => {
+	it( 'reads the wall-clock time, whatever the offset', () => {
+		const { date, allDay } = parseEventTime( '2026-11-05T19:00:00+01:00' );
+
+		expect( allDay ).toBe( false );
+		expect( date.getDate() ).toBe( 5 );
+		expect( date.getHours() ).toBe( 19 );
+		expect( date.getMinutes() ).toBe( 0 );
+	} );
+
+	it( 'reads a date without a time as a whole day', () => {
+		const { date, allDay } = parseEventTime( '2026-12-12' );
+
+		expect( allDay ).toBe( true );
+		expect( date.getFullYear() ).toBe( 2026 );
+		expect( date.getMonth() ).toBe( 11 );
+		expect( date.getDate() ).toBe( 12 );
+	} );
+
+	it( 'has nothing for a value that is not a date', () => {
+		expect( parseEventTime( '' ) ).toBeNull();
+		expect( parseEventTime( 'soon' ) ).toBeNull();
+	} );
+} );
+
+describe( 'formatEventTime', () => {
+	it( 'shows the event offset beside its time', () => {
+		expect( formatEventTime( '2026-11-05T19:00:00+01:00' ) ).toBe(
+			`${ new Date( 2026, 10, 5, 19 ).toLocaleString() } (UTC+01:00)`
+		);
+	} );
+
+	it( 'shows a floating time and a date as they are', () => {
+		expect( formatEventTime( '2026-11-05T19:00:00' ) ).toBe(
+			new Date( 2026, 10, 5, 19 ).toLocaleString()
+		);
+		expect( formatEventTime( '2026-12-12' ) ).toBe(
+			new Date( 2026, 11, 12 ).toLocaleDateString()
+		);
+	} );
+} );
+
+describe( 'isCalendarFile', () => {
+	it( 'accepts .ics files by name or type', () => {
+		expect( isCalendarFile( { name: 'meetup.ICS', type: '' } ) ).toBe(
+			true
+		);
+		expect(
+			isCalendarFile( { name: 'invite', type: 'text/calendar' } )
+		).toBe( true );
+		expect(
+			isCalendarFile( { name: 'poster.png', type: 'image/png' } )
+		).toBe( false );
+		expect( isCalendarFile( undefined ) ).toBe( false );
+	} );
+} );
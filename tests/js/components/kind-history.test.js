@@ -0,0 +1,60 @@
+/**
+ * Tests for the kind history helpers.
+ */
+import {
+	getHistoryQuery,
+	getRewatchEntries,
+} from '../../../src/components/kind-history';
+
+const ENTRIES = [
+	{ post_id: 11, season: 2, episode: 4 },
+	{ post_id: 12, season: 2, episode: 5 },
+	{ post_id: 13, season: 1, episode: 5 },
+];
+
+describe( 'getHistoryQuery', () => {
+	it( "maps the card's external IDs onto the route params", () => {
+		expect(
+			getHistoryQuery( 'watch', {
+				tmdbId: '1396',
+				imdbId: ' tt0903747 ',
+				mediaTitle: 'Breaking Bad',
+			} )
+		).toEqual( { kind: 'watch', tmdb_id: '1396', imdb_id: 'tt0903747' } );
+
+		expect( getHistoryQuery( 'read', { isbn: '9780441172719' } ) ).toEqual(
+			{ kind: 'read', isbn: '9780441172719' }
+		);
+	} );
+
+	it( 'returns null for a card without IDs or a kind without history', () => {
+		expect( getHistoryQuery( 'play', { bggId: '' } ) ).toBeNull();
+		expect(
+			getHistoryQuery( 'like', { url: 'https://x.test' } )
+		).toBeNull();
+	} );
+} );
+
+describe( 'getRewatchEntries', () => {
+	it( 'counts every earlier watch of a film or show', () => {
+		expect( getRewatchEntries( ENTRIES, { mediaType: 'tv' } ) ).toBe(
+			ENTRIES
+		);
+	} );
+
+	it( 'counts only the same episode of a show', () => {
+		expect(
+			getRewatchEntries( ENTRIES, {
+				mediaType: 'episode',
+				seasonNumber: 2,
+				episodeNumber: 5,
+			} ).map( ( entry ) => entry.post_id )
+		).toEqual( [ 12 ] );
+	} );
+
+	it( 'handles history that has not loaded', () => {
+		expect( getRewatchEntries( null, { mediaType: 'movie' } ) ).toEqual(
+			[]
+		);
+	} );
+} );
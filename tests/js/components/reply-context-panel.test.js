@@ -0,0 +1,90 @@
+/**
+ * Tests for mapping a fetched reply context onto a cite card.
+ */
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import ReplyContextPanel, {
+	contextToAttributes,
+	contextSources,
+} from '../../../src/components/reply-context-panel';
+
+const CONTEXT = {
+	found: true,
+	values: {
+		title: 'A reply',
+		author: 'Ana Lima',
+		image: 'https://notes.example.test/og.jpg',
+		published: '2026-09-30T08:15:00+02:00',
+	},
+	sources: {
+		title: 'mf2',
+		author: 'mf2',
+		image: 'opengraph',
+		published: 'mf2',
+	},
+};
+
+describe( 'contextToAttributes', () => {
+	it( 'puts the published date in the card timestamp', () => {
+		expect( contextToAttributes( CONTEXT, 'repliedAt' ) ).toEqual( {
+			title: 'A reply',
+			author: 'Ana Lima',
+			image: 'https://notes.example.test/og.jpg',
+			repliedAt: '2026-09-30T08:15:00+02:00',
+		} );
+	} );
+
+	it( 'drops the date on a card without a timestamp', () => {
+		expect( contextToAttributes( CONTEXT ) ).not.toHaveProperty(
+			'published'
+		);
+	} );
+
+	it( 'handles a page with nothing found', () => {
+		expect(
+			contextToAttributes( { found: false, values: {} }, 'likedAt' )
+		).toEqual( {} );
+	} );
+} );
+
+describe( 'contextSources', () => {
+	it( 'keys each source by the attribute it fills', () => {
+		expect( contextSources( CONTEXT, 'likedAt' ) ).toEqual( {
+			title: 'mf2',
+			author: 'mf2',
+			image: 'opengraph',
+			likedAt: 'mf2',
+		} );
+	} );
+} );
+
+describe( 'ReplyContextPanel', () => {
+	afterEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'drops a fetch that lands after the URL changed', async () => {
+		let resolve;
+		apiFetch.mockReturnValue(
+			new Promise( ( done ) => {
+				resolve = done;
+			} )
+		);
+		const setAttributes = jest.fn();
+		const props = { attributes: {}, setAttributes };
+
+		const { rerender } = render(
+			<ReplyContextPanel url="https://old.example.test/a" { ...props } />
+		);
+		fireEvent.click( screen.getByText( 'Fetch context' ) );
+
+		rerender(
+			<ReplyContextPanel url="https://new.example.test/b" { ...props } />
+		);
+		await act( async () => {
+			resolve( CONTEXT );
+		} );
+
+		expect( setAttributes ).not.toHaveBeenCalled();
+	} );
+} );
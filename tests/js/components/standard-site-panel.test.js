@@ -0,0 +1,106 @@
+/**
+ * Tests for applying a standard.site record to a cite card.
+ */
+import { act, render } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import StandardSitePanel, {
+	recordToAttributes,
+	diffRecord,
+} from '../../../src/components/standard-site-panel';
+
+const RECORD = {
+	found: true,
+	verified: true,
+	title: 'A post',
+	handle: 'notes.example.test',
+	description: 'Notes on notes.',
+	publishedAt: '2026-07-17T19:44:04.000Z',
+};
+
+describe( 'recordToAttributes', () => {
+	it( 'maps the record onto the card, date included', () => {
+		expect( recordToAttributes( RECORD, 'likedAt' ) ).toEqual( {
+			title: 'A post',
+			author: 'notes.example.test',
+			description: 'Notes on notes.',
+			likedAt: '2026-07-17T19:44:04.000Z',
+		} );
+	} );
+
+	it( 'leaves out fields the record has no value for', () => {
+		expect(
+			recordToAttributes( { ...RECORD, handle: '', description: '' } )
+		).toEqual( { title: 'A post' } );
+	} );
+} );
+
+describe( 'diffRecord', () => {
+	it( 'lists only the fields the record would change', () => {
+		const proposed = recordToAttributes( RECORD, 'bookmarkedAt' );
+
+		expect(
+			diffRecord( proposed, {
+				title: 'A post',
+				author: 'Someone',
+				description: '',
+			} )
+		).toEqual( [
+			{
+				attribute: 'author',
+				current: 'Someone',
+				proposed: 'notes.example.test',
+			},
+			{
+				attribute: 'description',
+				current: '',
+				proposed: 'Notes on notes.',
+			},
+			{
+				attribute: 'bookmarkedAt',
+				current: '',
+				proposed: '2026-07-17T19:44:04.000Z',
+			},
+		] );
+	} );
+} );
+
+describe( 'StandardSitePanel', () => {
+	beforeEach( () => {
+		jest.useFakeTimers();
+		window.pkiwAdminEditor = { standardSiteAutoApply: true };
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+		apiFetch.mockReset();
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'drops a lookup that lands after the URL changed', async () => {
+		let resolve;
+		apiFetch.mockReturnValue(
+			new Promise( ( done ) => {
+				resolve = done;
+			} )
+		);
+		const setAttributes = jest.fn();
+		const props = { attributes: {}, setAttributes };
+
+		const { rerender } = render(
+			<StandardSitePanel url="https://old.example.test/a" { ...props } />
+		);
+		await act( async () => {
+			jest.advanceTimersByTime( 1000 );
+		} );
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+
+		rerender(
+			<StandardSitePanel url="https://new.example.test/b" { ...props } />
+		);
+		await act( async () => {
+			resolve( RECORD );
+		} );
+
+		expect( setAttributes ).not.toHaveBeenCalled();
+	} );
+} );
@@ -0,0 +1,152 @@
+/**
+ * Tests for per-type API lookup state.
+ *
+ * Regression coverage for one lookup clobbering another: a book search in
+ * the sidebar and a game search in a card used to share a single slot, and
+ * a slow earlier response could overwrite a newer one.
+ */
+import {
+	LOOKUP_ACTION_TYPES,
+	EMPTY_LOOKUP,
+	apiLookups,
+	getLookupKey,
+} from '../../../src/editor/stores/api-lookups';
+
+const start = ( lookupType, query, params ) => ( {
+	type: LOOKUP_ACTION_TYPES.START_API_LOOKUP,
+	lookupType,
+	query,
+	key: getLookupKey( query, params ),
+} );
+
+const receive = ( lookupType, query, results, params ) => ( {
+	type: LOOKUP_ACTION_TYPES.RECEIVE_API_RESULTS,
+	lookupType,
+	key: getLookupKey( query, params ),
+	results,
+} );
+
+describe( 'getLookupKey', () => {
+	it( 'encodes the query as q', () => {
+		expect( getLookupKey( 'Dune & Sons' ) ).toBe( 'q=Dune+%26+Sons' );
+	} );
+
+	it( 'orders params so equivalent lookups share a key', () => {
+		expect(
+			getLookupKey( 'catan', { type: 'boardgame', source: 'bgg' } )
+		).toBe( getLookupKey( 'catan', { source: 'bgg', type: 'boardgame' } ) );
+	} );
+
+	it( 'distinguishes the same query with different params', () => {
+		expect( getLookupKey( 'catan', { source: 'bgg' } ) ).not.toBe(
+			getLookupKey( 'catan', { source: 'rawg' } )
+		);
+	} );
+
+	it( 'skips null and undefined params', () => {
+		expect( getLookupKey( 'catan', { type: undefined } ) ).toBe(
+			'q=catan'
+		);
+	} );
+} );
+
+describe( 'apiLookups reducer', () => {
+	it( 'keeps lookups of different types side by side', () => {
+		let state = apiLookups( {}, start( 'book', 'dune' ) );
+		state = apiLookups( state, start( 'game', 'catan' ) );
+		state = apiLookups(
+			state,
+			receive( 'book', 'dune', [ { title: 'Dune' } ] )
+		);
+
+		expect( state.book.results ).toEqual( [ { title: 'Dune' } ] );
+		expect( state.book.isLoading ).toBe( false );
+		expect( state.game.isLoading ).toBe( true );
+	} );
+
+	it( 'discards a response for a superseded query', () => {
+		let state = apiLookups( {}, start( 'movie', 'alien' ) );
+		state = apiLookups( state, start( 'movie', 'aliens' ) );
+		const stale = apiLookups(
+			state,
+			receive( 'movie', 'alien', [ { title: 'Alien' } ] )
+		);
+
+		expect( stale ).toBe( state );
+		expect( stale.movie.isLoading ).toBe( true );
+		expect( stale.movie.query ).toBe( 'aliens' );
+	} );
+
+	it( 'discards a stale error', () => {
+		let state = apiLookups( {}, start( 'music', 'a' ) );
+		state = apiLookups( state, start( 'music', 'ab' ) );
+
+		expect(
+			apiLookups( state, {
+				type: LOOKUP_ACTION_TYPES.API_LOOKUP_ERROR,
+				lookupType: 'music',
+				key: getLookupKey( 'a' ),
+				error: 'Timeout',
+			} )
+		).toBe( state );
+	} );
+
+	it( 'records the error for the current query', () => {
+		const state = apiLookups( apiLookups( {}, start( 'music', 'a' ) ), {
+			type: LOOKUP_ACTION_TYPES.API_LOOKUP_ERROR,
+			lookupType: 'music',
+			key: getLookupKey( 'a' ),
+			error: 'Timeout',
+		} );
+
+		expect( state.music ).toMatchObject( {
+			isLoading: false,
+			results: [],
+			error: 'Timeout',
+		} );
+	} );
+
+	it( 'treats non-array responses as no results', () => {
+		const state = apiLookups(
+			apiLookups( {}, start( 'book', 'x' ) ),
+			receive( 'book', 'x', { code: 'nope' } )
+		);
+
+		expect( state.book.results ).toEqual( [] );
+	} );
+
+	it( 'stops loading on cancel without touching other types', () => {
+		let state = apiLookups( {}, start( 'book', 'dune' ) );
+		state = apiLookups( state, start( 'game', 'catan' ) );
+		state = apiLookups( state, {
+			type: LOOKUP_ACTION_TYPES.CANCEL_API_LOOKUP,
+			lookupType: 'book',
+		} );
+
+		expect( state.book.isLoading ).toBe( false );
+		expect( state.game.isLoading ).toBe( true );
+	} );
+
+	it( 'clears one type, or every type when none is given', () => {
+		let state = apiLookups( {}, start( 'book', 'dune' ) );
+		state = apiLookups( state, start( 'game', 'catan' ) );
+
+		const oneCleared = apiLookups( state, {
+			type: LOOKUP_ACTION_TYPES.CLEAR_API_RESULTS,
+			lookupType: 'book',
+		} );
+		expect( oneCleared.book ).toBeUndefined();
+		expect( oneCleared.game ).toBeDefined();
+
+		expect(
+			apiLookups( state, {
+				type: LOOKUP_ACTION_TYPES.CLEAR_API_RESULTS,
+			} )
+		).toEqual( {} );
+	} );
+
+	it( 'exposes a frozen idle slot', () => {
+		expect( Object.isFrozen( EMPTY_LOOKUP ) ).toBe( true );
+		expect( EMPTY_LOOKUP.isLoading ).toBe( false );
+	} );
+} );
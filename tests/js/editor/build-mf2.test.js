@@ -0,0 +1,178 @@
+/**
+ * Tests for the client-side microformats2 preview builder.
+ */
+import {
+	buildMf2,
+	getExpectedProperties,
+	toDisplayLines,
+	toPlainText,
+} from '../../../src/editor/mf2-preview/build-mf2';
+
+const FORMATS = {
+	like: {
+		root: [ 'h-entry' ],
+		properties: { 'like-of': 'u-like-of', date: 'dt-published' },
+	},
+	rsvp: {
+		root: [ 'h-entry' ],
+		properties: {
+			rsvp: 'p-rsvp',
+			'reply-to': 'u-in-reply-to',
+			date: 'dt-published',
+		},
+	},
+	checkin: {
+		root: [ 'h-entry' ],
+		properties: {
+			checkin: 'u-checkin h-card',
+			street: 'p-street-address',
+			lat: 'p-latitude',
+			locality: 'p-locality',
+		},
+	},
+};
+
+const likeCard = ( attributes ) => ( {
+	name: 'post-kinds-indieweb/like-card',
+	attributes,
+} );
+
+describe( 'buildMf2', () => {
+	it( 'turns a like card into a like-of h-cite', () => {
+		const { items, missing } = buildMf2(
+			{
+				kind: 'like',
+				url: 'https://example.com/likes/1',
+				published: '2026-10-01T10:00:00',
+				blocks: [
+					likeCard( {
+						url: 'https://other.example/post',
+						title: 'A post',
+						author: 'Ana',
+					} ),
+				],
+			},
+			FORMATS
+		);
+
+		expect( items[ 0 ].properties[ 'like-of' ] ).toEqual( [
+			{
+				type: [ 'h-cite' ],
+				properties: {
+					name: [ 'A post' ],
+					url: [ 'https://other.example/post' ],
+					author: [
+						{
+							type: [ 'h-card' ],
+							properties: { name: [ 'Ana' ] },
+							value: 'Ana',
+						},
+					],
+				},
+				value: 'https://other.example/post',
+			},
+		] );
+		expect( missing ).toEqual( [] );
+	} );
+
+	it( 'reports expected properties that are empty', () => {
+		const { missing } = buildMf2( { kind: 'like', blocks: [] }, FORMATS );
+
+		expect( missing ).toEqual( [ 'like-of', 'published' ] );
+	} );
+
+	it( 'adds the hidden RSVP status from kind meta', () => {
+		const { items, missing } = buildMf2(
+			{
+				kind: 'rsvp',
+				meta: { rsvp_status: 'yes' },
+				published: '2026-10-01T10:00:00',
+			},
+			FORMATS
+		);
+
+		expect( items[ 0 ].properties.rsvp ).toEqual( [ 'yes' ] );
+		expect( missing ).toEqual( [ 'in-reply-to' ] );
+	} );
+
+	it( 'leaves post content out of the name unless the kind prints one', () => {
+		const { items } = buildMf2(
+			{
+				kind: 'like',
+				title: 'Liked',
+				content: '<!-- wp:paragraph --><p>Nice &amp; short</p>',
+			},
+			FORMATS
+		);
+
+		expect( items[ 0 ].properties.name ).toBeUndefined();
+		expect( items[ 0 ].properties.content[ 0 ].value ).toBe(
+			'Nice & short'
+		);
+	} );
+} );
+
+describe( 'check-in privacy', () => {
+	const meta = {
+		checkin_name: 'Cafe',
+		checkin_address: '1 Main St',
+		checkin_locality: 'Lyon',
+		geo_latitude: 45.76,
+		geo_longitude: 4.83,
+	};
+
+	it( 'withholds the street and coordinates unless public', () => {
+		const { items, missing } = buildMf2(
+			{ kind: 'checkin', meta },
+			FORMATS
+		);
+		const card = items[ 0 ].properties.checkin[ 0 ];
+
+		expect( card.properties.geo ).toBeUndefined();
+		expect(
+			card.properties.adr[ 0 ].properties[ 'street-address' ]
+		).toBeUndefined();
+		expect( missing ).toEqual( [] );
+		expect(
+			getExpectedProperties( FORMATS.checkin, 'checkin', meta )
+		).toEqual( [ 'checkin', 'locality' ] );
+	} );
+
+	it( 'prints everything for a public check-in', () => {
+		const { items } = buildMf2(
+			{ kind: 'checkin', meta: { ...meta, geo_privacy: 'public' } },
+			FORMATS
+		);
+		const card = items[ 0 ].properties.checkin[ 0 ];
+
+		expect( card.properties.geo[ 0 ].properties.latitude ).toEqual( [
+			'45.76',
+		] );
+		expect(
+			card.properties.adr[ 0 ].properties[ 'street-address' ]
+		).toEqual( [ '1 Main St' ] );
+	} );
+} );
+
+describe( 'toDisplayLines', () => {
+	it( 'marks the lines of missing properties', () => {
+		const lines = toDisplayLines( {
+			items: [ { type: [ 'h-entry' ], properties: {} } ],
+			missing: [ 'like-of', 'h-cite' ],
+		} );
+
+		expect( lines.filter( ( line ) => line.missing ) ).toEqual( [
+			{ text: '        "like-of": []', missing: true },
+		] );
+	} );
+} );
+
+describe( 'toPlainText', () => {
+	it( 'drops block comments and tags', () => {
+		expect(
+			toPlainText(
+				'<!-- wp:paragraph -->\n<p>Hello <em>there</em></p>\n<!-- /wp:paragraph -->'
+			)
+		).toBe( 'Hello there' );
+	} );
+} );
@@ -5,7 +5,10 @@
  * external lookups (OpenLibrary ISBNs, TMDB ids, years) return numbers for
  * fields registered as strings, and REST rejects the whole post save.
  */
-import { coerceMetaValue } from '../../../src/editor/stores/coerce-meta-value';
+import {
+	coerceMetaValue,
+	coerceMetaValues,
+} from '../../../src/editor/stores/coerce-meta-value';
 
 describe( 'coerceMetaValue', () => {
 	beforeEach( () => {
@@ -76,3 +79,37 @@ describe( 'coerceMetaValue', () => {
 		expect( coerceMetaValue( 'watch_spoilers', true ) ).toBe( true );
 	} );
 } );
+
+describe( 'coerceMetaValues', () => {
+	beforeEach( () => {
+		window.pkiwAdminEditor = {
+			metaFieldTypes: {
+				read_isbn: 'string',
+				read_pages: 'integer',
+			},
+		};
+	} );
+
+	afterEach( () => {
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'coerces every value of a lookup selection at once', () => {
+		expect(
+			coerceMetaValues( {
+				read_title: 'Piranesi',
+				read_isbn: 9781635575637,
+				read_pages: '272',
+			} )
+		).toEqual( {
+			read_title: 'Piranesi',
+			read_isbn: '9781635575637',
+			read_pages: 272,
+		} );
+	} );
+
+	it( 'returns an empty object for no values', () => {
+		expect( coerceMetaValues( {} ) ).toEqual( {} );
+		expect( coerceMetaValues( undefined ) ).toEqual( {} );
+	} );
+} );
@@ -0,0 +1,286 @@
+/**
+ * Tests for the weighted kind-detection rules.
+ */
+import { addFilter, removeFilter } from '@wordpress/hooks';
+import detectKindFromContent, {
+	detectKindCandidates,
+	buildDetectionContext,
+	extractUrls,
+	getKindForUrl,
+	getLeadUrl,
+} from '../../../src/editor/kind-selector/detect-kind';
+
+const block = ( name, attributes = {}, innerBlocks = [] ) => ( {
+	name,
+	attributes,
+	innerBlocks,
+} );
+
+describe( 'detectKindFromContent', () => {
+	afterEach( () => {
+		removeFilter( 'postKindsIndieweb.detectionRules', 'test/custom' );
+	} );
+
+	it( 'falls back to note for an empty untitled post', () => {
+		expect( detectKindFromContent( [], '' ) ).toBe( 'note' );
+	} );
+
+	it( 'suggests article for a titled post with no other signal', () => {
+		expect(
+			detectKindFromContent(
+				[ block( 'core/paragraph', { content: 'Hello' } ) ],
+				'My essay'
+			)
+		).toBe( 'article' );
+	} );
+
+	it( 'lets a known block outrank the title', () => {
+		expect(
+			detectKindFromContent( [ block( 'core/gallery' ) ], 'Holiday' )
+		).toBe( 'photo' );
+	} );
+
+	it( 'finds blocks nested in groups', () => {
+		expect(
+			detectKindFromContent(
+				[ block( 'core/group', {}, [ block( 'indieblocks/like' ) ] ) ],
+				''
+			)
+		).toBe( 'like' );
+	} );
+
+	it( 'maps embed providers to kinds', () => {
+		expect(
+			detectKindFromContent(
+				[
+					block( 'core/embed', {
+						url: 'https://www.youtube.com/watch?v=abc',
+						providerNameSlug: 'youtube',
+					} ),
+				],
+				'Trailer'
+			)
+		).toBe( 'watch' );
+		expect(
+			detectKindFromContent(
+				[
+					block( 'core/embed', {
+						url: 'https://open.spotify.com/track/1',
+						providerNameSlug: 'spotify',
+					} ),
+				],
+				''
+			)
+		).toBe( 'listen' );
+	} );
+
+	it( 'recognises links in paragraphs', () => {
+		expect(
+			detectKindFromContent(
+				[
+					block( 'core/paragraph', {
+						content:
+							'Finished <a href="https://www.goodreads.com/book/show/1">this</a>.',
+					} ),
+				],
+				''
+			)
+		).toBe( 'read' );
+	} );
+
+	it( 'accepts rules registered through the filter', () => {
+		addFilter(
+			'postKindsIndieweb.detectionRules',
+			'test/custom',
+			( rules ) => [
+				...rules,
+				{
+					name: 'test/recipe',
+					detect: ( { blocks } ) =>
+						blocks.some( ( b ) => b.name === 'wprm/recipe' )
+							? {
+									kind: 'recipe',
+									confidence: 1,
+									reason: 'Recipe card',
+							  }
+							: null,
+				},
+			]
+		);
+
+		expect(
+			detectKindFromContent( [ block( 'wprm/recipe' ) ], 'Soup' )
+		).toBe( 'recipe' );
+	} );
+
+	it( 'skips a rule that throws', () => {
+		addFilter(
+			'postKindsIndieweb.detectionRules',
+			'test/custom',
+			( rules ) => [
+				{
+					name: 'test/broken',
+					detect: () => {
+						throw new Error( 'boom' );
+					},
+				},
+				...rules,
+			]
+		);
+
+		expect( detectKindFromContent( [], 'Title' ) ).toBe( 'article' );
+	} );
+} );
+
+describe( 'detectKindCandidates', () => {
+	afterEach( () => {
+		removeFilter( 'postKindsIndieweb.detectionRules', 'test/custom' );
+	} );
+
+	it( 'ranks candidates with the reason each matched', () => {
+		const candidates = detectKindCandidates(
+			[
+				block( 'core/embed', {
+					url: 'https://vimeo.com/1',
+					providerNameSlug: 'vimeo',
+				} ),
+			],
+			'Short film'
+		);
+
+		expect( candidates.map( ( c ) => c.kind ) ).toEqual( [
+			'watch',
+			'article',
+		] );
+		expect( candidates[ 0 ] ).toMatchObject( {
+			rule: 'embed-providers',
+			reason: 'Embeds content from vimeo',
+		} );
+	} );
+
+	it( 'proposes the kind of a provider URL the post starts with', () => {
+		const candidates = detectKindCandidates(
+			[
+				block( 'core/paragraph', {
+					content:
+						'https://boardgamegeek.com/boardgame/266192/wingspan',
+				} ),
+			],
+			''
+		);
+
+		expect( candidates[ 0 ] ).toMatchObject( {
+			kind: 'play',
+			rule: 'lead-url-provider',
+			reason: 'Starts with a BoardGameGeek link',
+		} );
+	} );
+
+	it( 'puts the first card first and offers the others', () => {
+		const candidates = detectKindCandidates(
+			[
+				block( 'post-kinds-indieweb/watch-card' ),
+				block( 'core/group', {}, [
+					block( 'post-kinds-indieweb/drink-card' ),
+				] ),
+				block( 'core/embed', {
+					url: 'https://open.spotify.com/track/1',
+					providerNameSlug: 'spotify',
+				} ),
+			],
+			''
+		);
+
+		expect( candidates.map( ( c ) => c.kind ).slice( 0, 3 ) ).toEqual( [
+			'watch',
+			'listen',
+			'drink',
+		] );
+		expect( candidates[ 0 ] ).toMatchObject( {
+			rule: 'card-blocks',
+			reason: 'Leads with a post-kinds-indieweb/watch-card block',
+		} );
+	} );
+
+	it( 'applies rule weights', () => {
+		addFilter(
+			'postKindsIndieweb.detectionRules',
+			'test/custom',
+			( rules ) =>
+				rules.map( ( rule ) =>
+					rule.name === 'title' ? { ...rule, weight: 10 } : rule
+				)
+		);
+
+		expect(
+			detectKindCandidates( [ block( 'core/gallery' ) ], 'Holiday' )[ 0 ]
+				.kind
+		).toBe( 'article' );
+	} );
+
+	it( 'scores three images above one', () => {
+		const one = detectKindCandidates( [ block( 'core/image' ) ], '' );
+		const three = detectKindCandidates(
+			[
+				block( 'core/image' ),
+				block( 'core/image' ),
+				block( 'core/image' ),
+			],
+			''
+		);
+
+		expect( three[ 0 ].score ).toBeGreaterThan( one[ 0 ].score );
+	} );
+} );
+
+describe( 'detection helpers', () => {
+	it( 'extracts unique URLs and trims trailing punctuation', () => {
+		expect(
+			extractUrls(
+				'See https://letterboxd.com/film/alien/. And https://letterboxd.com/film/alien/'
+			)
+		).toEqual( [ 'https://letterboxd.com/film/alien/' ] );
+	} );
+
+	it( 'matches hosts and their subdomains', () => {
+		expect( getKindForUrl( 'https://www.imdb.com/title/tt0078748/' ) ).toBe(
+			'watch'
+		);
+		expect( getKindForUrl( 'https://pavement.bandcamp.com/album/x' ) ).toBe(
+			'listen'
+		);
+		expect( getKindForUrl( 'https://example.com/' ) ).toBeNull();
+		expect( getKindForUrl( 'not a url' ) ).toBeNull();
+	} );
+
+	it( 'takes the lead URL from the first paragraph or embed', () => {
+		expect(
+			getLeadUrl( [
+				block( 'core/heading', {
+					content: 'https://example.com/ignored',
+				} ),
+				block( 'core/paragraph', {
+					content: 'https://letterboxd.com/film/alien/',
+				} ),
+				block( 'core/embed', { url: 'https://vimeo.com/1' } ),
+			] )
+		).toBe( 'https://letterboxd.com/film/alien/' );
+		expect( getLeadUrl( [ block( 'core/paragraph' ) ] ) ).toBe( '' );
+	} );
+
+	it( 'reads paragraph content given as rich-text data', () => {
+		const context = buildDetectionContext(
+			[
+				block( 'core/paragraph', {
+					content: {
+						toHTMLString: () =>
+							'<a href="https://untappd.com/b/x">beer</a>',
+					},
+				} ),
+			],
+			''
+		);
+
+		expect( context.urls ).toEqual( [ 'https://untappd.com/b/x' ] );
+	} );
+} );
@@ -0,0 +1,194 @@
+/**
+ * Tests for the integration event bus.
+ */
+import { select, dispatch, subscribe } from '@wordpress/data';
+import {
+	EVENTS,
+	emitEvent,
+	listenForIntegrationEvents,
+} from '../../../src/editor/integration-events';
+
+jest.mock( '@wordpress/data', () => ( {
+	select: jest.fn(),
+	dispatch: jest.fn(),
+	subscribe: jest.fn(),
+} ) );
+
+const KINDS = [
+	{ id: 1, slug: 'note' },
+	{ id: 2, slug: 'listen' },
+];
+
+/**
+ * Dispatch an inbound event and let its handler finish.
+ *
+ * @param {string} name   Event name.
+ * @param {Object} detail Event detail.
+ */
+async function send( name, detail ) {
+	window.dispatchEvent( new window.CustomEvent( name, { detail } ) );
+	await new Promise( ( resolve ) => setTimeout( resolve, 0 ) );
+}
+
+describe( 'integration events', () => {
+	let store;
+	let actions;
+	let errors;
+	let stopListening;
+
+	const onError = ( event ) => errors.push( event.detail );
+
+	beforeEach( () => {
+		store = {
+			isInitialized: () => true,
+			getAvailableKinds: () => KINDS,
+		};
+		actions = {
+			updatePostKind: jest.fn(),
+			updateKindMetaBatch: jest.fn(),
+			insertCardBlock: jest.fn( async () => ( { block: {} } ) ),
+		};
+		errors = [];
+		select.mockImplementation( () => store );
+		dispatch.mockImplementation( () => actions );
+		window.pkiwAdminEditor = {
+			metaFieldTypes: {
+				listen_track: 'string',
+				listen_rating: 'integer',
+			},
+		};
+		window.addEventListener( EVENTS.ERROR, onError );
+		stopListening = listenForIntegrationEvents();
+	} );
+
+	afterEach( () => {
+		stopListening();
+		window.removeEventListener( EVENTS.ERROR, onError );
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'sets a known kind, under the current and the legacy name', async () => {
+		await send( EVENTS.SET_KIND, { kind: 'listen' } );
+		await send( 'reactions-indieweb-set-kind', { kind: 'note' } );
+
+		expect( actions.updatePostKind ).toHaveBeenCalledWith( 'listen' );
+		expect( actions.updatePostKind ).toHaveBeenCalledWith( 'note' );
+		expect( errors ).toEqual( [] );
+	} );
+
+	it( 'answers an unknown kind with an error event', async () => {
+		await send( EVENTS.SET_KIND, { kind: 'climb' } );
+
+		expect( actions.updatePostKind ).not.toHaveBeenCalled();
+		expect( errors ).toEqual( [
+			expect.objectContaining( {
+				code: 'unknown_kind',
+				event: EVENTS.SET_KIND,
+				detail: { kind: 'climb' },
+			} ),
+		] );
+	} );
+
+	it( 'waits for the kinds to load before validating', async () => {
+		let initialized = false;
+		let listener;
+		store.isInitialized = () => initialized;
+		subscribe.mockImplementation( ( callback ) => {
+			listener = callback;
+			return jest.fn();
+		} );
+
+		await send( EVENTS.SET_KIND, { kind: 'listen' } );
+		expect( actions.updatePostKind ).not.toHaveBeenCalled();
+
+		initialized = true;
+		listener();
+		await new Promise( ( resolve ) => setTimeout( resolve, 0 ) );
+
+		expect( actions.updatePostKind ).toHaveBeenCalledWith( 'listen' );
+	} );
+
+	it( 'writes registered meta and reports the rest', async () => {
+		await send( EVENTS.SET_META, {
+			meta: {
+				_pkiw_listen_track: 'Gold Soundz',
+				listen_rating: 5,
+				listen_mood: 'wistful',
+			},
+		} );
+
+		expect( actions.updateKindMetaBatch ).toHaveBeenCalledWith( {
+			listen_track: 'Gold Soundz',
+			listen_rating: 5,
+		} );
+		expect( errors ).toEqual( [
+			expect.objectContaining( { code: 'unknown_meta_key' } ),
+		] );
+	} );
+
+	it( 'rejects a set-meta event without a meta object', async () => {
+		await send( EVENTS.SET_META, { meta: [ 'listen_track' ] } );
+
+		expect( actions.updateKindMetaBatch ).not.toHaveBeenCalled();
+		expect( errors[ 0 ].code ).toBe( 'invalid_payload' );
+	} );
+
+	it( 'inserts a card and passes on why it could not', async () => {
+		await send( EVENTS.INSERT_CARD, {
+			kind: 'listen',
+			attributes: { trackTitle: 'Gold Soundz' },
+		} );
+
+		expect( actions.insertCardBlock ).toHaveBeenCalledWith(
+			'listen',
+			{ trackTitle: 'Gold Soundz' },
+			{ secondary: false }
+		);
+
+		await send( EVENTS.INSERT_CARD, { kind: 'listen', secondary: true } );
+
+		expect( actions.insertCardBlock ).toHaveBeenLastCalledWith(
+			'listen',
+			{},
+			{ secondary: true }
+		);
+
+		actions.insertCardBlock.mockResolvedValueOnce( {
+			error: 'no_card_block',
+			message: 'The "note" kind has no card block.',
+		} );
+		await send( EVENTS.INSERT_CARD, { kind: 'note' } );
+
+		expect( errors ).toEqual( [
+			expect.objectContaining( {
+				code: 'no_card_block',
+				event: EVENTS.INSERT_CARD,
+			} ),
+		] );
+	} );
+
+	it( 'stops listening', async () => {
+		stopListening();
+		await send( EVENTS.SET_KIND, { kind: 'listen' } );
+
+		expect( actions.updatePostKind ).not.toHaveBeenCalled();
+	} );
+} );
+
+describe( 'emitEvent', () => {
+	it( 'dispatches the detail on the window', () => {
+		const listener = jest.fn();
+		window.addEventListener( EVENTS.KIND_CHANGED, listener );
+
+		emitEvent( EVENTS.KIND_CHANGED, {
+			kind: 'listen',
+			previousKind: null,
+		} );
+
+		expect( listener.mock.calls[ 0 ][ 0 ].detail ).toEqual( {
+			kind: 'listen',
+			previousKind: null,
+		} );
+		window.removeEventListener( EVENTS.KIND_CHANGED, listener );
+	} );
+} );
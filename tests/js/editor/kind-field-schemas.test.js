@@ -0,0 +1,127 @@
+/**
+ * Tests for the kind field schema helpers.
+ */
+import {
+	getKindFieldSchema,
+	groupSchemaFields,
+	getFieldDisplayValue,
+	getRatingMax,
+	mapLookupResult,
+} from '../../../src/editor/kind-field-schemas';
+
+const priority = {
+	key: 'wish_priority',
+	control: 'select',
+	default: 'medium',
+	options: [
+		{ value: 'low', label: 'Low' },
+		{ value: 'medium', label: 'Medium' },
+		{ value: 'high', label: 'High' },
+	],
+};
+
+describe( 'getKindFieldSchema', () => {
+	afterEach( () => {
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'reads the schema PHP published', () => {
+		window.pkiwAdminEditor = {
+			kindFieldSchemas: {
+				mood: { description: '', fields: [ { key: 'mood_label' } ] },
+				empty: { fields: [] },
+			},
+		};
+
+		expect( getKindFieldSchema( 'mood' ).fields ).toHaveLength( 1 );
+		expect( getKindFieldSchema( 'empty' ) ).toBeNull();
+		expect( getKindFieldSchema( 'listen' ) ).toBeNull();
+	} );
+
+	it( 'copes with no localized data', () => {
+		expect( getKindFieldSchema( 'mood' ) ).toBeNull();
+	} );
+} );
+
+describe( 'groupSchemaFields', () => {
+	it( 'keeps groups in order of first appearance', () => {
+		const groups = groupSchemaFields( [
+			{ key: 'event_start', group: 'When' },
+			{ key: 'event_location', group: 'Where' },
+			{ key: 'event_end', group: 'When' },
+			{ key: 'event_note' },
+		] );
+
+		expect(
+			groups.map( ( g ) => [ g.label, g.fields.map( ( f ) => f.key ) ] )
+		).toEqual( [
+			[ 'When', [ 'event_start', 'event_end' ] ],
+			[ 'Where', [ 'event_location' ] ],
+			[ '', [ 'event_note' ] ],
+		] );
+	} );
+} );
+
+describe( 'getFieldDisplayValue', () => {
+	it( 'falls back to the default option for a select', () => {
+		expect( getFieldDisplayValue( priority, '' ) ).toBe( 'medium' );
+		expect( getFieldDisplayValue( priority, 'high' ) ).toBe( 'high' );
+	} );
+
+	it( 'shows nothing for an unset numeric select', () => {
+		const level = {
+			control: 'select',
+			default: 0,
+			options: [
+				{ value: '', label: 'Select level…' },
+				{ value: '3', label: '3' },
+			],
+		};
+
+		expect( getFieldDisplayValue( level, 0 ) ).toBe( '' );
+		expect( getFieldDisplayValue( level, 3 ) ).toBe( '3' );
+	} );
+
+	it( 'reads ratings and numbers', () => {
+		expect( getFieldDisplayValue( { control: 'rating' }, '3.5' ) ).toBe(
+			3.5
+		);
+		expect(
+			getFieldDisplayValue( { control: 'number', default: 5 }, null )
+		).toBe( 5 );
+		expect( getFieldDisplayValue( { control: 'text' }, undefined ) ).toBe(
+			''
+		);
+	} );
+} );
+
+describe( 'getRatingMax', () => {
+	it( 'takes the maximum from another field', () => {
+		const rating = { max_key: 'review_best' };
+
+		expect( getRatingMax( rating, { review_best: 10 } ) ).toBe( 10 );
+		expect( getRatingMax( rating, { review_best: 0 } ) ).toBe( 5 );
+		expect( getRatingMax( { max: 4 } ) ).toBe( 4 );
+	} );
+} );
+
+describe( 'mapLookupResult', () => {
+	it( 'maps result properties onto meta, skipping empty ones', () => {
+		const lookup = {
+			type: 'music',
+			map: {
+				jam_track: 'track',
+				jam_artist: 'artist',
+				jam_cover: 'cover',
+			},
+		};
+
+		expect(
+			mapLookupResult( lookup, {
+				track: 'Gold Soundz',
+				artist: 'Pavement',
+				cover: '',
+			} )
+		).toEqual( { jam_track: 'Gold Soundz', jam_artist: 'Pavement' } );
+	} );
+} );
@@ -0,0 +1,171 @@
+/**
+ * Tests for the kind switch migration plan.
+ */
+import { createBlock, switchToBlockType } from '@wordpress/blocks';
+import {
+	planKindMigration,
+	findKindCardBlock,
+	getCardKinds,
+	convertKindCard,
+	kindOwnsMetaKey,
+} from '../../../src/editor/kind-migration';
+
+jest.mock( '@wordpress/blocks', () => ( {
+	createBlock: jest.fn( ( name, attributes ) => ( { name, attributes } ) ),
+	switchToBlockType: jest.fn( () => null ),
+} ) );
+
+describe( 'planKindMigration', () => {
+	it( 'carries jam fields over to listen and clears the rest', () => {
+		const plan = planKindMigration( 'jam', 'listen', {
+			jam_track: 'Gold Soundz',
+			jam_artist: 'Pavement',
+			jam_cover: '',
+			watch_title: 'Alien',
+		} );
+
+		expect( plan.carried ).toEqual( [
+			{ from: 'jam_track', to: 'listen_track', value: 'Gold Soundz' },
+			{ from: 'jam_artist', to: 'listen_artist', value: 'Pavement' },
+		] );
+		expect( plan.cleared ).toEqual( [] );
+		expect( plan.updates ).toEqual( {
+			listen_track: 'Gold Soundz',
+			listen_artist: 'Pavement',
+			jam_track: null,
+			jam_artist: null,
+		} );
+	} );
+
+	it( 'maps cite fields onto a favorite', () => {
+		const plan = planKindMigration( 'like', 'favorite', {
+			cite_name: 'A post',
+			cite_url: 'https://example.com/post',
+			cite_author: 'Someone',
+		} );
+
+		expect( plan.updates ).toMatchObject( {
+			favorite_name: 'A post',
+			favorite_url: 'https://example.com/post',
+			cite_author: null,
+		} );
+		expect( plan.cleared ).toEqual( [
+			{ key: 'cite_author', value: 'Someone' },
+		] );
+	} );
+
+	it( 'keeps the event details when an event becomes an RSVP', () => {
+		const plan = planKindMigration( 'event', 'rsvp', {
+			event_url: 'https://example.com/event',
+			event_start: '2026-10-18T19:00',
+		} );
+
+		expect( plan.updates ).toEqual( {
+			cite_url: 'https://example.com/event',
+		} );
+		expect( plan.cleared ).toEqual( [] );
+	} );
+
+	it( 'never overwrites a field the new kind already has', () => {
+		const plan = planKindMigration( 'jam', 'listen', {
+			jam_track: 'Old',
+			listen_track: 'Kept',
+		} );
+
+		expect( plan.carried ).toEqual( [] );
+		expect( plan.updates.listen_track ).toBeUndefined();
+		expect( plan.cleared ).toEqual( [
+			{ key: 'jam_track', value: 'Old' },
+		] );
+	} );
+
+	it( 'leaves fields between cite kinds alone', () => {
+		expect(
+			planKindMigration( 'like', 'reply', {
+				cite_url: 'https://example.com/',
+			} ).updates
+		).toEqual( {} );
+	} );
+
+	it( 'never touches fields no kind owns', () => {
+		expect( kindOwnsMetaKey( 'checkin', 'geo_latitude' ) ).toBe( false );
+		expect(
+			planKindMigration( 'checkin', 'note', {
+				checkin_name: 'Café',
+				geo_latitude: 51.5,
+			} ).updates
+		).toEqual( { checkin_name: null } );
+	} );
+} );
+
+describe( 'kind cards', () => {
+	beforeEach( () => {
+		createBlock.mockClear();
+		switchToBlockType.mockClear();
+	} );
+
+	it( 'finds a card nested in a group', () => {
+		const card = {
+			name: 'post-kinds-indieweb/jam-card',
+			clientId: 'jam',
+			innerBlocks: [],
+		};
+
+		expect(
+			findKindCardBlock(
+				[ { name: 'core/group', innerBlocks: [ card ] } ],
+				'jam'
+			)
+		).toBe( card );
+		expect( findKindCardBlock( [ card ], 'listen' ) ).toBeNull();
+	} );
+
+	it( 'lists the kinds of every card, in document order', () => {
+		expect(
+			getCardKinds( [
+				{ name: 'post-kinds-indieweb/watch-card', innerBlocks: [] },
+				{
+					name: 'core/group',
+					innerBlocks: [
+						{ name: 'post-kinds-indieweb/drink-card' },
+						{ name: 'post-kinds-indieweb/watch-card' },
+					],
+				},
+				{ name: 'post-kinds-indieweb/checkin-card' },
+			] )
+		).toEqual( [ 'watch', 'drink', 'checkin' ] );
+	} );
+
+	it( 'converts through a block transform when there is one', () => {
+		const converted = [ { name: 'post-kinds-indieweb/listen-card' } ];
+		switchToBlockType.mockReturnValueOnce( converted );
+
+		expect(
+			convertKindCard(
+				{ name: 'post-kinds-indieweb/jam-card' },
+				'listen'
+			)
+		).toEqual( { blocks: converted, transformed: true } );
+	} );
+
+	it( 'builds a fresh card from meta otherwise', () => {
+		const result = convertKindCard(
+			{ name: 'post-kinds-indieweb/jam-card' },
+			'listen',
+			{ listen_track: 'Gold Soundz' }
+		);
+
+		expect( result.transformed ).toBe( false );
+		expect( createBlock ).toHaveBeenCalledWith(
+			'post-kinds-indieweb/listen-card',
+			{ trackTitle: 'Gold Soundz' }
+		);
+	} );
+
+	it( 'has nothing to insert for a kind without a card', () => {
+		expect( convertKindCard( null, 'note' ) ).toEqual( {
+			blocks: [],
+			transformed: false,
+		} );
+	} );
+} );
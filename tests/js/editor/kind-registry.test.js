@@ -0,0 +1,134 @@
+/**
+ * Tests for the kind registry.
+ */
+import { addFilter, removeFilter } from '@wordpress/hooks';
+import {
+	registerPostKind,
+	unregisterPostKind,
+	getPostKind,
+	getKindCardBlock,
+	getAutoInsertCardBlock,
+	getCardBlockKind,
+	isSecondaryCard,
+	sortKindTerms,
+} from '../../../src/editor/kind-registry';
+import { detectKindCandidates } from '../../../src/editor/kind-selector/detect-kind';
+import { getKindIcon } from '../../../src/editor/kind-selector/icons';
+import { getKindFieldSchema } from '../../../src/editor/kind-field-schemas';
+
+const ClimbIcon = () => null;
+
+describe( 'kind registry', () => {
+	afterEach( () => {
+		unregisterPostKind( 'climb' );
+		removeFilter( 'postKindsIndieweb.postKinds', 'test/registry' );
+	} );
+
+	it( 'knows the built-in cards and which ones are inserted', () => {
+		expect( getKindCardBlock( 'reply' ) ).toBe(
+			'post-kinds-indieweb/reply-card'
+		);
+		expect( getAutoInsertCardBlock( 'reply' ) ).toBeNull();
+		expect( getAutoInsertCardBlock( 'jam' ) ).toBe(
+			'post-kinds-indieweb/jam-card'
+		);
+		expect( getKindCardBlock( 'note' ) ).toBeNull();
+	} );
+
+	it( 'tells the primary card from secondary ones', () => {
+		expect( getCardBlockKind( 'post-kinds-indieweb/drink-card' ) ).toBe(
+			'drink'
+		);
+		expect( getCardBlockKind( 'core/paragraph' ) ).toBeNull();
+		expect(
+			isSecondaryCard( 'post-kinds-indieweb/drink-card', 'watch' )
+		).toBe( true );
+		expect(
+			isSecondaryCard( 'post-kinds-indieweb/watch-card', 'watch' )
+		).toBe( false );
+		expect(
+			isSecondaryCard( 'post-kinds-indieweb/drink-card', 'note' )
+		).toBe( false );
+		expect(
+			isSecondaryCard( 'post-kinds-indieweb/drink-card', null )
+		).toBe( false );
+	} );
+
+	it( 'registers an add-on kind everywhere the editor looks', () => {
+		registerPostKind( 'climb', {
+			label: 'Climb',
+			icon: ClimbIcon,
+			cardBlock: 'my-plugin/climb-card',
+			fields: [ { key: 'climb_route', label: 'Route' } ],
+			detect: ( { blocks } ) =>
+				blocks.some( ( b ) => b.name === 'my-plugin/climb-card' )
+					? { confidence: 0.9, reason: 'Contains a climb card' }
+					: null,
+		} );
+
+		expect( getAutoInsertCardBlock( 'climb' ) ).toBe(
+			'my-plugin/climb-card'
+		);
+		expect( getKindIcon( 'climb' ) ).toBe( ClimbIcon );
+		expect( getKindFieldSchema( 'climb' ).fields ).toEqual( [
+			{ key: 'climb_route', label: 'Route' },
+		] );
+		expect(
+			detectKindCandidates(
+				[ { name: 'my-plugin/climb-card', attributes: {} } ],
+				''
+			)[ 0 ]
+		).toMatchObject( {
+			kind: 'climb',
+			reason: 'Contains a climb card',
+			rule: 'kind/climb',
+		} );
+	} );
+
+	it( 'sorts registered kinds first, in registration order', () => {
+		registerPostKind( 'climb', { label: 'Climb' } );
+
+		expect(
+			sortKindTerms( [
+				{ slug: 'quote' },
+				{ slug: 'climb' },
+				{ slug: 'article' },
+				{ slug: 'note' },
+			] ).map( ( term ) => term.slug )
+		).toEqual( [ 'note', 'article', 'climb', 'quote' ] );
+	} );
+
+	it( 'merges settings over a kind that is already registered', () => {
+		registerPostKind( 'climb', { label: 'Climb' } );
+		registerPostKind( 'climb', { cardBlock: 'my-plugin/climb-card' } );
+
+		expect( getPostKind( 'climb' ) ).toEqual( {
+			slug: 'climb',
+			label: 'Climb',
+			cardBlock: 'my-plugin/climb-card',
+		} );
+	} );
+
+	it( 'rejects invalid slugs', () => {
+		const error = jest
+			.spyOn( console, 'error' )
+			.mockImplementation( () => {} );
+
+		expect( registerPostKind( 'Not A Slug', {} ) ).toBeUndefined();
+		expect( getPostKind( 'Not A Slug' ) ).toBeNull();
+		error.mockRestore();
+	} );
+
+	it( 'lets a filter add kinds', () => {
+		addFilter(
+			'postKindsIndieweb.postKinds',
+			'test/registry',
+			( kinds ) => [
+				...kinds,
+				{ slug: 'run', cardBlock: 'my-plugin/run-card' },
+			]
+		);
+
+		expect( getKindCardBlock( 'run' ) ).toBe( 'my-plugin/run-card' );
+	} );
+} );
@@ -0,0 +1,118 @@
+/**
+ * Tests for the kind template helpers.
+ */
+import {
+	getTemplateFields,
+	pickTemplateValues,
+	getTemplateMetaUpdates,
+} from '../../../src/editor/kind-templates';
+
+jest.mock( '@wordpress/blocks', () => ( {
+	createBlock: jest.fn( ( name, attributes ) => ( { name, attributes } ) ),
+	switchToBlockType: jest.fn( () => null ),
+} ) );
+
+const card = {
+	name: 'post-kinds-indieweb/drink-card',
+	attributes: {
+		name: 'Pale Ale',
+		locationName: 'The Crown',
+		layout: 'compact',
+		drankAt: '2026-10-01T19:00',
+		notes: '',
+		metadata: { name: 'Card' },
+	},
+};
+
+const meta = {
+	drink_name: 'Pale Ale',
+	drink_location_name: 'The Crown',
+	drink_rating: 0,
+	listen_track: 'Gold Soundz',
+};
+
+describe( 'getTemplateFields', () => {
+	beforeEach( () => {
+		window.pkiwAdminEditor = {
+			kindFieldSchemas: {
+				drink: {
+					fields: [ { key: 'drink_location_name', label: 'Venue' } ],
+				},
+			},
+		};
+	} );
+
+	afterEach( () => {
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( "lists the card's filled attributes, then the kind's filled meta", () => {
+		expect(
+			getTemplateFields( 'drink', card, meta ).map(
+				( field ) => field.id
+			)
+		).toEqual( [
+			'attributes:name',
+			'attributes:locationName',
+			'attributes:layout',
+			'attributes:drankAt',
+			'meta:drink_name',
+			'meta:drink_location_name',
+		] );
+	} );
+
+	it( 'labels meta from the field schema and leaves dates unticked', () => {
+		const fields = getTemplateFields( 'drink', card, meta );
+		const byId = Object.fromEntries(
+			fields.map( ( field ) => [ field.id, field ] )
+		);
+
+		expect( byId[ 'meta:drink_location_name' ].label ).toBe( 'Venue' );
+		expect( byId[ 'meta:drink_name' ].label ).toBe( 'drink_name' );
+		expect( byId[ 'attributes:drankAt' ].checked ).toBe( false );
+		expect( byId[ 'attributes:layout' ].checked ).toBe( true );
+	} );
+
+	it( 'works without a card', () => {
+		expect( getTemplateFields( 'drink', null, meta ) ).toHaveLength( 2 );
+	} );
+} );
+
+describe( 'pickTemplateValues', () => {
+	it( 'splits the kept fields into attributes and meta', () => {
+		const fields = getTemplateFields( 'drink', card, meta );
+
+		expect(
+			pickTemplateValues( fields, [
+				'attributes:locationName',
+				'attributes:layout',
+				'meta:drink_location_name',
+			] )
+		).toEqual( {
+			attributes: { locationName: 'The Crown', layout: 'compact' },
+			meta: { drink_location_name: 'The Crown' },
+		} );
+	} );
+} );
+
+describe( 'getTemplateMetaUpdates', () => {
+	it( 'fills only the empty fields', () => {
+		const template = {
+			meta: {
+				drink_location_name: 'The Crown',
+				drink_type: 'beer',
+			},
+		};
+
+		expect(
+			getTemplateMetaUpdates( template, {
+				drink_location_name: 'The Anchor',
+				drink_type: '',
+			} )
+		).toEqual( { drink_type: 'beer' } );
+	} );
+
+	it( 'returns nothing without a template', () => {
+		expect( getTemplateMetaUpdates( null, {} ) ).toEqual( {} );
+	} );
+} );
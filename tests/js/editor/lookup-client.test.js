@@ -0,0 +1,121 @@
+/**
+ * Tests for the shared lookup client.
+ *
+ * Every card and sidebar search goes through this cache, so a regression
+ * here means TMDB/MusicBrainz/OpenLibrary get hit on every keystroke again.
+ */
+import apiFetch from '@wordpress/api-fetch';
+import {
+	lookup,
+	clearLookupCache,
+	buildLookupQuery,
+	getLookupCacheKey,
+	LOOKUP_CACHE_TTL,
+} from '../../../src/editor/lookup-client';
+
+describe( 'lookup client', () => {
+	beforeEach( () => {
+		clearLookupCache();
+		apiFetch.mockReset();
+		apiFetch.mockResolvedValue( [ { title: 'Dune' } ] );
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+	} );
+
+	it( 'builds keys with params in a stable order', () => {
+		expect( buildLookupQuery( { type: 'tv', q: 'lost' } ) ).toBe(
+			'q=lost&type=tv'
+		);
+		expect( getLookupCacheKey( 'video', { type: 'tv', q: 'lost' } ) ).toBe(
+			getLookupCacheKey( 'video', { q: 'lost', type: 'tv' } )
+		);
+		expect( buildLookupQuery( { q: 'x', source: null } ) ).toBe( 'q=x' );
+	} );
+
+	it( 'requests the lookup route', async () => {
+		await lookup( 'book', { q: 'dune' } );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/post-kinds-indieweb/v1/lookup/book?q=dune',
+		} );
+	} );
+
+	it( 'serves a repeated lookup from cache', async () => {
+		await lookup( 'book', { q: 'dune' } );
+		const second = await lookup( 'book', { q: 'dune' } );
+
+		expect( second ).toEqual( [ { title: 'Dune' } ] );
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+	} );
+
+	it( 'shares one request between identical lookups in flight', async () => {
+		const [ a, b ] = await Promise.all( [
+			lookup( 'music', { q: 'pavement' } ),
+			lookup( 'music', { q: 'pavement' } ),
+		] );
+
+		expect( a ).toBe( b );
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+	} );
+
+	it( 'bypasses the cache on refresh', async () => {
+		await lookup( 'book', { q: 'dune' } );
+		await lookup( 'book', { q: 'dune' }, { refresh: true } );
+
+		expect( apiFetch ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'refetches once the TTL has passed', async () => {
+		jest.useFakeTimers();
+		jest.setSystemTime( new Date( '2026-01-01T00:00:00Z' ) );
+		await lookup( 'book', { q: 'dune' } );
+
+		jest.setSystemTime( new Date( Date.now() + LOOKUP_CACHE_TTL + 1000 ) );
+		await lookup( 'book', { q: 'dune' } );
+
+		expect( apiFetch ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'persists responses to sessionStorage', async () => {
+		await lookup( 'video', { q: 'alien', type: 'movie' } );
+
+		const stored = JSON.parse(
+			window.sessionStorage.getItem(
+				'pkiw-lookup:video?q=alien&type=movie'
+			)
+		);
+		expect( stored.data ).toEqual( [ { title: 'Dune' } ] );
+	} );
+
+	it( 'does not cache errors', async () => {
+		apiFetch.mockRejectedValueOnce( new Error( 'Timeout' ) );
+
+		await expect( lookup( 'book', { q: 'dune' } ) ).rejects.toThrow(
+			'Timeout'
+		);
+		await expect( lookup( 'book', { q: 'dune' } ) ).resolves.toEqual( [
+			{ title: 'Dune' },
+		] );
+		expect( apiFetch ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'rejects an aborted caller without cancelling the shared request', async () => {
+		const controller = new AbortController();
+		const aborted = lookup(
+			'game',
+			{ q: 'catan' },
+			{
+				signal: controller.signal,
+			}
+		);
+		const other = lookup( 'game', { q: 'catan' } );
+		controller.abort();
+
+		await expect( aborted ).rejects.toMatchObject( {
+			name: 'AbortError',
+		} );
+		await expect( other ).resolves.toEqual( [ { title: 'Dune' } ] );
+	} );
+} );
@@ -0,0 +1,142 @@
+/**
+ * Tests for the kind publish checks.
+ */
+import { addFilter, removeFilter } from '@wordpress/hooks';
+import {
+	getKindChecks,
+	getFailedChecks,
+	getCheckSeverity,
+	isAboutToPublish,
+} from '../../../src/editor/publish-checklist/checks';
+
+/**
+ * Build a meta getter over plain values, reading unset keys as ''.
+ *
+ * @param {Object} meta Meta values.
+ * @return {Function} Getter.
+ */
+const metaGetter = ( meta ) => ( key ) => meta[ key ] ?? '';
+
+const failedIds = ( kind, meta ) =>
+	getFailedChecks( kind, metaGetter( meta ) ).map( ( check ) => check.id );
+
+describe( 'getFailedChecks', () => {
+	it( 'needs a title for a watch', () => {
+		expect( failedIds( 'watch', {} ) ).toEqual( [ 'watch-title' ] );
+		expect( failedIds( 'watch', { watch_title: 'Heat' } ) ).toEqual( [] );
+	} );
+
+	it( 'accepts a venue or coordinates for a check-in', () => {
+		expect( failedIds( 'checkin', { geo_latitude: 0 } ) ).toEqual( [
+			'checkin-place',
+		] );
+		expect( failedIds( 'checkin', { checkin_name: 'Café' } ) ).toEqual(
+			[]
+		);
+		expect(
+			failedIds( 'checkin', {
+				geo_latitude: 52.37,
+				geo_longitude: 4.89,
+			} )
+		).toEqual( [] );
+	} );
+
+	it( 'needs a valid RSVP status', () => {
+		expect( failedIds( 'rsvp', { rsvp_status: 'perhaps' } ) ).toEqual( [
+			'rsvp-status',
+		] );
+		expect( failedIds( 'rsvp', { rsvp_status: 'maybe' } ) ).toEqual( [] );
+	} );
+
+	it( 'needs a web URL to cite for a like', () => {
+		expect( failedIds( 'like', { cite_url: 'example.com' } ) ).toEqual( [
+			'cite-url',
+		] );
+		expect(
+			failedIds( 'like', { cite_url: 'https://example.com/post' } )
+		).toEqual( [] );
+	} );
+
+	it( 'has nothing to check for a note', () => {
+		expect( getKindChecks( 'note' ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'getKindChecks', () => {
+	afterEach( () => {
+		removeFilter( 'postKindsIndieweb.publishChecks', 'test' );
+	} );
+
+	it( 'takes checks from the filter and drops malformed ones', () => {
+		addFilter(
+			'postKindsIndieweb.publishChecks',
+			'test',
+			( checks, kind ) =>
+				kind === 'note'
+					? [
+							...checks,
+							{
+								id: 'note-tag',
+								field: 'tag',
+								label: 'Tag',
+								test: () => false,
+							},
+							{ id: 'broken' },
+					  ]
+					: checks
+		);
+
+		expect( failedIds( 'note', {} ) ).toEqual( [ 'note-tag' ] );
+	} );
+} );
+
+describe( 'getCheckSeverity', () => {
+	afterEach( () => {
+		delete window.pkiwAdminEditor;
+	} );
+
+	it( 'warns unless the kind is set to block', () => {
+		window.pkiwAdminEditor = { publishCheckSeverity: { watch: 'block' } };
+
+		expect( getCheckSeverity( 'watch' ) ).toBe( 'block' );
+		expect( getCheckSeverity( 'read' ) ).toBe( 'warn' );
+	} );
+} );
+
+describe( 'isAboutToPublish', () => {
+	/**
+	 * Build `core/editor` selectors over plain values.
+	 *
+	 * @param {Object}  state           Editor state.
+	 * @param {boolean} state.published Whether the post is published.
+	 * @param {boolean} state.opened    Whether the pre-publish panel is open.
+	 * @param {boolean} state.enabled   Whether the pre-publish panel is on.
+	 * @return {Object} Selectors.
+	 */
+	const editor = ( {
+		published = false,
+		opened = false,
+		enabled = true,
+	} = {} ) => ( {
+		isCurrentPostPublished: () => published,
+		isPublishSidebarOpened: () => opened,
+		isPublishSidebarEnabled: () => enabled,
+	} );
+
+	it( 'holds an unpublished post while the pre-publish panel is open', () => {
+		expect( isAboutToPublish( editor() ) ).toBe( false );
+		expect( isAboutToPublish( editor( { opened: true } ) ) ).toBe( true );
+	} );
+
+	it( 'holds an unpublished post when the pre-publish panel is off', () => {
+		expect( isAboutToPublish( editor( { enabled: false } ) ) ).toBe( true );
+	} );
+
+	it( 'never holds a published post', () => {
+		expect(
+			isAboutToPublish(
+				editor( { published: true, opened: true, enabled: false } )
+			)
+		).toBe( false );
+	} );
+} );
@@ -0,0 +1,91 @@
+/**
+ * Tests for the reading session helpers.
+ */
+import {
+	getPagePercent,
+	addReadingSession,
+	applyReadingSession,
+} from '../../../src/editor/reading-sessions';
+
+const SESSIONS = [
+	{ date: '2026-10-01', page: 40, note: '' },
+	{ date: '2026-10-03', page: 120, note: 'Part two' },
+];
+
+describe( 'getPagePercent', () => {
+	it( 'rounds and caps the share of the book', () => {
+		expect( getPagePercent( 120, 412 ) ).toBe( 29 );
+		expect( getPagePercent( 500, 412 ) ).toBe( 100 );
+		expect( getPagePercent( 120, 0 ) ).toBe( 0 );
+	} );
+} );
+
+describe( 'addReadingSession', () => {
+	it( 'keeps sessions in date order, later on the same day last', () => {
+		const sessions = addReadingSession( SESSIONS, {
+			date: '2026-10-01',
+			page: '75',
+			note: ' On the train ',
+		} );
+
+		expect( sessions ).toEqual( [
+			SESSIONS[ 0 ],
+			{ date: '2026-10-01', page: 75, note: 'On the train' },
+			SESSIONS[ 1 ],
+		] );
+		expect( SESSIONS ).toHaveLength( 2 );
+	} );
+} );
+
+describe( 'applyReadingSession', () => {
+	const current = {
+		sessions: SESSIONS,
+		pageCount: 412,
+		status: 'to-read',
+		startedAt: '',
+		finishedAt: '',
+	};
+
+	it( 'moves the current page and starts the book', () => {
+		const update = applyReadingSession( current, {
+			date: '2026-10-05',
+			page: 200,
+		} );
+
+		expect( update.page ).toBe( 200 );
+		expect( update.status ).toBe( 'reading' );
+		expect( update.startedAt ).toBe( '2026-10-01' );
+		expect( update.finishedAt ).toBe( '' );
+		expect( update.sessions ).toHaveLength( 3 );
+	} );
+
+	it( 'finishes the book at its last page', () => {
+		const update = applyReadingSession(
+			{ ...current, status: 'reading', startedAt: '2026-09-30' },
+			{ date: '2026-10-09', page: 412 }
+		);
+
+		expect( update.status ).toBe( 'finished' );
+		expect( update.finishedAt ).toBe( '2026-10-09' );
+		expect( update.startedAt ).toBe( '2026-09-30' );
+	} );
+
+	it( 'takes the page of the latest session, not the newest entry', () => {
+		const update = applyReadingSession( current, {
+			date: '2026-09-28',
+			page: 10,
+		} );
+
+		expect( update.page ).toBe( 120 );
+		expect( update.startedAt ).toBe( '2026-09-28' );
+	} );
+
+	it( 'does not finish a book without a page count', () => {
+		expect(
+			applyReadingSession(
+				{ ...current, pageCount: 0, status: 'reading' },
+				{ date: '2026-10-09', page: 412 }
+			).status
+		).toBe( 'reading' );
+	} );
+} );
@@ -0,0 +1,149 @@
+/**
+ * Tests for the URL providers behind paste-a-link kind detection.
+ */
+import apiFetch from '@wordpress/api-fetch';
+import { clearLookupCache } from '../../../src/editor/lookup-client';
+import {
+	matchUrlProvider,
+	resolveUrlMeta,
+	metaToCardAttributes,
+	titleFromSlug,
+} from '../../../src/editor/url-providers';
+
+describe( 'URL providers', () => {
+	beforeEach( () => {
+		clearLookupCache();
+		apiFetch.mockReset();
+	} );
+
+	it.each( [
+		[ 'https://letterboxd.com/film/alien/', 'letterboxd', 'watch' ],
+		[ 'https://letterboxd.com/someone/film/alien/', 'letterboxd', 'watch' ],
+		[ 'https://www.imdb.com/title/tt0078748/', 'imdb', 'watch' ],
+		[
+			'https://www.last.fm/music/Pavement/_/Gold+Soundz',
+			'lastfm',
+			'listen',
+		],
+		[
+			'https://www.goodreads.com/book/show/44767458-dune',
+			'goodreads',
+			'read',
+		],
+		[
+			'https://boardgamegeek.com/boardgame/266192/wingspan',
+			'boardgamegeek',
+			'play',
+		],
+		[ 'https://untappd.com/b/brewdog-punk-ipa/5728', 'untappd', 'drink' ],
+		[
+			'https://foursquare.com/v/blue-bottle-coffee/4a1b2c3d',
+			'foursquare',
+			'checkin',
+		],
+	] )( 'recognises %s', ( url, name, kind ) => {
+		const found = matchUrlProvider( url );
+
+		expect( found.provider.name ).toBe( name );
+		expect( found.provider.kind ).toBe( kind );
+	} );
+
+	it( 'ignores URLs no provider knows', () => {
+		expect( matchUrlProvider( 'https://letterboxd.com/' ) ).toBeNull();
+		expect( matchUrlProvider( 'https://example.com/film/x' ) ).toBeNull();
+		expect( matchUrlProvider( '' ) ).toBeNull();
+	} );
+
+	it( 'turns slugs into titles', () => {
+		expect( titleFromSlug( 'wingspan-americas-expansion' ) ).toBe(
+			'Wingspan Americas Expansion'
+		);
+		expect( titleFromSlug( 'The_Left_Hand_of_Darkness' ) ).toBe(
+			'The Left Hand Of Darkness'
+		);
+	} );
+
+	it( 'fills watch meta from the watch-url resolver', async () => {
+		apiFetch.mockResolvedValue( {
+			title: 'Alien',
+			year: 1979,
+			poster: 'https://image.tmdb.org/alien.jpg',
+			tmdb_id: 348,
+		} );
+
+		const resolved = await resolveUrlMeta(
+			'https://letterboxd.com/film/alien/'
+		);
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/post-kinds-indieweb/v1/lookup/watch-url?url=https%3A%2F%2Fletterboxd.com%2Ffilm%2Falien%2F',
+		} );
+		expect( resolved ).toEqual( {
+			kind: 'watch',
+			provider: 'letterboxd',
+			meta: {
+				watch_url: 'https://letterboxd.com/film/alien/',
+				watch_title: 'Alien',
+				watch_year: '1979',
+				watch_poster: 'https://image.tmdb.org/alien.jpg',
+				watch_tmdb_id: '348',
+			},
+		} );
+	} );
+
+	it( 'looks BGG games up by id', async () => {
+		apiFetch.mockResolvedValue( {
+			title: 'Wingspan',
+			cover: 'https://cf.geekdo-images.com/wingspan.jpg',
+		} );
+
+		const { meta } = await resolveUrlMeta(
+			'https://boardgamegeek.com/boardgame/266192/wingspan'
+		);
+
+		expect( apiFetch.mock.calls[ 0 ][ 0 ].path ).toBe(
+			'/post-kinds-indieweb/v1/lookup/game?id=266192&source=bgg'
+		);
+		expect( meta ).toMatchObject( {
+			play_bgg_id: '266192',
+			play_title: 'Wingspan',
+			play_cover: 'https://cf.geekdo-images.com/wingspan.jpg',
+		} );
+	} );
+
+	it( 'keeps what the URL says when the resolver fails', async () => {
+		apiFetch.mockRejectedValue( new Error( 'Could not extract music' ) );
+
+		const { meta } = await resolveUrlMeta(
+			'https://www.last.fm/music/Pavement/_/Gold+Soundz'
+		);
+
+		expect( meta ).toEqual( {
+			listen_url: 'https://www.last.fm/music/Pavement/_/Gold+Soundz',
+			listen_artist: 'Pavement',
+			listen_track: 'Gold Soundz',
+		} );
+	} );
+
+	it( 'parses providers without a resolver offline', async () => {
+		const { meta } = await resolveUrlMeta(
+			'https://www.goodreads.com/book/show/44767458-dune'
+		);
+
+		expect( apiFetch ).not.toHaveBeenCalled();
+		expect( meta.read_title ).toBe( 'Dune' );
+	} );
+
+	it( 'maps meta onto card attributes', () => {
+		expect(
+			metaToCardAttributes( 'watch', {
+				watch_title: 'Alien',
+				watch_year: '1979',
+				watch_poster: '',
+			} )
+		).toEqual( { mediaTitle: 'Alien', releaseYear: 1979 } );
+		expect( metaToCardAttributes( 'note', { watch_title: 'x' } ) ).toEqual(
+			{}
+		);
+	} );
+} );
@@ -0,0 +1,111 @@
+/**
+ * Tests for the post surface preview hook.
+ */
+import { act, renderHook } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import useSurfacePreview, {
+	describeRule,
+	PREVIEW_DELAY,
+} from '../../../src/editor/promote-panel/use-surface-preview';
+
+const PREVIEW = {
+	surface: 'stream',
+	rule: 'kind',
+	match: 'checkin',
+	places: [
+		{
+			id: 'firehose',
+			label: 'Firehose feed',
+			url: 'https://example.test/firehose/',
+			included: true,
+		},
+	],
+};
+
+describe( 'useSurfacePreview', () => {
+	let edited;
+
+	beforeEach( () => {
+		jest.useFakeTimers();
+		edited = { kind: [ 4 ], categories: [ 1 ], meta: {} };
+		useSelect.mockImplementation( ( selector ) =>
+			selector( () => ( {
+				getCurrentPostId: () => 7,
+				getEditedPostAttribute: ( name ) => edited[ name ],
+			} ) )
+		);
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+		apiFetch.mockReset();
+		useSelect.mockReset();
+	} );
+
+	it( 'sends the unsaved kinds, categories and promote flag', async () => {
+		apiFetch.mockResolvedValue( PREVIEW );
+
+		const { result } = renderHook( () => useSurfacePreview( true ) );
+		expect( result.current.isLoading ).toBe( true );
+
+		await act( async () => {
+			jest.advanceTimersByTime( PREVIEW_DELAY );
+		} );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/post-kinds-indieweb/v1/surface/7',
+			method: 'POST',
+			data: { kinds: [ 4 ], categories: [ 1 ], promote: false },
+		} );
+		expect( result.current.preview ).toEqual( PREVIEW );
+		expect( result.current.isLoading ).toBe( false );
+	} );
+
+	it( 'asks once for a burst of edits', async () => {
+		apiFetch.mockResolvedValue( PREVIEW );
+
+		const { rerender } = renderHook( () => useSurfacePreview( true ) );
+
+		edited = { ...edited, meta: { pkiw_promote: true } };
+		rerender();
+		edited = { ...edited, kind: [ 5 ] };
+		rerender();
+
+		await act( async () => {
+			jest.advanceTimersByTime( PREVIEW_DELAY );
+		} );
+
+		expect( apiFetch ).toHaveBeenCalledTimes( 1 );
+		expect( apiFetch.mock.calls[ 0 ][ 0 ].data ).toEqual( {
+			kinds: [ 5 ],
+			categories: [ 1 ],
+			promote: true,
+		} );
+	} );
+
+	it( 'does nothing when inactive', async () => {
+		renderHook( () => useSurfacePreview( false ) );
+
+		await act( async () => {
+			jest.advanceTimersByTime( PREVIEW_DELAY );
+		} );
+
+		expect( apiFetch ).not.toHaveBeenCalled();
+	} );
+} );
+
+describe( 'describeRule', () => {
+	it( 'names the kind or category that matched', () => {
+		expect( describeRule( PREVIEW ) ).toContain( 'checkin' );
+		expect(
+			describeRule( { rule: 'category', match: 'notes' } )
+		).toContain( 'notes' );
+	} );
+
+	it( 'falls back to no rule', () => {
+		expect( describeRule( { rule: 'default', match: '' } ) ).toBe(
+			'No stream rule applies.'
+		);
+	} );
+} );
@@ -0,0 +1,138 @@
+/**
+ * Tests for the syndication status hook.
+ */
+import { act, renderHook } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import useSyndicationStatus, {
+	hasPendingTargets,
+	POLL_INTERVAL,
+} from '../../../src/editor/kind-selector/use-syndication-status';
+
+const PENDING = {
+	service: 'lastfm',
+	name: 'Last.fm',
+	enabled: true,
+	status: 'pending',
+	url: '',
+	error: '',
+};
+
+const FAILED = {
+	...PENDING,
+	status: 'failed',
+	error: 'Invalid session key',
+};
+
+const SYNDICATED = {
+	...PENDING,
+	status: 'syndicated',
+	url: 'https://www.last.fm/user/pkiw/library',
+};
+
+/**
+ * Let pending promises settle.
+ */
+const flush = () => act( async () => {} );
+
+describe( 'useSyndicationStatus', () => {
+	let editor;
+
+	beforeEach( () => {
+		jest.useFakeTimers();
+		editor = { saving: false, published: true };
+		useSelect.mockImplementation( ( selector ) =>
+			selector( () => ( {
+				isSavingPost: () => editor.saving,
+				isAutosavingPost: () => false,
+				isCurrentPostPublished: () => editor.published,
+			} ) )
+		);
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+		apiFetch.mockReset();
+		useSelect.mockReset();
+	} );
+
+	it( 'polls while a target is pending', async () => {
+		apiFetch
+			.mockResolvedValueOnce( { targets: [ PENDING ] } )
+			.mockResolvedValueOnce( { targets: [ SYNDICATED ] } );
+
+		const { result } = renderHook( () => useSyndicationStatus( 7, true ) );
+		await flush();
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/post-kinds-indieweb/v1/syndication/7',
+		} );
+		expect( result.current.targets ).toEqual( [ PENDING ] );
+
+		await act( async () => {
+			jest.advanceTimersByTime( POLL_INTERVAL );
+		} );
+
+		expect( result.current.targets ).toEqual( [ SYNDICATED ] );
+		expect( apiFetch ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'does not poll an unpublished post', async () => {
+		editor.published = false;
+		renderHook( () => useSyndicationStatus( 7, true ) );
+		await flush();
+
+		expect( apiFetch ).not.toHaveBeenCalled();
+	} );
+
+	it( 'fetches again after a save', async () => {
+		apiFetch.mockResolvedValue( { targets: [ FAILED ] } );
+
+		const { rerender } = renderHook( () =>
+			useSyndicationStatus( 7, true )
+		);
+		await flush();
+
+		editor.saving = true;
+		rerender();
+		editor.saving = false;
+		rerender();
+		await flush();
+
+		expect( apiFetch ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'retries a target and shows the outcome', async () => {
+		apiFetch
+			.mockResolvedValueOnce( { targets: [ FAILED ] } )
+			.mockResolvedValueOnce( SYNDICATED );
+
+		const { result } = renderHook( () => useSyndicationStatus( 7, true ) );
+		await flush();
+
+		await act( () => result.current.retry( 'lastfm' ) );
+
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/post-kinds-indieweb/v1/syndication/7/retry',
+			method: 'POST',
+			data: { service: 'lastfm' },
+		} );
+		expect( result.current.targets ).toEqual( [ SYNDICATED ] );
+		expect( result.current.retrying ).toBeNull();
+	} );
+} );
+
+describe( 'hasPendingTargets', () => {
+	it( 'ignores targets the post opted out of', () => {
+		expect( hasPendingTargets( [ PENDING ] ) ).toBe( true );
+		expect(
+			hasPendingTargets( [ { ...PENDING, enabled: false }, FAILED ] )
+		).toBe( false );
+	} );
+
+	it( 'does not wait on targets that were never attempted', () => {
+		expect(
+			hasPendingTargets( [ { ...PENDING, status: 'not_attempted' } ] )
+		).toBe( false );
+	} );
+} );
@@ -0,0 +1,81 @@
+/**
+ * Tests for the webmention target helpers.
+ */
+import {
+	getCitedUrls,
+	mergeTargets,
+} from '../../../src/editor/webmention-panel/use-webmentions';
+
+describe( 'getCitedUrls', () => {
+	it( 'collects the cited URL of each card, inner blocks included', () => {
+		const blocks = [
+			{
+				name: 'post-kinds-indieweb/reply-card',
+				attributes: { url: 'https://a.example/post' },
+			},
+			{
+				name: 'core/group',
+				attributes: {},
+				innerBlocks: [
+					{
+						name: 'post-kinds-indieweb/rsvp-card',
+						attributes: { eventUrl: ' https://b.example/event ' },
+					},
+				],
+			},
+		];
+
+		expect( getCitedUrls( blocks ) ).toEqual( [
+			'https://a.example/post',
+			'https://b.example/event',
+		] );
+	} );
+
+	it( 'skips empty, non-web and repeated URLs', () => {
+		const card = ( url ) => ( {
+			name: 'post-kinds-indieweb/like-card',
+			attributes: { url },
+		} );
+
+		expect(
+			getCitedUrls( [
+				card( '' ),
+				card( 'mailto:someone@example.com' ),
+				card( 'https://a.example/post' ),
+				card( 'https://a.example/post' ),
+				{
+					name: 'core/paragraph',
+					attributes: { url: 'https://c.example/' },
+				},
+			] )
+		).toEqual( [ 'https://a.example/post' ] );
+	} );
+} );
+
+describe( 'mergeTargets', () => {
+	it( 'marks targets without a log entry as unsent', () => {
+		const targets = mergeTargets(
+			[ 'https://a.example/post', 'https://b.example/event' ],
+			{ 'https://a.example/post': 'https://a.example/webmention' },
+			{
+				'https://a.example/post': {
+					target: 'https://a.example/post',
+					status: 'queued',
+					code: 202,
+				},
+			}
+		);
+
+		expect( targets[ 0 ] ).toMatchObject( {
+			endpoint: 'https://a.example/webmention',
+			status: 'queued',
+			code: 202,
+		} );
+		expect( targets[ 1 ] ).toEqual( {
+			target: 'https://b.example/event',
+			endpoint: undefined,
+			status: 'unsent',
+			error: '',
+		} );
+	} );
+} );
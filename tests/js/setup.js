@@ -16,6 +16,7 @@ jest.mock( '@wordpress/block-editor', () => ( {
 	RichText: () => null,
 	MediaUpload: () => null,
 	MediaUploadCheck: ( { children } ) => children,
+	useBlockEditContext: jest.fn( () => ( {} ) ),
 } ) );
 jest.mock( '@wordpress/components', () => ( {
 	PanelBody: ( { children } ) => children,
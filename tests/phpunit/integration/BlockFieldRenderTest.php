@@ -63,7 +63,8 @@ final class BlockFieldRenderTest extends WP_UnitTestCase {
 				'intensity' => 'dropped from the minimal mood card (emoji + note only) in the pk-card redesign',
 			],
 			'post-kinds-indieweb/read-card'         => [
-				'readStatus' => 'free-string status mapped to a human label (Reading/Finished/…); an unknown value like the fixture sample maps to an empty label and is never echoed raw',
+				'readStatus'      => 'free-string status mapped to a human label (Reading/Finished/…); an unknown value like the fixture sample maps to an empty label and is never echoed raw',
+				'readingSessions' => 'array of session objects; core drops the string sample pre-render as the wrong type, so no timeline renders',
 			],
 			'post-kinds-indieweb/wish-card'         => [
 				'wishType' => 'wishlist subtype metadata; not surfaced as visible text in the card',
@@ -101,12 +102,15 @@ final class BlockFieldRenderTest extends WP_UnitTestCase {
 				'checkinCount' => 'posts_per_page limit for the checkins query, never echoed',
 			],
 			'post-kinds-indieweb/watch-card'        => [
-				'mediaType'    => 'display-mode string driving the movie/tv/episode layout; the pk-card redesign shows a single Watch kind label and no longer echoes it as a badge modifier class',
-				'captionsUrl'  => 'WebVTT file passed to the card video-embed filter; with no accessible-player filter active in tests the oEmbed fallback runs and the caption file is not echoed',
-				'showTitle'    => 'renders only when mediaType=episode; fixture mediaType sample is not an episode',
-				'episodeTitle' => 'renders only when mediaType=episode as part of the SxE episode string, same gate as showTitle',
-				'tmdbId'       => 'embedded in a canonical themoviedb.org URL via esc_url(), which percent-encodes the space-containing sample',
-				'imdbId'       => 'embedded in a canonical imdb.com URL via esc_url(), which percent-encodes the space-containing sample',
+				'mediaType'          => 'display-mode string driving the movie/tv/episode layout; the pk-card redesign shows a single Watch kind label and no longer echoes it as a badge modifier class',
+				'captionsUrl'        => 'WebVTT file passed to the card video-embed filter; with no accessible-player filter active in tests the oEmbed fallback runs and the caption file is not echoed',
+				'showTitle'          => 'renders only when mediaType=episode; fixture mediaType sample is not an episode',
+				'episodeTitle'       => 'renders only when mediaType=episode as part of the SxE episode string, same gate as showTitle',
+				'tmdbId'             => 'embedded in a canonical themoviedb.org URL via esc_url(), which percent-encodes the space-containing sample',
+				'imdbId'             => 'embedded in a canonical imdb.com URL via esc_url(), which percent-encodes the space-containing sample',
+				'seasonEpisodeCount' => 'renders only when mediaType=episode as the "of N" after the SxE code, same gate as showTitle',
+				'airDate'            => 'renders only when mediaType=episode as the Aired date, same gate as showTitle',
+				'stillImage'         => 'renders only when mediaType=episode in place of the poster, same gate as showTitle',
 			],
 		];
 	}
@@ -71,6 +71,32 @@ final class BookCompletionControllerTest extends WP_UnitTestCase {
 		$this->assertSame( [ 'isbn' => '9781649374042' ], $data, 'response must contain only canonical keys' );
 	}
 
+	public function test_rest_route_adds_series_and_editions(): void {
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'editor' ] ) );
+		add_filter( 'pkiw_book_completion_service', static function () {
+			return new class {
+				public function complete( array $book ): array {
+					return $book;
+				}
+				public function series_and_editions( array $book ): array {
+					return [
+						'series'          => 'The Expanse',
+						'series_position' => '3',
+						'editions'        => [ [ 'isbn' => $book['isbn'], 'format' => 'Paperback' ] ],
+					];
+				}
+			};
+		} );
+
+		$request = new WP_REST_Request( 'POST', '/pkiw/v1/book-complete' );
+		$request->set_body_params( [ 'isbn' => '9780316129084' ] );
+		$data = rest_get_server()->dispatch( $request )->get_data();
+
+		$this->assertSame( 'The Expanse', $data['series'] );
+		$this->assertSame( '3', $data['series_position'] );
+		$this->assertSame( '9780316129084', $data['editions'][0]['isbn'] );
+	}
+
 	public function test_save_fills_blank_meta_only(): void {
 		add_filter( 'pkiw_book_completion_service', static function () {
 			return new class {
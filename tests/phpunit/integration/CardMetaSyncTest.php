@@ -8,7 +8,7 @@
 declare(strict_types=1);
 
 /**
- * Verifies the first kind-card block's attrs mirror into _pkiw_ meta
+ * Verifies the primary kind-card block's attrs mirror into _pkiw_ meta
  * on save, and that empty attrs never clobber existing meta.
  *
  * @group integration
@@ -72,6 +72,39 @@ final class CardMetaSyncTest extends WP_UnitTestCase {
 		$this->assertSame( 'U2', get_post_meta( $post_id, '_pkiw_listen_artist', true ) );
 	}
 
+	public function test_card_of_the_post_kind_syncs_over_an_earlier_card(): void {
+		$content = '<!-- wp:post-kinds-indieweb/read-card {"bookTitle":"Fourth Wing"} /-->'
+			. '<!-- wp:post-kinds-indieweb/listen-card {"trackTitle":"One","artistName":"U2"} /-->';
+		$post_id = self::factory()->post->create( [ 'post_content' => $content ] );
+
+		// No kind yet: the first card is the primary one.
+		$this->assertSame( 'Fourth Wing', get_post_meta( $post_id, '_pkiw_read_title', true ) );
+		$this->assertSame( '', get_post_meta( $post_id, '_pkiw_listen_track', true ) );
+
+		wp_set_object_terms( $post_id, 'listen', 'kind' );
+		wp_update_post( [ 'ID' => $post_id, 'post_content' => $content ] );
+
+		$this->assertSame( 'One', get_post_meta( $post_id, '_pkiw_listen_track', true ) );
+		$this->assertSame( 'U2', get_post_meta( $post_id, '_pkiw_listen_artist', true ) );
+	}
+
+	public function test_kind_picked_in_a_rest_save_is_honoured_in_that_save(): void {
+		$content = '<!-- wp:post-kinds-indieweb/read-card {"bookTitle":"Fourth Wing"} /-->'
+			. '<!-- wp:post-kinds-indieweb/listen-card {"trackTitle":"One","artistName":"U2"} /-->';
+		$post_id = self::factory()->post->create( [ 'post_content' => $content ] );
+		$listen  = get_term_by( 'slug', 'listen', 'kind' );
+		$term_id = $listen ? (int) $listen->term_id : (int) wp_insert_term( 'Listen', 'kind', [ 'slug' => 'listen' ] )['term_id'];
+
+		// The REST posts controller assigns terms after save_post.
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+		$request = new \WP_REST_Request( 'POST', '/wp/v2/posts/' . $post_id );
+		$request->set_body_params( [ 'kind' => [ $term_id ] ] );
+		$response = rest_get_server()->dispatch( $request );
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( 'One', get_post_meta( $post_id, '_pkiw_listen_track', true ) );
+	}
+
 	public function test_manual_meta_not_clobbered_by_empty_attr(): void {
 		$post_id = self::factory()->post->create( [
 			'post_content' => '<!-- wp:post-kinds-indieweb/read-card {"bookTitle":"Fourth Wing"} /-->',
@@ -106,9 +139,9 @@ final class CardMetaSyncTest extends WP_UnitTestCase {
 
 	public function test_asin_re_derived_from_new_isbn_after_change(): void {
 		// Passthrough-plus-derive stub: proves complete_on_save() (which
-		// runs after Card_Meta_Sync at save_post:30) sees the cleared
-		// read_asin as blank and re-fills it from the new ISBN, rather
-		// than the stale ASIN surviving the resave.
+		// runs after Card_Meta_Sync at wp_after_insert_post:30) sees the
+		// cleared read_asin as blank and re-fills it from the new ISBN,
+		// rather than the stale ASIN surviving the resave.
 		add_filter( 'pkiw_book_completion_service', static function () {
 			return new class() {
 				public function complete( array $book ): array {
@@ -84,6 +84,43 @@ final class MicroformatsRenderTest extends WP_UnitTestCase {
 		$this->assertPropertyContainsTarget( $properties[ $canonical_property ], $target_url );
 	}
 
+	/**
+	 * A secondary card parses as a child h-cite; only the primary card
+	 * gives the entry its kind property.
+	 */
+	public function test_secondary_card_parses_as_a_child_of_the_entry(): void {
+		$content = '';
+		foreach ( [ 'watch', 'like' ] as $kind ) {
+			$content .= sprintf(
+				'<!-- wp:post-kinds-indieweb/%s-card %s /-->',
+				$kind,
+				wp_json_encode( $this->card_attributes( $kind, 'https://example.com/targets/' . $kind ) )
+			);
+		}
+
+		$post_id = self::factory()->post->create(
+			[
+				'post_status'  => 'publish',
+				'post_content' => $content,
+			]
+		);
+
+		$this->go_to( get_permalink( $post_id ) );
+		$html = '<div class="h-entry">' . do_blocks( $content ) . '</div>';
+
+		$entry      = $this->top_level_h_entry( \Mf2\parse( $html ) );
+		$properties = $entry['properties'] ?? [];
+
+		$this->assertSame( [ 'watch' ], wp_get_post_terms( $post_id, 'kind', [ 'fields' => 'slugs' ] ) );
+		$this->assertPropertyContainsTarget( $properties['watch-of'] ?? [], 'https://example.com/targets/watch' );
+		$this->assertArrayNotHasKey( 'like-of', $properties );
+
+		$children = $entry['children'] ?? [];
+		$this->assertCount( 1, $children );
+		$this->assertSame( [ 'h-cite' ], $children[0]['type'] );
+		$this->assertPropertyContainsTarget( [ $children[0] ], 'https://example.com/targets/like' );
+	}
+
 	/**
 	 * Attributes each render.php reads to emit its target URL.
 	 *
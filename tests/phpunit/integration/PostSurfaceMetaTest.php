@@ -49,6 +49,48 @@ final class PostSurfaceMetaTest extends WP_UnitTestCase {
 		$this->assertSame( 'main', \PKIW\Post_Surface::get( $id ) );
 	}
 
+	public function test_stream_category_is_stream(): void {
+		add_filter( 'pkiw_stream_categories', static fn() => [ 'notes' ] );
+		$id = self::factory()->post->create();
+		wp_set_object_terms( $id, 'notes', 'category' );
+		$this->assertSame(
+			[
+				'surface' => 'stream',
+				'rule'    => 'category',
+				'match'   => 'notes',
+			],
+			\PKIW\Post_Surface::explain( $id )
+		);
+	}
+
+	public function test_explain_names_the_deciding_rule(): void {
+		add_filter( 'pkiw_stream_kinds', static fn() => [ 'checkin' ] );
+		$id = $this->post_with_kind( 'checkin' );
+		$this->assertSame( 'kind', \PKIW\Post_Surface::explain( $id )['rule'] );
+
+		update_post_meta( $id, 'pkiw_promote', 1 );
+		$this->assertSame( 'promote', \PKIW\Post_Surface::explain( $id )['rule'] );
+
+		add_filter( 'pkiw_post_surface', static fn() => 'stream' );
+		$this->assertSame( 'filter', \PKIW\Post_Surface::explain( $id )['rule'] );
+	}
+
+	public function test_explain_uses_unsaved_state(): void {
+		add_filter( 'pkiw_stream_kinds', static fn() => [ 'checkin' ] );
+		$id = $this->post_with_kind( 'article' );
+
+		$result = \PKIW\Post_Surface::explain(
+			$id,
+			[
+				'kinds'   => [ 'checkin' ],
+				'promote' => false,
+			]
+		);
+
+		$this->assertSame( 'stream', $result['surface'] );
+		$this->assertSame( 'main', \PKIW\Post_Surface::get( $id ) );
+	}
+
 	public function test_save_caches_surface_meta(): void {
 		add_filter( 'pkiw_stream_kinds', static fn() => [ 'checkin' ] );
 		$id = self::factory()->post->create();
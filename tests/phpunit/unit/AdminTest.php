@@ -301,6 +301,41 @@ class AdminTest extends WP_UnitTestCase {
 		$this->assertArrayNotHasKey( 'audio', $result['format_kind_mappings'] );
 	}
 
+	/**
+	 * Test sanitize_general_settings publish check severity.
+	 */
+	public function test_sanitize_general_settings_publish_check_severity(): void {
+		$input = [
+			'publish_check_severity' => [
+				'watch'   => 'block',
+				'read'    => 'warn',
+				'checkin' => 'explode', // Should be filtered.
+				'nonkind' => 'block', // Should be filtered.
+			],
+		];
+
+		$result = $this->admin->sanitize_general_settings( $input );
+
+		$this->assertSame(
+			[
+				'watch' => 'block',
+				'read'  => 'warn',
+			],
+			$result['publish_check_severity']
+		);
+	}
+
+	/**
+	 * Test publish check severity survives saving another tab.
+	 */
+	public function test_sanitize_general_settings_preserves_publish_check_severity(): void {
+		update_option( 'pkiw_settings', [ 'publish_check_severity' => [ 'watch' => 'block' ] ] );
+
+		$result = $this->admin->sanitize_general_settings( [ '_active_tab' => 'listen' ] );
+
+		$this->assertSame( [ 'watch' => 'block' ], $result['publish_check_severity'] );
+	}
+
 	/**
 	 * Test sanitize_general_settings sync start dates.
 	 */
@@ -53,4 +53,46 @@ final class BookCompletionTest extends TestCase {
 		$in  = [ 'isbn' => '9781649374042', 'title' => 'Fourth Wing' ];
 		$this->assertSame( 'Fourth Wing', $svc->complete( $in )['title'], 'API failure must never drop input' );
 	}
+
+	public function test_series_and_editions_from_open_library(): void {
+		$open_library = $this->createStub( \PKIW\APIs\OpenLibrary::class );
+		$open_library->method( 'get_by_isbn' )->willReturn( [ 'key' => '/books/OL1M' ] );
+		$open_library->method( 'get_edition' )->willReturn( [
+			'isbn'            => '9780316129084',
+			'isbn_10'         => '0316129089',
+			'physical_format' => 'Paperback',
+			'publishers'      => [ 'Orbit' ],
+			'number_of_pages' => 605,
+			'series'          => [ 'The Expanse ; 3' ],
+			'work_key'        => '/works/OL1W',
+		] );
+		$open_library->method( 'get_work_editions' )->willReturn( [
+			[ 'isbn' => '9780316129084', 'physical_format' => 'Hardcover' ],
+			[ 'isbn' => '9780316217620', 'physical_format' => 'Ebook' ],
+			[ 'isbn' => '', 'physical_format' => 'Audio CD' ],
+		] );
+		$google    = $this->createStub( \PKIW\APIs\GoogleBooks::class );
+		$hardcover = $this->createStub( \PKIW\APIs\Hardcover::class );
+		$hardcover->method( 'is_configured' )->willReturn( false );
+
+		$svc = new Book_Completion( $open_library, $google, $hardcover );
+		$out = $svc->series_and_editions( [ 'isbn' => '9780316129084' ] );
+
+		$this->assertSame( 'The Expanse', $out['series'] );
+		$this->assertSame( '3', $out['series_position'] );
+		$this->assertSame( [ '9780316129084', '9780316217620' ], array_column( $out['editions'], 'isbn' ), 'one entry per ISBN, looked-up edition first, none without an ISBN' );
+		$this->assertSame( 'Paperback', $out['editions'][0]['format'] );
+		$this->assertSame( 605, $out['editions'][0]['pages'] );
+	}
+
+	public function test_series_and_editions_need_a_valid_isbn(): void {
+		$this->assertSame( [], $this->completion_with_openlibrary( null )->series_and_editions( [ 'title' => 'Abaddon\'s Gate' ] ) );
+	}
+
+	public function test_parse_series(): void {
+		$this->assertSame( [ 'name' => 'The Expanse', 'position' => '3' ], Book_Completion::parse_series( 'The Expanse, book 3' ) );
+		$this->assertSame( [ 'name' => 'Discworld', 'position' => '2.5' ], Book_Completion::parse_series( 'Discworld (2.5)' ) );
+		$this->assertSame( [ 'name' => 'The Expanse', 'position' => '3' ], Book_Completion::parse_series( 'The Expanse #3' ) );
+		$this->assertSame( [ 'name' => 'Catch-22', 'position' => '' ], Book_Completion::parse_series( 'Catch-22' ) );
+	}
 }
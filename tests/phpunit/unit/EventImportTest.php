@@ -0,0 +1,202 @@
+<?php
+/**
+ * Tests for the Event_Import reader.
+ *
+ * Pages and calendar files are read in fixture mode from
+ * tests/phpunit/fixtures/reply-context, which Event_Import shares with
+ * Reply_Context. Short calendars are written inline.
+ *
+ * @package PKIW
+ * @group   event-import
+ */
+
+namespace PKIW\Tests\Unit;
+
+use PKIW\Event_Import;
+use PKIW\Tests\ApiTestCase;
+
+/**
+ * Event_Import tests.
+ */
+class EventImportTest extends ApiTestCase {
+
+	/**
+	 * Fixture directory.
+	 *
+	 * @var string
+	 */
+	private string $fixtures;
+
+	/**
+	 * Point fixture mode at the test fixtures.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->fixtures = dirname( __DIR__ ) . '/fixtures/reply-context';
+		add_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+	}
+
+	/**
+	 * Filter callback returning the fixture directory.
+	 *
+	 * @return string Directory.
+	 */
+	public function fixture_dir(): string {
+		return $this->fixtures;
+	}
+
+	/**
+	 * Wrap VEVENT lines in a calendar.
+	 *
+	 * @param array<string> $lines Content lines, VTIMEZONE and VEVENT included.
+	 * @return string iCalendar text.
+	 */
+	private function calendar( array $lines ): string {
+		return implode( "\r\n", array_merge( [ 'BEGIN:VCALENDAR', 'VERSION:2.0' ], $lines, [ 'END:VCALENDAR' ] ) ) . "\r\n";
+	}
+
+	public function test_reads_the_h_event_with_its_offset() {
+		$event = Event_Import::fetch( 'https://events.example.test/hwc-portland' );
+
+		$this->assertTrue( $event['found'] );
+		$this->assertSame( 'mf2', $event['source'] );
+		$this->assertSame( 'Homebrew Website Club Portland', $event['values']['name'] );
+		$this->assertSame( '2026-11-04T18:00:00-08:00', $event['values']['start'] );
+		$this->assertSame( '2026-11-04T20:00:00-08:00', $event['values']['end'] );
+		$this->assertSame( 'Central Library', $event['values']['location'] );
+		$this->assertSame( 'Bring a laptop and work on your own website.', $event['values']['description'] );
+		$this->assertSame( 'https://events.example.test/hwc.jpg', $event['values']['image'] );
+		$this->assertSame( 'https://events.example.test/hwc-portland', $event['values']['url'] );
+	}
+
+	public function test_reads_a_json_ld_event_in_a_graph() {
+		$event = Event_Import::fetch( 'https://events.example.test/iwc-berlin' );
+
+		$this->assertSame( 'json-ld', $event['source'] );
+		$this->assertSame( 'IndieWebCamp Berlin', $event['values']['name'] );
+		$this->assertSame( '2026-11-14T10:00:00+01:00', $event['values']['start'] );
+		$this->assertSame( '2026-11-15T17:00:00+01:00', $event['values']['end'] );
+		$this->assertSame( 'Kulturbrauerei, Schönhauser Allee 36, Berlin, DE', $event['values']['location'] );
+		$this->assertSame( 'Two days of IndieWeb sessions.', $event['values']['description'] );
+		$this->assertSame( 'https://events.example.test/iwc.jpg', $event['values']['image'] );
+	}
+
+	public function test_follows_the_calendar_link_of_a_page() {
+		$event = Event_Import::fetch( 'https://events.example.test/meetup' );
+
+		$this->assertSame( 'ics', $event['source'] );
+		$this->assertSame( 'Web Meetup, November', $event['values']['name'] );
+		$this->assertSame( '2026-11-05T19:00:00+01:00', $event['values']['start'] );
+		$this->assertSame( '2026-11-05T22:00:00+01:00', $event['values']['end'] );
+		$this->assertSame( 'Betahaus, Rudi-Dutschke-Straße 23, Berlin', $event['values']['location'] );
+		$this->assertSame( 'Talks about personal websites. Doors open at 18:30; first talk at 19:00.', $event['values']['description'] );
+		$this->assertSame( 'https://events.example.test/meetup.png', $event['values']['image'] );
+		$this->assertSame( 'https://events.example.test/meetup', $event['values']['url'] );
+	}
+
+	public function test_reads_an_ics_url_directly() {
+		$event = Event_Import::fetch( 'https://events.example.test/meetup.ics' );
+
+		$this->assertSame( 'ics', $event['source'] );
+		$this->assertSame( 'Web Meetup, November', $event['values']['name'] );
+	}
+
+	public function test_tzid_uses_the_offset_on_the_event_date() {
+		$event = Event_Import::from_ics(
+			$this->calendar(
+				[
+					'BEGIN:VEVENT',
+					'SUMMARY:Fireworks',
+					'DTSTART;TZID="America/New_York":20260704T210000',
+					'DURATION:PT1H30M',
+					'END:VEVENT',
+				]
+			)
+		);
+
+		$this->assertSame( '2026-07-04T21:00:00-04:00', $event['values']['start'] );
+		$this->assertSame( '2026-07-04T22:30:00-04:00', $event['values']['end'] );
+	}
+
+	public function test_resolves_a_custom_tzid_through_its_vtimezone() {
+		$event = Event_Import::from_ics(
+			$this->calendar(
+				[
+					'BEGIN:VTIMEZONE',
+					'TZID:/example.org/20260101_1/Tokyo',
+					'X-LIC-LOCATION:Asia/Tokyo',
+					'END:VTIMEZONE',
+					'BEGIN:VEVENT',
+					'SUMMARY:Hanami',
+					'DTSTART;TZID=/example.org/20260101_1/Tokyo:20270403T120000',
+					'END:VEVENT',
+				]
+			)
+		);
+
+		$this->assertSame( '2027-04-03T12:00:00+09:00', $event['values']['start'] );
+	}
+
+	public function test_utc_floating_and_all_day_times() {
+		$utc = Event_Import::from_ics( $this->calendar( [ 'BEGIN:VEVENT', 'SUMMARY:Call', 'DTSTART:20261201T150000Z', 'END:VEVENT' ] ) );
+		$this->assertSame( '2026-12-01T15:00:00+00:00', $utc['values']['start'] );
+
+		$floating = Event_Import::from_ics( $this->calendar( [ 'BEGIN:VEVENT', 'SUMMARY:Dinner', 'DTSTART:20261201T190000', 'END:VEVENT' ] ) );
+		$this->assertSame( '2026-12-01T19:00:00', $floating['values']['start'] );
+
+		$one_day = Event_Import::from_ics(
+			$this->calendar( [ 'BEGIN:VEVENT', 'SUMMARY:Fair', 'DTSTART;VALUE=DATE:20261212', 'DTEND;VALUE=DATE:20261213', 'END:VEVENT' ] )
+		);
+		$this->assertSame( '2026-12-12', $one_day['values']['start'] );
+		$this->assertArrayNotHasKey( 'end', $one_day['values'] );
+
+		$weekend = Event_Import::from_ics(
+			$this->calendar( [ 'BEGIN:VEVENT', 'SUMMARY:Fair', 'DTSTART;VALUE=DATE:20261212', 'DTEND;VALUE=DATE:20261214', 'END:VEVENT' ] )
+		);
+		$this->assertSame( '2026-12-13', $weekend['values']['end'] );
+	}
+
+	public function test_text_without_an_event_is_not_found() {
+		$this->assertFalse( Event_Import::from_ics( 'Not a calendar' )['found'] );
+		$this->assertFalse( Event_Import::from_ics( $this->calendar( [] ) )['found'] );
+		$this->assertFalse( Event_Import::fetch( 'https://notes.example.test/a-reply' )['found'] );
+	}
+
+	public function test_normalize_datetime_keeps_the_published_offset() {
+		$this->assertSame( '2026-11-05T19:00:00-05:00', Event_Import::normalize_datetime( '2026-11-05T19:00-0500' ) );
+		$this->assertSame( '2026-11-05T19:00:00+00:00', Event_Import::normalize_datetime( '2026-11-05T19:00:00Z' ) );
+		$this->assertSame( '2026-11-05T19:00:00', Event_Import::normalize_datetime( '2026-11-05 19:00' ) );
+		$this->assertSame( '2026-11-05', Event_Import::normalize_datetime( '2026-11-05' ) );
+		$this->assertSame( '', Event_Import::normalize_datetime( '31/31/2026' ) );
+	}
+
+	public function test_live_mode_fetches_the_page() {
+		remove_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+
+		$this->mock_http_raw_response(
+			'live.example.test/event',
+			(string) file_get_contents( $this->fixtures . '/events-example-test-hwc-portland.html' ),
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+
+		$event = Event_Import::fetch( 'https://live.example.test/event' );
+
+		$this->assert_api_request_made( 'live.example.test/event' );
+		$this->assertSame( 'mf2', $event['source'] );
+		$this->assertSame( '2026-11-04T18:00:00-08:00', $event['values']['start'] );
+	}
+
+	public function test_a_failed_fetch_is_cached_for_minutes_only() {
+		remove_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+
+		$this->mock_http_error( 'down.example.test/event' );
+
+		$this->assertFalse( Event_Import::fetch( 'https://down.example.test/event' )['found'] );
+
+		$expires = (int) get_option( '_transient_timeout_pkiw_ev_' . md5( 'https://down.example.test/event' ) );
+		$this->assertGreaterThan( time(), $expires );
+		$this->assertLessThanOrEqual( time() + 5 * MINUTE_IN_SECONDS, $expires );
+	}
+}
@@ -103,6 +103,7 @@ class HardcoverApiTest extends ApiTestCase {
 		$this->assertSame( 8500, $result['reviews_count'] );
 		$this->assertSame( 200, $result['series']['id'] );
 		$this->assertSame( 'Dune Saga', $result['series']['name'] );
+		$this->assertSame( '1', $result['series']['position'] );
 	}
 
 	/**
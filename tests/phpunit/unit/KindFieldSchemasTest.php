@@ -0,0 +1,131 @@
+<?php
+/**
+ * Test the Kind Field Schemas class.
+ *
+ * @package PKIW
+ */
+
+namespace PKIW\Tests\Unit;
+
+use WP_UnitTestCase;
+use PKIW\Kind_Field_Schemas;
+use PKIW\Meta_Fields;
+
+/**
+ * Test the Kind_Field_Schemas class functionality.
+ */
+class KindFieldSchemasTest extends WP_UnitTestCase {
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	public function tear_down(): void {
+		remove_all_filters( 'pkiw_kind_field_schemas' );
+		remove_all_filters( 'pkiw_meta_fields' );
+		parent::tear_down();
+	}
+
+	/**
+	 * Build the schemas against freshly defined meta fields.
+	 *
+	 * @return array<string, array<string, mixed>>
+	 */
+	private function get_schemas(): array {
+		return ( new Kind_Field_Schemas( new Meta_Fields() ) )->get_schemas();
+	}
+
+	/**
+	 * Test that fields carry the type and default of their registered meta.
+	 */
+	public function test_fields_take_type_from_meta() {
+		$fields = array_column( $this->get_schemas()['review']['fields'], null, 'key' );
+
+		$this->assertSame( 'number', $fields['review_rating']['type'] );
+		$this->assertSame( 'rating', $fields['review_rating']['control'] );
+		$this->assertSame( 5, $fields['review_best']['default'] );
+		$this->assertSame( 'string', $fields['review_item_url']['type'] );
+	}
+
+	/**
+	 * Test that kinds with a bespoke panel have no schema.
+	 */
+	public function test_bespoke_kinds_have_no_schema() {
+		$schemas = $this->get_schemas();
+
+		$this->assertArrayHasKey( 'jam', $schemas );
+		$this->assertArrayNotHasKey( 'listen', $schemas );
+		$this->assertArrayNotHasKey( 'bookmark', $schemas );
+	}
+
+	/**
+	 * Test that the jam track field is bound to the music lookup.
+	 */
+	public function test_lookup_binding() {
+		$track = $this->get_schemas()['jam']['fields'][0];
+
+		$this->assertSame( 'jam_track', $track['key'] );
+		$this->assertSame( 'music', $track['lookup']['type'] );
+		$this->assertSame( 'artist', $track['lookup']['map']['jam_artist'] );
+	}
+
+	/**
+	 * Test that a third-party kind can be added through the filters.
+	 */
+	public function test_third_party_kind() {
+		add_filter(
+			'pkiw_meta_fields',
+			static function ( $fields ) {
+				$fields['sleep_hours'] = [
+					'type'     => 'number',
+					'sanitize' => 'floatval',
+					'default'  => 0,
+				];
+				return $fields;
+			}
+		);
+		add_filter(
+			'pkiw_kind_field_schemas',
+			static function ( $schemas ) {
+				$schemas['sleep'] = [
+					'fields' => [
+						[
+							'key'     => 'sleep_hours',
+							'control' => 'number',
+							'label'   => 'Hours',
+						],
+						[
+							'key'   => 'sleep_unregistered',
+							'label' => 'Dropped',
+						],
+					],
+				];
+				return $schemas;
+			}
+		);
+
+		$sleep = $this->get_schemas()['sleep'];
+
+		$this->assertCount( 1, $sleep['fields'] );
+		$this->assertSame( 'number', $sleep['fields'][0]['type'] );
+	}
+
+	/**
+	 * Test that fields with an unknown control are dropped.
+	 */
+	public function test_unknown_control_is_dropped() {
+		add_filter(
+			'pkiw_kind_field_schemas',
+			static function ( $schemas ) {
+				$schemas['mood']['fields'][] = [
+					'key'     => 'mood_label',
+					'control' => 'colour-wheel',
+				];
+				return $schemas;
+			}
+		);
+
+		$controls = array_column( $this->get_schemas()['mood']['fields'], 'control' );
+
+		$this->assertNotContains( 'colour-wheel', $controls );
+	}
+}
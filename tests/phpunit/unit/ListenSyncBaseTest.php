@@ -8,6 +8,7 @@
 namespace PKIW\Tests\Unit;
 
 use PKIW\Sync\Listen_Sync_Base;
+use PKIW\Sync\Syndication_Status;
 use WP_UnitTestCase;
 
 /**
@@ -337,6 +338,79 @@ class ListenSyncBaseTest extends WP_UnitTestCase {
 			'scr-42',
 			get_post_meta( $post_id, '_pkiw_listen_testmusic_id', true )
 		);
+		$this->assertSame(
+			[
+				'status' => 'syndicated',
+				'url'    => 'https://testmusic.com/42',
+			],
+			array_intersect_key(
+				Syndication_Status::get( $post_id, 'testmusic' ),
+				[ 'status' => true, 'url' => true ]
+			)
+		);
+	}
+
+	/**
+	 * Test syndicate_post records why a listen could not be sent.
+	 */
+	public function test_syndicate_post_records_failure(): void {
+		$post_id = $this->create_listen_post();
+
+		update_option( 'pkiw_settings', [
+			'listen_sync_to_testmusic' => true,
+		] );
+
+		$entry = $this->sync->syndicate_post( $post_id );
+
+		$this->assertEmpty( $this->sync->syndicate_calls );
+		$this->assertSame( 'failed', $entry['status'] );
+		$this->assertNotEmpty( $entry['error'] );
+	}
+
+	/**
+	 * Test syndicate_post does not send a listen twice.
+	 */
+	public function test_syndicate_post_skips_syndicated(): void {
+		$post_id = $this->create_listen_post();
+		update_post_meta( $post_id, '_pkiw_listen_testmusic_id', 'scr-1' );
+
+		$this->sync->syndicate_post( $post_id );
+
+		$this->assertEmpty( $this->sync->syndicate_calls );
+	}
+
+	/**
+	 * Test syndicate_post does not send a listen when syndication is off.
+	 */
+	public function test_syndicate_post_skips_disabled(): void {
+		$post_id = $this->create_listen_post();
+		update_post_meta( $post_id, '_pkiw_listen_track', 'Test Song' );
+		update_post_meta( $post_id, '_pkiw_listen_artist', 'Test Artist' );
+
+		$entry = $this->sync->syndicate_post( $post_id );
+
+		$this->assertFalse( $this->sync->can_syndicate( $post_id ) );
+		$this->assertEmpty( $this->sync->syndicate_calls );
+		$this->assertSame( 'not_attempted', $entry['status'] );
+	}
+
+	/**
+	 * Test syndicate_post does not send a listen back to where it came from.
+	 */
+	public function test_syndicate_post_skips_imported(): void {
+		$post_id = $this->create_listen_post();
+
+		update_option( 'pkiw_settings', [
+			'listen_sync_to_testmusic' => true,
+		] );
+		update_post_meta( $post_id, '_pkiw_listen_track', 'Test Song' );
+		update_post_meta( $post_id, '_pkiw_listen_artist', 'Test Artist' );
+		update_post_meta( $post_id, '_pkiw_imported_from', 'testmusic' );
+
+		$this->sync->syndicate_post( $post_id );
+
+		$this->assertFalse( $this->sync->can_syndicate( $post_id ) );
+		$this->assertEmpty( $this->sync->syndicate_calls );
 	}
 
 	/**
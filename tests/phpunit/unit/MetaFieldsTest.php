@@ -188,6 +188,29 @@ class MetaFieldsTest extends WP_UnitTestCase {
 		$this->assertEquals( 'to-read', $result );
 	}
 
+	/**
+	 * Test sanitize_read_sessions drops undated sessions and sorts the rest.
+	 */
+	public function test_sanitize_read_sessions() {
+		$result = $this->meta_fields->sanitize_read_sessions(
+			[
+				[ 'date' => '2026-10-03', 'page' => '120', 'note' => '<b>Part two</b>' ],
+				[ 'date' => '2026-10-01', 'page' => 40 ],
+				[ 'date' => 'yesterday', 'page' => 80 ],
+				'not a session',
+			]
+		);
+
+		$this->assertSame(
+			[
+				[ 'date' => '2026-10-01', 'page' => 40, 'note' => '' ],
+				[ 'date' => '2026-10-03', 'page' => 120, 'note' => 'Part two' ],
+			],
+			$result
+		);
+		$this->assertSame( [], $this->meta_fields->sanitize_read_sessions( 'garbage' ) );
+	}
+
 	/**
 	 * Test sanitize_play_status with valid values.
 	 *
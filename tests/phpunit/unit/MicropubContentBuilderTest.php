@@ -1414,7 +1414,7 @@ class MicropubContentBuilderTest extends WP_UnitTestCase {
 					'rating'     => 4,
 					'review'     => 'Sample review',
 				),
-				array( 'mediaType', 'showTitle', 'seasonNumber', 'episodeNumber', 'episodeTitle', 'releaseYear', 'posterImage', 'posterImageAlt', 'tmdbId', 'imdbId', 'isRewatch', 'watchedAt', 'captionsUrl' ),
+				array( 'mediaType', 'showTitle', 'seasonNumber', 'episodeNumber', 'episodeTitle', 'releaseYear', 'posterImage', 'posterImageAlt', 'tmdbId', 'imdbId', 'isRewatch', 'watchedAt', 'captionsUrl', 'seasonEpisodeCount', 'airDate', 'stillImage', 'showHistory' ),
 			),
 			'read'    => array(
 				array(
@@ -1434,7 +1434,7 @@ class MicropubContentBuilderTest extends WP_UnitTestCase {
 					'rating'     => 4,
 					'review'     => 'Sample review',
 				),
-				array( 'isbn', 'publisher', 'publishDate', 'pageCount', 'currentPage', 'coverImage', 'coverImageAlt', 'openlibraryId', 'startedAt', 'finishedAt' ),
+				array( 'isbn', 'seriesName', 'seriesPosition', 'publisher', 'publishDate', 'pageCount', 'currentPage', 'readingSessions', 'coverImage', 'coverImageAlt', 'openlibraryId', 'startedAt', 'finishedAt' ),
 			),
 			'play'    => array(
 				array(
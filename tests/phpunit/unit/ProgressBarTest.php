@@ -0,0 +1,46 @@
+<?php
+/**
+ * Coverage for the server-side progress bar.
+ *
+ * @package PKIW
+ */
+
+declare(strict_types=1);
+
+namespace PKIW\Tests\Unit;
+
+use WP_UnitTestCase;
+use function PKIW\get_progress_bar_html;
+
+/**
+ * get_progress_bar_html() prints the editor's ProgressBar markup, so the
+ * read card's timeline looks the same saved as it did in the editor.
+ *
+ * @covers \PKIW\get_progress_bar_html
+ */
+final class ProgressBarTest extends WP_UnitTestCase {
+
+	/**
+	 * The bar carries its label, fill and percentage.
+	 */
+	public function test_prints_label_fill_and_percent(): void {
+		$html = get_progress_bar_html( 40, 'Page 120' );
+
+		$this->assertStringContainsString( 'class="post-kinds-progress-bar" role="progressbar" aria-valuenow="40"', $html );
+		$this->assertStringContainsString( '<span class="progress-label">Page 120</span>', $html );
+		$this->assertStringContainsString( 'style="width: 40%"', $html );
+		$this->assertStringContainsString( '<span class="progress-percent">40%</span>', $html );
+	}
+
+	/**
+	 * Out-of-range values are clamped, and the label and percentage are
+	 * optional.
+	 */
+	public function test_clamps_and_omits_optional_parts(): void {
+		$html = get_progress_bar_html( 140, '', false );
+
+		$this->assertStringContainsString( 'aria-valuenow="100"', $html );
+		$this->assertStringNotContainsString( 'progress-label', $html );
+		$this->assertStringNotContainsString( 'progress-percent', $html );
+	}
+}
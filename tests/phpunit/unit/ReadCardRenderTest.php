@@ -0,0 +1,62 @@
+<?php
+/**
+ * Coverage for the read-card block render.
+ *
+ * @package PKIW
+ */
+
+declare(strict_types=1);
+
+namespace PKIW\Tests\Unit;
+
+use WP_UnitTestCase;
+
+/**
+ * The read card's reading sessions render as a timeline of progress bars,
+ * each labelled with the session's date and the page reached.
+ */
+final class ReadCardRenderTest extends WP_UnitTestCase {
+
+	/**
+	 * Render the read-card block with the given sessions.
+	 *
+	 * @param array<int, array<string, mixed>> $sessions Reading sessions.
+	 * @return string Rendered HTML.
+	 */
+	private function render_sessions( array $sessions ): string {
+		return render_block(
+			[
+				'blockName'    => 'post-kinds-indieweb/read-card',
+				'attrs'        => [
+					'bookTitle'       => 'Fourth Wing',
+					'pageCount'       => 500,
+					'readingSessions' => $sessions,
+				],
+				'innerBlocks'  => [],
+				'innerHTML'    => '',
+				'innerContent' => [],
+			]
+		);
+	}
+
+	/**
+	 * A dated session is labelled with its date.
+	 */
+	public function test_session_label_has_its_date(): void {
+		$html = $this->render_sessions( [ [ 'date' => '2026-03-01', 'page' => 120 ] ] );
+
+		$this->assertStringContainsString( '<time datetime="2026-03-01">', $html );
+		$this->assertStringContainsString( ': page 120', $html );
+		$this->assertStringContainsString( '<span class="progress-percent">24%</span>', $html );
+	}
+
+	/**
+	 * A session date that doesn't parse leaves the date out of the label.
+	 */
+	public function test_session_without_a_date_is_labelled_by_page(): void {
+		$html = $this->render_sessions( [ [ 'date' => 'someday', 'page' => 120 ] ] );
+
+		$this->assertStringContainsString( '<span class="progress-label">Page 120</span>', $html );
+		$this->assertStringNotContainsString( ': page', $html );
+	}
+}
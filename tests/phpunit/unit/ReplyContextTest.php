@@ -0,0 +1,124 @@
+<?php
+/**
+ * Tests for the Reply_Context fetcher.
+ *
+ * Most cases run in fixture mode against tests/phpunit/fixtures/reply-context,
+ * the same mode a demo site uses. One case mocks HTTP to check the live path
+ * reads the same page the same way.
+ *
+ * @package PKIW
+ * @group   reply-context
+ */
+
+namespace PKIW\Tests\Unit;
+
+use PKIW\Reply_Context;
+use PKIW\Tests\ApiTestCase;
+
+/**
+ * Reply_Context tests.
+ */
+class ReplyContextTest extends ApiTestCase {
+
+	/**
+	 * Fixture directory.
+	 *
+	 * @var string
+	 */
+	private string $fixtures;
+
+	/**
+	 * Point fixture mode at the test fixtures.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->fixtures = dirname( __DIR__ ) . '/fixtures/reply-context';
+		add_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+	}
+
+	/**
+	 * Filter callback returning the fixture directory.
+	 *
+	 * @return string Directory.
+	 */
+	public function fixture_dir(): string {
+		return $this->fixtures;
+	}
+
+	public function test_fixture_file_is_named_after_the_url() {
+		$this->assertSame(
+			'notes-example-test-a-reply.html',
+			Reply_Context::fixture_file( 'https://notes.example.test/a-reply/', 'html' )
+		);
+	}
+
+	public function test_reads_the_h_entry_before_opengraph() {
+		$context = Reply_Context::fetch( 'https://notes.example.test/a-reply' );
+
+		$this->assertTrue( $context['found'] );
+		$this->assertSame( 'A reply', $context['values']['title'] );
+		$this->assertSame( 'Ana Lima', $context['values']['author'] );
+		$this->assertSame( '2026-09-30T08:15:00+02:00', $context['values']['published'] );
+		$this->assertStringStartsWith( 'Thanks for writing this up.', $context['values']['description'] );
+		$this->assertSame( 'mf2', $context['sources']['title'] );
+		$this->assertSame( 'mf2', $context['sources']['author'] );
+	}
+
+	public function test_skips_properties_of_nested_items() {
+		$context = Reply_Context::fetch( 'https://notes.example.test/a-reply' );
+
+		// The author's avatar is the h-card's u-photo, not the entry's.
+		$this->assertSame( 'https://notes.example.test/og.jpg', $context['values']['image'] );
+		$this->assertSame( 'opengraph', $context['sources']['image'] );
+	}
+
+	public function test_falls_back_to_opengraph_then_oembed() {
+		$context = Reply_Context::fetch( 'https://video.example.test/watch/42' );
+
+		$this->assertSame( 'Episode 42', $context['values']['title'] );
+		$this->assertSame( 'opengraph', $context['sources']['title'] );
+		$this->assertSame( '2026-08-01T12:00:00Z', $context['values']['published'] );
+		$this->assertSame( 'Example Channel', $context['values']['author'] );
+		$this->assertSame( 'oembed', $context['sources']['author'] );
+		$this->assertSame( 'https://video.example.test/42.jpg', $context['values']['image'] );
+		$this->assertSame( 'oembed', $context['sources']['image'] );
+	}
+
+	public function test_fixture_mode_makes_no_requests() {
+		$context = Reply_Context::fetch( 'https://missing.example.test/nothing' );
+
+		$this->assertFalse( $context['found'] );
+		$this->assertSame( [], $context['values'] );
+		$this->assertSame( [], $this->get_recorded_request_urls() );
+	}
+
+	public function test_live_mode_fetches_the_page() {
+		remove_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+
+		$this->mock_http_raw_response(
+			'live.example.test/post',
+			(string) file_get_contents( $this->fixtures . '/notes-example-test-a-reply.html' ),
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+
+		$context = Reply_Context::fetch( 'https://live.example.test/post' );
+
+		$this->assert_api_request_made( 'live.example.test/post' );
+		$this->assertSame( 'A reply', $context['values']['title'] );
+		$this->assertSame( 'mf2', $context['sources']['title'] );
+	}
+
+	public function test_a_failed_fetch_is_cached_for_minutes_only() {
+		remove_filter( 'pkiw_reply_context_fixture_dir', [ $this, 'fixture_dir' ] );
+
+		$this->mock_http_error( 'down.example.test/post' );
+
+		$this->assertFalse( Reply_Context::fetch( 'https://down.example.test/post' )['found'] );
+
+		$expires = (int) get_option( '_transient_timeout_pkiw_rc_' . md5( 'https://down.example.test/post' ) );
+		$this->assertGreaterThan( time(), $expires );
+		$this->assertLessThanOrEqual( time() + 5 * MINUTE_IN_SECONDS, $expires );
+	}
+}
@@ -104,6 +104,183 @@ class RestApiTest extends WP_UnitTestCase {
 		$this->assertArrayHasKey( $namespace . '/lookup/game', $routes );
 	}
 
+	/**
+	 * Test that the reply context route reports the source of each value.
+	 */
+	public function test_reply_context_reports_sources() {
+		$fixtures = dirname( __DIR__ ) . '/fixtures/reply-context';
+		add_filter( 'pkiw_reply_context_fixture_dir', static fn() => $fixtures );
+
+		$request = new WP_REST_Request( 'GET', '/' . REST_API::NAMESPACE . '/resolve/context' );
+		$request->set_param( 'url', 'https://video.example.test/watch/42' );
+
+		wp_set_current_user( $this->subscriber_id );
+		$this->assertContains( $this->server->dispatch( $request )->get_status(), [ 401, 403 ] );
+
+		wp_set_current_user( $this->admin_id );
+		$response = $this->server->dispatch( $request );
+		$data     = $response->get_data();
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertTrue( $data['found'] );
+		$this->assertSame( 'opengraph', $data['sources']->title );
+		$this->assertSame( 'oembed', $data['sources']->author );
+	}
+
+	/**
+	 * Test that the event route reads uploaded iCalendar text.
+	 */
+	public function test_event_import_reads_ics_text() {
+		$path = '/' . REST_API::NAMESPACE . '/resolve/event';
+		$ics  = (string) file_get_contents( dirname( __DIR__ ) . '/fixtures/reply-context/events-example-test-meetup-ics.ics' );
+
+		wp_set_current_user( $this->admin_id );
+
+		$request = new WP_REST_Request( 'POST', $path );
+		$request->set_param( 'ics', $ics );
+		$data = $this->server->dispatch( $request )->get_data();
+
+		$this->assertTrue( $data['found'] );
+		$this->assertSame( 'ics', $data['source'] );
+		$this->assertSame( '2026-11-05T19:00:00+01:00', $data['values']->start );
+
+		$request = new WP_REST_Request( 'POST', $path );
+		$request->set_param( 'ics', 'Not a calendar' );
+		$this->assertSame( 'pkiw_invalid_calendar', $this->server->dispatch( $request )->get_data()['code'] );
+
+		$this->assertSame(
+			'pkiw_invalid_url',
+			$this->server->dispatch( new WP_REST_Request( 'POST', $path ) )->get_data()['code']
+		);
+	}
+
+	public function test_webmention_resend_needs_a_published_post_linking_the_target() {
+		wp_set_current_user( $this->admin_id );
+
+		$post_id = self::factory()->post->create(
+			[
+				'post_status'  => 'draft',
+				'post_content' => '<a href="https://a.example.test/post">A post</a>',
+			]
+		);
+
+		$request = new WP_REST_Request( 'POST', '/' . REST_API::NAMESPACE . '/webmention/' . $post_id . '/resend' );
+		$request->set_param( 'target', 'https://a.example.test/post' );
+		$this->assertSame( 'pkiw_not_published', $this->server->dispatch( $request )->get_data()['code'] );
+
+		wp_publish_post( $post_id );
+		$request->set_param( 'target', 'https://elsewhere.example.test/' );
+		$this->assertSame( 'pkiw_invalid_target', $this->server->dispatch( $request )->get_data()['code'] );
+	}
+
+	public function test_kind_templates_belong_to_the_user_who_saved_them() {
+		if ( ! term_exists( 'drink', 'kind' ) ) {
+			wp_insert_term( 'Drink', 'kind', [ 'slug' => 'drink' ] );
+		}
+
+		$path = '/' . REST_API::NAMESPACE . '/kind-templates';
+
+		wp_set_current_user( $this->admin_id );
+		$save = new WP_REST_Request( 'POST', $path );
+		$save->set_body_params(
+			[
+				'kind'       => 'drink',
+				'name'       => 'Local pub',
+				'attributes' => [
+					'locationName' => 'The Crown',
+					'layout'       => 'compact',
+					'drankAt'      => '',
+				],
+				'meta'       => [
+					'drink_location_name' => 'The Crown',
+					'not_a_kind_field'    => 'dropped',
+				],
+			]
+		);
+		$template = $this->server->dispatch( $save )->get_data();
+
+		$this->assertSame( [ 'locationName' => 'The Crown', 'layout' => 'compact' ], $template['attributes'] );
+		$this->assertSame( [ 'drink_location_name' => 'The Crown' ], $template['meta'] );
+
+		// Saving the same name again replaces the template.
+		$this->assertSame( $template['id'], $this->server->dispatch( $save )->get_data()['id'] );
+
+		$list = new WP_REST_Request( 'GET', $path );
+		$list->set_param( 'kind', 'drink' );
+		$this->assertCount( 1, $this->server->dispatch( $list )->get_data()['templates'] );
+
+		wp_set_current_user( $this->factory->user->create( [ 'role' => 'author' ] ) );
+		$this->assertSame( [], $this->server->dispatch( $list )->get_data()['templates'] );
+
+		$delete = new WP_REST_Request( 'DELETE', $path . '/' . $template['id'] );
+		$this->assertSame( 404, $this->server->dispatch( $delete )->get_status() );
+
+		wp_set_current_user( $this->admin_id );
+		$this->assertTrue( $this->server->dispatch( $delete )->get_data()['deleted'] );
+		$this->assertSame( [], $this->server->dispatch( $list )->get_data()['templates'] );
+	}
+
+	public function test_history_lists_the_users_own_earlier_posts_of_a_title() {
+		$watch = function ( int $author, int $episode, array $meta = [ '_pkiw_watch_tmdb_id' => '1396' ] ) {
+			return $this->factory->post->create(
+				[
+					'post_author' => $author,
+					'post_status' => 'publish',
+					'post_date'   => sprintf( '2026-09-%02d 20:00:00', $episode ),
+					'meta_input'  => $meta + [
+						'_pkiw_watch_season'  => 2,
+						'_pkiw_watch_episode' => $episode,
+					],
+				]
+			);
+		};
+
+		$second  = $watch( $this->admin_id, 2, [ '_pkiw_watch_imdb_id' => 'tt0903747' ] );
+		$first   = $watch( $this->admin_id, 1 );
+		$editing = $watch( $this->admin_id, 3 );
+		$watch( $this->admin_id, 4, [ '_pkiw_watch_tmdb_id' => '1399' ] );
+		$watch( $this->factory->user->create( [ 'role' => 'author' ] ), 5 );
+		// Later than the post being edited, so not earlier.
+		$watch( $this->admin_id, 6 );
+
+		wp_set_current_user( $this->admin_id );
+		$request = new WP_REST_Request( 'GET', '/' . REST_API::NAMESPACE . '/history' );
+		$request->set_param( 'kind', 'watch' );
+		$request->set_param( 'tmdb_id', '1396' );
+		$request->set_param( 'imdb_id', 'tt0903747' );
+		$request->set_param( 'post_id', $editing );
+		$entries = $this->server->dispatch( $request )->get_data()['entries'];
+
+		$this->assertSame( [ $first, $second ], wp_list_pluck( $entries, 'post_id' ) );
+		$this->assertSame( 2, $entries[1]['season'] );
+		$this->assertSame( 2, $entries[1]['episode'] );
+
+		wp_set_current_user( $this->subscriber_id );
+		$this->assertSame( 403, $this->server->dispatch( $request )->get_status() );
+	}
+
+	public function test_history_matches_a_book_by_either_isbn_form() {
+		$read = $this->factory->post->create(
+			[
+				'post_author' => $this->admin_id,
+				'post_status' => 'publish',
+				'meta_input'  => [ '_pkiw_read_isbn' => '0441172717' ],
+			]
+		);
+
+		wp_set_current_user( $this->admin_id );
+		$request = new WP_REST_Request( 'GET', '/' . REST_API::NAMESPACE . '/history' );
+		$request->set_param( 'kind', 'read' );
+		$request->set_param( 'isbn', '9780441172719' );
+		$entries = $this->server->dispatch( $request )->get_data()['entries'];
+
+		$this->assertSame( [ $read ], wp_list_pluck( $entries, 'post_id' ) );
+		$this->assertArrayNotHasKey( 'season', $entries[0] );
+
+		// An ID of another kind is ignored.
+		$request->set_param( 'kind', 'play' );
+		$this->assertSame( [], $this->server->dispatch( $request )->get_data()['entries'] );
+	}
 	/**
 	 * Test that location routes are registered.
 	 *
@@ -393,4 +570,89 @@ class RestApiTest extends WP_UnitTestCase {
 			'Settings should require admin access'
 		);
 	}
+
+	/**
+	 * Test that the syndication status routes are registered.
+	 */
+	public function test_syndication_routes_registered() {
+		$routes    = $this->server->get_routes();
+		$namespace = '/' . REST_API::NAMESPACE;
+
+		$this->assertArrayHasKey( $namespace . '/syndication/(?P<id>\d+)', $routes );
+		$this->assertArrayHasKey( $namespace . '/syndication/(?P<id>\d+)/retry', $routes );
+	}
+
+	/**
+	 * Test that a post's syndication status needs edit rights on it.
+	 */
+	public function test_syndication_status_requires_edit_post() {
+		$post_id = self::factory()->post->create( [ 'post_author' => $this->admin_id ] );
+
+		wp_set_current_user( $this->subscriber_id );
+		$response = $this->server->dispatch(
+			new WP_REST_Request( 'GET', '/' . REST_API::NAMESPACE . '/syndication/' . $post_id )
+		);
+		$this->assertContains( $response->get_status(), [ 401, 403 ] );
+
+		wp_set_current_user( $this->admin_id );
+		$response = $this->server->dispatch(
+			new WP_REST_Request( 'GET', '/' . REST_API::NAMESPACE . '/syndication/' . $post_id )
+		);
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( [], $response->get_data()['targets'] );
+	}
+
+	/**
+	 * Test that a draft cannot be retried.
+	 */
+	public function test_syndication_retry_rejects_drafts() {
+		$post_id = self::factory()->post->create( [ 'post_status' => 'draft' ] );
+
+		wp_set_current_user( $this->admin_id );
+		$request = new WP_REST_Request( 'POST', '/' . REST_API::NAMESPACE . '/syndication/' . $post_id . '/retry' );
+		$request->set_param( 'service', 'lastfm' );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertSame( 400, $response->get_status() );
+		$this->assertSame( 'pkiw_not_published', $response->get_data()['code'] );
+	}
+
+	/**
+	 * Test that the surface preview follows the unsaved kind.
+	 */
+	public function test_surface_preview_uses_unsaved_kind() {
+		add_filter( 'pkiw_stream_kinds', static fn() => [ 'checkin' ] );
+
+		$post_id = self::factory()->post->create( [ 'post_author' => $this->admin_id ] );
+		$checkin = wp_insert_term( 'Checkin', 'kind', [ 'slug' => 'checkin' ] );
+		$kind_id = is_wp_error( $checkin ) ? (int) $checkin->get_error_data( 'term_exists' ) : (int) $checkin['term_id'];
+
+		wp_set_current_user( $this->admin_id );
+		$request = new WP_REST_Request( 'POST', '/' . REST_API::NAMESPACE . '/surface/' . $post_id );
+		$request->set_param( 'kinds', [ $kind_id ] );
+
+		$response = $this->server->dispatch( $request );
+		$data     = $response->get_data();
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( 'stream', $data['surface'] );
+		$this->assertSame( 'kind', $data['rule'] );
+		$this->assertContains( 'firehose', wp_list_pluck( $data['places'], 'id' ) );
+		$this->assertContains( 'kind-checkin', wp_list_pluck( $data['places'], 'id' ) );
+	}
+
+	/**
+	 * Test that the surface preview needs edit rights on the post.
+	 */
+	public function test_surface_preview_requires_edit_post() {
+		$post_id = self::factory()->post->create( [ 'post_author' => $this->admin_id ] );
+
+		wp_set_current_user( $this->subscriber_id );
+		$response = $this->server->dispatch(
+			new WP_REST_Request( 'POST', '/' . REST_API::NAMESPACE . '/surface/' . $post_id )
+		);
+
+		$this->assertContains( $response->get_status(), [ 401, 403 ] );
+	}
 }
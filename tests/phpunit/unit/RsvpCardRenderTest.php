@@ -0,0 +1,102 @@
+<?php
+/**
+ * Coverage for the rsvp-card block render.
+ *
+ * @package PKIW
+ */
+
+declare(strict_types=1);
+
+namespace PKIW\Tests\Unit;
+
+use WP_UnitTestCase;
+
+/**
+ * The RSVP card cites its event as an h-event. An event time saved with an
+ * offset, as an imported event is, renders in that offset; a floating time
+ * renders as the wall-clock time it names, and a date-only value as a date.
+ */
+final class RsvpCardRenderTest extends WP_UnitTestCase {
+
+	/**
+	 * Render the rsvp-card block with the given attributes.
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return string Rendered HTML.
+	 */
+	private function render_rsvp_card( array $attributes ): string {
+		return render_block(
+			[
+				'blockName'    => 'post-kinds-indieweb/rsvp-card',
+				'attrs'        => $attributes,
+				'innerBlocks'  => [],
+				'innerHTML'    => '',
+				'innerContent' => [],
+			]
+		);
+	}
+
+	/**
+	 * An imported Berlin event keeps its +01:00 offset and shows 19:00, on
+	 * a site set to another time zone.
+	 */
+	public function test_event_times_keep_their_offset(): void {
+		update_option( 'timezone_string', 'America/New_York' );
+		update_option( 'time_format', 'H:i' );
+
+		$html = $this->render_rsvp_card(
+			[
+				'eventName'  => 'Web Meetup',
+				'eventStart' => '2026-11-05T19:00:00+01:00',
+				'eventEnd'   => '2026-11-05T22:00:00+01:00',
+			]
+		);
+
+		$this->assertStringContainsString( 'datetime="2026-11-05T19:00:00+01:00"', $html );
+		$this->assertStringContainsString( 'value="2026-11-05T22:00:00+01:00"', $html );
+		$this->assertStringContainsString( '19:00 – 22:00', $html );
+	}
+
+	/**
+	 * A floating time keeps its wall-clock time whatever the site's time
+	 * zone, and is marked up without an offset.
+	 */
+	public function test_floating_event_times_keep_their_wall_clock_time(): void {
+		update_option( 'timezone_string', 'America/New_York' );
+		update_option( 'time_format', 'H:i' );
+
+		$html = $this->render_rsvp_card(
+			[
+				'eventName'  => 'Homebrew Website Club',
+				'eventStart' => '2026-11-04T18:00:00',
+				'eventEnd'   => '2026-11-04T20:00:00',
+			]
+		);
+
+		$this->assertStringContainsString( 'datetime="2026-11-04T18:00:00"', $html );
+		$this->assertStringContainsString( 'value="2026-11-04T20:00:00"', $html );
+		$this->assertStringContainsString( '18:00 – 20:00', $html );
+	}
+
+	/**
+	 * A date-only value renders as a date with no time.
+	 */
+	public function test_date_only_event_times_have_no_time(): void {
+		update_option( 'timezone_string', 'America/New_York' );
+		update_option( 'date_format', 'F j, Y' );
+		update_option( 'time_format', 'H:i' );
+
+		$html = $this->render_rsvp_card(
+			[
+				'eventName'  => 'Craft Fair',
+				'eventStart' => '2026-12-12',
+				'eventEnd'   => '2026-12-13',
+			]
+		);
+
+		$this->assertStringContainsString( 'datetime="2026-12-12"', $html );
+		$this->assertStringContainsString( 'value="2026-12-13"', $html );
+		$this->assertStringContainsString( 'December 12, 2026 – December 13, 2026</time>', $html );
+		$this->assertStringNotContainsString( '00:00', $html );
+	}
+}
@@ -288,4 +288,22 @@ class StandardSiteTest extends ApiTestCase {
 		$this->assertNull( Standard_Site::resolve_url( self::PAGE ) );
 		$this->assertCount( $first, $this->get_recorded_request_urls(), 'second call refetched' );
 	}
+
+	public function test_resolves_handle_from_did_document() {
+		$this->mock_http_response(
+			'plc.directory',
+			[
+				'alsoKnownAs' => [ 'at://Notes.Example.test' ],
+			]
+		);
+
+		$this->assertSame( 'notes.example.test', Standard_Site::resolve_handle( self::DID ) );
+	}
+
+	public function test_did_without_handle_resolves_to_null() {
+		$this->mock_http_response( 'plc.directory', [ 'alsoKnownAs' => [ 'https://notes.example.test' ] ] );
+
+		$this->assertNull( Standard_Site::resolve_handle( self::DID ) );
+		$this->assertNull( Standard_Site::resolve_handle( 'did:key:z6Mk' ) );
+	}
 }
@@ -0,0 +1,147 @@
+<?php
+/**
+ * Test the Syndication Status class.
+ *
+ * @package PKIW
+ */
+
+namespace PKIW\Tests\Unit;
+
+use PKIW\Sync\Syndication_Status;
+use WP_UnitTestCase;
+
+/**
+ * Test the Syndication_Status class.
+ *
+ * @covers \PKIW\Sync\Syndication_Status
+ */
+class SyndicationStatusTest extends WP_UnitTestCase {
+
+	/**
+	 * Test an unattempted target reads as not attempted, not pending.
+	 */
+	public function test_get_defaults_to_not_attempted(): void {
+		$post_id = self::factory()->post->create();
+
+		$entry = Syndication_Status::get( $post_id, 'lastfm' );
+
+		$this->assertSame( Syndication_Status::NOT_ATTEMPTED, $entry['status'] );
+		$this->assertSame( 0, $entry['updated'] );
+	}
+
+	/**
+	 * Test a post syndicated before statuses were recorded reads as syndicated.
+	 */
+	public function test_get_falls_back_to_url_meta(): void {
+		$post_id = self::factory()->post->create();
+		update_post_meta( $post_id, '_pkiw_syndication_trakt', 'https://trakt.tv/history/1' );
+
+		$entry = Syndication_Status::get( $post_id, 'trakt' );
+
+		$this->assertSame( Syndication_Status::SYNDICATED, $entry['status'] );
+		$this->assertSame( 'https://trakt.tv/history/1', $entry['url'] );
+	}
+
+	/**
+	 * Test the older URL meta wins over a later entry that isn't syndicated.
+	 */
+	public function test_get_prefers_url_meta_over_a_later_failure(): void {
+		$post_id = self::factory()->post->create();
+		update_post_meta( $post_id, '_pkiw_syndication_trakt', 'https://trakt.tv/history/1' );
+		Syndication_Status::record( $post_id, 'trakt', Syndication_Status::FAILED, '', 'Timed out' );
+
+		$entry = Syndication_Status::get( $post_id, 'trakt' );
+
+		$this->assertSame( Syndication_Status::SYNDICATED, $entry['status'] );
+		$this->assertSame( 'https://trakt.tv/history/1', $entry['url'] );
+	}
+
+	/**
+	 * Test get_urls() includes services only found in the older URL meta.
+	 */
+	public function test_get_urls_reads_url_meta(): void {
+		$post_id = self::factory()->post->create();
+		update_post_meta( $post_id, '_pkiw_syndication_trakt', 'https://trakt.tv/history/1' );
+		Syndication_Status::record( $post_id, 'lastfm', Syndication_Status::SYNDICATED );
+		update_post_meta( $post_id, '_pkiw_syndication_lastfm', 'https://www.last.fm/user/test' );
+
+		$urls = Syndication_Status::get_urls( $post_id );
+		sort( $urls );
+
+		$this->assertSame( [ 'https://trakt.tv/history/1', 'https://www.last.fm/user/test' ], $urls );
+	}
+
+	/**
+	 * Test run() records a successful attempt.
+	 */
+	public function test_run_records_success(): void {
+		$post_id = self::factory()->post->create();
+
+		$result = Syndication_Status::run(
+			$post_id,
+			'lastfm',
+			'Last.fm',
+			static fn() => [
+				'id'  => 'scr-1',
+				'url' => 'https://www.last.fm/user/test',
+			]
+		);
+
+		$this->assertSame( 'scr-1', $result['id'] );
+		$this->assertSame( Syndication_Status::SYNDICATED, Syndication_Status::get( $post_id, 'lastfm' )['status'] );
+		$this->assertSame( [ 'https://www.last.fm/user/test' ], Syndication_Status::get_urls( $post_id ) );
+	}
+
+	/**
+	 * Test run() keeps the error the API reported.
+	 */
+	public function test_run_records_api_error(): void {
+		$post_id = self::factory()->post->create();
+
+		$result = Syndication_Status::run(
+			$post_id,
+			'lastfm',
+			'Last.fm',
+			static function () {
+				do_action( 'pkiw_api_error', 'lastfm', 'Scrobble failed', [ 'error' => 'Invalid session key' ] );
+				return false;
+			}
+		);
+
+		$entry = Syndication_Status::get( $post_id, 'lastfm' );
+
+		$this->assertFalse( $result );
+		$this->assertSame( Syndication_Status::FAILED, $entry['status'] );
+		$this->assertSame( 'Invalid session key', $entry['error'] );
+		$this->assertFalse( has_action( 'pkiw_api_error' ) );
+	}
+
+	/**
+	 * Test run() turns an exception into a failure.
+	 */
+	public function test_run_records_exception(): void {
+		$post_id = self::factory()->post->create();
+
+		Syndication_Status::run(
+			$post_id,
+			'trakt',
+			'Trakt',
+			static function () {
+				throw new \RuntimeException( 'Connection timed out' );
+			}
+		);
+
+		$this->assertSame( 'Connection timed out', Syndication_Status::get( $post_id, 'trakt' )['error'] );
+	}
+
+	/**
+	 * Test a failure without an API error gets a generic message.
+	 */
+	public function test_run_names_the_service_without_an_error(): void {
+		$post_id = self::factory()->post->create();
+
+		Syndication_Status::run( $post_id, 'trakt', 'Trakt', static fn() => false );
+
+		$this->assertStringContainsString( 'Trakt', Syndication_Status::get( $post_id, 'trakt' )['error'] );
+	}
+}
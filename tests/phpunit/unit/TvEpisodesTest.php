@@ -0,0 +1,104 @@
+<?php
+/**
+ * Test the TV episode guide.
+ *
+ * @package PKIW
+ */
+
+namespace PKIW\Tests\Unit;
+
+use PKIW\TV_Episodes;
+use PKIW\Tests\ApiTestCase;
+
+/**
+ * Test TV_Episodes.
+ *
+ * @covers \PKIW\TV_Episodes
+ */
+class TvEpisodesTest extends ApiTestCase {
+
+	/**
+	 * Give TMDB a key.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+		update_option( 'pkiw_api_credentials', [ 'tmdb' => [ 'api_key' => 'test-tmdb-api-key' ] ] );
+	}
+
+	/**
+	 * Clean up.
+	 */
+	public function tear_down(): void {
+		delete_option( 'pkiw_api_credentials' );
+		parent::tear_down();
+	}
+
+	/**
+	 * Test TMDB seasons are listed without episodes when no season is asked for.
+	 */
+	public function test_lists_tmdb_seasons(): void {
+		$this->mock_http_response( 'api.themoviedb.org/3/tv/1396', 'tmdb/tv-detail.json' );
+
+		$guide = TV_Episodes::get( '1396' );
+
+		$this->assertSame( 'tmdb', $guide['source'] );
+		$this->assertSame( '1396', $guide['show_id'] );
+		$this->assertCount( 3, $guide['seasons'] );
+		$this->assertSame(
+			[
+				'number'        => 2,
+				'name'          => 'Season 2',
+				'episode_count' => 13,
+				'air_date'      => '2009-03-08',
+			],
+			$guide['seasons'][2]
+		);
+		$this->assertArrayNotHasKey( 'episodes', $guide );
+	}
+
+	/**
+	 * Test a season's episodes come with their stills.
+	 */
+	public function test_lists_tmdb_episodes_of_a_season(): void {
+		$this->mock_http_response( 'api.themoviedb.org/3/tv/1396/season/2', 'tmdb/tv-season.json' );
+		$this->mock_http_response( 'api.themoviedb.org/3/tv/1396', 'tmdb/tv-detail.json' );
+
+		$guide = TV_Episodes::get( '1396', '', 2 );
+
+		$this->assertCount( 2, $guide['episodes'] );
+		$this->assertSame( 'Seven Thirty-Seven', $guide['episodes'][0]['title'] );
+		$this->assertSame( 47, $guide['episodes'][0]['runtime'] );
+		$this->assertStringEndsWith( '/tjDNvbokPLtEnpFyFPyXMOd6Zr1.jpg', $guide['episodes'][0]['still'] );
+		$this->assertSame( 5, $guide['episodes'][1]['number'] );
+		$this->assertSame( '', $guide['episodes'][1]['still'] );
+		$this->assertNull( $guide['episodes'][1]['runtime'] );
+	}
+
+	/**
+	 * Test TVmaze answers by IMDb ID when TMDB can't.
+	 */
+	public function test_falls_back_to_tvmaze_by_imdb_id(): void {
+		$this->mock_http_response( 'api.themoviedb.org', [ 'status_message' => 'Invalid API key' ], 401 );
+		$this->mock_http_response( 'api.tvmaze.com/lookup/shows', 'tvmaze/lookup-show.json' );
+		$this->mock_http_response( 'api.tvmaze.com/shows/169/episodes', 'tvmaze/episodes.json' );
+
+		$guide = TV_Episodes::get( '1396', 'tt0903747', 1 );
+
+		$this->assertSame( 'tvmaze', $guide['source'] );
+		$this->assertSame( '169', $guide['show_id'] );
+		$this->assertSame( 1, $guide['seasons'][0]['number'] );
+		$this->assertSame( 2, $guide['seasons'][0]['episode_count'] );
+		$this->assertSame( 'Pilot', $guide['episodes'][0]['title'] );
+		$this->assertSame( '2008-01-20', $guide['episodes'][0]['air_date'] );
+		$this->assertStringContainsString( 'static.tvmaze.com', $guide['episodes'][0]['still'] );
+		$this->assert_api_request_made( 'imdb=tt0903747' );
+	}
+
+	/**
+	 * Test an unknown show gives null.
+	 */
+	public function test_returns_null_without_a_usable_id(): void {
+		$this->assertNull( TV_Episodes::get( '', 'not-an-imdb-id' ) );
+		$this->assertSame( [], $this->get_recorded_request_urls() );
+	}
+}
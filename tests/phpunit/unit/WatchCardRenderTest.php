@@ -0,0 +1,151 @@
+<?php
+/**
+ * Coverage for the watch-card block render.
+ *
+ * @package PKIW
+ */
+
+declare(strict_types=1);
+
+namespace PKIW\Tests\Unit;
+
+use WP_UnitTestCase;
+
+/**
+ * The watch card's "Watched before" strip links the author's earlier
+ * watches. Visitors only see published ones, and the strip is cached until
+ * a post changes.
+ */
+final class WatchCardRenderTest extends WP_UnitTestCase {
+
+	/**
+	 * Author of every watch.
+	 *
+	 * @var int
+	 */
+	private int $author_id;
+
+	/**
+	 * Create the author.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->author_id = self::factory()->user->create( [ 'role' => 'author' ] );
+	}
+
+	/**
+	 * Create a watch of the same film.
+	 *
+	 * @param string $status Post status.
+	 * @param string $date   Post date.
+	 * @return int Post ID.
+	 */
+	private function watch( string $status, string $date ): int {
+		return self::factory()->post->create(
+			[
+				'post_author' => $this->author_id,
+				'post_status' => $status,
+				'post_date'   => $date,
+				'meta_input'  => [ '_pkiw_watch_tmdb_id' => '603' ],
+			]
+		);
+	}
+
+	/**
+	 * Render the watch-card block with its history strip inside a post.
+	 *
+	 * @param int $post_id Post shown.
+	 * @return string Rendered HTML.
+	 */
+	private function render_in( int $post_id ): string {
+		$GLOBALS['post'] = get_post( $post_id ); // phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+		setup_postdata( $GLOBALS['post'] );
+
+		$html = render_block(
+			[
+				'blockName'    => 'post-kinds-indieweb/watch-card',
+				'attrs'        => [
+					'mediaTitle'  => 'The Matrix',
+					'tmdbId'      => '603',
+					'showHistory' => true,
+				],
+				'innerBlocks'  => [],
+				'innerHTML'    => '',
+				'innerContent' => [],
+			]
+		);
+
+		wp_reset_postdata();
+
+		return $html;
+	}
+
+	/**
+	 * Private and scheduled earlier watches are not shown to visitors.
+	 */
+	public function test_private_and_future_watches_are_not_shown(): void {
+		$published = $this->watch( 'publish', '2026-01-10 20:00:00' );
+		$private   = $this->watch( 'private', '2026-02-10 20:00:00' );
+		$future    = $this->watch( 'future', '2099-01-10 20:00:00' );
+		// Later than the scheduled watch, so that one counts as earlier.
+		$shown = $this->watch( 'future', '2099-02-10 20:00:00' );
+
+		wp_set_current_user( 0 );
+		$html = $this->render_in( $shown );
+
+		$this->assertStringContainsString( 'Watched before:', $html );
+		$this->assertStringContainsString( 'href="' . get_permalink( $published ) . '"', $html );
+		$this->assertStringNotContainsString( 'href="' . get_permalink( $private ) . '"', $html );
+		$this->assertStringNotContainsString( 'href="' . get_permalink( $future ) . '"', $html );
+	}
+
+	/**
+	 * A viewer who can read private posts sees private watches too.
+	 */
+	public function test_private_watches_are_shown_to_editors(): void {
+		$private = $this->watch( 'private', '2026-02-10 20:00:00' );
+		$shown   = $this->watch( 'publish', '2026-03-10 20:00:00' );
+
+		wp_set_current_user( 0 );
+		$this->assertStringNotContainsString( 'Watched before:', $this->render_in( $shown ) );
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'editor' ] ) );
+		$this->assertStringContainsString( 'href="' . get_permalink( $private ) . '"', $this->render_in( $shown ) );
+	}
+
+	/**
+	 * Visitors and editors share one cached history per post.
+	 */
+	public function test_history_is_cached_once_per_post(): void {
+		global $wpdb;
+
+		$this->watch( 'private', '2026-02-10 20:00:00' );
+		$shown = $this->watch( 'publish', '2026-03-10 20:00:00' );
+
+		wp_set_current_user( 0 );
+		$this->render_in( $shown );
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'editor' ] ) );
+		$this->render_in( $shown );
+
+		$cached = (int) $wpdb->get_var(
+			"SELECT COUNT(*) FROM {$wpdb->options} WHERE option_name LIKE '_transient_pkiw_kind_history_%' AND option_name <> '_transient_pkiw_kind_history_version'"
+		);
+
+		$this->assertSame( 1, $cached );
+	}
+
+	/**
+	 * The cached strip picks up a watch published after it was cached.
+	 */
+	public function test_saving_a_post_refreshes_the_cached_history(): void {
+		$shown = $this->watch( 'publish', '2026-03-10 20:00:00' );
+
+		wp_set_current_user( 0 );
+		$this->assertStringNotContainsString( 'Watched before:', $this->render_in( $shown ) );
+
+		$earlier = $this->watch( 'publish', '2026-01-10 20:00:00' );
+
+		$this->assertStringContainsString( 'href="' . get_permalink( $earlier ) . '"', $this->render_in( $shown ) );
+	}
+}
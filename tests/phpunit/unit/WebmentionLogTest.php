@@ -0,0 +1,168 @@
+<?php
+/**
+ * Tests for the Webmention_Log discovery and send log.
+ *
+ * @package PKIW
+ * @group   webmention
+ */
+
+namespace PKIW\Tests\Unit;
+
+use PKIW\Webmention_Log;
+use PKIW\Tests\ApiTestCase;
+
+/**
+ * Webmention_Log tests.
+ */
+class WebmentionLogTest extends ApiTestCase {
+
+	private const TARGET = 'https://a.example.test/post';
+
+	/**
+	 * Clear discovery caches so tests do not leak into one another.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		global $wpdb;
+		$wpdb->query(
+			"DELETE FROM {$wpdb->options} WHERE option_name LIKE '_transient_pkiw_wm_%' OR option_name LIKE '_transient_timeout_pkiw_wm_%'"
+		);
+		wp_cache_flush();
+	}
+
+	public function test_discovers_endpoint_from_link_header_first() {
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head><link rel="webmention" href="/from-html"></head></html>',
+			200,
+			[
+				'content-type' => 'text/html',
+				'link'         => '<https://a.example.test/from-header>; rel="webmention"',
+			]
+		);
+
+		$this->assertSame( 'https://a.example.test/from-header', Webmention_Log::discover_endpoint( self::TARGET ) );
+	}
+
+	public function test_discovers_relative_endpoint_from_html() {
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head><link rel="me webmention" href="/webmention"></head></html>',
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+
+		$this->assertSame( 'https://a.example.test/webmention', Webmention_Log::discover_endpoint( self::TARGET ) );
+	}
+
+	public function test_caches_a_missing_endpoint() {
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head><link rel="webmentions" href="/nope"></head></html>',
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+
+		$this->assertNull( Webmention_Log::discover_endpoint( self::TARGET ) );
+		$this->assertNull( Webmention_Log::discover_endpoint( self::TARGET ) );
+		$this->assertCount( 1, $this->get_recorded_request_urls() );
+
+		$expires = (int) get_option( '_transient_timeout_pkiw_wm_' . md5( self::TARGET ) );
+		$this->assertLessThanOrEqual( time() + 15 * MINUTE_IN_SECONDS, $expires );
+	}
+
+	public function test_does_not_cache_a_failed_fetch() {
+		$this->mock_http_error( 'a.example.test/post', 'Operation timed out' );
+
+		$this->assertNull( Webmention_Log::discover_endpoint( self::TARGET ) );
+		$this->assertNull( Webmention_Log::discover_endpoint( self::TARGET ) );
+		$this->assertCount( 2, $this->get_recorded_request_urls() );
+	}
+
+	public function test_send_logs_a_failed_fetch_of_the_target() {
+		$post_id = self::factory()->post->create();
+
+		$this->mock_http_error( 'a.example.test/post', 'Operation timed out' );
+
+		$entry = Webmention_Log::send( $post_id, self::TARGET );
+
+		$this->assertSame( Webmention_Log::FAILED, $entry['status'] );
+		$this->assertSame( 'Operation timed out', $entry['error'] );
+	}
+
+	public function test_resend_discovers_the_endpoint_again() {
+		$post_id = self::factory()->post->create();
+
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head></head></html>',
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+		$this->assertNull( Webmention_Log::discover_endpoint( self::TARGET ) );
+
+		// The target adds an endpoint after the miss was cached.
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head><link rel="webmention" href="/webmention"></head></html>',
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+		$this->mock_http_raw_response( 'a.example.test/webmention', '', 202 );
+
+		$entry = Webmention_Log::send( $post_id, self::TARGET, true );
+
+		$this->assert_api_request_made( 'a.example.test/webmention' );
+		$this->assertSame( Webmention_Log::QUEUED, $entry['status'] );
+	}
+
+	public function test_records_webmention_plugin_sends() {
+		$post_id = self::factory()->post->create();
+
+		Webmention_Log::record_send(
+			[
+				'response' => [ 'code' => 202 ],
+				'headers'  => [ 'location' => 'https://a.example.test/status/1' ],
+				'body'     => '',
+			],
+			get_permalink( $post_id ),
+			self::TARGET,
+			$post_id
+		);
+
+		$entry = Webmention_Log::get_all( $post_id )[ self::TARGET ];
+
+		$this->assertSame( Webmention_Log::QUEUED, $entry['status'] );
+		$this->assertSame( 202, $entry['code'] );
+		$this->assertSame( 'https://a.example.test/status/1', $entry['location'] );
+	}
+
+	public function test_send_posts_to_the_endpoint_and_logs_the_result() {
+		$post_id = self::factory()->post->create();
+
+		$this->mock_http_raw_response(
+			'a.example.test/post',
+			'<html><head><link rel="webmention" href="/webmention"></head></html>',
+			200,
+			[ 'content-type' => 'text/html' ]
+		);
+		$this->mock_http_raw_response( 'a.example.test/webmention', 'Target not found', 400 );
+
+		$entry = Webmention_Log::send( $post_id, self::TARGET );
+
+		$this->assert_api_request_made( 'a.example.test/webmention' );
+		$this->assertSame( Webmention_Log::FAILED, $entry['status'] );
+		$this->assertSame( 400, $entry['code'] );
+		$this->assertSame( 'Target not found', $entry['error'] );
+	}
+
+	public function test_post_links_to_its_cited_url_only() {
+		$post = self::factory()->post->create_and_get(
+			[ 'post_content' => '<a class="u-in-reply-to" href="' . self::TARGET . '">A post</a>' ]
+		);
+
+		$this->assertTrue( Webmention_Log::post_links_to( $post, self::TARGET ) );
+		$this->assertFalse( Webmention_Log::post_links_to( $post, 'https://elsewhere.example.test/' ) );
+	}
+}
@@ -81,6 +81,9 @@ $wpdb->query( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordP
 delete_option( 'pkiw_prefix_migrated' );
 delete_option( 'pkiw_activated' );
 
+// Kind templates saved by each user.
+delete_metadata( 'user', 0, '_pkiw_kind_templates', '', true );
+
 // Unschedule cron events.
 wp_clear_scheduled_hook( 'pkiw_process_import' );
 wp_clear_scheduled_hook( 'pkiw_scheduled_sync' );